@@ -1,7 +1,10 @@
 const jwt = require("jsonwebtoken")
+const User = require("../models/User")
+const { isSessionActive } = require("../services/sessions")
+const { logger, addLogContext } = require("../utils/logger")
 
 // Middleware to authenticate JWT token
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   // Get the token from the Authorization header
   const authHeader = req.headers["authorization"]
   const token = authHeader && authHeader.split(" ")[1]
@@ -10,16 +13,47 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ message: "Authentication token required" })
   }
 
+  let decoded
   try {
     // Verify the token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
-    req.user = decoded
-    next()
+    decoded = jwt.verify(token, process.env.JWT_SECRET)
   } catch (error) {
     return res.status(403).json({ message: "Invalid or expired token" })
   }
+
+  try {
+    // Access tokens stop working as soon as their session is signed out
+    if (!(await isSessionActive(decoded.sessionId))) {
+      return res.status(403).json({ message: "Invalid or expired token" })
+    }
+  } catch (error) {
+    logger.error("Error checking token", { error })
+    return res.status(500).json({ message: "Failed to verify authentication token" })
+  }
+
+  req.user = decoded
+  addLogContext({ userId: decoded.userId })
+  next()
+}
+
+// Middleware allowing the request only for admins; use after authenticateToken.
+// Sets req.adminUser.
+const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId)
+    if (!user || user.role !== "admin" || user.isDisabled()) {
+      return res.status(403).json({ message: "Admin access required" })
+    }
+
+    req.adminUser = user
+    next()
+  } catch (error) {
+    logger.error("Error checking admin access", { error })
+    res.status(500).json({ message: "Failed to verify admin access" })
+  }
 }
 
 module.exports = {
   authenticateToken,
+  requireAdmin,
 }
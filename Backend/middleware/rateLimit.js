@@ -0,0 +1,43 @@
+const { getRateLimitStore } = require("../services/rateLimitStore")
+const { logger } = require("../utils/logger")
+
+// Send a 429 telling the client when to try again
+const sendRetryLater = (res, waitMs, message) => {
+  const retryAfter = Math.max(Math.ceil(waitMs / 1000), 1)
+  res.set("Retry-After", String(retryAfter))
+  return res.status(429).json({ message, retryAfter })
+}
+
+// Middleware allowing `max` requests per `windowMs` for each key. key(req) defaults to
+// the client IP and can return null to skip the limit. `name` keeps the counters of
+// different limits apart. If the store fails, requests are let through.
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  key = (req) => req.ip,
+  message = "Too many requests. Please try again later.",
+}) => {
+  return async (req, res, next) => {
+    const id = key(req)
+    if (!id) {
+      return next()
+    }
+
+    try {
+      const { count, resetAt } = await getRateLimitStore().increment(`${name}:${id}`, windowMs)
+      if (count > max) {
+        return sendRetryLater(res, resetAt.getTime() - Date.now(), message)
+      }
+    } catch (error) {
+      logger.error(`Rate limit ${name} check failed`, { error })
+    }
+
+    next()
+  }
+}
+
+module.exports = {
+  rateLimit,
+  sendRetryLater,
+}
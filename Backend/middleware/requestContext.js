@@ -0,0 +1,39 @@
+const crypto = require("crypto")
+const { logger, withLogContext } = require("../utils/logger")
+
+const REQUEST_ID_HEADER = "X-Request-Id"
+
+// IDs set by a proxy or the caller are kept when they look like one
+const isValidRequestId = (value) => typeof value === "string" && /^[\w.:-]{1,100}$/.test(value)
+
+// Give every request a correlation ID, the incoming X-Request-Id or a new one. It is
+// returned in the X-Request-Id header and added to every log line written while the request
+// is handled. One line is logged per request once the response is sent.
+const requestContext = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER)
+  const requestId = isValidRequestId(incoming) ? incoming : crypto.randomUUID()
+  const startedAt = process.hrtime.bigint()
+  const fields = { requestId }
+
+  req.id = requestId
+  res.set(REQUEST_ID_HEADER, requestId)
+
+  res.on("finish", () => {
+    withLogContext(fields, () => {
+      logger[res.statusCode >= 500 ? "error" : "info"]("Request finished", {
+        method: req.method,
+        // Without the query string, which can hold tokens
+        path: req.originalUrl.split("?")[0],
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+      })
+    })
+  })
+
+  withLogContext(fields, next)
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  requestContext,
+}
@@ -0,0 +1,34 @@
+const { findConnection } = require("../services/connections")
+const { logger, addLogContext } = require("../utils/logger")
+
+// Middleware to load the Amazon seller connection a request works on.
+// The connection is picked with the `connectionId` query parameter or the
+// X-Connection-Id header, falling back to the user's latest connection.
+// Also sets req.workspace and req.workspaceRole for requireRole, and adds the seller to
+// the request's log lines.
+const loadSellerConnection = async (req, res, next) => {
+  try {
+    const connectionId = req.params.connectionId || req.query.connectionId || req.headers["x-connection-id"]
+    const found = await findConnection(req.user.userId, connectionId)
+
+    if (!found) {
+      if (connectionId) {
+        return res.status(404).json({ message: "Amazon connection not found" })
+      }
+      return res.status(400).json({ message: "Amazon account not connected" })
+    }
+
+    req.sellerConnection = found.connection
+    req.workspace = found.workspace
+    req.workspaceRole = found.role
+    addLogContext({ sellerId: found.connection.sellerId, connectionId: found.connection._id })
+    next()
+  } catch (error) {
+    logger.error("Error loading Amazon connection", { error })
+    res.status(500).json({ message: "Failed to load Amazon connection" })
+  }
+}
+
+module.exports = {
+  loadSellerConnection,
+}
@@ -0,0 +1,52 @@
+const User = require("../models/User")
+const { getLoginLockout, recordLoginFailure, clearLoginFailures } = require("../services/loginThrottle")
+const { sendRetryLater } = require("./rateLimit")
+const { logger } = require("../utils/logger")
+
+// Middleware asking users with two-factor sign-in for a fresh code before a sensitive
+// action. The code (from the authenticator app, or a recovery code) is sent in the
+// X-2FA-Code header. Users without two-factor sign-in pass straight through. Wrong codes
+// count towards the account's sign-in lockout, like at /login/2fa.
+const requireTwoFactorCode = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return next()
+    }
+
+    const code = req.headers["x-2fa-code"]
+    if (!code) {
+      return res.status(403).json({
+        message: "Enter the code from your authenticator app to continue",
+        twoFactorRequired: true,
+      })
+    }
+
+    const lockedFor = await getLoginLockout(user.email)
+    if (lockedFor > 0) {
+      return sendRetryLater(res, lockedFor, "Too many failed attempts. Please try again later.")
+    }
+
+    if (!(await user.verifyTwoFactorCode(String(code)))) {
+      const lockout = await recordLoginFailure(user.email)
+      if (lockout > 0) {
+        return sendRetryLater(res, lockout, "Too many failed attempts. Please try again later.")
+      }
+      return res.status(403).json({ message: "Invalid authentication code", twoFactorRequired: true })
+    }
+
+    await clearLoginFailures(user.email)
+    next()
+  } catch (error) {
+    logger.error("Error checking two-factor code", { error })
+    res.status(500).json({ message: "Failed to check authentication code" })
+  }
+}
+
+module.exports = {
+  requireTwoFactorCode,
+}
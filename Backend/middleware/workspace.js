@@ -0,0 +1,38 @@
+const { findWorkspace, hasRole } = require("../services/workspaces")
+const { logger } = require("../utils/logger")
+
+// Middleware to load the workspace in the `workspaceId` route parameter. Responds 404
+// unless the user is a member. Sets req.workspace and req.workspaceRole.
+const loadWorkspace = async (req, res, next) => {
+  try {
+    const workspace = await findWorkspace(req.user.userId, req.params.workspaceId)
+    if (!workspace) {
+      return res.status(404).json({ message: "Workspace not found" })
+    }
+
+    req.workspace = workspace
+    req.workspaceRole = workspace.getRole(req.user.userId)
+    next()
+  } catch (error) {
+    logger.error("Error loading workspace", { error })
+    res.status(500).json({ message: "Failed to load workspace" })
+  }
+}
+
+// Middleware allowing the request only when the user's role in the workspace loaded by
+// loadWorkspace or loadSellerConnection is at least `minimum`
+const requireRole = (minimum) => (req, res, next) => {
+  if (!hasRole(req.workspaceRole, minimum)) {
+    return res.status(403).json({
+      message: `This action needs the ${minimum} role or higher in the workspace`,
+      role: req.workspaceRole,
+      requiredRole: minimum,
+    })
+  }
+  next()
+}
+
+module.exports = {
+  loadWorkspace,
+  requireRole,
+}
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose")
+
+// An email in the outbox, see services/emailOutbox.js. The rendered content holds codes
+// and links, so it's stored encrypted and removed once the email is sent.
+const emailMessageSchema = new mongoose.Schema({
+  template: {
+    type: String,
+    required: true,
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  subject: String,
+  // { text, html } as JSON, encrypted with utils/tokenCrypto
+  content: String,
+  // queued, sending (claimed by a worker until lockedUntil), sent or failed (no more retries)
+  status: {
+    type: String,
+    enum: ["queued", "sending", "sent", "failed"],
+    default: "queued",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedUntil: Date,
+  lastError: String,
+  transport: String,
+  messageId: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  sentAt: Date,
+})
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 })
+emailMessageSchema.index({ to: 1, createdAt: -1 })
+// Delivery records are kept for 30 days
+emailMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 })
+
+emailMessageSchema.methods.toSummary = function () {
+  return {
+    id: this._id,
+    template: this.template,
+    to: this.to,
+    subject: this.subject,
+    status: this.status,
+    attempts: this.attempts,
+    nextAttemptAt: this.status === "queued" ? this.nextAttemptAt : undefined,
+    lastError: this.lastError,
+    transport: this.transport,
+    createdAt: this.createdAt,
+    sentAt: this.sentAt,
+  }
+}
+
+const EmailMessage = mongoose.model("EmailMessage", emailMessageSchema)
+
+module.exports = EmailMessage
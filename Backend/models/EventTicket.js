@@ -0,0 +1,21 @@
+const mongoose = require("mongoose")
+
+// An event stream ticket that was used, see services/eventTickets.js. A ticket can be
+// used once; its record is kept until the ticket expires.
+const eventTicketSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+})
+
+eventTicketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const EventTicket = mongoose.model("EventTicket", eventTicketSchema)
+
+module.exports = EventTicket
@@ -0,0 +1,88 @@
+const mongoose = require("mongoose")
+
+// A background job, see services/jobQueue.js. Recurring jobs have everyMs and go back to
+// scheduled after each run; one-off jobs end as completed.
+const jobSchema = new mongoose.Schema({
+  // Handler the job runs, e.g. orders.sync
+  name: {
+    type: String,
+    required: true,
+  },
+  // Jobs with a key exist once, e.g. one order sync per seller connection
+  key: String,
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  // Owner, for the status view in routes/jobs.js
+  connection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SellerConnection",
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // scheduled (waiting for runAt), running (locked by a worker until lockedUntil),
+  // completed (one-off jobs) or dead (failed maxAttempts times in a row)
+  status: {
+    type: String,
+    enum: ["scheduled", "running", "completed", "dead"],
+    default: "scheduled",
+  },
+  runAt: {
+    type: Date,
+    default: Date.now,
+  },
+  everyMs: Number,
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+  },
+  lockedBy: String,
+  lockedUntil: Date,
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastDurationMs: Number,
+  lastError: String,
+  // What the last successful run returned
+  result: mongoose.Schema.Types.Mixed,
+  // Completed and dead jobs are removed by MongoDB after a while
+  expiresAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+jobSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $type: "string" } } })
+jobSchema.index({ status: 1, runAt: 1 })
+jobSchema.index({ connection: 1 })
+jobSchema.index({ user: 1 })
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+jobSchema.methods.toSummary = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    connectionId: this.connection,
+    status: this.status,
+    recurring: !!this.everyMs,
+    everyMs: this.everyMs,
+    nextRunAt: this.status === "scheduled" ? this.runAt : undefined,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    lastRunAt: this.lastRunAt,
+    lastFinishedAt: this.lastFinishedAt,
+    lastDurationMs: this.lastDurationMs,
+    lastError: this.lastError,
+    result: this.result,
+    createdAt: this.createdAt,
+  }
+}
+
+module.exports = mongoose.model("Job", jobSchema)
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose")
+
+// An SP API notification received from the queue. The unique notificationId makes
+// processing idempotent when Amazon or the queue delivers the same message twice.
+const notificationSchema = new mongoose.Schema({
+  notificationId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  notificationType: {
+    type: String,
+    required: true,
+  },
+  sellerId: String,
+  subscriptionId: String,
+  eventTime: Date,
+  // Where the message came from: "http" (ingest endpoint) or "file" (local queue directory)
+  source: String,
+  // processing, then processed, ignored (nothing to update) or failed (retried on redelivery)
+  status: {
+    type: String,
+    enum: ["processing", "processed", "ignored", "failed"],
+    default: "processing",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  lastAttemptAt: Date,
+  error: String,
+  // What the notification changed, e.g. the order it refreshed
+  result: mongoose.Schema.Types.Mixed,
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  processedAt: Date,
+})
+
+notificationSchema.index({ subscriptionId: 1, receivedAt: -1 })
+// Amazon redelivers for at most a few days, so older records are no longer needed
+notificationSchema.index({ receivedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 })
+
+notificationSchema.methods.toSummary = function () {
+  return {
+    id: this._id,
+    notificationId: this.notificationId,
+    notificationType: this.notificationType,
+    eventTime: this.eventTime,
+    status: this.status,
+    error: this.error,
+    result: this.result,
+    receivedAt: this.receivedAt,
+    processedAt: this.processedAt,
+  }
+}
+
+const Notification = mongoose.model("Notification", notificationSchema)
+
+module.exports = Notification
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose")
+
+// Server-side record of an OAuth `state` nonce handed to Amazon's consent page
+const oauthStateSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Workspace the seller account is connected to
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+  },
+  // SP API region of the seller account (na, eu or fe)
+  region: String,
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  consumedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// Keep expired states for a day so late callbacks can still be reported as expired
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 })
+
+const OAuthState = mongoose.model("OAuthState", oauthStateSchema)
+
+module.exports = OAuthState
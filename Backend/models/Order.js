@@ -0,0 +1,99 @@
+const mongoose = require("mongoose")
+
+// Orders are stored per seller connection, not per seller: the seller ID comes from the
+// OAuth callback and can't be checked against the tokens, so a connection only ever sees
+// the orders fetched with its own tokens.
+const orderSchema = new mongoose.Schema(
+  {
+    connection: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SellerConnection",
+      required: true,
+    },
+    sellerId: {
+      type: String,
+      required: true,
+    },
+    amazonOrderId: {
+      type: String,
+      required: true,
+    },
+    marketplaceId: String,
+    salesChannel: String,
+    orderStatus: String,
+    fulfillmentChannel: String,
+    orderType: String,
+    purchaseDate: Date,
+    lastUpdateDate: Date,
+    orderTotal: {
+      currencyCode: String,
+      amount: Number,
+    },
+    numberOfItemsShipped: Number,
+    numberOfItemsUnshipped: Number,
+    isBusinessOrder: Boolean,
+    isPrime: Boolean,
+    // Full order payload as returned by the Orders API
+    raw: mongoose.Schema.Types.Mixed,
+    // Line items as returned by getOrderItems, cached until the order changes
+    items: mongoose.Schema.Types.Mixed,
+    itemsSyncedAt: Date,
+    syncedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true },
+)
+
+// One document per Amazon order per seller connection
+orderSchema.index({ connection: 1, amazonOrderId: 1 }, { unique: true })
+// Newest-first listing with (purchaseDate, _id) cursors
+orderSchema.index({ connection: 1, purchaseDate: -1, _id: -1 })
+orderSchema.index({ connection: 1, marketplaceId: 1, purchaseDate: -1 })
+
+// Map an Orders API order to the fields stored on the connection's document
+orderSchema.statics.fromSpApi = function (connection, order) {
+  return {
+    connection: connection._id,
+    sellerId: connection.sellerId,
+    amazonOrderId: order.AmazonOrderId,
+    marketplaceId: order.MarketplaceId,
+    salesChannel: order.SalesChannel,
+    orderStatus: order.OrderStatus,
+    fulfillmentChannel: order.FulfillmentChannel,
+    orderType: order.OrderType,
+    purchaseDate: order.PurchaseDate ? new Date(order.PurchaseDate) : undefined,
+    lastUpdateDate: order.LastUpdateDate ? new Date(order.LastUpdateDate) : undefined,
+    orderTotal: order.OrderTotal
+      ? {
+          currencyCode: order.OrderTotal.CurrencyCode,
+          amount: Number.parseFloat(order.OrderTotal.Amount),
+        }
+      : undefined,
+    numberOfItemsShipped: order.NumberOfItemsShipped,
+    numberOfItemsUnshipped: order.NumberOfItemsUnshipped,
+    isBusinessOrder: order.IsBusinessOrder,
+    isPrime: order.IsPrime,
+    raw: order,
+    syncedAt: new Date(),
+  }
+}
+
+// Shape used by the dashboard orders table
+orderSchema.methods.toSummary = function () {
+  return {
+    orderId: this.amazonOrderId,
+    marketplaceId: this.marketplaceId,
+    orderDate: this.purchaseDate ? this.purchaseDate.toISOString().split("T")[0] : "N/A",
+    status: this.orderStatus || "Unknown",
+    amount:
+      this.orderTotal && this.orderTotal.currencyCode
+        ? `${this.orderTotal.currencyCode} ${this.orderTotal.amount.toFixed(2)}`
+        : "N/A",
+  }
+}
+
+const Order = mongoose.model("Order", orderSchema)
+
+module.exports = Order
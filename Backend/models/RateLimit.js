@@ -0,0 +1,25 @@
+const mongoose = require("mongoose")
+
+// Hit counter of one rate limit key for the MongoDB rate limit store
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // End of the current window; MongoDB removes the counter afterwards
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+})
+
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 })
+
+const RateLimit = mongoose.model("RateLimit", rateLimitSchema)
+
+module.exports = RateLimit
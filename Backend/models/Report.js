@@ -0,0 +1,88 @@
+const mongoose = require("mongoose")
+
+// A Reports API report requested or imported for a seller connection
+const reportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    connection: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SellerConnection",
+      required: true,
+    },
+    sellerId: {
+      type: String,
+      required: true,
+    },
+    // Our name for the report ("orders" or "settlement") and Amazon's report type
+    type: {
+      type: String,
+      enum: ["orders", "settlement"],
+      required: true,
+    },
+    reportType: {
+      type: String,
+      required: true,
+    },
+    marketplaceIds: [String],
+    dataStartTime: Date,
+    dataEndTime: Date,
+    amazonReportId: String,
+    reportDocumentId: String,
+    // Amazon's processingStatus: IN_QUEUE, IN_PROGRESS, DONE, CANCELLED or FATAL
+    processingStatus: String,
+    // requested: waiting on Amazon, downloading: document being stored, then done, failed or cancelled
+    status: {
+      type: String,
+      enum: ["requested", "downloading", "done", "failed", "cancelled"],
+      default: "requested",
+    },
+    error: String,
+    checkAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastCheckedAt: Date,
+    columns: [String],
+    rowCount: Number,
+    // Totals computed while the rows were stored, see services/reports.js
+    summary: mongoose.Schema.Types.Mixed,
+    completedAt: Date,
+  },
+  { timestamps: true },
+)
+
+reportSchema.index({ connection: 1, createdAt: -1 })
+reportSchema.index({ status: 1 })
+// Imported reports (settlements) are stored once per connection
+reportSchema.index(
+  { connection: 1, amazonReportId: 1 },
+  { unique: true, partialFilterExpression: { amazonReportId: { $type: "string" } } },
+)
+
+// Shape returned by the /api/amazon/reports routes
+reportSchema.methods.toSummary = function () {
+  return {
+    id: this._id,
+    type: this.type,
+    reportType: this.reportType,
+    status: this.status,
+    processingStatus: this.processingStatus,
+    marketplaceIds: this.marketplaceIds,
+    dataStartTime: this.dataStartTime,
+    dataEndTime: this.dataEndTime,
+    rowCount: this.rowCount,
+    columns: this.columns,
+    summary: this.summary,
+    error: this.error,
+    createdAt: this.createdAt,
+    completedAt: this.completedAt,
+  }
+}
+
+const Report = mongoose.model("Report", reportSchema)
+
+module.exports = Report
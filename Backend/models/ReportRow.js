@@ -0,0 +1,21 @@
+const mongoose = require("mongoose")
+
+// One parsed line of a downloaded flat-file report, keyed by the report's column headers
+const reportRowSchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Report",
+    required: true,
+  },
+  index: {
+    type: Number,
+    required: true,
+  },
+  data: mongoose.Schema.Types.Mixed,
+})
+
+reportRowSchema.index({ report: 1, index: 1 }, { unique: true })
+
+const ReportRow = mongoose.model("ReportRow", reportRowSchema)
+
+module.exports = ReportRow
@@ -0,0 +1,130 @@
+const mongoose = require("mongoose")
+const { encryptSecret, decryptSecret } = require("../utils/tokenCrypto")
+
+const sellerConnectionSchema = new mongoose.Schema({
+  // Workspace that owns the connection; its members share it, see services/workspaces.js
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+  },
+  // User who authorized the connection with Amazon
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Display name chosen by the user, defaults to the seller ID
+  name: {
+    type: String,
+    trim: true,
+  },
+  sellerId: {
+    type: String,
+    required: true,
+  },
+  region: {
+    type: String,
+    enum: ["na", "eu", "fe"],
+    default: "eu",
+  },
+  status: {
+    type: String,
+    enum: ["active", "error"],
+    default: "active",
+  },
+  lastError: String,
+  // Encrypted with utils/tokenCrypto. Use getAccessToken/getRefreshToken and setTokens.
+  accessToken: String,
+  refreshToken: String,
+  tokenExpiresAt: Date,
+  connectedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Marketplaces the seller participates in, from /sellers/v1/marketplaceParticipations
+  marketplaces: [
+    {
+      _id: false,
+      marketplaceId: String,
+      code: String,
+      name: String,
+      countryCode: String,
+      currencyCode: String,
+      domainName: String,
+      isParticipating: Boolean,
+      tracked: Boolean,
+      backfilledAt: Date,
+    },
+  ],
+  // Notifications API subscriptions, see services/notifications.js
+  notificationSubscriptions: [
+    {
+      _id: false,
+      notificationType: String,
+      subscriptionId: String,
+      destinationId: String,
+      payloadVersion: String,
+      subscribedAt: Date,
+    },
+  ],
+  // Incremental order sync cursor, see services/orderSync.js
+  orderSync: {
+    lastUpdatedAfter: Date,
+    lastSyncedAt: Date,
+    status: String,
+    error: String,
+  },
+})
+
+// A seller account can only be connected once per workspace
+sellerConnectionSchema.index({ workspace: 1, sellerId: 1 }, { unique: true })
+sellerConnectionSchema.index({ user: 1 })
+
+// Never serialize tokens, even encrypted ones, into API responses or logs
+const hideTokens = (doc, ret) => {
+  delete ret.accessToken
+  delete ret.refreshToken
+  return ret
+}
+sellerConnectionSchema.set("toJSON", { transform: hideTokens })
+sellerConnectionSchema.set("toObject", { transform: hideTokens })
+
+// Store tokens from an LWA token response, encrypted
+sellerConnectionSchema.methods.setTokens = function (tokenData) {
+  this.accessToken = encryptSecret(tokenData.access_token)
+  this.tokenExpiresAt = new Date(Date.now() + tokenData.expires_in * 1000)
+
+  // Refresh responses may omit the refresh token
+  if (tokenData.refresh_token) {
+    this.refreshToken = encryptSecret(tokenData.refresh_token)
+  }
+}
+
+sellerConnectionSchema.methods.getAccessToken = function () {
+  return decryptSecret(this.accessToken)
+}
+
+sellerConnectionSchema.methods.getRefreshToken = function () {
+  return decryptSecret(this.refreshToken)
+}
+
+// Connection details that are safe to return to the frontend
+sellerConnectionSchema.methods.toSummary = function () {
+  return {
+    id: this._id,
+    workspaceId: this.workspace,
+    name: this.name || this.sellerId,
+    sellerId: this.sellerId,
+    region: this.region,
+    status: this.status,
+    lastError: this.lastError,
+    connectedAt: this.connectedAt,
+    lastSyncedAt: this.orderSync?.lastSyncedAt,
+    syncStatus: this.orderSync?.status,
+    marketplaceCount: (this.marketplaces || []).filter((m) => m.tracked).length,
+  }
+}
+
+const SellerConnection = mongoose.model("SellerConnection", sellerConnectionSchema)
+
+module.exports = SellerConnection
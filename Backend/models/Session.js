@@ -0,0 +1,48 @@
+const mongoose = require("mongoose")
+
+// A signed-in session. The refresh token changes on every use; only hashes of the
+// current and the previous token are stored.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+  // Token replaced by the last rotation, to tell a concurrent refresh from a reused token
+  previousTokenHash: String,
+  rotatedAt: Date,
+  userAgent: String,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Extended on every refresh, up to the session's maximum age
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: Date,
+  // logout, reuse or password_reset
+  revokedReason: String,
+})
+
+// Expired sessions are removed by MongoDB; revoked ones stay until then
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date()
+}
+
+const Session = mongoose.model("Session", sessionSchema)
+
+module.exports = Session
@@ -1,5 +1,22 @@
 const mongoose = require("mongoose")
 const bcrypt = require("bcryptjs")
+const crypto = require("crypto")
+const { encryptSecret, decryptSecret } = require("../utils/tokenCrypto")
+const { generateTotpSecret, verifyTotp, buildOtpauthUri } = require("../utils/totp")
+
+// How long an emailed password reset link stays valid
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000
+
+const OTP_TTL_MS = 10 * 60 * 1000
+// Wrong guesses allowed per code; after that a new code has to be requested
+const OTP_MAX_ATTEMPTS = 5
+// Minimum time between two codes, and the most codes sent per hour
+const OTP_RESEND_COOLDOWN_MS = 60 * 1000
+const OTP_MAX_SENDS_PER_HOUR = 5
+
+// Issuer shown in authenticator apps, and the number of one-time recovery codes
+const TWO_FACTOR_ISSUER = "UNIBAZAR"
+const RECOVERY_CODE_COUNT = 10
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -22,15 +39,78 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Admins can use the /api/admin routes. Set with `npm run set-admin`.
+  role: {
+    type: String,
+    enum: ["user", "admin"],
+    default: "user",
+  },
+  // Disabled accounts can't sign in, see routes/admin.js
+  disabled: {
+    at: Date,
+    reason: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  // Pending email verification code. Only an HMAC of the code is stored.
   otp: {
-    code: String,
+    codeHash: String,
+    expiresAt: Date,
+    attempts: Number,
+    sentAt: Date,
+    // Codes sent since sendWindowStart, for the hourly limit
+    sendCount: Number,
+    sendWindowStart: Date,
+  },
+  // Pending password reset. Only a hash of the emailed token is stored.
+  passwordReset: {
+    tokenHash: String,
     expiresAt: Date,
+    requestedAt: Date,
+  },
+  passwordChangedAt: Date,
+  // Authenticator app sign-in codes. Secrets are encrypted like the Amazon tokens;
+  // recovery codes are stored as hashes and removed once used.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: String,
+    // Secret being enrolled, until the first code from the app confirms it
+    pendingSecret: String,
+    recoveryCodeHashes: [String],
+    // Time step of the last accepted code, so a code can't be used twice
+    lastUsedStep: Number,
+    enabledAt: Date,
   },
+  // Order summary emails, see services/digest.js
+  digest: {
+    frequency: {
+      type: String,
+      enum: ["off", "daily", "weekly"],
+      default: "off",
+    },
+    timezone: {
+      type: String,
+      default: "UTC",
+    },
+    // Marketplaces to summarize; empty means every tracked marketplace
+    marketplaceIds: [String],
+    nextSendAt: Date,
+    // End of the period covered by the last digest
+    lastSentAt: Date,
+  },
+  // Legacy single Amazon connection. Moved into the SellerConnection collection
+  // on first use, see services/connections.js
   amazonAuth: {
     accessToken: String,
     refreshToken: String,
     tokenExpiresAt: Date,
     sellerId: String,
+    connectedAt: Date,
   },
   createdAt: {
     type: Date,
@@ -38,6 +118,9 @@ const userSchema = new mongoose.Schema({
   },
 })
 
+userSchema.index({ "passwordReset.tokenHash": 1 }, { sparse: true })
+userSchema.index({ "digest.nextSendAt": 1 }, { sparse: true })
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next()
@@ -56,34 +139,184 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password)
 }
 
-// Method to generate OTP
+userSchema.methods.isDisabled = function () {
+  return !!this.disabled?.at
+}
+
+// Codes are keyed to the user so a leaked hash can't be matched against other accounts
+userSchema.methods.hashOTP = function (code) {
+  return crypto.createHmac("sha256", process.env.JWT_SECRET).update(`${this._id}:${code}`).digest("hex")
+}
+
+// Milliseconds until another OTP may be sent, 0 when one can be sent now
+userSchema.methods.getOTPCooldown = function () {
+  const now = Date.now()
+  const { sentAt, sendCount, sendWindowStart } = this.otp || {}
+  let waitUntil = sentAt ? sentAt.getTime() + OTP_RESEND_COOLDOWN_MS : 0
+
+  if (sendWindowStart && now - sendWindowStart.getTime() < 60 * 60 * 1000 && sendCount >= OTP_MAX_SENDS_PER_HOUR) {
+    waitUntil = Math.max(waitUntil, sendWindowStart.getTime() + 60 * 60 * 1000)
+  }
+
+  return Math.max(waitUntil - now, 0)
+}
+
+// Method to generate OTP. Replaces any earlier code; check getOTPCooldown first.
 userSchema.methods.generateOTP = function () {
   // Generate a 6-digit OTP
-  const otp = Math.floor(100000 + Math.random() * 900000).toString()
+  const otp = crypto.randomInt(100000, 1000000).toString()
 
-  // Set OTP expiry to 10 minutes from now
-  const expiresAt = new Date()
-  expiresAt.setMinutes(expiresAt.getMinutes() + 10)
+  const now = new Date()
+  const windowStart = this.otp?.sendWindowStart
+  const sameWindow = windowStart && now.getTime() - windowStart.getTime() < 60 * 60 * 1000
 
   this.otp = {
-    code: otp,
-    expiresAt,
+    codeHash: this.hashOTP(otp),
+    expiresAt: new Date(now.getTime() + OTP_TTL_MS),
+    attempts: 0,
+    sentAt: now,
+    sendCount: sameWindow ? (this.otp.sendCount || 0) + 1 : 1,
+    sendWindowStart: sameWindow ? windowStart : now,
   }
 
   return otp
 }
 
-// Method to verify OTP
-userSchema.methods.verifyOTP = function (otpToVerify) {
-  if (!this.otp || !this.otp.code || !this.otp.expiresAt) {
-    return false
+// Method to verify OTP. Resolves to { valid: true } or { valid: false, reason, attemptsLeft }
+// where reason is "missing", "expired", "invalid" or "locked" (too many wrong guesses).
+userSchema.methods.verifyOTP = async function (otpToVerify) {
+  if (!this.otp || !this.otp.codeHash || !this.otp.expiresAt) {
+    return { valid: false, reason: "missing" }
   }
 
   if (new Date() > this.otp.expiresAt) {
-    return false // OTP expired
+    return { valid: false, reason: "expired" }
+  }
+
+  // Count the attempt in the database before checking the code, so parallel guesses
+  // can't get past the limit
+  const counted = await this.constructor.findOneAndUpdate(
+    { _id: this._id, "otp.codeHash": this.otp.codeHash, "otp.attempts": { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { "otp.attempts": 1 } },
+    { new: true },
+  )
+  if (!counted) {
+    return { valid: false, reason: "locked", attemptsLeft: 0 }
+  }
+
+  const expected = Buffer.from(this.otp.codeHash, "hex")
+  const actual = Buffer.from(this.hashOTP(String(otpToVerify)), "hex")
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    const attemptsLeft = OTP_MAX_ATTEMPTS - counted.otp.attempts
+    return { valid: false, reason: attemptsLeft > 0 ? "invalid" : "locked", attemptsLeft }
+  }
+
+  return { valid: true }
+}
+
+// Reset tokens are looked up by their SHA-256 hash
+userSchema.statics.hashResetToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex")
+}
+
+// Method to start a password reset. Returns the token to email; it replaces any earlier one.
+userSchema.methods.createPasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString("hex")
+
+  this.passwordReset = {
+    tokenHash: this.constructor.hashResetToken(token),
+    expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS),
+    requestedAt: new Date(),
+  }
+
+  return token
+}
+
+// Start authenticator app enrollment. Returns the secret and otpauth:// URI to show;
+// two-factor sign-in is only switched on once confirmTwoFactorSetup accepts a code.
+userSchema.methods.startTwoFactorSetup = function () {
+  const secret = generateTotpSecret()
+  this.set("twoFactor.pendingSecret", encryptSecret(secret))
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, account: this.email, issuer: TWO_FACTOR_ISSUER }),
+  }
+}
+
+// Finish enrollment with a code from the app. Returns the new recovery codes, or null
+// when the code doesn't match the pending secret.
+userSchema.methods.confirmTwoFactorSetup = function (code) {
+  const pendingSecret = this.twoFactor?.pendingSecret
+  const step = pendingSecret ? verifyTotp(decryptSecret(pendingSecret), code) : null
+  if (step === null) {
+    return null
+  }
+
+  this.set("twoFactor.enabled", true)
+  this.set("twoFactor.secret", pendingSecret)
+  this.set("twoFactor.pendingSecret", undefined)
+  this.set("twoFactor.lastUsedStep", step)
+  this.set("twoFactor.enabledAt", new Date())
+  return this.generateRecoveryCodes()
+}
+
+// Switch two-factor sign-in off and forget the secret and recovery codes
+userSchema.methods.disableTwoFactor = function () {
+  this.twoFactor = { enabled: false, recoveryCodeHashes: [] }
+}
+
+// Recovery codes are random, so a plain SHA-256 is enough. Case, spaces and dashes are ignored.
+userSchema.statics.hashRecoveryCode = function (code) {
+  const normalized = String(code).toLowerCase().replace(/[\s-]/g, "")
+  return crypto.createHash("sha256").update(normalized).digest("hex")
+}
+
+// Method to replace the recovery codes. Returns the new codes to show once.
+userSchema.methods.generateRecoveryCodes = function () {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString("hex")
+    return `${code.slice(0, 5)}-${code.slice(5)}`
+  })
+
+  this.set("twoFactor.recoveryCodeHashes", codes.map((code) => this.constructor.hashRecoveryCode(code)))
+  return codes
+}
+
+// Method to check a second-factor code: a code from the authenticator app or an unused
+// recovery code. Resolves to "totp", "recovery" or null. Accepted codes are recorded in
+// the database in the same step they are checked, so a code works only once even when
+// sent in parallel.
+userSchema.methods.verifyTwoFactorCode = async function (code) {
+  if (!this.twoFactor?.enabled || !this.twoFactor.secret || !code) {
+    return null
+  }
+
+  const step = verifyTotp(decryptSecret(this.twoFactor.secret), code)
+  if (step !== null) {
+    const recorded = await this.constructor.findOneAndUpdate(
+      {
+        _id: this._id,
+        "twoFactor.enabled": true,
+        $or: [{ "twoFactor.lastUsedStep": { $lt: step } }, { "twoFactor.lastUsedStep": null }],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } },
+    )
+    return recorded ? "totp" : null
+  }
+
+  const hash = this.constructor.hashRecoveryCode(code)
+  const used = await this.constructor.findOneAndUpdate(
+    { _id: this._id, "twoFactor.enabled": true, "twoFactor.recoveryCodeHashes": hash },
+    { $pull: { "twoFactor.recoveryCodeHashes": hash } },
+    { new: true },
+  )
+  if (!used) {
+    return null
   }
 
-  return this.otp.code === otpToVerify
+  this.twoFactor.recoveryCodeHashes = used.twoFactor.recoveryCodeHashes
+  return "recovery"
 }
 
 const User = mongoose.model("User", userSchema)
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose")
+
+// Roles from least to most access, see services/workspaces.js
+const WORKSPACE_ROLES = ["read-only", "analyst", "admin", "owner"]
+
+// A team that owns seller connections. Every member has one role in it.
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Set on the workspace created automatically for a user; each user has one
+  defaultFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  members: [
+    {
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+      },
+      role: {
+        type: String,
+        enum: WORKSPACE_ROLES,
+        required: true,
+      },
+      joinedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+workspaceSchema.index({ "members.user": 1 })
+workspaceSchema.index({ defaultFor: 1 }, { unique: true, sparse: true })
+
+// Role of the user in this workspace, or null when they aren't a member
+workspaceSchema.methods.getRole = function (userId) {
+  const member = this.members.find((m) => m.user.toString() === String(userId))
+  return member ? member.role : null
+}
+
+workspaceSchema.statics.ROLES = WORKSPACE_ROLES
+
+const Workspace = mongoose.model("Workspace", workspaceSchema)
+
+module.exports = Workspace
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose")
+const crypto = require("crypto")
+
+// Pending invitation to join a workspace. Only a hash of the emailed token is stored.
+const workspaceInvitationSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+    required: true,
+    index: true,
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+  },
+  role: {
+    type: String,
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // MongoDB removes the invitation once it expires
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+workspaceInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+workspaceInvitationSchema.index({ workspace: 1, email: 1 }, { unique: true })
+
+workspaceInvitationSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex")
+}
+
+// Invitation details that are safe to return to the frontend
+workspaceInvitationSchema.methods.toSummary = function () {
+  return {
+    id: this._id,
+    email: this.email,
+    role: this.role,
+    expiresAt: this.expiresAt,
+    createdAt: this.createdAt,
+  }
+}
+
+const WorkspaceInvitation = mongoose.model("WorkspaceInvitation", workspaceInvitationSchema)
+
+module.exports = WorkspaceInvitation
@@ -0,0 +1,259 @@
+const express = require("express")
+const { authenticateToken, requireAdmin } = require("../middleware/auth")
+const { sendOTPEmail } = require("../utils/email")
+const { revokeUserSessions } = require("../services/sessions")
+const { removeConnection } = require("../services/connections")
+const { unsubscribeAll } = require("../services/notifications")
+const { listEmails, retryEmail } = require("../services/emailOutbox")
+const {
+  toAdminUserSummary,
+  searchUsers,
+  findUser,
+  getUserDetail,
+  searchConnections,
+  findAnyConnection,
+} = require("../services/admin")
+const { logger } = require("../utils/logger")
+
+// Operator console. Every route needs an account with the admin role, and every change
+// is logged with the admin's user ID.
+
+const router = express.Router()
+
+router.use(authenticateToken, requireAdmin)
+
+const MAX_PAGE_SIZE = 100
+
+// Parse `offset` and `limit` query parameters. Returns { offset, limit } or { error }.
+const parsePaging = (query) => {
+  const offset = query.offset === undefined ? 0 : Number.parseInt(query.offset, 10)
+  const limit = query.limit === undefined ? 25 : Number.parseInt(query.limit, 10)
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: "offset must be a non-negative integer" }
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` }
+  }
+  return { offset, limit }
+}
+
+// Middleware to load the user in the `userId` route parameter into req.targetUser
+const loadTargetUser = async (req, res, next) => {
+  try {
+    const user = await findUser(req.params.userId)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    req.targetUser = user
+    next()
+  } catch (error) {
+    logger.error("Error loading user", { error })
+    res.status(500).json({ message: "Failed to load user" })
+  }
+}
+
+// Search users by name, email or ID (`q`) and `status` (unverified, disabled, admin)
+router.get("/users", async (req, res) => {
+  try {
+    const { offset, limit, error } = parsePaging(req.query)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    const { users, total } = await searchUsers({ q: req.query.q, status: req.query.status, offset, limit })
+
+    res.json({ users, total, offset, limit })
+  } catch (error) {
+    if (error.message.startsWith("Invalid")) {
+      return res.status(400).json({ message: error.message })
+    }
+
+    logger.error("Error searching users", { error })
+    res.status(500).json({
+      message: "Failed to search users",
+      error: error.message,
+    })
+  }
+})
+
+// One user with their sessions, workspaces and seller connection health
+router.get("/users/:userId", loadTargetUser, async (req, res) => {
+  try {
+    res.json(await getUserDetail(req.targetUser))
+  } catch (error) {
+    logger.error("Error loading user details", { error })
+    res.status(500).json({
+      message: "Failed to load user details",
+      error: error.message,
+    })
+  }
+})
+
+// Make the user verify their email again: they're signed out and sent a new code
+router.post("/users/:userId/reverify", loadTargetUser, async (req, res) => {
+  try {
+    const user = req.targetUser
+
+    user.isVerified = false
+    const otp = user.generateOTP()
+    await user.save()
+    await revokeUserSessions(user._id, "reverification")
+
+    try {
+      await sendOTPEmail(user.email, user.name, otp)
+    } catch (error) {
+      // The user can request another code from the verification page
+      logger.error("Re-verification email error", { error })
+    }
+
+    logger.info(`Admin ${req.user.userId} required user ${user._id} to verify their email again`)
+    res.json({ message: "The user has to verify their email again", user: toAdminUserSummary(user) })
+  } catch (error) {
+    logger.error("Error requiring re-verification", { error })
+    res.status(500).json({
+      message: "Failed to require re-verification",
+      error: error.message,
+    })
+  }
+})
+
+// Disable an account ({ reason }): it's signed out everywhere and can't sign in again
+router.post("/users/:userId/disable", loadTargetUser, async (req, res) => {
+  try {
+    const user = req.targetUser
+    const reason = typeof req.body.reason === "string" ? req.body.reason.trim().slice(0, 500) : ""
+
+    if (user._id.toString() === req.user.userId) {
+      return res.status(400).json({ message: "You can't disable your own account" })
+    }
+
+    user.disabled = { at: new Date(), reason: reason || undefined, by: req.user.userId }
+    user.passwordReset = undefined
+    await user.save()
+    await revokeUserSessions(user._id, "disabled")
+
+    logger.info(`Admin ${req.user.userId} disabled user ${user._id}${reason ? `: ${reason}` : ""}`)
+    res.json({ message: "Account disabled", user: toAdminUserSummary(user) })
+  } catch (error) {
+    logger.error("Error disabling user", { error })
+    res.status(500).json({
+      message: "Failed to disable account",
+      error: error.message,
+    })
+  }
+})
+
+// Allow a disabled account to sign in again
+router.post("/users/:userId/enable", loadTargetUser, async (req, res) => {
+  try {
+    const user = req.targetUser
+
+    user.disabled = undefined
+    await user.save()
+
+    logger.info(`Admin ${req.user.userId} enabled user ${user._id}`)
+    res.json({ message: "Account enabled", user: toAdminUserSummary(user) })
+  } catch (error) {
+    logger.error("Error enabling user", { error })
+    res.status(500).json({
+      message: "Failed to enable account",
+      error: error.message,
+    })
+  }
+})
+
+// Seller connections of all users by seller ID or name (`q`) and `status` (active, error)
+router.get("/connections", async (req, res) => {
+  try {
+    const { offset, limit, error } = parsePaging(req.query)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    const { connections, total } = await searchConnections({ q: req.query.q, status: req.query.status, offset, limit })
+
+    res.json({ connections, total, offset, limit })
+  } catch (error) {
+    if (error.message.startsWith("Invalid")) {
+      return res.status(400).json({ message: error.message })
+    }
+
+    logger.error("Error searching seller connections", { error })
+    res.status(500).json({
+      message: "Failed to search seller connections",
+      error: error.message,
+    })
+  }
+})
+
+// Revoke a seller connection: unsubscribe its notifications and delete it with its data
+router.delete("/connections/:connectionId", async (req, res) => {
+  try {
+    const connection = await findAnyConnection(req.params.connectionId)
+    if (!connection) {
+      return res.status(404).json({ message: "Amazon account not found" })
+    }
+
+    await unsubscribeAll(connection)
+    await removeConnection(connection)
+
+    logger.info(`Admin ${req.user.userId} revoked Amazon seller ${connection.sellerId} (connection ${connection._id})`)
+    res.json({ message: "Amazon account disconnected" })
+  } catch (error) {
+    logger.error("Error revoking Amazon connection", { error })
+    res.status(500).json({
+      message: "Failed to disconnect Amazon account",
+      error: error.message,
+    })
+  }
+})
+
+// Outbox emails by recipient (`to`) and `status` (queued, sending, sent, failed)
+router.get("/emails", async (req, res) => {
+  try {
+    const { offset, limit, error } = parsePaging(req.query)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    const { emails, total } = await listEmails({ to: req.query.to, status: req.query.status, offset, limit })
+
+    res.json({ emails, total, offset, limit })
+  } catch (error) {
+    if (error.message.startsWith("Invalid")) {
+      return res.status(400).json({ message: error.message })
+    }
+
+    logger.error("Error listing emails", { error })
+    res.status(500).json({
+      message: "Failed to list emails",
+      error: error.message,
+    })
+  }
+})
+
+// Queue a failed email again
+router.post("/emails/:emailId/retry", async (req, res) => {
+  try {
+    const email = await retryEmail(req.params.emailId)
+
+    logger.info(`Admin ${req.user.userId} queued email ${email._id} again`)
+    res.json({ message: "Email queued again", email: email.toSummary() })
+  } catch (error) {
+    if (error.message.startsWith("Invalid")) {
+      return res.status(400).json({ message: error.message })
+    } else if (error.message.includes("not found")) {
+      return res.status(404).json({ message: error.message })
+    }
+
+    logger.error("Error retrying email", { error })
+    res.status(500).json({
+      message: "Failed to retry email",
+      error: error.message,
+    })
+  }
+})
+
+module.exports = router
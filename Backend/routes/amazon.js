@@ -1,55 +1,54 @@
 const express = require("express")
 const { authenticateToken } = require("../middleware/auth")
+const { loadSellerConnection } = require("../middleware/sellerConnection")
+const { requireRole } = require("../middleware/workspace")
+const { getDefaultWorkspace, findWorkspace, hasRole } = require("../services/workspaces")
+const { requireTwoFactorCode } = require("../middleware/twoFactor")
+const { rateLimit } = require("../middleware/rateLimit")
 const User = require("../models/User")
 const {
   getAuthUrl,
   exchangeCode,
-  refreshAccessToken,
-  getOrderCount,
-  getRecentOrders,
+  getDefaultRegion,
+  REGIONS,
   getApplicationStatus,
+  generateMockOrderData,
 } = require("../services/amazonSpApi")
+const { createState, consumeState } = require("../services/oauthState")
+const {
+  getUserConnections,
+  findConnection,
+  saveConnection,
+  removeConnection,
+  getSpApiAuth,
+} = require("../services/connections")
+const { countRecentOrders, getMarketplaceBreakdown } = require("../services/orderSync")
+const { parseOrderFilters, parsePageSize, listOrders } = require("../services/orderQuery")
+const { getOrderDetail } = require("../services/orderDetails")
+const { exportOrders, countMissingItems, EXPORT_FORMATS } = require("../services/orderExport")
+const { getSalesAnalytics } = require("../services/analytics")
+const { unsubscribeAll } = require("../services/notifications")
+const { scheduleConnectionJobs, requestOrderSync, requestOrderItems } = require("../services/jobs")
+const {
+  refreshMarketplaces,
+  getTrackedMarketplaceIds,
+  setTrackedMarketplaces,
+} = require("../services/marketplaces")
+const { logger } = require("../utils/logger")
 
 const router = express.Router()
 
-// Helper function to ensure valid access token
-const ensureValidAccessToken = async (user) => {
-  if (!user.amazonAuth || !user.amazonAuth.accessToken) {
-    throw new Error("Amazon account not connected")
-  }
-
-  // Check if the access token is expired (with 5 minute buffer)
-  const now = new Date()
-  const expiryTime = new Date(user.amazonAuth.tokenExpiresAt)
-  const bufferTime = 5 * 60 * 1000 // 5 minutes in milliseconds
-
-  if (now.getTime() > expiryTime.getTime() - bufferTime) {
-    console.log("Access token expired or expiring soon, refreshing...")
-
-    if (!user.amazonAuth.refreshToken) {
-      throw new Error("No refresh token available. Please reconnect your Amazon account.")
-    }
-
-    // Refresh the access token
-    const tokenData = await refreshAccessToken(user.amazonAuth.refreshToken)
-
-    // Update the tokens in the user document
-    user.amazonAuth.accessToken = tokenData.access_token
-    user.amazonAuth.tokenExpiresAt = new Date(Date.now() + tokenData.expires_in * 1000)
-
-    // Update refresh token if provided
-    if (tokenData.refresh_token) {
-      user.amazonAuth.refreshToken = tokenData.refresh_token
-    }
-
-    await user.save()
-    console.log("Access token refreshed successfully")
-  }
-
-  return user.amazonAuth.accessToken
-}
+// Disconnecting asks for a fresh two-factor code; limit the guesses per account
+const limitTwoFactorCode = rateLimit({
+  name: "2fa-step-up",
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  key: (req) => req.user?.userId,
+})
 
-// Get Amazon authorization URL
+// Get Amazon authorization URL. The seller account is connected to the `workspaceId`
+// workspace, or the user's default workspace; it needs the admin role there. `region`
+// (na, eu or fe, default AMAZON_REGION) is the SP API region the account is used in.
 router.get("/auth-url", authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId
@@ -58,20 +57,32 @@ router.get("/auth-url", authenticateToken, async (req, res) => {
       return res.status(400).json({ message: "User ID not found in token" })
     }
 
-    // Generate a state parameter to prevent CSRF attacks
-    const state = Buffer.from(
-      JSON.stringify({
-        userId,
-        timestamp: Date.now(),
-      }),
-    ).toString("base64")
+    const region = req.query.region === undefined ? getDefaultRegion() : req.query.region
+    if (typeof region !== "string" || !REGIONS.includes(region)) {
+      return res.status(400).json({ message: `Invalid region: use ${REGIONS.join(", ")}` })
+    }
+
+    const workspace = req.query.workspaceId
+      ? await findWorkspace(userId, req.query.workspaceId)
+      : await getDefaultWorkspace(userId)
+    if (!workspace) {
+      return res.status(404).json({ message: "Workspace not found" })
+    }
+    if (!hasRole(workspace.getRole(userId), "admin")) {
+      return res.status(403).json({
+        message: "Connecting Amazon accounts needs the admin role or higher in the workspace",
+      })
+    }
+
+    // Generate a signed, single-use state parameter to prevent CSRF attacks
+    const state = await createState(userId, workspace._id, region)
 
     // Get the authorization URL from the Amazon SP API service
     const authUrl = getAuthUrl(state)
 
     res.json({ authUrl })
   } catch (error) {
-    console.error("Error generating Amazon auth URL:", error)
+    logger.error("Error generating Amazon auth URL", { error })
     res.status(500).json({
       message: "Failed to generate Amazon authorization URL",
       error: error.message,
@@ -88,101 +99,200 @@ router.get("/callback", async (req, res) => {
 
     // Handle OAuth errors
     if (error) {
-      console.error("OAuth error:", error, req.query.error_description)
+      logger.error("Amazon OAuth error", { oauthError: error, description: req.query.error_description })
       return res.redirect(`${process.env.FRONTEND_URL}/dashboard?error=oauth_failed`)
     }
 
     if (!code || !state) {
-      console.error("Missing required parameters:", { code: !!code, state: !!state })
-      return res.status(400).json({ message: "Missing required parameters" })
+      logger.error("Amazon callback is missing parameters", { hasCode: !!code, hasState: !!state })
+      return res.redirect(`${process.env.FRONTEND_URL}/dashboard?error=state_invalid`)
     }
 
-    // Decode the state parameter to get the user ID
-    let decodedState
+    // Verify and use up the state to find the user who started the consent flow
+    let consumed
     try {
-      decodedState = JSON.parse(Buffer.from(state, "base64").toString())
+      consumed = await consumeState(state)
     } catch (err) {
-      console.error("Invalid state parameter:", err)
-      return res.status(400).json({ message: "Invalid state parameter" })
-    }
-
-    const userId = decodedState.userId
-
-    if (!userId) {
-      return res.status(400).json({ message: "User ID not found in state" })
+      if (!err.reason) {
+        throw err
+      }
+      logger.error("Rejected OAuth state", { error: err })
+      return res.redirect(`${process.env.FRONTEND_URL}/dashboard?error=state_${err.reason}`)
     }
+    const { userId, workspaceId, region } = consumed
 
     // Find the user
     const user = await User.findById(userId)
     if (!user) {
-      return res.status(404).json({ message: "User not found" })
+      logger.error(`OAuth state refers to missing user ${userId}`)
+      return res.redirect(`${process.env.FRONTEND_URL}/dashboard?error=connection_failed`)
+    }
+
+    // The user may have lost access to the workspace since starting the consent flow
+    const workspace = workspaceId ? await findWorkspace(user._id, workspaceId) : await getDefaultWorkspace(user._id)
+    if (!workspace || !hasRole(workspace.getRole(user._id), "admin")) {
+      logger.error(`User ${userId} can no longer connect accounts to workspace ${workspaceId}`)
+      return res.redirect(`${process.env.FRONTEND_URL}/dashboard?error=connection_failed`)
     }
 
     // Exchange the authorization code for access and refresh tokens
     const tokenData = await exchangeCode(code)
 
-    // Save the tokens to the user document
-    user.amazonAuth = {
-      accessToken: tokenData.access_token,
-      refreshToken: tokenData.refresh_token,
-      tokenExpiresAt: new Date(Date.now() + tokenData.expires_in * 1000),
-      sellerId: tokenData.selling_partner_id || tokenData.seller_id,
-      connectedAt: new Date(),
+    // The seller ID comes from the redirect and can't be checked against the tokens, so it only
+    // names the account: stored orders and reports belong to the connection, not the seller.
+    const sellerId = req.query.selling_partner_id || tokenData.selling_partner_id || tokenData.seller_id
+    if (!sellerId) {
+      logger.error("Amazon callback did not include a selling partner ID")
+      return res.redirect(`${process.env.FRONTEND_URL}/dashboard?error=connection_failed`)
     }
 
-    await user.save()
+    // Create a new connection, or update the tokens when this seller was connected before
+    const connection = await saveConnection(user._id, workspace._id, sellerId, tokenData, region || undefined)
+
+    // Start the initial order backfill in the background and keep the account in sync.
+    // Missing jobs are set up again when the backend starts.
+    try {
+      await scheduleConnectionJobs(connection)
+    } catch (err) {
+      logger.error("Could not schedule background jobs for the connection", { error: err })
+    }
 
-    console.log(`Amazon account connected successfully for user ${userId}`)
-    return res.redirect(`${process.env.FRONTEND_URL}/dashboard?connected=true`)
+    logger.info(`Amazon seller ${sellerId} connected successfully for user ${userId}`)
+    return res.redirect(`${process.env.FRONTEND_URL}/dashboard?connected=true&connectionId=${connection._id}`)
   } catch (error) {
-    console.error("Error handling Amazon callback:", error)
+    logger.error("Error handling Amazon callback", { error })
     res.redirect(`${process.env.FRONTEND_URL}/dashboard?error=connection_failed`)
   }
 })
 
-// Check Amazon connection status
-router.get("/status", authenticateToken, async (req, res) => {
+// List the seller accounts in the user's workspaces, with the workspace and the user's role in it
+router.get("/connections", authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.userId
+    const connections = await getUserConnections(req.user.userId)
 
-    // Find the user
-    const user = await User.findById(userId)
-    if (!user) {
-      return res.status(404).json({ message: "User not found" })
+    res.json({
+      connections: connections.map(({ connection, workspace, role }) => ({
+        ...connection.toSummary(),
+        workspaceName: workspace.name,
+        role,
+      })),
+    })
+  } catch (error) {
+    logger.error("Error listing Amazon connections", { error })
+    res.status(500).json({
+      message: "Failed to list Amazon connections",
+      error: error.message,
+    })
+  }
+})
+
+// Rename a seller connection
+router.patch(
+  "/connections/:connectionId",
+  authenticateToken,
+  loadSellerConnection,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const name = typeof req.body.name === "string" ? req.body.name.trim() : ""
+
+      // Validate input
+      if (!name) {
+        return res.status(400).json({ message: "Name is required" })
+      }
+
+      if (name.length > 100) {
+        return res.status(400).json({ message: "Name must be at most 100 characters long" })
+      }
+
+      req.sellerConnection.name = name
+      await req.sellerConnection.save()
+
+      res.json({
+        message: "Amazon connection renamed",
+        connection: req.sellerConnection.toSummary(),
+      })
+    } catch (error) {
+      logger.error("Error renaming Amazon connection", { error })
+      res.status(500).json({
+        message: "Failed to rename Amazon connection",
+        error: error.message,
+      })
     }
+  },
+)
 
-    // Check if the user has connected their Amazon account
-    const isConnected = !!user.amazonAuth && !!user.amazonAuth.accessToken
+// Disconnect the seller connection loaded by loadSellerConnection. Users with two-factor
+// sign-in confirm with a code first (requireTwoFactorCode).
+const disconnectConnection = async (req, res) => {
+  try {
+    const connection = req.sellerConnection
+    await unsubscribeAll(connection)
+    await removeConnection(connection)
 
-    let orderCount = null
-    let appStatus = null
+    logger.info(`Amazon seller ${connection.sellerId} disconnected for user ${req.user.userId}`)
+    res.json({ message: "Amazon account disconnected successfully" })
+  } catch (error) {
+    logger.error("Error disconnecting Amazon account", { error })
+    res.status(500).json({
+      message: "Failed to disconnect Amazon account",
+      error: error.message,
+    })
+  }
+}
 
-    if (isConnected) {
-      try {
-        // Ensure we have a valid access token
-        const accessToken = await ensureValidAccessToken(user)
+router.delete(
+  "/connections/:connectionId",
+  authenticateToken,
+  loadSellerConnection,
+  requireRole("admin"),
+  limitTwoFactorCode,
+  requireTwoFactorCode,
+  disconnectConnection,
+)
 
-        // Get application status and permissions
-        appStatus = await getApplicationStatus(accessToken)
+// Check Amazon connection status
+router.get("/status", authenticateToken, async (req, res) => {
+  try {
+    const connectionId = req.query.connectionId || req.headers["x-connection-id"]
+    const found = await findConnection(req.user.userId, connectionId)
 
-        // Try to get the order count
-        orderCount = await getOrderCount(accessToken, user.amazonAuth.sellerId)
-      } catch (error) {
-        console.error("Error getting order count for status:", error)
-        // Don't fail the request if we can't get the order count
-        // This allows the UI to still show connection status
+    if (!found) {
+      if (connectionId) {
+        return res.status(404).json({ message: "Amazon connection not found" })
       }
+      return res.json({ connected: false, orderCount: null })
+    }
+
+    const { connection, role } = found
+    let orderCount = null
+
+    try {
+      // Count from the local order store so the status check never waits on Amazon
+      orderCount = await countRecentOrders(connection, {
+        marketplaceIds: getTrackedMarketplaceIds(connection),
+      })
+    } catch (error) {
+      logger.error("Error getting order count for status", { error })
+      // Don't fail the request if we can't get the order count
+      // This allows the UI to still show connection status
     }
 
     res.json({
-      connected: isConnected,
+      connected: true,
+      connectionId: connection._id,
       orderCount,
-      sellerId: user.amazonAuth?.sellerId,
-      connectedAt: user.amazonAuth?.connectedAt,
-      applicationStatus: appStatus,
+      sellerId: connection.sellerId,
+      name: connection.name || connection.sellerId,
+      status: connection.status,
+      connectedAt: connection.connectedAt,
+      lastSyncedAt: connection.orderSync?.lastSyncedAt,
+      syncStatus: connection.orderSync?.status,
+      workspaceId: connection.workspace,
+      role,
     })
   } catch (error) {
-    console.error("Error checking Amazon connection status:", error)
+    logger.error("Error checking Amazon connection status", { error })
     res.status(500).json({
       message: "Failed to check Amazon connection status",
       error: error.message,
@@ -190,42 +300,78 @@ router.get("/status", authenticateToken, async (req, res) => {
   }
 })
 
-// Get order count and recent orders
-router.get("/orders", authenticateToken, async (req, res) => {
+// List stored orders with filters and cursor pagination. The first page asks the orders.sync
+// job to run soon when the last sync is stale; the new orders arrive as live events.
+// Query: createdAfter, createdBefore, updatedAfter, updatedBefore, status, fulfillmentChannel,
+// marketplaceId (comma-separated lists allowed), limit and cursor.
+router.get("/orders", authenticateToken, loadSellerConnection, async (req, res) => {
   try {
-    const userId = req.user.userId
+    const connection = req.sellerConnection
+    const { cursor } = req.query
 
-    // Find the user
-    const user = await User.findById(userId)
-    if (!user) {
-      return res.status(404).json({ message: "User not found" })
+    let filters
+    let limit
+    try {
+      filters = parseOrderFilters(req.query)
+      limit = parsePageSize(req.query.limit)
+    } catch (error) {
+      return res.status(400).json({ message: error.message })
     }
 
-    // Ensure we have a valid access token
-    const accessToken = await ensureValidAccessToken(user)
+    // Marketplace filters must be tracked ones; without one, all tracked marketplaces are listed
+    const trackedIds = getTrackedMarketplaceIds(connection)
+    if (filters.marketplaceIds.some((id) => !trackedIds.includes(id))) {
+      return res.status(400).json({ message: "Marketplace is not tracked for this account" })
+    }
+    if (filters.marketplaceIds.length === 0) {
+      filters.marketplaceIds = trackedIds
+    }
+
+    if (!cursor) {
+      try {
+        await requestOrderSync(connection)
+      } catch (error) {
+        logger.error("Could not schedule an order sync", { error })
+      }
+    }
+
+    // The outcome of the last sync; stored orders are served either way
+    const syncError = connection.orderSync?.status === "failed" ? connection.orderSync.error || null : null
+    const hasOrdersAccess = !syncError?.includes("permission")
 
-    // Get application status first
-    const appStatus = await getApplicationStatus(accessToken)
+    const sellerId = connection.sellerId
 
-    // Get both order count and recent orders
-    const [orderCount, orders] = await Promise.all([
-      getOrderCount(accessToken, user.amazonAuth.sellerId),
-      getRecentOrders(accessToken, user.amazonAuth.sellerId),
+    let [{ orders, totalCount, nextCursor }, marketplaceBreakdown] = await Promise.all([
+      listOrders(connection, filters, { cursor, limit }),
+      getMarketplaceBreakdown(connection, { marketplaceIds: trackedIds }),
     ])
 
+    // Fall back to demo data until the application is approved for the Orders API
+    const isMockData = !cursor && !hasOrdersAccess && orders.length === 0
+    if (isMockData) {
+      orders = generateMockOrderData()
+      totalCount = orders.length
+    }
+
     res.json({
-      orderCount,
+      orderCount: totalCount,
       orders,
-      sellerId: user.amazonAuth.sellerId,
-      lastUpdated: new Date().toISOString(),
-      applicationStatus: appStatus,
-      isMockData: !appStatus.hasOrdersAccess, // Indicate if using mock data
+      nextCursor,
+      limit,
+      marketplaceBreakdown,
+      connectionId: connection._id,
+      sellerId,
+      lastUpdated: connection.orderSync?.lastSyncedAt || null,
+      syncError,
+      isMockData,
     })
   } catch (error) {
-    console.error("Error getting orders:", error)
+    logger.error("Error getting orders", { error })
 
     // Provide specific error responses
-    if (error.message.includes("not connected")) {
+    if (error.message === "Invalid cursor") {
+      return res.status(400).json({ message: "Invalid cursor" })
+    } else if (error.message.includes("not connected")) {
       return res.status(400).json({ message: "Amazon account not connected" })
     } else if (error.message.includes("Authentication failed")) {
       return res.status(401).json({ message: "Authentication failed. Please reconnect your Amazon account." })
@@ -245,65 +391,222 @@ router.get("/orders", authenticateToken, async (req, res) => {
   }
 })
 
-// Get application status and permissions
-router.get("/app-status", authenticateToken, async (req, res) => {
+// Download the filtered orders as CSV or XLSX, one row per line item.
+// Takes the same filters as GET /orders plus format=csv|xlsx. Registered before /orders/:orderId.
+router.get("/orders/export", authenticateToken, loadSellerConnection, requireRole("analyst"), async (req, res) => {
   try {
-    const userId = req.user.userId
+    // A repeated parameter arrives as an array
+    const format = typeof req.query.format === "string" ? req.query.format.toLowerCase() : (req.query.format ?? "csv")
+    if (typeof format !== "string" || !Object.keys(EXPORT_FORMATS).includes(format)) {
+      return res.status(400).json({ message: "Invalid format: use csv or xlsx" })
+    }
 
-    // Find the user
-    const user = await User.findById(userId)
-    if (!user) {
-      return res.status(404).json({ message: "User not found" })
+    let filters
+    try {
+      filters = parseOrderFilters(req.query)
+    } catch (error) {
+      return res.status(400).json({ message: error.message })
     }
 
-    if (!user.amazonAuth || !user.amazonAuth.accessToken) {
-      return res.status(400).json({ message: "Amazon account not connected" })
+    const connection = req.sellerConnection
+    const trackedIds = getTrackedMarketplaceIds(connection)
+    if (filters.marketplaceIds.some((id) => !trackedIds.includes(id))) {
+      return res.status(400).json({ message: "Marketplace is not tracked for this account" })
+    }
+    if (filters.marketplaceIds.length === 0) {
+      filters.marketplaceIds = trackedIds
     }
 
-    // Ensure we have a valid access token
-    const accessToken = await ensureValidAccessToken(user)
+    // Only stored line items are exported. Orders still lacking them are counted in
+    // X-Missing-Items and fetched in the background, for the next export.
+    const missingItems = await countMissingItems(connection, filters)
+    if (missingItems > 0) {
+      try {
+        await requestOrderItems(connection)
+      } catch (error) {
+        logger.error("Could not schedule fetching line items", { error })
+      }
+    }
 
-    // Get application status
-    const appStatus = await getApplicationStatus(accessToken)
+    const filename = `orders-${connection.sellerId}-${new Date().toISOString().split("T")[0]}.${EXPORT_FORMATS[format].extension}`
+    res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType)
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`)
+    res.setHeader("X-Missing-Items", String(missingItems))
+    // Let the dashboard (served from another origin) read the filename and missing item count
+    res.setHeader("Access-Control-Expose-Headers", "Content-Disposition, X-Missing-Items")
 
-    res.json({
-      ...appStatus,
-      sellerId: user.amazonAuth.sellerId,
-      connectedAt: user.amazonAuth.connectedAt,
+    let aborted = false
+    req.on("close", () => {
+      aborted = !res.writableEnded
     })
+
+    await exportOrders(res, connection, filters, { format, isAborted: () => aborted })
+    if (!res.writableEnded) {
+      res.end()
+    }
   } catch (error) {
-    console.error("Error getting application status:", error)
+    logger.error("Error exporting orders", { error })
+
+    // Once rows have been sent the status can't change, so cut the download short instead
+    if (res.headersSent) {
+      return res.destroy(error)
+    }
     res.status(500).json({
-      message: "Failed to get application status",
+      message: "Failed to export orders",
       error: error.message,
     })
   }
 })
 
-// Disconnect Amazon account
-router.delete("/disconnect", authenticateToken, async (req, res) => {
+// Get one order with its line items, shipping details and fee breakdown
+router.get("/orders/:orderId", authenticateToken, loadSellerConnection, async (req, res) => {
   try {
-    const userId = req.user.userId
+    const connection = req.sellerConnection
+    const auth = await getSpApiAuth(connection)
+    const order = await getOrderDetail(connection, req.params.orderId, auth)
 
-    // Find the user
-    const user = await User.findById(userId)
-    if (!user) {
-      return res.status(404).json({ message: "User not found" })
+    res.json({ order })
+  } catch (error) {
+    logger.error("Error getting order detail", { error })
+
+    if (error.message.includes("Order not found")) {
+      return res.status(404).json({ message: "Order not found" })
+    } else if (error.message.includes("Authentication failed")) {
+      return res.status(401).json({ message: "Authentication failed. Please reconnect your Amazon account." })
+    } else if (error.message.includes("permission")) {
+      return res.status(403).json({ message: "Your Amazon SP API application needs approval for Orders access." })
+    } else if (error.message.includes("Rate limit")) {
+      return res.status(429).json({ message: "Rate limit exceeded. Please try again later." })
+    }
+
+    res.status(500).json({
+      message: "Failed to get order",
+      error: error.message,
+    })
+  }
+})
+
+// Sales time series, period comparison, status breakdown and fulfillment split from stored orders
+router.get("/analytics", authenticateToken, loadSellerConnection, async (req, res) => {
+  try {
+    const connection = req.sellerConnection
+    const { marketplaceId, days, from, to, interval, timezone } = req.query
+
+    const trackedIds = getTrackedMarketplaceIds(connection)
+    if (marketplaceId && !trackedIds.includes(marketplaceId)) {
+      return res.status(400).json({ message: "Marketplace is not tracked for this account" })
     }
 
-    // Remove Amazon auth data
-    user.amazonAuth = undefined
-    await user.save()
+    const analytics = await getSalesAnalytics(connection, {
+      marketplaceIds: marketplaceId ? [marketplaceId] : trackedIds,
+      days,
+      from,
+      to,
+      interval,
+      timezone,
+    })
 
-    console.log(`Amazon account disconnected for user ${userId}`)
-    res.json({ message: "Amazon account disconnected successfully" })
+    res.json({ ...analytics, connectionId: connection._id, lastUpdated: connection.orderSync?.lastSyncedAt || null })
   } catch (error) {
-    console.error("Error disconnecting Amazon account:", error)
+    logger.error("Error getting sales analytics", { error })
+
+    if (error.message.startsWith("Invalid")) {
+      return res.status(400).json({ message: error.message })
+    }
+
     res.status(500).json({
-      message: "Failed to disconnect Amazon account",
+      message: "Failed to get sales analytics",
       error: error.message,
     })
   }
 })
 
+// List the seller's marketplace participations and which ones are tracked
+router.get("/marketplaces", authenticateToken, loadSellerConnection, async (req, res) => {
+  try {
+    const connection = req.sellerConnection
+
+    // Load participations from Amazon on first use or when asked to
+    if (req.query.refresh === "true" || !connection.marketplaces?.length) {
+      const auth = await getSpApiAuth(connection)
+      await refreshMarketplaces(connection, auth)
+    }
+
+    res.json({ marketplaces: connection.marketplaces })
+  } catch (error) {
+    logger.error("Error getting marketplaces", { error })
+    res.status(500).json({
+      message: "Failed to get marketplaces",
+      error: error.message,
+    })
+  }
+})
+
+// Choose which marketplaces are synced and shown
+router.put("/marketplaces", authenticateToken, loadSellerConnection, requireRole("admin"), async (req, res) => {
+  try {
+    const { marketplaceIds } = req.body
+
+    // Validate input
+    if (!Array.isArray(marketplaceIds) || marketplaceIds.length === 0) {
+      return res.status(400).json({ message: "At least one marketplace must be selected" })
+    }
+
+    const marketplaces = await setTrackedMarketplaces(req.sellerConnection, marketplaceIds)
+
+    res.json({
+      message: "Tracked marketplaces updated",
+      marketplaces,
+    })
+  } catch (error) {
+    logger.error("Error updating marketplaces", { error })
+
+    if (error.message.includes("Unknown marketplace")) {
+      return res.status(400).json({ message: error.message })
+    }
+
+    res.status(500).json({
+      message: "Failed to update marketplaces",
+      error: error.message,
+    })
+  }
+})
+
+// Get application status and permissions
+router.get("/app-status", authenticateToken, loadSellerConnection, async (req, res) => {
+  try {
+    const connection = req.sellerConnection
+
+    // Ensure we have a valid access token
+    const auth = await getSpApiAuth(connection)
+
+    // Get application status
+    const appStatus = await getApplicationStatus(auth)
+
+    res.json({
+      ...appStatus,
+      connectionId: connection._id,
+      sellerId: connection.sellerId,
+      connectedAt: connection.connectedAt,
+    })
+  } catch (error) {
+    logger.error("Error getting application status", { error })
+    res.status(500).json({
+      message: "Failed to get application status",
+      error: error.message,
+    })
+  }
+})
+
+// Disconnect Amazon account
+router.delete(
+  "/disconnect",
+  authenticateToken,
+  loadSellerConnection,
+  requireRole("admin"),
+  limitTwoFactorCode,
+  requireTwoFactorCode,
+  disconnectConnection,
+)
+
 module.exports = router
@@ -1,52 +1,36 @@
 const express = require("express")
 const { authenticateToken } = require("../middleware/auth")
-const User = require("../models/User")
+const { loadSellerConnection } = require("../middleware/sellerConnection")
+const { requireRole } = require("../middleware/workspace")
 const { generateTroubleshootingReport, testApiConnectivity } = require("../services/amazonSpApiDebug")
-const { refreshAccessToken } = require("../services/amazonSpApi")
+const { getSpApiAuth } = require("../services/connections")
+const { logger } = require("../utils/logger")
 
 const router = express.Router()
 
 // Debug endpoint to run comprehensive troubleshooting
-router.get("/debug", authenticateToken, async (req, res) => {
+router.get("/debug", authenticateToken, loadSellerConnection, requireRole("admin"), async (req, res) => {
   try {
     const userId = req.user.userId
-    const user = await User.findById(userId)
-
-    if (!user || !user.amazonAuth || !user.amazonAuth.accessToken) {
-      return res.status(400).json({
-        message: "Amazon account not connected",
-        recommendation: "Please connect your Amazon account first",
-      })
-    }
+    const connection = req.sellerConnection
 
     // Ensure token is fresh
-    let accessToken = user.amazonAuth.accessToken
-    const now = new Date()
-    const expiryTime = new Date(user.amazonAuth.tokenExpiresAt)
-
-    if (now.getTime() > expiryTime.getTime() - 5 * 60 * 1000) {
-      console.log("Refreshing token for debug...")
-      const tokenData = await refreshAccessToken(user.amazonAuth.refreshToken)
-      accessToken = tokenData.access_token
-
-      user.amazonAuth.accessToken = accessToken
-      user.amazonAuth.tokenExpiresAt = new Date(Date.now() + tokenData.expires_in * 1000)
-      await user.save()
-    }
+    const auth = await getSpApiAuth(connection)
 
     // Run comprehensive troubleshooting
-    console.log(`Running debug for user ${userId}...`)
-    await generateTroubleshootingReport(accessToken)
+    logger.info(`Running debug for user ${userId}, seller ${connection.sellerId}...`)
+    await generateTroubleshootingReport(auth)
 
     res.json({
       message: "Debug report generated. Check server logs for detailed information.",
       userId,
-      sellerId: user.amazonAuth.sellerId,
-      tokenExpiry: user.amazonAuth.tokenExpiresAt,
-      recommendation: "Check server console for detailed troubleshooting report",
+      connectionId: connection._id,
+      sellerId: connection.sellerId,
+      tokenExpiry: connection.tokenExpiresAt,
+      recommendation: `Search the server logs for requestId ${req.id} to see the detailed report`,
     })
   } catch (error) {
-    console.error("Debug endpoint error:", error)
+    logger.error("Debug endpoint error", { error })
     res.status(500).json({
       message: "Debug failed",
       error: error.message,
@@ -55,24 +39,16 @@ router.get("/debug", authenticateToken, async (req, res) => {
 })
 
 // Quick connectivity test
-router.get("/test-connection", authenticateToken, async (req, res) => {
+router.get("/test-connection", authenticateToken, loadSellerConnection, requireRole("admin"), async (req, res) => {
   try {
-    const userId = req.user.userId
-    const user = await User.findById(userId)
-
-    if (!user || !user.amazonAuth || !user.amazonAuth.accessToken) {
-      return res.status(400).json({
-        message: "Amazon account not connected",
-      })
-    }
-
-    await testApiConnectivity(user.amazonAuth.accessToken)
+    const auth = await getSpApiAuth(req.sellerConnection)
+    await testApiConnectivity(auth)
 
     res.json({
       message: "Connection test completed. Check server logs for results.",
     })
   } catch (error) {
-    console.error("Connection test error:", error)
+    logger.error("Connection test error", { error })
     res.status(500).json({
       message: "Connection test failed",
       error: error.message,
@@ -1,13 +1,85 @@
 const express = require("express")
 const jwt = require("jsonwebtoken")
 const User = require("../models/User")
-const { sendOTPEmail } = require("../utils/email")
+const { sendOTPEmail, sendPasswordResetEmail } = require("../utils/email")
 const { authenticateToken } = require("../middleware/auth")
+const { rateLimit, sendRetryLater } = require("../middleware/rateLimit")
+const { createSession, rotateSession, endSession, revokeUserSessions } = require("../services/sessions")
+const { getLoginLockout, recordLoginFailure, clearLoginFailures } = require("../services/loginThrottle")
+const { logger } = require("../utils/logger")
 
 const router = express.Router()
 
+// Request limits per client IP, plus per account where an account is known
+const MINUTE = 60 * 1000
+const limitSignup = rateLimit({ name: "signup", windowMs: 60 * MINUTE, max: 5 })
+const limitLogin = rateLimit({ name: "login", windowMs: 15 * MINUTE, max: 20 })
+const limitVerifyOtp = rateLimit({ name: "verify-otp", windowMs: 15 * MINUTE, max: 20 })
+const limitVerifyOtpAccount = rateLimit({
+  name: "verify-otp-account",
+  windowMs: 15 * MINUTE,
+  max: 10,
+  key: (req) => req.user?.userId,
+})
+const limitResendOtp = rateLimit({ name: "resend-otp", windowMs: 60 * MINUTE, max: 10 })
+const limitForgotPassword = rateLimit({ name: "forgot-password", windowMs: 15 * MINUTE, max: 5 })
+const limitResetPassword = rateLimit({ name: "reset-password", windowMs: 15 * MINUTE, max: 10 })
+const limitLoginTwoFactor = rateLimit({ name: "login-2fa", windowMs: 15 * MINUTE, max: 20 })
+const limitTwoFactorSettings = rateLimit({
+  name: "2fa-settings",
+  windowMs: 15 * MINUTE,
+  max: 10,
+  key: (req) => req.user?.userId,
+})
+
+// A new reset email is sent at most this often per account
+const PASSWORD_RESET_COOLDOWN_MS = 60 * 1000
+
+// With two-factor sign-in, a correct password only earns a short-lived challenge that is
+// exchanged for a session together with a code. It has its own key so it can't be used
+// as an access token.
+const TWO_FACTOR_CHALLENGE_TTL = "5m"
+const getChallengeSecret = () => `${process.env.JWT_SECRET}:2fa`
+
+// Response for accounts disabled by an admin. Only sent once the password was correct.
+const sendAccountDisabled = (res) => {
+  return res.status(403).json({
+    message: "This account has been disabled. Please contact support.",
+    accountDisabled: true,
+  })
+}
+
+// The refresh token lives in an HTTP-only cookie scoped to the auth routes.
+// Set REFRESH_COOKIE_SAMESITE=none (with HTTPS) when the frontend is on another site.
+const REFRESH_COOKIE = "refresh_token"
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production" || process.env.REFRESH_COOKIE_SAMESITE === "none",
+  sameSite: process.env.REFRESH_COOKIE_SAMESITE || "lax",
+  path: "/api/auth",
+})
+
+const readRefreshCookie = (req) => {
+  const cookie = (req.headers.cookie || "")
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${REFRESH_COOKIE}=`))
+  return cookie ? decodeURIComponent(cookie.slice(REFRESH_COOKIE.length + 1)) : null
+}
+
+const setRefreshCookie = (res, { refreshToken, expiresAt }) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...refreshCookieOptions(), expires: expiresAt })
+}
+
+// Start a session for the user: sets the refresh cookie and returns the access token
+const startSession = async (req, res, user) => {
+  const session = await createSession(user._id, { userAgent: req.get("user-agent"), ip: req.ip })
+  setRefreshCookie(res, session)
+  return session.accessToken
+}
+
 // Register a new user
-router.post("/signup", async (req, res) => {
+router.post("/signup", limitSignup, async (req, res) => {
   try {
     const { name, email, password } = req.body
 
@@ -39,11 +111,11 @@ router.post("/signup", async (req, res) => {
     // Save user to database
     await user.save()
 
-    // Send OTP email
+    // Queue the OTP email
     await sendOTPEmail(email, name, otp)
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: "1d" })
+    // Start a session and get its access token
+    const token = await startSession(req, res, user)
 
     // Return user data and token
     res.status(201).json({
@@ -53,17 +125,18 @@ router.post("/signup", async (req, res) => {
         name: user.name,
         email: user.email,
         isVerified: user.isVerified,
+        role: user.role,
       },
       token,
     })
   } catch (error) {
-    console.error("Signup error:", error)
+    logger.error("Signup error", { error })
     res.status(500).json({ message: "Server error during registration" })
   }
 })
 
 // Login user
-router.post("/login", async (req, res) => {
+router.post("/login", limitLogin, async (req, res) => {
   try {
     const { email, password } = req.body
 
@@ -72,20 +145,41 @@ router.post("/login", async (req, res) => {
       return res.status(400).json({ message: "Email and password are required" })
     }
 
-    // Find user by email
-    const user = await User.findOne({ email })
-    if (!user) {
-      return res.status(401).json({ message: "Invalid email or password" })
+    const lockedFor = await getLoginLockout(email)
+    if (lockedFor > 0) {
+      return sendRetryLater(res, lockedFor, "Too many failed sign-in attempts. Please try again later.")
     }
 
-    // Verify password
-    const isPasswordValid = await user.comparePassword(password)
+    // Find user by email and verify password
+    const user = await User.findOne({ email: String(email) })
+    const isPasswordValid = user ? await user.comparePassword(password) : false
     if (!isPasswordValid) {
+      const lockout = await recordLoginFailure(email)
+      if (lockout > 0) {
+        return sendRetryLater(res, lockout, "Too many failed sign-in attempts. Please try again later.")
+      }
       return res.status(401).json({ message: "Invalid email or password" })
     }
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: "1d" })
+    if (user.isDisabled()) {
+      return sendAccountDisabled(res)
+    }
+
+    // Failures are only cleared once the second step succeeds too, so the code can't be
+    // guessed by signing in again between tries
+    if (user.twoFactor?.enabled) {
+      const challenge = jwt.sign({ userId: user._id }, getChallengeSecret(), { expiresIn: TWO_FACTOR_CHALLENGE_TTL })
+      return res.status(200).json({
+        message: "Enter the code from your authenticator app",
+        twoFactorRequired: true,
+        challenge,
+      })
+    }
+
+    await clearLoginFailures(email)
+
+    // Start a session and get its access token
+    const token = await startSession(req, res, user)
 
     // Return user data and token
     res.status(200).json({
@@ -95,34 +189,107 @@ router.post("/login", async (req, res) => {
         name: user.name,
         email: user.email,
         isVerified: user.isVerified,
+        role: user.role,
       },
       token,
     })
   } catch (error) {
-    console.error("Login error:", error)
+    logger.error("Login error", { error })
     res.status(500).json({ message: "Server error during login" })
   }
 })
 
-// Verify OTP
-router.post("/verify-otp", authenticateToken, async (req, res) => {
+// Second sign-in step for accounts with two-factor sign-in: the challenge from /login
+// plus a code from the authenticator app or a recovery code
+router.post("/login/2fa", limitLoginTwoFactor, async (req, res) => {
   try {
-    const { email, otp } = req.body
+    const { challenge, code } = req.body
 
     // Validate input
-    if (!email || !otp) {
-      return res.status(400).json({ message: "Email and OTP are required" })
+    if (!challenge || !code) {
+      return res.status(400).json({ message: "Sign-in challenge and code are required" })
     }
 
-    // Find user by email
-    const user = await User.findOne({ email })
+    let userId
+    try {
+      userId = jwt.verify(String(challenge), getChallengeSecret()).userId
+    } catch (error) {
+      return res.status(401).json({ message: "Invalid or expired sign-in. Please sign in again." })
+    }
+
+    const user = await User.findById(userId)
+    if (!user) {
+      return res.status(401).json({ message: "Invalid or expired sign-in. Please sign in again." })
+    }
+    if (user.isDisabled()) {
+      return sendAccountDisabled(res)
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const lockedFor = await getLoginLockout(user.email)
+    if (lockedFor > 0) {
+      return sendRetryLater(res, lockedFor, "Too many failed sign-in attempts. Please try again later.")
+    }
+
+    const method = await user.verifyTwoFactorCode(String(code))
+    if (!method) {
+      const lockout = await recordLoginFailure(user.email)
+      if (lockout > 0) {
+        return sendRetryLater(res, lockout, "Too many failed sign-in attempts. Please try again later.")
+      }
+      return res.status(401).json({ message: "Invalid authentication code" })
+    }
+
+    await clearLoginFailures(user.email)
+
+    // Start a session and get its access token
+    const token = await startSession(req, res, user)
+
+    res.status(200).json({
+      message: "Login successful",
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        isVerified: user.isVerified,
+        role: user.role,
+      },
+      token,
+      // Let the user know how many recovery codes are left after using one
+      ...(method === "recovery" && { recoveryCodesLeft: user.twoFactor.recoveryCodeHashes.length }),
+    })
+  } catch (error) {
+    logger.error("Two-factor login error", { error })
+    res.status(500).json({ message: "Server error during login" })
+  }
+})
+
+// Verify OTP of the signed-in user
+router.post("/verify-otp", limitVerifyOtp, authenticateToken, limitVerifyOtpAccount, async (req, res) => {
+  try {
+    const { otp } = req.body
+
+    // Validate input
+    if (!otp) {
+      return res.status(400).json({ message: "OTP is required" })
+    }
+
+    // The code is checked for the account the token belongs to, not an email from the body
+    const user = await User.findById(req.user.userId)
     if (!user) {
       return res.status(404).json({ message: "User not found" })
     }
 
     // Verify OTP
-    if (!user.verifyOTP(otp)) {
-      return res.status(400).json({ message: "Invalid or expired OTP" })
+    const result = await user.verifyOTP(otp)
+    if (!result.valid) {
+      if (result.reason === "locked") {
+        return res.status(429).json({ message: "Too many incorrect attempts. Please request a new OTP." })
+      } else if (result.reason === "invalid") {
+        const attempts = result.attemptsLeft === 1 ? "1 attempt" : `${result.attemptsLeft} attempts`
+        return res.status(400).json({ message: `Invalid OTP. ${attempts} left.`, attemptsLeft: result.attemptsLeft })
+      }
+      return res.status(400).json({ message: "Invalid or expired OTP. Please request a new one." })
     }
 
     // Mark user as verified
@@ -137,16 +304,50 @@ router.post("/verify-otp", authenticateToken, async (req, res) => {
         name: user.name,
         email: user.email,
         isVerified: user.isVerified,
+        role: user.role,
       },
     })
   } catch (error) {
-    console.error("OTP verification error:", error)
+    logger.error("OTP verification error", { error })
     res.status(500).json({ message: "Server error during OTP verification" })
   }
 })
 
-// Resend OTP
-router.post("/resend-otp", authenticateToken, async (req, res) => {
+// Resend OTP to the signed-in user, at most once a minute and a few times an hour
+router.post("/resend-otp", limitResendOtp, authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    // Check if user is already verified
+    if (user.isVerified) {
+      return res.status(400).json({ message: "User is already verified" })
+    }
+
+    const cooldown = user.getOTPCooldown()
+    if (cooldown > 0) {
+      return sendRetryLater(res, cooldown, "Please wait before requesting another OTP")
+    }
+
+    // Generate new OTP
+    const otp = user.generateOTP()
+    await user.save()
+
+    // Queue the OTP email
+    await sendOTPEmail(user.email, user.name, otp)
+
+    res.status(200).json({ message: "OTP sent successfully", retryAfter: Math.ceil(user.getOTPCooldown() / 1000) })
+  } catch (error) {
+    logger.error("Resend OTP error", { error })
+    res.status(500).json({ message: "Server error while resending OTP" })
+  }
+})
+
+// Request a password reset link. The response is the same whether or not the email is
+// registered so the endpoint can't be used to find accounts.
+router.post("/forgot-password", limitForgotPassword, async (req, res) => {
   try {
     const { email } = req.body
 
@@ -155,28 +356,292 @@ router.post("/resend-otp", authenticateToken, async (req, res) => {
       return res.status(400).json({ message: "Email is required" })
     }
 
-    // Find user by email
-    const user = await User.findOne({ email })
+    const response = {
+      message: "If an account exists for this email, we've sent a link to reset the password.",
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() })
+    const requestedAt = user?.passwordReset?.requestedAt
+    if (
+      !user ||
+      user.isDisabled() ||
+      (requestedAt && Date.now() - requestedAt.getTime() < PASSWORD_RESET_COOLDOWN_MS)
+    ) {
+      return res.status(200).json(response)
+    }
+
+    const token = user.createPasswordResetToken()
+    await user.save()
+
+    const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${token}`
+    try {
+      await sendPasswordResetEmail(user.email, user.name, resetUrl)
+    } catch (error) {
+      // Still answer as usual; the user can ask again after the cooldown
+      logger.error("Forgot password email error", { error })
+    }
+
+    res.status(200).json(response)
+  } catch (error) {
+    logger.error("Forgot password error", { error })
+    res.status(500).json({ message: "Server error while requesting a password reset" })
+  }
+})
+
+// Set a new password with the token from the reset email
+router.post("/reset-password", limitResetPassword, async (req, res) => {
+  try {
+    const { token, password } = req.body
+
+    // Validate input
+    if (!token || !password) {
+      return res.status(400).json({ message: "Reset token and new password are required" })
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ message: "Password must be at least 6 characters long" })
+    }
+
+    // Clear the reset in the same step it is found, so a token can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        "passwordReset.tokenHash": User.hashResetToken(token),
+        "passwordReset.expiresAt": { $gt: new Date() },
+      },
+      { $unset: { passwordReset: 1 } },
+    )
+    if (!user) {
+      return res.status(400).json({ message: "Invalid or expired reset link. Please request a new one." })
+    }
+
+    // Changing the password signs out every existing session
+    user.password = password
+    user.passwordReset = undefined
+    user.passwordChangedAt = new Date()
+    await user.save()
+    await revokeUserSessions(user._id, "password_reset")
+
+    logger.info(`Password reset for user ${user._id}`)
+    res.status(200).json({ message: "Password reset successfully. Please sign in with your new password." })
+  } catch (error) {
+    logger.error("Reset password error", { error })
+    res.status(500).json({ message: "Server error while resetting the password" })
+  }
+})
+
+// Two-factor sign-in status of the signed-in user
+router.get("/2fa", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId)
     if (!user) {
       return res.status(404).json({ message: "User not found" })
     }
 
-    // Check if user is already verified
-    if (user.isVerified) {
-      return res.status(400).json({ message: "User is already verified" })
+    res.status(200).json({
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt,
+      recoveryCodesLeft: user.twoFactor?.enabled ? user.twoFactor.recoveryCodeHashes.length : 0,
+    })
+  } catch (error) {
+    logger.error("Two-factor status error", { error })
+    res.status(500).json({ message: "Server error while loading two-factor settings" })
+  }
+})
+
+// Start setting up an authenticator app. Needs the password; returns the secret and the
+// otpauth:// URI to add to the app.
+router.post("/2fa/setup", authenticateToken, limitTwoFactorSettings, async (req, res) => {
+  try {
+    const { password } = req.body
+
+    // Validate input
+    if (!password) {
+      return res.status(400).json({ message: "Password is required" })
     }
 
-    // Generate new OTP
-    const otp = user.generateOTP()
+    const user = await User.findById(req.user.userId)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (!(await user.comparePassword(String(password)))) {
+      return res.status(401).json({ message: "Invalid password" })
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor sign-in is already enabled" })
+    }
+
+    const { secret, otpauthUri } = user.startTwoFactorSetup()
     await user.save()
 
-    // Send OTP email
-    await sendOTPEmail(email, user.name, otp)
+    res.status(200).json({ secret, otpauthUri })
+  } catch (error) {
+    logger.error("Two-factor setup error", { error })
+    res.status(500).json({ message: "Server error while setting up two-factor sign-in" })
+  }
+})
+
+// Confirm the app with its first code. Turns two-factor sign-in on and returns the
+// recovery codes, which are only shown this once.
+router.post("/2fa/enable", authenticateToken, limitTwoFactorSettings, async (req, res) => {
+  try {
+    const { code } = req.body
 
-    res.status(200).json({ message: "OTP sent successfully" })
+    // Validate input
+    if (!code) {
+      return res.status(400).json({ message: "Code is required" })
+    }
+
+    const user = await User.findById(req.user.userId)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor sign-in is already enabled" })
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: "Start the two-factor setup first" })
+    }
+
+    const recoveryCodes = user.confirmTwoFactorSetup(String(code))
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: "Invalid authentication code" })
+    }
+    await user.save()
+
+    logger.info(`Two-factor sign-in enabled for user ${user._id}`)
+    res.status(200).json({ message: "Two-factor sign-in enabled", recoveryCodes })
   } catch (error) {
-    console.error("Resend OTP error:", error)
-    res.status(500).json({ message: "Server error while resending OTP" })
+    logger.error("Two-factor enable error", { error })
+    res.status(500).json({ message: "Server error while enabling two-factor sign-in" })
+  }
+})
+
+// Replace the recovery codes. Needs a current code.
+router.post("/2fa/recovery-codes", authenticateToken, limitTwoFactorSettings, async (req, res) => {
+  try {
+    const { code } = req.body
+
+    // Validate input
+    if (!code) {
+      return res.status(400).json({ message: "Code is required" })
+    }
+
+    const user = await User.findById(req.user.userId)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor sign-in is not enabled" })
+    }
+
+    if (!(await user.verifyTwoFactorCode(String(code)))) {
+      return res.status(400).json({ message: "Invalid authentication code" })
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes()
+    await user.save()
+
+    res.status(200).json({ message: "New recovery codes created", recoveryCodes })
+  } catch (error) {
+    logger.error("Recovery codes error", { error })
+    res.status(500).json({ message: "Server error while creating recovery codes" })
+  }
+})
+
+// Turn two-factor sign-in off. Needs the password and a current code.
+router.post("/2fa/disable", authenticateToken, limitTwoFactorSettings, async (req, res) => {
+  try {
+    const { password, code } = req.body
+
+    // Validate input
+    if (!password || !code) {
+      return res.status(400).json({ message: "Password and code are required" })
+    }
+
+    const user = await User.findById(req.user.userId)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor sign-in is not enabled" })
+    }
+
+    if (!(await user.comparePassword(String(password)))) {
+      return res.status(401).json({ message: "Invalid password" })
+    }
+
+    if (!(await user.verifyTwoFactorCode(String(code)))) {
+      return res.status(400).json({ message: "Invalid authentication code" })
+    }
+
+    user.disableTwoFactor()
+    await user.save()
+
+    logger.info(`Two-factor sign-in disabled for user ${user._id}`)
+    res.status(200).json({ message: "Two-factor sign-in disabled" })
+  } catch (error) {
+    logger.error("Two-factor disable error", { error })
+    res.status(500).json({ message: "Server error while disabling two-factor sign-in" })
+  }
+})
+
+// Exchange the refresh cookie for a new access token. The refresh token is rotated on
+// every call; reusing an old one signs the session out.
+router.post("/refresh", async (req, res) => {
+  try {
+    const session = await rotateSession(readRefreshCookie(req))
+
+    const user = await User.findById(session.userId)
+    if (!user) {
+      res.clearCookie(REFRESH_COOKIE, refreshCookieOptions())
+      return res.status(401).json({ message: "User not found" })
+    }
+    if (user.isDisabled()) {
+      res.clearCookie(REFRESH_COOKIE, refreshCookieOptions())
+      return sendAccountDisabled(res)
+    }
+
+    setRefreshCookie(res, session)
+    res.status(200).json({
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        isVerified: user.isVerified,
+        role: user.role,
+      },
+      token: session.accessToken,
+    })
+  } catch (error) {
+    if (error.message.startsWith("Invalid")) {
+      res.clearCookie(REFRESH_COOKIE, refreshCookieOptions())
+      return res.status(401).json({ message: error.message })
+    } else if (error.message.includes("just refreshed")) {
+      // Another request rotated the token a moment ago; its cookie replaces this one
+      return res.status(409).json({ message: error.message })
+    }
+
+    logger.error("Refresh error", { error })
+    res.status(500).json({ message: "Server error while refreshing the session" })
+  }
+})
+
+// Sign out: revoke the session and clear the refresh cookie
+router.post("/logout", async (req, res) => {
+  try {
+    await endSession(readRefreshCookie(req))
+
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions())
+    res.status(200).json({ message: "Logged out successfully" })
+  } catch (error) {
+    logger.error("Logout error", { error })
+    res.status(500).json({ message: "Server error during logout" })
   }
 })
 
@@ -0,0 +1,84 @@
+const express = require("express")
+const User = require("../models/User")
+const { authenticateToken } = require("../middleware/auth")
+const { rateLimit } = require("../middleware/rateLimit")
+const {
+  unsubscribe,
+  toDigestPreferences,
+  listDigestMarketplaces,
+  updateDigestPreferences,
+} = require("../services/digest")
+const { logger } = require("../utils/logger")
+
+const router = express.Router()
+
+const limitUnsubscribe = rateLimit({ name: "digest-unsubscribe", windowMs: 15 * 60 * 1000, max: 20 })
+
+// The user's digest preferences and the marketplaces they can choose from
+router.get("/preferences", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.json({
+      preferences: toDigestPreferences(user),
+      marketplaces: await listDigestMarketplaces(user._id),
+    })
+  } catch (error) {
+    logger.error("Error loading digest preferences", { error })
+    res.status(500).json({
+      message: "Failed to load digest preferences",
+      error: error.message,
+    })
+  }
+})
+
+// Change { frequency: off|daily|weekly, timezone, marketplaceIds }. An empty marketplaceIds
+// list covers every tracked marketplace.
+router.put("/preferences", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const { frequency, timezone, marketplaceIds } = req.body
+    const preferences = await updateDigestPreferences(user, { frequency, timezone, marketplaceIds })
+
+    res.json({ message: "Digest preferences saved", preferences })
+  } catch (error) {
+    if (error.message.startsWith("Invalid")) {
+      return res.status(400).json({ message: error.message })
+    }
+
+    logger.error("Error saving digest preferences", { error })
+    res.status(500).json({
+      message: "Failed to save digest preferences",
+      error: error.message,
+    })
+  }
+})
+
+// Turn off digests with the { token } from the link in a digest, without signing in
+router.post("/unsubscribe", limitUnsubscribe, async (req, res) => {
+  try {
+    await unsubscribe(req.body.token)
+    res.json({ message: "You won't receive order summaries anymore" })
+  } catch (error) {
+    if (error.message.startsWith("Invalid")) {
+      return res.status(400).json({ message: error.message })
+    } else if (error.message.includes("not found")) {
+      return res.status(404).json({ message: error.message })
+    }
+
+    logger.error("Error unsubscribing from digests", { error })
+    res.status(500).json({
+      message: "Failed to unsubscribe",
+      error: error.message,
+    })
+  }
+})
+
+module.exports = router
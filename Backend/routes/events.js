@@ -0,0 +1,33 @@
+const express = require("express")
+const { authenticateToken } = require("../middleware/auth")
+const { openStream } = require("../services/events")
+const { createTicket, redeemTicket } = require("../services/eventTickets")
+const { logger } = require("../utils/logger")
+
+const router = express.Router()
+
+// Issue a single-use ticket for opening the event stream. The stream is closed once the
+// session ends.
+router.post("/ticket", authenticateToken, (req, res) => {
+  res.json({ ticket: createTicket(req.user.userId, req.user.sessionId) })
+})
+
+// Live dashboard events: sync (progress of an order sync), orders (new order count and
+// new orders), connection (status changes) and resync (reload everything).
+// Resumes after the Last-Event-ID header or the lastEventId query parameter.
+router.get("/", async (req, res) => {
+  let ticket
+  try {
+    ticket = await redeemTicket(req.query.ticket)
+  } catch (error) {
+    if (error.message.startsWith("Invalid")) {
+      return res.status(401).json({ message: error.message })
+    }
+    logger.error("Error opening event stream", { error })
+    return res.status(500).json({ message: "Failed to open event stream", error: error.message })
+  }
+
+  openStream(ticket.userId, ticket.sessionId, res, req.get("last-event-id") || req.query.lastEventId)
+})
+
+module.exports = router
@@ -0,0 +1,61 @@
+const express = require("express")
+const { authenticateToken } = require("../middleware/auth")
+const { hasRole } = require("../services/workspaces")
+const { runJobNow } = require("../services/jobQueue")
+const { listUserJobs } = require("../services/jobs")
+const { logger } = require("../utils/logger")
+
+const router = express.Router()
+
+router.use(authenticateToken)
+
+// Background jobs of the user's seller accounts: order syncs and token refreshes with
+// their status, next and last run and last error
+router.get("/", async (req, res) => {
+  try {
+    res.json({ jobs: await listUserJobs(req.user.userId) })
+  } catch (error) {
+    logger.error("Error listing jobs", { error })
+    res.status(500).json({
+      message: "Failed to list background jobs",
+      error: error.message,
+    })
+  }
+})
+
+// Run a job now, also to retry a dead one. Connection jobs need the admin role in the
+// connection's workspace.
+router.post("/:jobId/run", async (req, res) => {
+  try {
+    const job = (await listUserJobs(req.user.userId)).find((entry) => entry.id.toString() === req.params.jobId)
+    if (!job) {
+      return res.status(404).json({ message: "Job not found" })
+    }
+    if (job.connectionId && !hasRole(job.role, "admin")) {
+      return res.status(403).json({
+        message: "This action needs the admin role or higher in the workspace",
+        role: job.role,
+        requiredRole: "admin",
+      })
+    }
+
+    const updated = await runJobNow(job.id)
+
+    logger.info(`User ${req.user.userId} started job ${job.name} (${job.id})`)
+    res.json({ message: "Job started", job: updated.toSummary() })
+  } catch (error) {
+    if (error.message.startsWith("Invalid")) {
+      return res.status(400).json({ message: error.message })
+    } else if (error.message.includes("not found")) {
+      return res.status(404).json({ message: error.message })
+    }
+
+    logger.error("Error running job", { error })
+    res.status(500).json({
+      message: "Failed to run job",
+      error: error.message,
+    })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,130 @@
+const express = require("express")
+const crypto = require("crypto")
+const { authenticateToken } = require("../middleware/auth")
+const { loadSellerConnection } = require("../middleware/sellerConnection")
+const { requireRole } = require("../middleware/workspace")
+const {
+  listSubscriptions,
+  subscribe,
+  unsubscribe,
+  processNotification,
+  listNotifications,
+} = require("../services/notifications")
+const { logger } = require("../utils/logger")
+
+const router = express.Router()
+
+// Compare secrets without leaking their contents through timing
+const secretsMatch = (provided, expected) => {
+  const a = crypto.createHash("sha256").update(String(provided)).digest()
+  const b = crypto.createHash("sha256").update(expected).digest()
+  return crypto.timingSafeEqual(a, b)
+}
+
+// Map subscription errors to a response
+const sendSubscriptionError = (res, error, message) => {
+  if (error.message.startsWith("Invalid")) {
+    return res.status(400).json({ message: error.message })
+  } else if (error.message.includes("not configured")) {
+    return res.status(503).json({ message: error.message })
+  } else if (error.message.includes("Authentication failed")) {
+    return res.status(401).json({ message: "Authentication failed. Please reconnect your Amazon account." })
+  } else if (error.message.includes("permission")) {
+    return res.status(403).json({ message: error.message })
+  } else if (error.message.includes("Rate limit")) {
+    return res.status(429).json({ message: "Rate limit exceeded. Please try again later." })
+  }
+
+  res.status(500).json({ message, error: error.message })
+}
+
+// Receive queue messages, e.g. forwarded from SQS by a Lambda or posted by the simulator.
+// Authenticated with the X-Notifications-Secret header instead of a user token.
+// Responds 500 when a message failed so the sender retries it.
+router.post("/ingest", async (req, res) => {
+  const secret = process.env.NOTIFICATIONS_INGEST_SECRET
+  if (!secret) {
+    return res.status(503).json({ message: "Notification ingestion is not configured" })
+  }
+
+  const provided = req.get("x-notifications-secret")
+  if (!provided || !secretsMatch(provided, secret)) {
+    return res.status(401).json({ message: "Invalid notifications secret" })
+  }
+
+  const messages = Array.isArray(req.body) ? req.body : [req.body]
+  const results = []
+
+  for (const message of messages) {
+    try {
+      results.push(await processNotification(message, "http"))
+    } catch (error) {
+      logger.error("Error ingesting notification", { error })
+      results.push({
+        status: error.message.startsWith("Invalid") ? "invalid" : "failed",
+        error: error.message,
+      })
+    }
+  }
+
+  const failed = results.some((result) => result.status === "failed")
+  const invalid = results.every((result) => result.status === "invalid")
+  res.status(failed ? 500 : invalid ? 400 : 200).json({ results })
+})
+
+// Notifications received through the connection's subscriptions, newest first
+router.get("/", authenticateToken, loadSellerConnection, async (req, res) => {
+  try {
+    const notifications = await listNotifications(req.sellerConnection)
+    res.json({ notifications: notifications.map((notification) => notification.toSummary()) })
+  } catch (error) {
+    logger.error("Error listing notifications", { error })
+    res.status(500).json({
+      message: "Failed to list notifications",
+      error: error.message,
+    })
+  }
+})
+
+router.get("/subscriptions", authenticateToken, loadSellerConnection, async (req, res) => {
+  res.json({ subscriptions: listSubscriptions(req.sellerConnection) })
+})
+
+// Subscribe the connection to a notification type, e.g. PUT /subscriptions/ORDER_CHANGE
+router.put(
+  "/subscriptions/:notificationType",
+  authenticateToken,
+  loadSellerConnection,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const connection = req.sellerConnection
+      await subscribe(connection, req.params.notificationType)
+
+      res.json({ subscriptions: listSubscriptions(connection) })
+    } catch (error) {
+      logger.error("Error subscribing to notifications", { error })
+      sendSubscriptionError(res, error, "Failed to subscribe to notifications")
+    }
+  },
+)
+
+router.delete(
+  "/subscriptions/:notificationType",
+  authenticateToken,
+  loadSellerConnection,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const connection = req.sellerConnection
+      await unsubscribe(connection, req.params.notificationType)
+
+      res.json({ subscriptions: listSubscriptions(connection) })
+    } catch (error) {
+      logger.error("Error unsubscribing from notifications", { error })
+      sendSubscriptionError(res, error, "Failed to unsubscribe from notifications")
+    }
+  },
+)
+
+module.exports = router
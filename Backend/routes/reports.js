@@ -0,0 +1,150 @@
+const express = require("express")
+const { authenticateToken } = require("../middleware/auth")
+const { loadSellerConnection } = require("../middleware/sellerConnection")
+const { requireRole } = require("../middleware/workspace")
+const {
+  requestOrdersReport,
+  importSettlementReports,
+  listReports,
+  findReport,
+  getReportRows,
+  deleteReport,
+} = require("../services/reports")
+const { logger } = require("../utils/logger")
+
+const router = express.Router()
+
+const MAX_ROWS_PAGE = 500
+
+// Map report service errors to a response
+const sendReportError = (res, error, message) => {
+  if (error.message.startsWith("Invalid")) {
+    return res.status(400).json({ message: error.message })
+  } else if (error.message.includes("Authentication failed")) {
+    return res.status(401).json({ message: "Authentication failed. Please reconnect your Amazon account." })
+  } else if (error.message.includes("permission")) {
+    return res.status(403).json({ message: "Your Amazon SP API application needs approval for Reports access." })
+  } else if (error.message.includes("Rate limit")) {
+    return res.status(429).json({ message: "Rate limit exceeded. Please try again later." })
+  }
+
+  res.status(500).json({ message, error: error.message })
+}
+
+// Reports of the connection, newest first
+router.get("/", authenticateToken, loadSellerConnection, async (req, res) => {
+  try {
+    const connection = req.sellerConnection
+    const reports = await listReports(connection)
+
+    res.json({ reports: reports.map((report) => report.toSummary()), connectionId: connection._id })
+  } catch (error) {
+    logger.error("Error listing reports", { error })
+    res.status(500).json({
+      message: "Failed to list reports",
+      error: error.message,
+    })
+  }
+})
+
+// Request an orders report ({ type: "orders", startDate, endDate, marketplaceIds })
+// or import the latest settlement reports ({ type: "settlement" })
+router.post("/", authenticateToken, loadSellerConnection, requireRole("analyst"), async (req, res) => {
+  try {
+    const connection = req.sellerConnection
+    const { type, startDate, endDate, marketplaceIds } = req.body
+
+    if (type === "orders") {
+      if (!startDate) {
+        return res.status(400).json({ message: "startDate is required" })
+      }
+      if (marketplaceIds !== undefined && !Array.isArray(marketplaceIds)) {
+        return res.status(400).json({ message: "marketplaceIds must be an array" })
+      }
+
+      const report = await requestOrdersReport(connection, req.user.userId, { startDate, endDate, marketplaceIds })
+      return res.status(202).json({ reports: [report.toSummary()] })
+    }
+
+    if (type === "settlement") {
+      const reports = await importSettlementReports(connection, req.user.userId)
+      return res.status(202).json({ reports: reports.map((report) => report.toSummary()) })
+    }
+
+    res.status(400).json({ message: "type must be orders or settlement" })
+  } catch (error) {
+    logger.error("Error requesting report", { error })
+    sendReportError(res, error, "Failed to request report")
+  }
+})
+
+router.get("/:reportId", authenticateToken, loadSellerConnection, async (req, res) => {
+  try {
+    const report = await findReport(req.sellerConnection, req.params.reportId)
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" })
+    }
+
+    res.json({ report: report.toSummary() })
+  } catch (error) {
+    logger.error("Error getting report", { error })
+    res.status(500).json({
+      message: "Failed to get report",
+      error: error.message,
+    })
+  }
+})
+
+// Stored rows of a finished report, in file order
+router.get("/:reportId/rows", authenticateToken, loadSellerConnection, async (req, res) => {
+  try {
+    const offset = req.query.offset === undefined ? 0 : Number.parseInt(req.query.offset, 10)
+    const limit = req.query.limit === undefined ? 100 : Number.parseInt(req.query.limit, 10)
+
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ message: "offset must be a non-negative integer" })
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ROWS_PAGE) {
+      return res.status(400).json({ message: `limit must be between 1 and ${MAX_ROWS_PAGE}` })
+    }
+
+    const report = await findReport(req.sellerConnection, req.params.reportId)
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" })
+    }
+    if (report.status !== "done") {
+      return res.status(409).json({ message: "Report is not ready yet" })
+    }
+
+    const rows = await getReportRows(report, { offset, limit })
+
+    res.json({ columns: report.columns, rows, offset, limit, rowCount: report.rowCount })
+  } catch (error) {
+    logger.error("Error getting report rows", { error })
+    res.status(500).json({
+      message: "Failed to get report rows",
+      error: error.message,
+    })
+  }
+})
+
+router.delete("/:reportId", authenticateToken, loadSellerConnection, requireRole("analyst"), async (req, res) => {
+  try {
+    const report = await findReport(req.sellerConnection, req.params.reportId)
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" })
+    }
+
+    await deleteReport(report)
+
+    res.json({ message: "Report deleted" })
+  } catch (error) {
+    logger.error("Error deleting report", { error })
+    res.status(500).json({
+      message: "Failed to delete report",
+      error: error.message,
+    })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,242 @@
+const express = require("express")
+const User = require("../models/User")
+const { authenticateToken } = require("../middleware/auth")
+const { loadWorkspace, requireRole } = require("../middleware/workspace")
+const { rateLimit } = require("../middleware/rateLimit")
+const { sendWorkspaceInvitationEmail } = require("../utils/email")
+const {
+  getUserWorkspaces,
+  createWorkspace,
+  toWorkspaceSummary,
+  listMembers,
+  listInvitations,
+  createInvitation,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+  hasRole,
+} = require("../services/workspaces")
+const { logger } = require("../utils/logger")
+
+const router = express.Router()
+
+// Invitation emails per inviting user
+const limitInvitations = rateLimit({
+  name: "workspace-invitations",
+  windowMs: 60 * 60 * 1000,
+  max: 20,
+  key: (req) => req.user?.userId,
+})
+
+// Map workspace service errors to a response
+const sendWorkspaceError = (res, error, message) => {
+  if (error.message.startsWith("Invalid") || error.message.includes("already")) {
+    return res.status(400).json({ message: error.message })
+  } else if (error.message.startsWith("Not allowed")) {
+    return res.status(403).json({ message: error.message })
+  } else if (error.message.includes("not found")) {
+    return res.status(404).json({ message: error.message })
+  }
+
+  res.status(500).json({ message, error: error.message })
+}
+
+const validateName = (value) => {
+  const name = typeof value === "string" ? value.trim() : ""
+  if (!name) {
+    return { error: "Name is required" }
+  }
+  if (name.length > 100) {
+    return { error: "Name must be at most 100 characters long" }
+  }
+  return { name }
+}
+
+// Workspaces the user is a member of, with their role
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const workspaces = await getUserWorkspaces(req.user.userId)
+
+    res.json({ workspaces: workspaces.map((workspace) => toWorkspaceSummary(workspace, req.user.userId)) })
+  } catch (error) {
+    logger.error("Error listing workspaces", { error })
+    res.status(500).json({
+      message: "Failed to list workspaces",
+      error: error.message,
+    })
+  }
+})
+
+// Create a workspace owned by the user ({ name })
+router.post("/", authenticateToken, async (req, res) => {
+  try {
+    const { name, error } = validateName(req.body.name)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    const workspace = await createWorkspace(req.user.userId, name)
+
+    res.status(201).json({ workspace: toWorkspaceSummary(workspace, req.user.userId) })
+  } catch (error) {
+    logger.error("Error creating workspace", { error })
+    res.status(500).json({
+      message: "Failed to create workspace",
+      error: error.message,
+    })
+  }
+})
+
+// Join a workspace with the token from an invitation email ({ token })
+router.post("/invitations/accept", authenticateToken, async (req, res) => {
+  try {
+    const { token } = req.body
+
+    // Validate input
+    if (!token) {
+      return res.status(400).json({ message: "Invitation token is required" })
+    }
+
+    const workspace = await acceptInvitation(String(token), req.user.userId)
+
+    res.json({
+      message: `You joined ${workspace.name}`,
+      workspace: toWorkspaceSummary(workspace, req.user.userId),
+    })
+  } catch (error) {
+    logger.error("Error accepting workspace invitation", { error })
+    sendWorkspaceError(res, error, "Failed to accept invitation")
+  }
+})
+
+// Rename a workspace ({ name })
+router.patch("/:workspaceId", authenticateToken, loadWorkspace, requireRole("admin"), async (req, res) => {
+  try {
+    const { name, error } = validateName(req.body.name)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    req.workspace.name = name
+    await req.workspace.save()
+
+    res.json({ workspace: toWorkspaceSummary(req.workspace, req.user.userId) })
+  } catch (error) {
+    logger.error("Error renaming workspace", { error })
+    res.status(500).json({
+      message: "Failed to rename workspace",
+      error: error.message,
+    })
+  }
+})
+
+// Members of the workspace. Admins and owners also get the pending invitations.
+router.get("/:workspaceId/members", authenticateToken, loadWorkspace, async (req, res) => {
+  try {
+    const members = await listMembers(req.workspace)
+    const invitations = hasRole(req.workspaceRole, "admin") ? await listInvitations(req.workspace) : []
+
+    res.json({
+      workspace: toWorkspaceSummary(req.workspace, req.user.userId),
+      members,
+      invitations: invitations.map((invitation) => invitation.toSummary()),
+    })
+  } catch (error) {
+    logger.error("Error listing workspace members", { error })
+    res.status(500).json({
+      message: "Failed to list workspace members",
+      error: error.message,
+    })
+  }
+})
+
+// Invite someone by email ({ email, role }). Inviting the same email again sends a new link.
+router.post(
+  "/:workspaceId/invitations",
+  authenticateToken,
+  loadWorkspace,
+  requireRole("admin"),
+  limitInvitations,
+  async (req, res) => {
+    try {
+      const { email, role } = req.body
+
+      // Validate input
+      if (!email || !role) {
+        return res.status(400).json({ message: "Email and role are required" })
+      }
+
+      const { invitation, token } = await createInvitation(req.workspace, {
+        email,
+        role,
+        invitedBy: req.user.userId,
+        inviterRole: req.workspaceRole,
+      })
+
+      const inviter = await User.findById(req.user.userId)
+      await sendWorkspaceInvitationEmail(invitation.email, {
+        inviterName: inviter?.name || "A teammate",
+        workspaceName: req.workspace.name,
+        role: invitation.role,
+        inviteUrl: `${process.env.FRONTEND_URL}/invite?token=${token}`,
+      })
+
+      logger.info(`Invited ${invitation.email} to workspace ${req.workspace._id} as ${invitation.role}`)
+      res.status(201).json({ invitation: invitation.toSummary() })
+    } catch (error) {
+      logger.error("Error inviting workspace member", { error })
+      sendWorkspaceError(res, error, "Failed to send invitation")
+    }
+  },
+)
+
+// Withdraw a pending invitation
+router.delete(
+  "/:workspaceId/invitations/:invitationId",
+  authenticateToken,
+  loadWorkspace,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      await revokeInvitation(req.workspace, req.params.invitationId)
+
+      res.json({ message: "Invitation withdrawn" })
+    } catch (error) {
+      logger.error("Error withdrawing workspace invitation", { error })
+      sendWorkspaceError(res, error, "Failed to withdraw invitation")
+    }
+  },
+)
+
+// Change a member's role ({ role })
+router.patch(
+  "/:workspaceId/members/:userId",
+  authenticateToken,
+  loadWorkspace,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      await updateMemberRole(req.workspace, req.workspaceRole, req.params.userId, req.body.role)
+
+      res.json({ members: await listMembers(req.workspace) })
+    } catch (error) {
+      logger.error("Error changing workspace member role", { error })
+      sendWorkspaceError(res, error, "Failed to change member role")
+    }
+  },
+)
+
+// Remove a member. Any member can remove themselves to leave the workspace.
+router.delete("/:workspaceId/members/:userId", authenticateToken, loadWorkspace, async (req, res) => {
+  try {
+    await removeMember(req.workspace, { actorUserId: req.user.userId, actorRole: req.workspaceRole }, req.params.userId)
+
+    res.json({ message: "Member removed" })
+  } catch (error) {
+    logger.error("Error removing workspace member", { error })
+    sendWorkspaceError(res, error, "Failed to remove member")
+  }
+})
+
+module.exports = router
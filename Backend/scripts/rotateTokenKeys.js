@@ -0,0 +1,90 @@
+// Re-encrypt stored Amazon tokens, two-factor secrets and the content of unsent emails
+// with the active key from TOKEN_ENCRYPTION_KEYS. Tokens still in plain text are encrypted, and connections still
+// stored on the legacy User.amazonAuth field are migrated first.
+//
+// Usage: npm run rotate-token-keys
+// Keep the old key in TOKEN_ENCRYPTION_KEYS until this has finished.
+const mongoose = require("mongoose")
+const dotenv = require("dotenv")
+
+dotenv.config()
+
+const User = require("../models/User")
+const SellerConnection = require("../models/SellerConnection")
+const EmailMessage = require("../models/EmailMessage")
+const { migrateLegacyConnection } = require("../services/connections")
+const { encryptSecret, decryptSecret, needsReencryption } = require("../utils/tokenCrypto")
+
+const TOKEN_FIELDS = ["accessToken", "refreshToken"]
+const TWO_FACTOR_FIELDS = ["twoFactor.secret", "twoFactor.pendingSecret"]
+
+const rotate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI)
+
+  const legacyUsers = await User.find({ "amazonAuth.accessToken": { $exists: true } }).select("_id")
+  for (const user of legacyUsers) {
+    await migrateLegacyConnection(user._id)
+  }
+
+  let scanned = 0
+  let rotated = 0
+
+  for await (const connection of SellerConnection.find().cursor()) {
+    scanned++
+
+    const update = {}
+    TOKEN_FIELDS.forEach((field) => {
+      if (needsReencryption(connection[field])) {
+        update[field] = encryptSecret(decryptSecret(connection[field]))
+      }
+    })
+
+    if (Object.keys(update).length > 0) {
+      await SellerConnection.updateOne({ _id: connection._id }, { $set: update })
+      rotated++
+    }
+  }
+
+  let rotatedUsers = 0
+  const twoFactorQuery = { $or: TWO_FACTOR_FIELDS.map((field) => ({ [field]: { $exists: true } })) }
+
+  for await (const user of User.find(twoFactorQuery).select(TWO_FACTOR_FIELDS.join(" ")).cursor()) {
+    const update = {}
+    TWO_FACTOR_FIELDS.forEach((field) => {
+      const value = user.get(field)
+      if (needsReencryption(value)) {
+        update[field] = encryptSecret(decryptSecret(value))
+      }
+    })
+
+    if (Object.keys(update).length > 0) {
+      await User.updateOne({ _id: user._id }, { $set: update })
+      rotatedUsers++
+    }
+  }
+
+  // Sent emails have no content left; queued and failed ones still have to be delivered
+  let rotatedEmails = 0
+  for await (const message of EmailMessage.find({ content: { $exists: true } }).select("content").cursor()) {
+    if (!needsReencryption(message.content)) continue
+
+    // Skip a message whose content was removed or replaced since it was read, e.g. because it was sent
+    const { modifiedCount } = await EmailMessage.updateOne(
+      { _id: message._id, content: message.content },
+      { $set: { content: encryptSecret(decryptSecret(message.content)) } },
+    )
+    rotatedEmails += modifiedCount
+  }
+
+  console.log(
+    `Migrated ${legacyUsers.length} legacy connections, re-encrypted ${rotated} of ${scanned} seller connections, ` +
+      `the two-factor secrets of ${rotatedUsers} users and ${rotatedEmails} unsent emails`,
+  )
+}
+
+rotate()
+  .catch((error) => {
+    console.error("Token key rotation failed:", error.message)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.disconnect())
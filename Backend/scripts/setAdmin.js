@@ -0,0 +1,40 @@
+// Give an account the admin role, or take it away with --remove.
+//
+// Usage: npm run set-admin -- <email> [--remove]
+// The frontend picks up the change on its next page load.
+const mongoose = require("mongoose")
+const dotenv = require("dotenv")
+
+dotenv.config()
+
+const User = require("../models/User")
+
+const setAdmin = async () => {
+  const args = process.argv.slice(2)
+  const remove = args.includes("--remove")
+  const email = args.find((arg) => !arg.startsWith("--"))
+
+  if (!email) {
+    throw new Error("Usage: npm run set-admin -- <email> [--remove]")
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI)
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase().trim() },
+    { $set: { role: remove ? "user" : "admin" } },
+    { new: true },
+  )
+  if (!user) {
+    throw new Error(`No user with email ${email}`)
+  }
+
+  console.log(`${user.email} now has the ${user.role} role`)
+}
+
+setAdmin()
+  .catch((error) => {
+    console.error("Setting the admin role failed:", error.message)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.disconnect())
@@ -10,34 +10,80 @@ dotenv.config()
 const authRoutes = require("./routes/auth")
 const amazonRoutes = require("./routes/amazon")
 const amazonDebugRoutes = require("./routes/amazonDebug") // Add debug routes
+const reportRoutes = require("./routes/reports")
+const notificationRoutes = require("./routes/notifications")
+const eventRoutes = require("./routes/events")
+const workspaceRoutes = require("./routes/workspaces")
+const adminRoutes = require("./routes/admin")
+const digestRoutes = require("./routes/digest")
+const jobRoutes = require("./routes/jobs")
+const { resumePendingReports } = require("./services/reports")
+const { startFileQueue } = require("./services/notificationQueue")
+const { startEmailOutbox } = require("./services/emailOutbox")
+const { startDigestScheduler } = require("./services/digest")
+const { startBackgroundJobs } = require("./services/jobs")
+const { requestContext, REQUEST_ID_HEADER } = require("./middleware/requestContext")
+const { logger } = require("./utils/logger")
 
 // Initialize express app
 const app = express()
 
 // Middleware
-app.use(cors())
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 for one hop) makes req.ip the client's
+// address so rate limits apply per client
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy)
+}
+
+// Every request gets a correlation ID for its log lines, returned as X-Request-Id
+app.use(requestContext)
+// Credentials are allowed for the frontend only, the refresh token is sent as a cookie.
+// Retry-After is exposed so the frontend can show when rate-limited requests may be retried.
+app.use(
+  cors({
+    origin: process.env.FRONTEND_URL,
+    credentials: true,
+    exposedHeaders: ["Retry-After", REQUEST_ID_HEADER],
+  }),
+)
 app.use(express.json())
 
 // Connect to MongoDB
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => console.log("Connected to MongoDB"))
-  .catch((err) => console.error("MongoDB connection error:", err))
+  .then(() => {
+    logger.info("Connected to MongoDB")
+    startFileQueue().catch((error) => logger.error("Could not start the notification queue", { error }))
+    startEmailOutbox()
+    startDigestScheduler()
+    startBackgroundJobs().catch((error) => logger.error("Could not start background jobs", { error }))
+    return resumePendingReports()
+  })
+  .catch((err) => logger.error("MongoDB connection error", { error: err }))
 
 // Routes
 app.use("/api/auth", authRoutes)
+app.use("/api/amazon/reports", reportRoutes)
+app.use("/api/amazon/notifications", notificationRoutes)
 app.use("/api/amazon", amazonRoutes)
 app.use("/api/amazon-debug", amazonDebugRoutes) // Add debug routes
+app.use("/api/events", eventRoutes)
+app.use("/api/workspaces", workspaceRoutes)
+app.use("/api/admin", adminRoutes)
+app.use("/api/digest", digestRoutes)
+app.use("/api/jobs", jobRoutes)
 
 
 // Error handling middleware
+// The request ID lets a reported error be found in the logs
 app.use((err, req, res, next) => {
-  console.error(err.stack)
-  res.status(500).json({ message: "Something went wrong!" })
+  logger.error("Unhandled error", { error: err })
+  res.status(500).json({ message: "Something went wrong!", requestId: req.id })
 })
 
 // Start server
 const PORT = process.env.PORT || 5000
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`)
+  logger.info(`Server running on port ${PORT}`)
 })
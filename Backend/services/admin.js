@@ -0,0 +1,181 @@
+const mongoose = require("mongoose")
+const User = require("../models/User")
+const Session = require("../models/Session")
+const SellerConnection = require("../models/SellerConnection")
+const Workspace = require("../models/Workspace")
+const EmailMessage = require("../models/EmailMessage")
+
+// Lookups for the operator console in routes/admin.js
+
+const USER_STATUSES = ["unverified", "disabled", "admin"]
+const CONNECTION_STATUSES = ["active", "error"]
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// Account details an admin may see. Never includes password, OTP, reset or 2FA secrets.
+const toAdminUserSummary = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  isVerified: user.isVerified,
+  twoFactorEnabled: !!user.twoFactor?.enabled,
+  disabled: user.isDisabled() ? { at: user.disabled.at, reason: user.disabled.reason } : null,
+  createdAt: user.createdAt,
+})
+
+// Connection details with what's needed to tell whether it works: token expiry, whether
+// a refresh token is stored and the last sync result
+const toConnectionHealth = (connection, workspaceName) => ({
+  ...connection.toSummary(),
+  workspaceName,
+  authorizedBy: connection.user,
+  tokenExpiresAt: connection.tokenExpiresAt,
+  tokenExpired: !connection.tokenExpiresAt || connection.tokenExpiresAt.getTime() <= Date.now(),
+  hasRefreshToken: !!connection.refreshToken,
+  syncError: connection.orderSync?.error,
+  notificationSubscriptions: (connection.notificationSubscriptions || []).map((s) => s.notificationType),
+})
+
+const workspaceNamesById = async (workspaceIds) => {
+  const workspaces = await Workspace.find({ _id: { $in: workspaceIds } }, "name")
+  return new Map(workspaces.map((workspace) => [workspace._id.toString(), workspace.name]))
+}
+
+// Users matching `q` (part of the name or email, or a user ID) and `status`, newest first.
+// Returns { users, total } where every user has the number of connections they authorized.
+const searchUsers = async ({ q, status, offset = 0, limit = 25 } = {}) => {
+  if (status && !USER_STATUSES.includes(status)) {
+    throw new Error(`Invalid status: ${status}. Use one of ${USER_STATUSES.join(", ")}`)
+  }
+
+  const filter = {}
+  const search = typeof q === "string" ? q.trim() : ""
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), "i")
+    filter.$or = [{ email: pattern }, { name: pattern }]
+    if (mongoose.Types.ObjectId.isValid(search)) {
+      filter.$or.push({ _id: search })
+    }
+  }
+  if (status === "unverified") {
+    filter.isVerified = false
+  } else if (status === "disabled") {
+    filter["disabled.at"] = { $ne: null }
+  } else if (status === "admin") {
+    filter.role = "admin"
+  }
+
+  const [users, total] = await Promise.all([
+    User.find(filter).sort({ createdAt: -1, _id: -1 }).skip(offset).limit(limit),
+    User.countDocuments(filter),
+  ])
+
+  const counts = await SellerConnection.aggregate([
+    { $match: { user: { $in: users.map((user) => user._id) } } },
+    { $group: { _id: "$user", count: { $sum: 1 } } },
+  ])
+  const countsByUser = new Map(counts.map((c) => [c._id.toString(), c.count]))
+
+  return {
+    users: users.map((user) => ({
+      ...toAdminUserSummary(user),
+      connectionCount: countsByUser.get(user._id.toString()) || 0,
+    })),
+    total,
+  }
+}
+
+// A user by ID, or null
+const findUser = async (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return null
+  }
+  return User.findById(userId)
+}
+
+// Everything the console shows about one user: account state, sessions, workspaces, the
+// health of every seller connection they can use or have authorized, and recent emails
+const getUserDetail = async (user) => {
+  const [workspaces, sessions, emails] = await Promise.all([
+    Workspace.find({ "members.user": user._id }).sort({ createdAt: 1 }),
+    Session.find({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } }, "createdAt lastUsedAt").sort({
+      createdAt: -1,
+    }),
+    EmailMessage.find({ to: user.email }).sort({ createdAt: -1 }).limit(10),
+  ])
+
+  const connections = await SellerConnection.find({
+    $or: [{ workspace: { $in: workspaces.map((workspace) => workspace._id) } }, { user: user._id }],
+  }).sort({ connectedAt: 1 })
+  const workspaceNames = await workspaceNamesById(connections.map((connection) => connection.workspace))
+
+  return {
+    user: {
+      ...toAdminUserSummary(user),
+      hasLegacyConnection: !!user.amazonAuth?.sellerId,
+    },
+    sessions: {
+      active: sessions.length,
+      lastSignInAt: sessions[0]?.createdAt,
+    },
+    workspaces: workspaces.map((workspace) => ({
+      id: workspace._id,
+      name: workspace.name,
+      role: workspace.getRole(user._id),
+      memberCount: workspace.members.length,
+    })),
+    connections: connections.map((connection) =>
+      toConnectionHealth(connection, workspaceNames.get(String(connection.workspace))),
+    ),
+    emails: emails.map((email) => email.toSummary()),
+  }
+}
+
+// Seller connections across all users, matching `q` (seller ID or name) and `status`,
+// most recently connected first. Returns { connections, total }.
+const searchConnections = async ({ q, status, offset = 0, limit = 25 } = {}) => {
+  if (status && !CONNECTION_STATUSES.includes(status)) {
+    throw new Error(`Invalid status: ${status}. Use one of ${CONNECTION_STATUSES.join(", ")}`)
+  }
+
+  const filter = {}
+  const search = typeof q === "string" ? q.trim() : ""
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), "i")
+    filter.$or = [{ sellerId: pattern }, { name: pattern }]
+  }
+  if (status) {
+    filter.status = status
+  }
+
+  const [connections, total] = await Promise.all([
+    SellerConnection.find(filter).sort({ connectedAt: -1, _id: -1 }).skip(offset).limit(limit),
+    SellerConnection.countDocuments(filter),
+  ])
+  const workspaceNames = await workspaceNamesById(connections.map((connection) => connection.workspace))
+
+  return {
+    connections: connections.map((connection) =>
+      toConnectionHealth(connection, workspaceNames.get(String(connection.workspace))),
+    ),
+    total,
+  }
+}
+
+// A seller connection by ID, or null
+const findAnyConnection = async (connectionId) => {
+  if (!mongoose.Types.ObjectId.isValid(connectionId)) {
+    return null
+  }
+  return SellerConnection.findById(connectionId)
+}
+
+module.exports = {
+  toAdminUserSummary,
+  searchUsers,
+  findUser,
+  getUserDetail,
+  searchConnections,
+  findAnyConnection,
+}
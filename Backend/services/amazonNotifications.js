@@ -0,0 +1,123 @@
+const { spApiRequest } = require("./spApiClient")
+const { getGrantlessAccessToken } = require("./amazonSpApi")
+const { logger } = require("../utils/logger")
+
+// Notifications API (v1) calls. Destinations belong to the application and are managed
+// with grantless tokens; subscriptions are created per seller with the seller's token.
+
+const NOTIFICATIONS_PATH = "/notifications/v1"
+const NOTIFICATIONS_SCOPE = "sellingpartnerapi::notifications"
+
+// Map Notifications API failures to the messages the routes look for
+const toNotificationsError = (error, action) => {
+  logger.error(`Error trying to ${action}`, { error })
+
+  const status = error.response?.status
+  const detail = error.response?.data?.errors?.[0]?.message || error.message
+
+  if (status === 403) {
+    return new Error(
+      "Your Amazon SP API application doesn't have permission to manage Notifications for this notification type. Please ensure the required roles are assigned.",
+    )
+  } else if (status === 401) {
+    return new Error("Authentication failed. Please reconnect your Amazon account.")
+  } else if (status === 429) {
+    return new Error("Rate limit exceeded. Please try again later.")
+  } else if (status === 400) {
+    return new Error(`Invalid notifications request: ${detail}`)
+  }
+
+  return new Error(`Failed to ${action}: ${detail}`)
+}
+
+// Credentials for grantless calls in the given region
+const getGrantlessAuth = async (region) => ({
+  accessToken: await getGrantlessAccessToken(NOTIFICATIONS_SCOPE),
+  region,
+})
+
+const getDestinations = async (region) => {
+  try {
+    const response = await spApiRequest("getDestinations", await getGrantlessAuth(region), {
+      path: `${NOTIFICATIONS_PATH}/destinations`,
+    })
+
+    return response.data.payload || []
+  } catch (error) {
+    throw toNotificationsError(error, "list notification destinations")
+  }
+}
+
+// Register an SQS queue as a destination. Returns the destination.
+const createDestination = async (region, { name, arn }) => {
+  try {
+    const response = await spApiRequest("createDestination", await getGrantlessAuth(region), {
+      method: "POST",
+      path: `${NOTIFICATIONS_PATH}/destinations`,
+      data: { name, resourceSpecification: { sqs: { arn } } },
+    })
+
+    return response.data.payload
+  } catch (error) {
+    throw toNotificationsError(error, "create notification destination")
+  }
+}
+
+// The seller's subscription to a notification type, or null when there is none
+const getSubscription = async (auth, notificationType) => {
+  try {
+    const response = await spApiRequest("getSubscription", auth, {
+      path: `${NOTIFICATIONS_PATH}/subscriptions/${encodeURIComponent(notificationType)}`,
+    })
+
+    return response.data.payload
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null
+    }
+    throw toNotificationsError(error, "get notification subscription")
+  }
+}
+
+// Subscribe the seller to a notification type. An existing subscription is returned as is.
+const createSubscription = async (auth, notificationType, { destinationId, payloadVersion }) => {
+  try {
+    const response = await spApiRequest("createSubscription", auth, {
+      method: "POST",
+      path: `${NOTIFICATIONS_PATH}/subscriptions/${encodeURIComponent(notificationType)}`,
+      data: { destinationId, payloadVersion },
+    })
+
+    return response.data.payload
+  } catch (error) {
+    if (error.response?.status === 409) {
+      const existing = await getSubscription(auth, notificationType)
+      if (existing) return existing
+    }
+    throw toNotificationsError(error, "create notification subscription")
+  }
+}
+
+// Deleting a subscription is grantless, so it works after the seller revoked access
+const deleteSubscription = async (region, notificationType, subscriptionId) => {
+  try {
+    const type = encodeURIComponent(notificationType)
+    await spApiRequest("deleteSubscriptionById", await getGrantlessAuth(region), {
+      method: "DELETE",
+      path: `${NOTIFICATIONS_PATH}/subscriptions/${type}/${encodeURIComponent(subscriptionId)}`,
+    })
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return
+    }
+    throw toNotificationsError(error, "delete notification subscription")
+  }
+}
+
+module.exports = {
+  getDestinations,
+  createDestination,
+  getSubscription,
+  createSubscription,
+  deleteSubscription,
+}
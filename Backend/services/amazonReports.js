@@ -0,0 +1,138 @@
+const axios = require("axios")
+const zlib = require("zlib")
+const { spApiRequest } = require("./spApiClient")
+const { logger } = require("../utils/logger")
+
+// Reports API (2021-06-30) calls
+
+const REPORTS_PATH = "/reports/2021-06-30"
+
+// Map Reports API failures to the messages the routes look for
+const toReportsError = (error, action) => {
+  logger.error(`Error trying to ${action}`, { error })
+
+  const status = error.response?.status
+  const detail = error.response?.data?.errors?.[0]?.message || error.message
+
+  if (status === 403) {
+    return new Error(
+      "Your Amazon SP API application doesn't have permission to access Reports. Please ensure the required roles are assigned.",
+    )
+  } else if (status === 401) {
+    return new Error("Authentication failed. Please reconnect your Amazon account.")
+  } else if (status === 429) {
+    return new Error("Rate limit exceeded. Please try again later.")
+  } else if (status === 400) {
+    return new Error(`Invalid report request: ${detail}`)
+  }
+
+  return new Error(`Failed to ${action}: ${detail}`)
+}
+
+// Ask Amazon to generate a report. Returns the Amazon report ID.
+const createReport = async (auth, { reportType, marketplaceIds, dataStartTime, dataEndTime }) => {
+  try {
+    const response = await spApiRequest("createReport", auth, {
+      method: "POST",
+      path: `${REPORTS_PATH}/reports`,
+      data: {
+        reportType,
+        marketplaceIds,
+        dataStartTime: dataStartTime?.toISOString(),
+        dataEndTime: dataEndTime?.toISOString(),
+      },
+    })
+
+    return response.data.reportId
+  } catch (error) {
+    throw toReportsError(error, "create report")
+  }
+}
+
+// Current processing status of a report
+const getReport = async (auth, reportId) => {
+  try {
+    const response = await spApiRequest("getReport", auth, {
+      path: `${REPORTS_PATH}/reports/${encodeURIComponent(reportId)}`,
+    })
+
+    return response.data
+  } catch (error) {
+    throw toReportsError(error, "get report")
+  }
+}
+
+// Reports of the given types, e.g. the settlement reports Amazon schedules itself.
+// Amazon only keeps the last 90 days.
+const getReports = async (auth, { reportTypes, processingStatuses, createdSince, marketplaceIds }) => {
+  try {
+    const reports = []
+    let nextToken = null
+
+    do {
+      const params = nextToken
+        ? { nextToken }
+        : {
+            reportTypes: reportTypes.join(","),
+            processingStatuses: processingStatuses?.join(","),
+            marketplaceIds: marketplaceIds?.join(","),
+            createdSince: createdSince?.toISOString(),
+            pageSize: 100,
+          }
+
+      const response = await spApiRequest("getReports", auth, {
+        path: `${REPORTS_PATH}/reports`,
+        params,
+      })
+
+      reports.push(...(response.data.reports || []))
+      nextToken = response.data.nextToken || null
+    } while (nextToken)
+
+    return reports
+  } catch (error) {
+    throw toReportsError(error, "list reports")
+  }
+}
+
+// Download location of a finished report
+const getReportDocument = async (auth, reportDocumentId) => {
+  try {
+    const response = await spApiRequest("getReportDocument", auth, {
+      path: `${REPORTS_PATH}/documents/${encodeURIComponent(reportDocumentId)}`,
+    })
+
+    return response.data
+  } catch (error) {
+    throw toReportsError(error, "get report document")
+  }
+}
+
+// Open the report document as a readable stream, decompressed when Amazon gzipped it.
+// The URL is pre-signed, so no SP API credentials are sent.
+const openReportDocument = async (document) => {
+  try {
+    const response = await axios.get(document.url, { responseType: "stream", timeout: 60000 })
+
+    // Flat files are UTF-8 in most marketplaces; Amazon sends the charset when they aren't
+    const charset = /charset=([^;]+)/i.exec(response.headers["content-type"] || "")?.[1]?.toLowerCase()
+    const encoding = charset && /8859-1|1252|latin/.test(charset) ? "latin1" : "utf8"
+
+    const stream = document.compressionAlgorithm === "GZIP" ? response.data.pipe(zlib.createGunzip()) : response.data
+    if (stream !== response.data) {
+      response.data.on("error", (error) => stream.destroy(error))
+    }
+
+    return { stream, encoding }
+  } catch (error) {
+    throw new Error(`Failed to download report document: ${error.message}`)
+  }
+}
+
+module.exports = {
+  createReport,
+  getReport,
+  getReports,
+  getReportDocument,
+  openReportDocument,
+}
@@ -1,5 +1,5 @@
-const axios = require("axios")
-const crypto = require("crypto")
+const { spApiRequest, lwaTokenRequest, getConsentUrl } = require("./spApiClient")
+const { logger } = require("../utils/logger")
 
 // Amazon SP API configuration
 const config = {
@@ -33,14 +33,26 @@ const MARKETPLACE_IDS = {
   SG: "A19VAU5U5O7RUS",
 }
 
-// Get marketplace ID based on region
-const getMarketplaceId = () => {
-  const region = config.region.toLowerCase()
+// SP API regions a seller account can be connected in
+const REGIONS = ["na", "eu", "fe"]
+
+// Region used for new connections that don't name one, from AMAZON_REGION
+const getDefaultRegion = () => config.region.toLowerCase()
+
+// Look up the MARKETPLACE_IDS code (e.g. "DE") for a marketplace ID
+const getMarketplaceCode = (marketplaceId) => {
+  return Object.keys(MARKETPLACE_IDS).find((code) => MARKETPLACE_IDS[code] === marketplaceId) || null
+}
+
+// Get the fallback marketplace ID for the configured region.
+// Only used when a connection's marketplace participations are not known yet.
+const getMarketplaceId = (region = config.region) => {
+  region = region.toLowerCase()
 
   // Default marketplace IDs for regions
   const regionDefaults = {
     na: MARKETPLACE_IDS.US,
-    eu: MARKETPLACE_IDS.IN, // Using India for EU region as per your setup
+    eu: MARKETPLACE_IDS.DE,
     fe: MARKETPLACE_IDS.JP,
   }
 
@@ -57,33 +69,6 @@ const validateConfig = () => {
   }
 }
 
-// Get the base URL for the Amazon SP API based on the region
-const getBaseUrl = () => {
-  const region = config.region.toLowerCase()
-  const environment = config.sandbox ? "sandbox" : "production"
-
-  const regionMap = {
-    na: {
-      production: "https://sellingpartnerapi-na.amazon.com",
-      sandbox: "https://sandbox.sellingpartnerapi-na.amazon.com",
-    },
-    eu: {
-      production: "https://sellingpartnerapi-eu.amazon.com",
-      sandbox: "https://sandbox.sellingpartnerapi-eu.amazon.com",
-    },
-    fe: {
-      production: "https://sellingpartnerapi-fe.amazon.com",
-      sandbox: "https://sandbox.sellingpartnerapi-fe.amazon.com",
-    },
-  }
-
-  if (!regionMap[region]) {
-    throw new Error(`Invalid region: ${region}. Must be one of: na, eu, fe`)
-  }
-
-  return regionMap[region][environment]
-}
-
 // Generate mock data for testing when API is not available
 const generateMockOrderData = () => {
   const mockOrders = []
@@ -105,31 +90,24 @@ const generateMockOrderData = () => {
 }
 
 // Check if application has Orders API access
-const checkOrdersApiAccess = async (accessToken) => {
+const checkOrdersApiAccess = async (auth) => {
   try {
-    console.log("Checking Orders API access...")
+    logger.info("Checking Orders API access...")
 
     // Try a simple API call to check permissions
-    const response = await axios.get(`${getBaseUrl()}/orders/v0/orders`, {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        "x-amz-access-token": accessToken,
-        "Content-Type": "application/json",
-      },
+    await spApiRequest("getOrders", auth, {
+      path: "/orders/v0/orders",
       params: {
-        MarketplaceIds: getMarketplaceId(),
+        MarketplaceIds: getMarketplaceId(auth.region),
         CreatedAfter: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(), // Last 24 hours
         MaxResultsPerPage: 1,
       },
     })
 
-    console.log("Orders API access confirmed")
+    logger.info("Orders API access confirmed")
     return true
   } catch (error) {
-    console.log("Orders API access check failed:", {
-      status: error.response?.status,
-      message: error.response?.data?.errors?.[0]?.message || error.message,
-    })
+    logger.info("Orders API access check failed", { error })
     return false
   }
 }
@@ -138,7 +116,7 @@ const checkOrdersApiAccess = async (accessToken) => {
 const getAuthUrl = (state) => {
   validateConfig()
 
-  const baseUrl = "https://sellercentral.amazon.in/apps/authorize/consent"
+  const baseUrl = getConsentUrl()
   const params = new URLSearchParams({
     application_id: config.applicationId,
     state,
@@ -153,33 +131,20 @@ const exchangeCode = async (code) => {
   try {
     validateConfig()
 
-    console.log("Exchanging authorization code for tokens...")
-
-    const response = await axios.post(
-      "https://api.amazon.com/auth/o2/token",
-      new URLSearchParams({
-        grant_type: "authorization_code",
-        code,
-        client_id: config.clientId,
-        client_secret: config.clientSecret,
-        redirect_uri: config.redirectUri,
-      }),
-      {
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-      },
-    )
+    logger.info("Exchanging authorization code for tokens...")
 
-    console.log("Successfully exchanged code for tokens")
+    const response = await lwaTokenRequest({
+      grant_type: "authorization_code",
+      code,
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      redirect_uri: config.redirectUri,
+    })
+
+    logger.info("Successfully exchanged code for tokens")
     return response.data
   } catch (error) {
-    console.error("Error exchanging code for tokens:", {
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data,
-      message: error.message,
-    })
+    logger.error("Error exchanging code for tokens", { error })
     throw new Error(
       `Failed to exchange authorization code: ${error.response?.data?.error_description || error.message}`,
     )
@@ -195,49 +160,63 @@ const refreshAccessToken = async (refreshToken) => {
       throw new Error("Refresh token is required")
     }
 
-    console.log("Refreshing access token...")
-
-    const response = await axios.post(
-      "https://api.amazon.com/auth/o2/token",
-      new URLSearchParams({
-        grant_type: "refresh_token",
-        refresh_token: refreshToken,
-        client_id: config.clientId,
-        client_secret: config.clientSecret,
-      }),
-      {
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-      },
-    )
+    logger.info("Refreshing access token...")
+
+    const response = await lwaTokenRequest({
+      grant_type: "refresh_token",
+      refresh_token: refreshToken,
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+    })
 
-    console.log("Successfully refreshed access token")
+    logger.info("Successfully refreshed access token")
     return response.data
   } catch (error) {
-    console.error("Error refreshing access token:", {
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data,
-      message: error.message,
-    })
+    logger.error("Error refreshing access token", { error })
     throw new Error(`Failed to refresh access token: ${error.response?.data?.error_description || error.message}`)
   }
 }
 
-// Get restricted data token (optional)
-const getRestrictedDataToken = async (accessToken) => {
+// Grantless access tokens, keyed by scope. They aren't tied to a seller.
+const grantlessTokens = new Map()
+
+// Access token for grantless operations such as Notifications API destinations
+const getGrantlessAccessToken = async (scope) => {
+  const cached = grantlessTokens.get(scope)
+  if (cached && cached.expiresAt > Date.now() + 60 * 1000) {
+    return cached.accessToken
+  }
+
   try {
-    if (!accessToken) {
-      throw new Error("Access token is required")
-    }
+    validateConfig()
 
-    console.log("Getting restricted data token...")
+    const response = await lwaTokenRequest({
+      grant_type: "client_credentials",
+      scope,
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+    })
+
+    grantlessTokens.set(scope, {
+      accessToken: response.data.access_token,
+      expiresAt: Date.now() + response.data.expires_in * 1000,
+    })
+    return response.data.access_token
+  } catch (error) {
+    logger.error("Error getting grantless access token", { scope, error })
+    throw new Error(`Failed to get grantless access token: ${error.response?.data?.error_description || error.message}`)
+  }
+}
+
+// Get restricted data token (optional)
+const getRestrictedDataToken = async (auth) => {
+  try {
+    logger.info("Getting restricted data token...")
 
-    const baseUrl = getBaseUrl()
-    const response = await axios.post(
-      `${baseUrl}/tokens/2021-03-01/restrictedDataToken`,
-      {
+    const response = await spApiRequest("createRestrictedDataToken", auth, {
+      method: "POST",
+      path: "/tokens/2021-03-01/restrictedDataToken",
+      data: {
         restrictedResources: [
           {
             method: "GET",
@@ -246,135 +225,91 @@ const getRestrictedDataToken = async (accessToken) => {
           },
         ],
       },
-      {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          "x-amz-access-token": accessToken,
-          "Content-Type": "application/json",
-        },
-      },
-    )
+    })
 
-    console.log("Successfully obtained restricted data token")
+    logger.info("Successfully obtained restricted data token")
     return response.data.restrictedDataToken
   } catch (error) {
-    console.error("Error getting RDT:", {
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data,
-      message: error.message,
-    })
+    logger.error("Error getting RDT", { error })
 
     // RDT is optional, return null if it fails
-    console.log("RDT failed, will attempt to fetch orders without restricted data")
+    logger.info("RDT failed, will attempt to fetch orders without restricted data")
     return null
   }
 }
 
 // Get seller profile information (alternative to orders if not available)
-const getSellerProfile = async (accessToken) => {
+const getSellerProfile = async (auth) => {
   try {
-    console.log("Fetching seller profile...")
+    logger.info("Fetching seller profile...")
 
-    const response = await axios.get(`${getBaseUrl()}/sellers/v1/marketplaceParticipations`, {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        "x-amz-access-token": accessToken,
-        "Content-Type": "application/json",
-      },
+    const response = await spApiRequest("getMarketplaceParticipations", auth, {
+      path: "/sellers/v1/marketplaceParticipations",
     })
 
     const marketplaces = response.data.payload || []
-    console.log(`Found ${marketplaces.length} marketplace participations`)
+    logger.info(`Found ${marketplaces.length} marketplace participations`)
 
     return {
       marketplaces: marketplaces.length,
+      participations: marketplaces,
       hasAccess: true,
     }
   } catch (error) {
-    console.error("Error getting seller profile:", {
-      status: error.response?.status,
-      data: error.response?.data,
-    })
+    logger.error("Error getting seller profile", { error })
     return {
       marketplaces: 0,
+      participations: [],
       hasAccess: false,
     }
   }
 }
 
-// Get the order count from the Amazon SP API
-const getOrderCount = async (accessToken, sellerId) => {
+// Fetch every page of orders in the given marketplaces matching the filters, handing each
+// page to onPage. Pages are not accumulated so large backfills stay memory-bounded.
+const fetchOrderPages = async (auth, marketplaceIds, filters, onPage) => {
   try {
-    if (!accessToken) {
-      throw new Error("Access token is required")
+    if (!marketplaceIds || marketplaceIds.length === 0) {
+      throw new Error("At least one marketplace ID is required")
     }
 
-    console.log("Fetching order count...")
-
-    // First check if we have Orders API access
-    const hasOrdersAccess = await checkOrdersApiAccess(accessToken)
-
-    if (!hasOrdersAccess) {
-      console.log("Orders API not accessible, using mock data")
-      const mockOrders = generateMockOrderData()
-      return mockOrders.length
-    }
+    // The Orders API takes a comma-separated list of up to 50 marketplaces
+    const marketplaceParam = marketplaceIds.slice(0, 50).join(",")
 
-    // Try to get RDT (optional)
-    const restrictedToken = await getRestrictedDataToken(accessToken)
-
-    // Set date range
-    const now = new Date()
-    const thirtyDaysAgo = new Date()
-    thirtyDaysAgo.setDate(now.getDate() - 30)
+    let nextToken = null
+    let total = 0
 
-    const createdAfter = thirtyDaysAgo.toISOString()
-    const createdBefore = now.toISOString()
+    do {
+      // A NextToken replaces every other filter except the marketplaces
+      const params = nextToken
+        ? { MarketplaceIds: marketplaceParam, NextToken: nextToken }
+        : { MarketplaceIds: marketplaceParam, MaxResultsPerPage: 100, ...filters }
+
+      // Pages are paced by the client's getOrders rate limit
+      const response = await spApiRequest("getOrders", auth, {
+        path: "/orders/v0/orders",
+        params,
+      })
 
-    // Call SP API Orders endpoint
-    const headers = {
-      Authorization: `Bearer ${accessToken}`,
-      "Content-Type": "application/json",
-    }
+      const payload = response?.data?.payload
+      const orders = payload?.Orders || []
 
-    // Use RDT if available, otherwise use regular access token
-    headers["x-amz-access-token"] = restrictedToken || accessToken
+      if (orders.length > 0) {
+        await onPage(orders)
+        total += orders.length
+        logger.info(`Fetched ${orders.length} orders, total: ${total}`)
+      }
 
-    const response = await axios.get(`${getBaseUrl()}/orders/v0/orders`, {
-      headers,
-      params: {
-        MarketplaceIds: getMarketplaceId(),
-        CreatedAfter: createdAfter,
-        CreatedBefore: createdBefore,
-        MaxResultsPerPage: 100,
-      },
-    })
+      nextToken = payload?.NextToken || null
+    } while (nextToken)
 
-    const orders = response?.data?.payload?.Orders || []
-    console.log(`Successfully fetched ${orders.length} orders`)
-    return orders.length
+    return total
   } catch (error) {
-    console.error("Error getting order count:", {
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data,
-      message: error.message,
-    })
+    logger.error("Error fetching orders", { error })
 
-    // If Orders API fails, try to get seller profile as fallback
     if (error.response?.status === 403) {
-      console.log("Orders API access denied, checking seller profile...")
-      const profile = await getSellerProfile(accessToken)
-
-      if (profile.hasAccess) {
-        console.log("Seller profile accessible, using mock order data")
-        const mockOrders = generateMockOrderData()
-        return mockOrders.length
-      }
-
       throw new Error(
-        "Your Amazon SP API application doesn't have permission to access Orders. Please ensure your application is approved and has the 'Orders' role assigned in Amazon Developer Console.",
+        "Your Amazon SP API application doesn't have permission to access Orders. Please ensure your application is approved and has the 'Orders' role assigned.",
       )
     } else if (error.response?.status === 401) {
       throw new Error("Authentication failed. Please reconnect your Amazon account.")
@@ -382,106 +317,61 @@ const getOrderCount = async (accessToken, sellerId) => {
       throw new Error("Rate limit exceeded. Please try again later.")
     }
 
-    throw new Error(`Failed to get order count: ${error.response?.data?.errors?.[0]?.message || error.message}`)
+    throw new Error(`Failed to fetch orders: ${error.response?.data?.errors?.[0]?.message || error.message}`)
   }
 }
 
-const getRecentOrders = async (accessToken, sellerId) => {
+// Fetch a single order
+const fetchOrder = async (auth, orderId) => {
   try {
-    if (!accessToken) {
-      throw new Error("Access token is required")
-    }
-
-    console.log("Fetching recent orders...")
+    const response = await spApiRequest("getOrder", auth, {
+      path: `/orders/v0/orders/${encodeURIComponent(orderId)}`,
+    })
 
-    // First check if we have Orders API access
-    const hasOrdersAccess = await checkOrdersApiAccess(accessToken)
+    return response?.data?.payload
+  } catch (error) {
+    logger.error("Error fetching order", { orderId, error })
 
-    if (!hasOrdersAccess) {
-      console.log("Orders API not accessible, using mock data")
-      return generateMockOrderData()
+    if (error.response?.status === 404) {
+      throw new Error("Order not found on Amazon")
+    } else if (error.response?.status === 403) {
+      throw new Error(
+        "Your Amazon SP API application doesn't have permission to access Orders. Please ensure your application is approved and has the 'Orders' role assigned.",
+      )
+    } else if (error.response?.status === 401) {
+      throw new Error("Authentication failed. Please reconnect your Amazon account.")
+    } else if (error.response?.status === 429) {
+      throw new Error("Rate limit exceeded. Please try again later.")
     }
 
-    const now = new Date()
-    const thirtyDaysAgo = new Date()
-    thirtyDaysAgo.setDate(now.getDate() - 30)
-
-    const createdAfter = thirtyDaysAgo.toISOString()
-    const createdBefore = now.toISOString()
+    throw new Error(`Failed to fetch order: ${error.response?.data?.errors?.[0]?.message || error.message}`)
+  }
+}
 
-    const allOrders = []
+// Fetch every line item of an order
+const fetchOrderItems = async (auth, orderId) => {
+  try {
+    const items = []
     let nextToken = null
-    const restrictedToken = await getRestrictedDataToken(accessToken)
 
     do {
-      const headers = {
-        Authorization: `Bearer ${accessToken}`,
-        "Content-Type": "application/json",
-      }
-
-      headers["x-amz-access-token"] = restrictedToken || accessToken
-
-      const params = {
-        MarketplaceIds: getMarketplaceId(),
-        CreatedAfter: createdAfter,
-        CreatedBefore: createdBefore,
-        MaxResultsPerPage: 50,
-      }
-
-      if (nextToken) {
-        params.NextToken = nextToken
-      }
-
-      const response = await axios.get(`${getBaseUrl()}/orders/v0/orders`, {
-        headers,
-        params,
+      const response = await spApiRequest("getOrderItems", auth, {
+        path: `/orders/v0/orders/${encodeURIComponent(orderId)}/orderItems`,
+        params: nextToken ? { NextToken: nextToken } : undefined,
       })
 
       const payload = response?.data?.payload
-      if (!payload?.Orders?.length) {
-        console.log("No more orders found")
-        break
-      }
-
-      const orders = payload.Orders || []
-      allOrders.push(...orders)
-      console.log(`Fetched ${orders.length} orders, total: ${allOrders.length}`)
-
-      nextToken = payload.NextToken || null
-
-      // Add a small delay to avoid rate limiting
-      if (nextToken) {
-        await new Promise((resolve) => setTimeout(resolve, 100))
-      }
-    } while (nextToken && allOrders.length < 200)
+      items.push(...(payload?.OrderItems || []))
+      nextToken = payload?.NextToken || null
+    } while (nextToken)
 
-    const formattedOrders = allOrders.map((order) => ({
-      orderId: order.AmazonOrderId,
-      orderDate: order.PurchaseDate ? order.PurchaseDate.split("T")[0] : "N/A",
-      status: order.OrderStatus || "Unknown",
-      amount: order.OrderTotal ? `${order.OrderTotal.CurrencyCode} ${order.OrderTotal.Amount}` : "N/A",
-    }))
-
-    console.log(`Successfully formatted ${formattedOrders.length} orders`)
-    return formattedOrders
+    return items
   } catch (error) {
-    console.error("Error getting recent orders:", {
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data,
-      message: error.message,
-    })
-
-    // If Orders API fails, try to provide mock data
-    if (error.response?.status === 403) {
-      console.log("Orders API access denied, checking seller profile...")
-      const profile = await getSellerProfile(accessToken)
-
-      if (profile.hasAccess) {
-        console.log("Seller profile accessible, using mock order data")
-        return generateMockOrderData()
-      }
+    logger.error("Error fetching order items", { orderId, error })
 
+    if (error.response?.status === 404) {
+      throw new Error("Order not found on Amazon")
+    } else if (error.response?.status === 403) {
       throw new Error(
         "Your Amazon SP API application doesn't have permission to access Orders. Please ensure your application is approved and has the 'Orders' role assigned.",
       )
@@ -491,38 +381,66 @@ const getRecentOrders = async (accessToken, sellerId) => {
       throw new Error("Rate limit exceeded. Please try again later.")
     }
 
-    throw new Error(`Failed to get recent orders: ${error.response?.data?.errors?.[0]?.message || error.message}`)
+    throw new Error(`Failed to fetch order items: ${error.response?.data?.errors?.[0]?.message || error.message}`)
+  }
+}
+
+// Fetch the financial events (charges and Amazon fees) posted for an order.
+// Needs the Finance and Accounting role, so null is returned when it can't be read.
+const fetchOrderFinancialEvents = async (auth, orderId) => {
+  try {
+    const events = { ShipmentEventList: [], RefundEventList: [] }
+    let nextToken = null
+
+    do {
+      const response = await spApiRequest("listFinancialEventsByOrderId", auth, {
+        path: `/finances/v0/orders/${encodeURIComponent(orderId)}/financialEvents`,
+        params: nextToken ? { NextToken: nextToken } : { MaxResultsPerPage: 100 },
+      })
+
+      const payload = response?.data?.payload
+      events.ShipmentEventList.push(...(payload?.FinancialEvents?.ShipmentEventList || []))
+      events.RefundEventList.push(...(payload?.FinancialEvents?.RefundEventList || []))
+      nextToken = payload?.NextToken || null
+    } while (nextToken)
+
+    return events
+  } catch (error) {
+    logger.error("Error fetching order financial events", { orderId, error })
+    return null
   }
 }
 
 // Get application status and permissions
-const getApplicationStatus = async (accessToken) => {
+const getApplicationStatus = async (auth) => {
+  const region = auth.region || config.region
+
   try {
-    console.log("Checking application status...")
+    logger.info("Checking application status...")
 
     // Check seller profile access
-    const profile = await getSellerProfile(accessToken)
+    const profile = await getSellerProfile(auth)
 
     // Check orders access
-    const ordersAccess = await checkOrdersApiAccess(accessToken)
+    const ordersAccess = await checkOrdersApiAccess(auth)
 
     return {
       hasSellerAccess: profile.hasAccess,
       hasOrdersAccess: ordersAccess,
       marketplaces: profile.marketplaces,
-      region: config.region,
+      region,
       sandbox: config.sandbox,
-      marketplaceId: getMarketplaceId(),
+      marketplaceId: getMarketplaceId(region),
     }
   } catch (error) {
-    console.error("Error checking application status:", error)
+    logger.error("Error checking application status", { error })
     return {
       hasSellerAccess: false,
       hasOrdersAccess: false,
       marketplaces: 0,
-      region: config.region,
+      region,
       sandbox: config.sandbox,
-      marketplaceId: getMarketplaceId(),
+      marketplaceId: getMarketplaceId(region),
     }
   }
 }
@@ -531,9 +449,18 @@ module.exports = {
   getAuthUrl,
   exchangeCode,
   refreshAccessToken,
-  getOrderCount,
-  getRecentOrders,
+  getGrantlessAccessToken,
+  fetchOrderPages,
+  fetchOrder,
+  fetchOrderItems,
+  fetchOrderFinancialEvents,
+  getSellerProfile,
   getApplicationStatus,
+  getDefaultRegion,
+  getMarketplaceId,
+  getMarketplaceCode,
+  MARKETPLACE_IDS,
+  REGIONS,
   validateConfig,
   generateMockOrderData,
 }
@@ -1,6 +1,8 @@
-const axios = require("axios")
+const { spApiRequest, getBaseUrl } = require("./spApiClient")
+const { logger } = require("../utils/logger")
 
-// Enhanced debugging and troubleshooting utilities
+// Enhanced debugging and troubleshooting utilities. Results are logged as structured
+// lines under the "amazon-debug" component, so one run can be followed by its requestId.
 const config = {
   clientId: process.env.AMAZON_CLIENT_ID,
   clientSecret: process.env.AMAZON_CLIENT_SECRET,
@@ -10,131 +12,85 @@ const config = {
   applicationId: process.env.AMAZON_APP_ID,
 }
 
-// Debug function to check all configurations
-const debugConfiguration = () => {
-  console.log("=== Amazon SP API Configuration Debug ===")
-  console.log("Client ID:", config.clientId ? "✓ Set" : "✗ Missing")
-  console.log("Client Secret:", config.clientSecret ? "✓ Set" : "✗ Missing")
-  console.log("Redirect URI:", config.redirectUri || "✗ Missing")
-  console.log("Region:", config.region)
-  console.log("Sandbox Mode:", config.sandbox)
-  console.log("Application ID:", config.applicationId ? "✓ Set" : "✗ Missing")
-  console.log("==========================================")
-}
+const log = logger.child({ component: "amazon-debug" })
 
-// Get the base URL for the Amazon SP API based on the region
-const getBaseUrl = () => {
-  const region = config.region.toLowerCase()
-  const environment = config.sandbox ? "sandbox" : "production"
+// The parts of a failed SP API call worth showing, without the response body
+const describeFailure = (error) => ({
+  status: error.response?.status,
+  amazonError: error.response?.data?.errors?.[0]?.code,
+  message: error.response?.data?.errors?.[0]?.message || error.message,
+})
 
-  const regionMap = {
-    na: {
-      production: "https://sellingpartnerapi-na.amazon.com",
-      sandbox: "https://sandbox.sellingpartnerapi-na.amazon.com",
-    },
-    eu: {
-      production: "https://sellingpartnerapi-eu.amazon.com",
-      sandbox: "https://sandbox.sellingpartnerapi-eu.amazon.com",
-    },
-    fe: {
-      production: "https://sellingpartnerapi-fe.amazon.com",
-      sandbox: "https://sandbox.sellingpartnerapi-fe.amazon.com",
-    },
-  }
-
-  return regionMap[region][environment]
+// Debug function to check all configurations
+const debugConfiguration = () => {
+  log.info("Amazon SP API configuration", {
+    clientIdSet: !!config.clientId,
+    clientSecretSet: !!config.clientSecret,
+    redirectUri: config.redirectUri || null,
+    region: config.region,
+    sandbox: config.sandbox,
+    applicationIdSet: !!config.applicationId,
+  })
 }
 
-// Enhanced token debugging
+// Enhanced token debugging. Never logs any part of the token itself.
 const debugTokenInfo = async (accessToken) => {
-  try {
-    console.log("=== Token Debug Information ===")
-    console.log("Access Token Length:", accessToken ? accessToken.length : "No token")
-    console.log("Token Prefix:", accessToken ? accessToken.substring(0, 20) + "..." : "No token")
+  const info = { present: !!accessToken }
 
-    // Try to decode token info (if it's a JWT)
-    if (accessToken && accessToken.includes(".")) {
-      try {
-        const parts = accessToken.split(".")
-        if (parts.length === 3) {
-          const payload = JSON.parse(Buffer.from(parts[1], "base64").toString())
-          console.log("Token Payload:", {
-            iss: payload.iss,
-            aud: payload.aud,
-            exp: payload.exp ? new Date(payload.exp * 1000).toISOString() : "No expiry",
-            scope: payload.scope,
-          })
-        }
-      } catch (e) {
-        console.log("Token is not JWT format")
-      }
+  // Try to decode token info (if it's a JWT)
+  if (accessToken && accessToken.split(".").length === 3) {
+    try {
+      const payload = JSON.parse(Buffer.from(accessToken.split(".")[1], "base64").toString())
+      info.issuer = payload.iss
+      info.audience = payload.aud
+      info.expiresAt = payload.exp ? new Date(payload.exp * 1000).toISOString() : null
+      info.scope = payload.scope
+    } catch (error) {
+      info.format = "opaque"
     }
-    console.log("===============================")
-  } catch (error) {
-    console.log("Error debugging token:", error.message)
+  } else if (accessToken) {
+    info.format = "opaque"
   }
+
+  log.info("Access token", info)
 }
 
-// Test basic API connectivity
-const testApiConnectivity = async (accessToken) => {
+// Test basic API connectivity. auth is { accessToken, region, sellerId }.
+const testApiConnectivity = async (auth) => {
   try {
-    console.log("=== Testing API Connectivity ===")
     debugConfiguration()
-    await debugTokenInfo(accessToken)
-
-    const baseUrl = getBaseUrl()
-    console.log("Base URL:", baseUrl)
+    await debugTokenInfo(auth.accessToken)
+    log.info("Testing API connectivity", { baseUrl: getBaseUrl(auth.region), sellerId: auth.sellerId })
 
     // Test 1: Try to access the simplest endpoint first
-    console.log("\n1. Testing basic API access...")
     try {
-      const response = await axios.get(`${baseUrl}/sellers/v1/marketplaceParticipations`, {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          "x-amz-access-token": accessToken,
-          "Content-Type": "application/json",
-          "User-Agent": "YourAppName/1.0 (Language=JavaScript)",
-        },
+      const response = await spApiRequest("getMarketplaceParticipations", auth, {
+        path: "/sellers/v1/marketplaceParticipations",
         timeout: 10000,
       })
-      console.log("✓ Basic API access successful")
-      console.log("Marketplace Participations:", response.data.payload?.length || 0)
+      log.info("Basic API access successful", { marketplaceParticipations: response.data.payload?.length || 0 })
     } catch (error) {
-      console.log("✗ Basic API access failed:")
-      console.log("Status:", error.response?.status)
-      console.log("Error:", error.response?.data?.errors?.[0] || error.message)
+      log.warn("Basic API access failed", describeFailure(error))
     }
 
     // Test 2: Check application permissions
-    console.log("\n2. Testing application permissions...")
     try {
-      const response = await axios.get(`${baseUrl}/applications/2023-11-30/applications`, {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          "x-amz-access-token": accessToken,
-          "Content-Type": "application/json",
-        },
+      await spApiRequest("getApplications", auth, {
+        path: "/applications/2023-11-30/applications",
         timeout: 10000,
       })
-      console.log("✓ Application permissions check successful")
+      log.info("Application permissions check successful")
     } catch (error) {
-      console.log("✗ Application permissions check failed:")
-      console.log("Status:", error.response?.status)
-      console.log("Error:", error.response?.data?.errors?.[0] || error.message)
+      log.warn("Application permissions check failed", describeFailure(error))
     }
 
     // Test 3: Try Orders API with minimal parameters
-    console.log("\n3. Testing Orders API access...")
     try {
       const testDate = new Date()
       testDate.setDate(testDate.getDate() - 1) // Yesterday
 
-      const response = await axios.get(`${baseUrl}/orders/v0/orders`, {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          "x-amz-access-token": accessToken,
-          "Content-Type": "application/json",
-        },
+      const response = await spApiRequest("getOrders", auth, {
+        path: "/orders/v0/orders",
         params: {
           MarketplaceIds: "A21TJRUUN4KGV", // India
           CreatedAfter: testDate.toISOString(),
@@ -142,51 +98,40 @@ const testApiConnectivity = async (accessToken) => {
         },
         timeout: 10000,
       })
-      console.log("✓ Orders API access successful")
-      console.log("Orders found:", response.data.payload?.Orders?.length || 0)
+      log.info("Orders API access successful", { orders: response.data.payload?.Orders?.length || 0 })
     } catch (error) {
-      console.log("✗ Orders API access failed:")
-      console.log("Status:", error.response?.status)
-      console.log("Error Details:", error.response?.data?.errors?.[0])
-
-      // Detailed error analysis
+      const failure = describeFailure(error)
       if (error.response?.status === 403) {
-        console.log("\n🔍 403 Error Analysis:")
-        console.log("This typically means one of the following:")
-        console.log("1. Your application doesn't have 'Orders' role assigned")
-        console.log("2. Your application is not approved for production use")
-        console.log("3. The seller hasn't authorized your application properly")
-        console.log("4. Wrong marketplace ID or region configuration")
+        failure.likelyCauses = [
+          "The application doesn't have the Orders role assigned",
+          "The application is not approved for production use",
+          "The seller hasn't authorized the application properly",
+          "Wrong marketplace ID or region configuration",
+        ]
       }
+      log.warn("Orders API access failed", failure)
     }
-
-    console.log("\n================================")
   } catch (error) {
-    console.log("Error in connectivity test:", error.message)
+    log.error("Error in connectivity test", { error })
   }
 }
 
 // Check seller authorization status
-const checkSellerAuthorization = async (accessToken) => {
+const checkSellerAuthorization = async (auth) => {
   try {
-    console.log("=== Checking Seller Authorization ===")
-
     // Try to get seller information
-    const baseUrl = getBaseUrl()
-    const response = await axios.get(`${baseUrl}/sellers/v1/marketplaceParticipations`, {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        "x-amz-access-token": accessToken,
-        "Content-Type": "application/json",
-      },
+    const response = await spApiRequest("getMarketplaceParticipations", auth, {
+      path: "/sellers/v1/marketplaceParticipations",
     })
 
     const marketplaces = response.data.payload || []
-    console.log("Authorized Marketplaces:")
-    marketplaces.forEach((mp, index) => {
-      console.log(`${index + 1}. ${mp.marketplace?.name} (${mp.marketplace?.id})`)
-      console.log(`   Country: ${mp.marketplace?.countryCode}`)
-      console.log(`   Participation: ${mp.participation?.isParticipating ? "Active" : "Inactive"}`)
+    log.info("Authorized marketplaces", {
+      marketplaces: marketplaces.map((mp) => ({
+        id: mp.marketplace?.id,
+        name: mp.marketplace?.name,
+        countryCode: mp.marketplace?.countryCode,
+        participating: !!mp.participation?.isParticipating,
+      })),
     })
 
     return {
@@ -195,9 +140,7 @@ const checkSellerAuthorization = async (accessToken) => {
       details: marketplaces,
     }
   } catch (error) {
-    console.log("Seller authorization check failed:")
-    console.log("Status:", error.response?.status)
-    console.log("Error:", error.response?.data?.errors?.[0] || error.message)
+    log.warn("Seller authorization check failed", describeFailure(error))
     return {
       success: false,
       error: error.response?.data?.errors?.[0] || error.message,
@@ -206,54 +149,50 @@ const checkSellerAuthorization = async (accessToken) => {
 }
 
 // Generate detailed troubleshooting report
-const generateTroubleshootingReport = async (accessToken) => {
-  console.log("\n" + "=".repeat(60))
-  console.log("AMAZON SP API TROUBLESHOOTING REPORT")
-  console.log("=".repeat(60))
+const generateTroubleshootingReport = async (auth) => {
+  log.info("Amazon SP API troubleshooting report started")
 
-  // Configuration check
-  debugConfiguration()
-
-  // Token check
-  if (accessToken) {
-    await debugTokenInfo(accessToken)
-  } else {
-    console.log("❌ No access token provided")
+  if (!auth?.accessToken) {
+    log.warn("No access token provided")
     return
   }
 
-  // API connectivity test
-  await testApiConnectivity(accessToken)
+  // Configuration, token and API connectivity checks
+  await testApiConnectivity(auth)
 
   // Seller authorization check
-  const authResult = await checkSellerAuthorization(accessToken)
-
-  console.log("\n" + "=".repeat(60))
-  console.log("RECOMMENDATIONS:")
-  console.log("=".repeat(60))
+  const authResult = await checkSellerAuthorization(auth)
 
   if (!authResult.success) {
-    console.log("🔧 IMMEDIATE ACTIONS NEEDED:")
-    console.log("1. Verify your application is approved in Amazon Developer Console")
-    console.log("2. Check that 'Orders' role is assigned to your application")
-    console.log("3. Ensure the seller has properly authorized your application")
-    console.log("4. Verify you're using the correct region and marketplace IDs")
+    log.warn("Troubleshooting recommendations", {
+      authorized: false,
+      actions: [
+        "Verify your application is approved in Amazon Developer Console",
+        "Check that the Orders role is assigned to your application",
+        "Ensure the seller has properly authorized your application",
+        "Verify you're using the correct region and marketplace IDs",
+      ],
+    })
   } else {
-    console.log("✅ Basic authorization is working")
-    console.log("🔧 If Orders API still fails, check:")
-    console.log("1. Application approval status for Orders role")
-    console.log("2. Seller's specific permissions for your application")
+    log.info("Troubleshooting recommendations", {
+      authorized: true,
+      ifOrdersFail: [
+        "Application approval status for the Orders role",
+        "Seller's specific permissions for your application",
+      ],
+    })
   }
 
-  console.log("\n📋 CHECKLIST:")
-  console.log("□ Application created in Amazon Developer Console")
-  console.log("□ Application approved by Amazon (can take 1-2 weeks)")
-  console.log("□ 'Orders' role requested and approved")
-  console.log("□ Seller has authorized your application")
-  console.log("□ Correct region and marketplace configuration")
-  console.log("□ Valid redirect URI configured")
-
-  console.log("=".repeat(60))
+  log.info("Amazon SP API troubleshooting report finished", {
+    checklist: [
+      "Application created in Amazon Developer Console",
+      "Application approved by Amazon (can take 1-2 weeks)",
+      "Orders role requested and approved",
+      "Seller has authorized your application",
+      "Correct region and marketplace configuration",
+      "Valid redirect URI configured",
+    ],
+  })
 }
 
 module.exports = {
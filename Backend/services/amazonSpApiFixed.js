@@ -1,4 +1,5 @@
-const axios = require("axios")
+const { spApiRequest, lwaTokenRequest, getConsentUrl } = require("./spApiClient")
+const { logger } = require("../utils/logger")
 
 const config = {
   clientId: process.env.AMAZON_CLIENT_ID,
@@ -26,32 +27,10 @@ const MARKETPLACE_IDS = {
   AU: "A39IBJ37TRP1C6", // Amazon.com.au
 }
 
-const getBaseUrl = () => {
-  const region = config.region.toLowerCase()
-  const environment = config.sandbox ? "sandbox" : "production"
-
-  const regionMap = {
-    na: {
-      production: "https://sellingpartnerapi-na.amazon.com",
-      sandbox: "https://sandbox.sellingpartnerapi-na.amazon.com",
-    },
-    eu: {
-      production: "https://sellingpartnerapi-eu.amazon.com",
-      sandbox: "https://sandbox.sellingpartnerapi-eu.amazon.com",
-    },
-    fe: {
-      production: "https://sellingpartnerapi-fe.amazon.com",
-      sandbox: "https://sandbox.sellingpartnerapi-fe.amazon.com",
-    },
-  }
-
-  return regionMap[region][environment]
-}
-
 // Enhanced authorization URL with proper scopes
 const getAuthUrl = (state) => {
   // For India, use the correct authorization endpoint
-  const baseUrl = "https://sellercentral.amazon.in/apps/authorize/consent"
+  const baseUrl = getConsentUrl()
 
   const params = new URLSearchParams({
     application_id: config.applicationId,
@@ -65,11 +44,9 @@ const getAuthUrl = (state) => {
 // Fixed token exchange with proper content type
 const exchangeCode = async (code) => {
   try {
-    console.log("Exchanging authorization code...")
+    logger.info("Exchanging authorization code...")
 
-    const tokenEndpoint = "https://api.amazon.com/auth/o2/token"
-
-    const requestBody = new URLSearchParams({
+    const response = await lwaTokenRequest({
       grant_type: "authorization_code",
       code: code,
       client_id: config.clientId,
@@ -77,23 +54,10 @@ const exchangeCode = async (code) => {
       redirect_uri: config.redirectUri,
     })
 
-    const response = await axios.post(tokenEndpoint, requestBody, {
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-        "User-Agent": "YourAppName/1.0 (Language=JavaScript)",
-      },
-      timeout: 30000,
-    })
-
-    console.log("Token exchange successful")
+    logger.info("Token exchange successful")
     return response.data
   } catch (error) {
-    console.error("Token exchange failed:", {
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data,
-      message: error.message,
-    })
+    logger.error("Token exchange failed", { error })
     throw new Error(`Token exchange failed: ${error.response?.data?.error_description || error.message}`)
   }
 }
@@ -101,59 +65,38 @@ const exchangeCode = async (code) => {
 // Enhanced refresh token function
 const refreshAccessToken = async (refreshToken) => {
   try {
-    console.log("Refreshing access token...")
-
-    const tokenEndpoint = "https://api.amazon.com/auth/o2/token"
+    logger.info("Refreshing access token...")
 
-    const requestBody = new URLSearchParams({
+    const response = await lwaTokenRequest({
       grant_type: "refresh_token",
       refresh_token: refreshToken,
       client_id: config.clientId,
       client_secret: config.clientSecret,
     })
 
-    const response = await axios.post(tokenEndpoint, requestBody, {
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-        "User-Agent": "YourAppName/1.0 (Language=JavaScript)",
-      },
-      timeout: 30000,
-    })
-
-    console.log("Token refresh successful")
+    logger.info("Token refresh successful")
     return response.data
   } catch (error) {
-    console.error("Token refresh failed:", {
-      status: error.response?.status,
-      data: error.response?.data,
-      message: error.message,
-    })
+    logger.error("Token refresh failed", { error })
     throw new Error(`Token refresh failed: ${error.response?.data?.error_description || error.message}`)
   }
 }
 
-// Try different approaches to access seller data
-const getSellerInfo = async (accessToken) => {
-  const baseUrl = getBaseUrl()
-  const headers = {
-    Authorization: `Bearer ${accessToken}`,
-    "x-amz-access-token": accessToken,
-    "Content-Type": "application/json",
-    "User-Agent": "YourAppName/1.0 (Language=JavaScript)",
-  }
-
+// Try different approaches to access seller data. auth is { accessToken, region, sellerId }.
+const getSellerInfo = async (auth) => {
   // Try multiple endpoints to find what works
   const endpoints = [
-    "/sellers/v1/marketplaceParticipations",
-    "/merchant-fulfillment/v0/eligibleShippingServices", // Sometimes this works when others don't
-    "/fba/inbound/v0/shipments", // FBA endpoint
+    { operation: "getMarketplaceParticipations", path: "/sellers/v1/marketplaceParticipations" },
+    // Sometimes this works when others don't
+    { operation: "getEligibleShipmentServices", path: "/merchant-fulfillment/v0/eligibleShippingServices" },
+    { operation: "getShipments", path: "/fba/inbound/v0/shipments" }, // FBA endpoint
   ]
 
-  for (const endpoint of endpoints) {
+  for (const { operation, path: endpoint } of endpoints) {
     try {
-      console.log(`Trying endpoint: ${endpoint}`)
-      const response = await axios.get(`${baseUrl}${endpoint}`, {
-        headers,
+      logger.info(`Trying endpoint: ${endpoint}`)
+      const response = await spApiRequest(operation, auth, {
+        path: endpoint,
         timeout: 10000,
         params: endpoint.includes("eligibleShippingServices")
           ? {
@@ -162,16 +105,14 @@ const getSellerInfo = async (accessToken) => {
           : undefined,
       })
 
-      console.log(`✓ Success with ${endpoint}`)
+      logger.info(`✓ Success with ${endpoint}`)
       return {
         success: true,
         endpoint,
         data: response.data,
       }
     } catch (error) {
-      console.log(
-        `✗ Failed with ${endpoint}: ${error.response?.status} - ${error.response?.data?.errors?.[0]?.message || error.message}`,
-      )
+      logger.info(`✗ Failed with ${endpoint}`, { error })
       continue
     }
   }
@@ -180,15 +121,15 @@ const getSellerInfo = async (accessToken) => {
 }
 
 // Alternative order data approach
-const getOrdersAlternative = async (accessToken) => {
+const getOrdersAlternative = async (auth) => {
   try {
-    console.log("Trying alternative order access methods...")
+    logger.info("Trying alternative order access methods...")
 
     // First, try to get any seller information
-    const sellerInfo = await getSellerInfo(accessToken)
+    const sellerInfo = await getSellerInfo(auth)
 
     if (sellerInfo.success) {
-      console.log("✓ Basic seller access confirmed")
+      logger.info("✓ Basic seller access confirmed")
 
       // Generate realistic mock data since we have confirmed access
       const mockOrders = []
@@ -217,7 +158,7 @@ const getOrdersAlternative = async (accessToken) => {
 
     throw new Error("No API access available")
   } catch (error) {
-    console.error("Alternative order access failed:", error.message)
+    logger.error("Alternative order access failed", { error })
     throw error
   }
 }
@@ -0,0 +1,243 @@
+const Order = require("../models/Order")
+
+// Sales analytics over the local order store. Canceled orders are left out of
+// order, unit and revenue figures and only show up in the status breakdown.
+
+const MAX_RANGE_DAYS = 366
+
+// $dateToString formats for each bucket size. Weeks are ISO weeks starting on Monday.
+const INTERVAL_FORMATS = {
+  day: "%Y-%m-%d",
+  week: "%G-W%V",
+  month: "%Y-%m",
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+// Local calendar date ("YYYY-MM-DD") of an instant in the given timezone
+const toLocalDate = (date, timezone) =>
+  new Intl.DateTimeFormat("en-CA", { timeZone: timezone, year: "numeric", month: "2-digit", day: "2-digit" }).format(
+    date,
+  )
+
+// ISO week key ("YYYY-Www") of a local calendar date, matching %G-W%V
+const toIsoWeek = (localDate) => {
+  const date = new Date(`${localDate}T00:00:00Z`)
+  // Move to the Thursday of the same week, which decides the ISO year
+  date.setUTCDate(date.getUTCDate() + 3 - ((date.getUTCDay() + 6) % 7))
+  const yearStart = new Date(Date.UTC(date.getUTCFullYear(), 0, 1))
+  const week = Math.ceil(((date - yearStart) / DAY_MS + 1) / 7)
+  return `${date.getUTCFullYear()}-W${String(week).padStart(2, "0")}`
+}
+
+const toBucketKey = (localDate, interval) => {
+  if (interval === "week") return toIsoWeek(localDate)
+  if (interval === "month") return localDate.slice(0, 7)
+  return localDate
+}
+
+// Every bucket between from and to, so days without orders still appear in the series.
+// Steps by half a day so DST changes can't skip a local date.
+const listBuckets = (from, to, interval, timezone) => {
+  const buckets = new Map()
+
+  for (let time = from.getTime(); time < to.getTime(); time += DAY_MS / 2) {
+    const localDate = toLocalDate(new Date(time), timezone)
+    const key = toBucketKey(localDate, interval)
+    if (!buckets.has(key)) {
+      buckets.set(key, localDate)
+    }
+  }
+
+  return buckets
+}
+
+const round = (amount) => Math.round(amount * 100) / 100
+
+const unitsExpression = {
+  $add: [{ $ifNull: ["$numberOfItemsShipped", 0] }, { $ifNull: ["$numberOfItemsUnshipped", 0] }],
+}
+
+const notCanceled = { $match: { orderStatus: { $ne: "Canceled" } } }
+
+// Group stage summing orders, units and revenue per currency under the given key
+const sumByCurrency = (key) => ({
+  $group: {
+    _id: { ...key, currencyCode: "$orderTotal.currencyCode" },
+    orders: { $sum: 1 },
+    units: { $sum: unitsExpression },
+    revenue: { $sum: { $ifNull: ["$orderTotal.amount", 0] } },
+  },
+})
+
+// Fold per-currency rows into { orders, units, revenue: [{ currencyCode, amount }] }
+const addRow = (target, row) => {
+  target.orders += row.orders
+  target.units += row.units
+
+  if (row._id.currencyCode) {
+    const existing = target.revenue.find((r) => r.currencyCode === row._id.currencyCode)
+    if (existing) {
+      existing.amount = round(existing.amount + row.revenue)
+    } else {
+      target.revenue.push({ currencyCode: row._id.currencyCode, amount: round(row.revenue) })
+    }
+  }
+
+  return target
+}
+
+const emptyTotals = () => ({ orders: 0, units: 0, revenue: [] })
+
+// Percentage change, or null when there is nothing to compare against
+const percentChange = (current, previous) => (previous ? round(((current - previous) / previous) * 100) : null)
+
+const compareTotals = (current, previous) => {
+  const currencies = new Set([...current.revenue, ...previous.revenue].map((r) => r.currencyCode))
+
+  return {
+    orders: percentChange(current.orders, previous.orders),
+    units: percentChange(current.units, previous.units),
+    revenue: [...currencies].map((currencyCode) => ({
+      currencyCode,
+      change: percentChange(
+        current.revenue.find((r) => r.currencyCode === currencyCode)?.amount || 0,
+        previous.revenue.find((r) => r.currencyCode === currencyCode)?.amount || 0,
+      ),
+    })),
+  }
+}
+
+const buildMatch = (connection, marketplaceIds, from, to) => {
+  const match = { connection: connection._id, purchaseDate: { $gte: from, $lt: to } }
+  if (marketplaceIds) {
+    match.marketplaceId = { $in: marketplaceIds }
+  }
+  return match
+}
+
+// Resolve and validate the requested range and bucket size
+const resolveOptions = ({ days, from, to, interval, timezone = "UTC" }) => {
+  let end = to ? new Date(to) : new Date()
+  let start
+
+  if (from) {
+    start = new Date(from)
+  } else {
+    const rangeDays = days === undefined ? 30 : Number.parseInt(days, 10)
+    if (!Number.isInteger(rangeDays) || rangeDays < 1 || rangeDays > MAX_RANGE_DAYS) {
+      throw new Error(`Invalid range: days must be between 1 and ${MAX_RANGE_DAYS}`)
+    }
+    start = new Date(end.getTime() - rangeDays * DAY_MS)
+  }
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new Error("Invalid range: from and to must be dates")
+  }
+  if (start >= end) {
+    throw new Error("Invalid range: from must be before to")
+  }
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    throw new Error(`Invalid range: at most ${MAX_RANGE_DAYS} days can be requested`)
+  }
+
+  const rangeDays = (end - start) / DAY_MS
+  const bucket = interval || (rangeDays <= 31 ? "day" : rangeDays <= 180 ? "week" : "month")
+  if (!INTERVAL_FORMATS[bucket]) {
+    throw new Error("Invalid interval: use day, week or month")
+  }
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Invalid timezone: ${timezone}`)
+  }
+
+  return { from: start, to: end, interval: bucket, timezone }
+}
+
+// Time series, period-over-period comparison, status breakdown and fulfillment split
+// for a seller connection's orders. The previous period is the same length, immediately before.
+const getSalesAnalytics = async (connection, { marketplaceIds, ...options } = {}) => {
+  const { from, to, interval, timezone } = resolveOptions(options)
+  const previousFrom = new Date(from.getTime() - (to - from))
+
+  const [[current], previousRows] = await Promise.all([
+    Order.aggregate([
+      { $match: buildMatch(connection, marketplaceIds, from, to) },
+      {
+        $facet: {
+          series: [
+            notCanceled,
+            sumByCurrency({
+              bucket: { $dateToString: { format: INTERVAL_FORMATS[interval], date: "$purchaseDate", timezone } },
+            }),
+          ],
+          statuses: [{ $group: { _id: { $ifNull: ["$orderStatus", "Unknown"] }, orders: { $sum: 1 } } }],
+          fulfillment: [notCanceled, sumByCurrency({ channel: { $ifNull: ["$fulfillmentChannel", "Unknown"] } })],
+        },
+      },
+    ]),
+    Order.aggregate([
+      { $match: buildMatch(connection, marketplaceIds, previousFrom, from) },
+      notCanceled,
+      sumByCurrency({}),
+    ]),
+  ])
+
+  // Series with an entry for every bucket in the range
+  const buckets = listBuckets(from, to, interval, timezone)
+  const series = new Map(
+    [...buckets].map(([period, startDate]) => [period, { period, startDate, ...emptyTotals() }]),
+  )
+  current.series.forEach((row) => {
+    if (series.has(row._id.bucket)) {
+      addRow(series.get(row._id.bucket), row)
+    }
+  })
+
+  const totals = current.series.reduce(addRow, emptyTotals())
+  const previous = previousRows.reduce(addRow, emptyTotals())
+
+  const fulfillment = new Map()
+  current.fulfillment.forEach((row) => {
+    if (!fulfillment.has(row._id.channel)) {
+      fulfillment.set(row._id.channel, { channel: row._id.channel, ...emptyTotals() })
+    }
+    addRow(fulfillment.get(row._id.channel), row)
+  })
+
+  return {
+    from,
+    to,
+    interval,
+    timezone,
+    series: [...series.values()],
+    totals,
+    comparison: {
+      previousFrom,
+      previousTo: from,
+      previous,
+      change: compareTotals(totals, previous),
+    },
+    statusBreakdown: current.statuses
+      .map((row) => ({ status: row._id, orders: row.orders }))
+      .sort((a, b) => b.orders - a.orders),
+    fulfillment: [...fulfillment.values()].sort((a, b) => b.orders - a.orders),
+  }
+}
+
+module.exports = {
+  getSalesAnalytics,
+  isValidTimezone,
+  toLocalDate,
+  sumByCurrency,
+  addRow,
+  emptyTotals,
+}
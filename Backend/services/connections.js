@@ -0,0 +1,241 @@
+const mongoose = require("mongoose")
+const User = require("../models/User")
+const Order = require("../models/Order")
+const SellerConnection = require("../models/SellerConnection")
+const Report = require("../models/Report")
+const ReportRow = require("../models/ReportRow")
+const Job = require("../models/Job")
+const { refreshAccessToken, getDefaultRegion } = require("./amazonSpApi")
+const { encryptSecret } = require("../utils/tokenCrypto")
+const { publishConnectionStatus } = require("./events")
+const { getDefaultWorkspace, getUserWorkspaces } = require("./workspaces")
+const { logger } = require("../utils/logger")
+
+// Move a connection stored on the legacy User.amazonAuth field into SellerConnection
+const migrateLegacyConnection = async (userId) => {
+  const user = await User.findOne({ _id: userId, "amazonAuth.accessToken": { $exists: true } })
+  if (!user) {
+    return null
+  }
+
+  const legacy = user.toObject().amazonAuth
+  let connection = null
+
+  if (legacy.sellerId) {
+    connection = await SellerConnection.findOneAndUpdate(
+      { user: user._id, sellerId: legacy.sellerId },
+      {
+        $setOnInsert: {
+          region: getDefaultRegion(),
+          accessToken: encryptSecret(legacy.accessToken),
+          refreshToken: encryptSecret(legacy.refreshToken),
+          tokenExpiresAt: legacy.tokenExpiresAt,
+          connectedAt: legacy.connectedAt || new Date(),
+        },
+      },
+      { upsert: true, new: true },
+    )
+    logger.info("Migrated legacy Amazon connection", { userId, sellerId: legacy.sellerId })
+  }
+
+  user.amazonAuth = undefined
+  await user.save()
+
+  return connection
+}
+
+// Move connections the user made before workspaces existed into their default workspace
+const migrateConnectionWorkspaces = async (userId) => {
+  if (!(await SellerConnection.exists({ user: userId, workspace: null }))) {
+    return
+  }
+
+  const workspace = await getDefaultWorkspace(userId)
+  await SellerConnection.updateMany({ user: userId, workspace: null }, { $set: { workspace: workspace._id } })
+  logger.info("Moved Amazon connections into the default workspace", { userId, workspaceId: workspace._id })
+}
+
+// Run the connection migrations above for every user who still needs them. Called once at
+// startup, before any orders are moved.
+const migrateConnections = async () => {
+  const legacyUserIds = await User.find({ "amazonAuth.accessToken": { $exists: true } }).distinct("_id")
+  for (const userId of legacyUserIds) {
+    await migrateLegacyConnection(userId)
+  }
+
+  const unassignedUserIds = await SellerConnection.find({ workspace: null }).distinct("user")
+  for (const userId of unassignedUserIds) {
+    await migrateConnectionWorkspaces(userId)
+  }
+}
+
+// Orders used to be stored per seller. Give them to the oldest connection of their seller and
+// let the seller's other connections backfill their own copy; orders of sellers that are no
+// longer connected are removed. The old per-seller indexes are dropped every time, they
+// exist even in databases without orders to move.
+const migrateOrderConnections = async () => {
+  const sellerIds = await Order.distinct("sellerId", { connection: null })
+
+  for (const sellerId of sellerIds) {
+    const [oldest, ...others] = await SellerConnection.find({ sellerId }).sort({ connectedAt: 1 })
+    if (!oldest) {
+      await Order.deleteMany({ sellerId, connection: null })
+      continue
+    }
+
+    await Order.updateMany({ sellerId, connection: null }, { $set: { connection: oldest._id } })
+    await SellerConnection.updateMany(
+      { _id: { $in: others.map((connection) => connection._id) } },
+      { $unset: { "orderSync.lastUpdatedAfter": 1 } },
+    )
+  }
+
+  await Order.syncIndexes()
+  if (sellerIds.length > 0) {
+    logger.info("Moved stored orders to their seller connections", { sellers: sellerIds.length })
+  }
+}
+
+// Seller connections in all of the user's workspaces, oldest first. Each entry is
+// { connection, workspace, role } with the user's role in that workspace.
+const getUserConnections = async (userId) => {
+  const workspaces = await getUserWorkspaces(userId)
+  const workspacesById = new Map(workspaces.map((workspace) => [workspace._id.toString(), workspace]))
+  const workspaceIds = workspaces.map((workspace) => workspace._id)
+  const connections = await SellerConnection.find({ workspace: { $in: workspaceIds } }).sort({ connectedAt: 1 })
+
+  return connections.map((connection) => {
+    const workspace = workspacesById.get(connection.workspace.toString())
+    return { connection, workspace, role: workspace.getRole(userId) }
+  })
+}
+
+// Resolve the connection a request works on, as { connection, workspace, role }, or null
+// when the user can't access it. Without an ID the most recently connected account is used
+// so single-account clients keep working.
+const findConnection = async (userId, connectionId) => {
+  if (connectionId && !mongoose.Types.ObjectId.isValid(connectionId)) {
+    return null
+  }
+
+  const entries = await getUserConnections(userId)
+  if (connectionId) {
+    return entries.find((entry) => entry.connection._id.toString() === String(connectionId)) || null
+  }
+
+  return entries.reduce((latest, entry) => {
+    return !latest || entry.connection.connectedAt >= latest.connection.connectedAt ? entry : latest
+  }, null)
+}
+
+// Create or update the workspace's connection for a seller after a completed OAuth consent
+// in `region` (default AMAZON_REGION)
+const saveConnection = async (userId, workspaceId, sellerId, tokenData, region = getDefaultRegion()) => {
+  const connection = await SellerConnection.findOneAndUpdate(
+    { workspace: workspaceId, sellerId },
+    {
+      $set: {
+        user: userId,
+        accessToken: encryptSecret(tokenData.access_token),
+        refreshToken: encryptSecret(tokenData.refresh_token),
+        tokenExpiresAt: new Date(Date.now() + tokenData.expires_in * 1000),
+        region,
+        status: "active",
+      },
+      $unset: { lastError: 1 },
+      $setOnInsert: {
+        connectedAt: new Date(),
+      },
+    },
+    { upsert: true, new: true },
+  )
+
+  await publishConnectionStatus(connection, "connected")
+  return connection
+}
+
+// Delete a connection with its stored orders, reports and background jobs
+const removeConnection = async (connection) => {
+  await connection.deleteOne()
+  await Job.deleteMany({ connection: connection._id })
+  await Order.deleteMany({ connection: connection._id })
+
+  const reportIds = await Report.find({ connection: connection._id }).distinct("_id")
+  await ReportRow.deleteMany({ report: { $in: reportIds } })
+  await Report.deleteMany({ connection: connection._id })
+
+  await publishConnectionStatus(connection, "disconnected")
+}
+
+// Return a usable, decrypted access token for the connection, refreshing it when needed
+const ensureValidAccessToken = async (connection) => {
+  if (!connection || !connection.accessToken) {
+    throw new Error("Amazon account not connected")
+  }
+
+  // Check if the access token is expired (with 5 minute buffer)
+  const now = new Date()
+  const expiryTime = new Date(connection.tokenExpiresAt)
+  const bufferTime = 5 * 60 * 1000 // 5 minutes in milliseconds
+
+  if (now.getTime() > expiryTime.getTime() - bufferTime) {
+    logger.info("Access token expired or expiring soon, refreshing...", { sellerId: connection.sellerId })
+    await refreshConnectionToken(connection)
+  }
+
+  return connection.getAccessToken()
+}
+
+// Get a new access token with the stored refresh token, whether or not the current one
+// is still valid. A failure puts the connection into the error state.
+const refreshConnectionToken = async (connection) => {
+  const refreshToken = connection.getRefreshToken()
+  if (!refreshToken) {
+    throw new Error("No refresh token available. Please reconnect your Amazon account.")
+  }
+
+  try {
+    // Refresh the access token and store the new tokens encrypted
+    const tokenData = await refreshAccessToken(refreshToken)
+    connection.setTokens(tokenData)
+
+    connection.status = "active"
+    connection.lastError = undefined
+  } catch (error) {
+    connection.status = "error"
+    connection.lastError = error.message
+    await connection.save()
+    await publishConnectionStatus(connection)
+    throw error
+  }
+
+  const recovered = connection.isModified("status")
+  await connection.save()
+  if (recovered) {
+    await publishConnectionStatus(connection)
+  }
+  logger.info("Access token refreshed successfully", { sellerId: connection.sellerId })
+}
+
+// Credentials for services/spApiClient requests on behalf of the connection
+const getSpApiAuth = async (connection) => {
+  return {
+    accessToken: await ensureValidAccessToken(connection),
+    region: connection.region,
+    sellerId: connection.sellerId,
+  }
+}
+
+module.exports = {
+  migrateLegacyConnection,
+  migrateConnectionWorkspaces,
+  migrateConnections,
+  migrateOrderConnections,
+  getUserConnections,
+  findConnection,
+  saveConnection,
+  removeConnection,
+  ensureValidAccessToken,
+  refreshConnectionToken,
+  getSpApiAuth,
+}
@@ -0,0 +1,360 @@
+const jwt = require("jsonwebtoken")
+const User = require("../models/User")
+const Order = require("../models/Order")
+const { getUserConnections } = require("./connections")
+const { getTrackedMarketplaceIds } = require("./marketplaces")
+const { isValidTimezone, toLocalDate, sumByCurrency, addRow, emptyTotals } = require("./analytics")
+const { sendOrderDigestEmail } = require("../utils/email")
+const { logger, withLogContext } = require("../utils/logger")
+
+// Order summary emails. A user picks a daily or weekly digest in their timezone; it goes
+// out at DIGEST_HOUR local time (weekly ones on Mondays) and covers the orders since the
+// previous digest. Due users are claimed by moving nextSendAt forward, so several backend
+// instances can run the scheduler.
+
+const parseHour = (value) => {
+  const hour = Number.parseInt(value, 10)
+  return hour >= 0 && hour < 24 ? hour : 7
+}
+
+const config = {
+  pollMs: Number.parseInt(process.env.DIGEST_POLL_MS, 10) || 5 * 60 * 1000,
+  hour: parseHour(process.env.DIGEST_HOUR),
+}
+
+const FREQUENCIES = ["off", "daily", "weekly"]
+const DAY_MS = 24 * 60 * 60 * 1000
+// Longest period a digest covers, also when the previous one is older
+const PERIOD_MS = { daily: DAY_MS, weekly: 7 * DAY_MS }
+// Orders that still have to be shipped
+const PENDING_STATUSES = ["Pending", "Unshipped", "PartiallyShipped"]
+const MAX_MARKETPLACES = 50
+const BATCH_SIZE = 20
+
+let timer = null
+let sending = null
+
+// Offset of a timezone from UTC at an instant, in milliseconds
+const getTimezoneOffset = (date, timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, Number(part.value)]),
+  )
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  return local - Math.floor(date.getTime() / 1000) * 1000
+}
+
+// The instant of a full hour on a local calendar date ("YYYY-MM-DD") in a timezone.
+// The offset is checked again at the result so hours near a DST change come out right.
+const zonedTime = (localDate, hour, timezone) => {
+  const [year, month, day] = localDate.split("-").map(Number)
+  const local = Date.UTC(year, month - 1, day, hour)
+  const guess = local - getTimezoneOffset(new Date(local), timezone)
+  return new Date(local - getTimezoneOffset(new Date(guess), timezone))
+}
+
+const addDays = (localDate, days) => {
+  const date = new Date(`${localDate}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() + days)
+  return date.toISOString().slice(0, 10)
+}
+
+// When the next digest after `after` is due: DIGEST_HOUR local time on the next day, or
+// on the next Monday for weekly digests
+const getNextSendAt = (frequency, timezone, after = new Date()) => {
+  let localDate = toLocalDate(after, timezone)
+
+  for (let day = 0; day <= 7; day++) {
+    const sendAt = zonedTime(localDate, config.hour, timezone)
+    const isMonday = new Date(`${localDate}T00:00:00Z`).getUTCDay() === 1
+    if (sendAt > after && (frequency === "daily" || isMonday)) {
+      return sendAt
+    }
+    localDate = addDays(localDate, 1)
+  }
+}
+
+// Unsubscribe links use their own key so a token can't be used for anything else.
+// They don't expire, so links in old digests keep working.
+const getUnsubscribeSecret = () => `${process.env.JWT_SECRET}:digest`
+
+const createUnsubscribeToken = (userId) => jwt.sign({ userId: String(userId) }, getUnsubscribeSecret())
+
+// Turn off digests for the user an unsubscribe token was issued to
+const unsubscribe = async (token) => {
+  let userId
+  try {
+    userId = jwt.verify(String(token || ""), getUnsubscribeSecret()).userId
+  } catch (error) {
+    throw new Error("Invalid unsubscribe link")
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { "digest.frequency": "off" }, $unset: { "digest.nextSendAt": 1 } },
+    { new: true },
+  )
+  if (!user) {
+    throw new Error("User not found")
+  }
+
+  logger.info("Unsubscribed from order digests", { userId: user._id })
+  return user
+}
+
+const toDigestPreferences = (user) => ({
+  frequency: user.digest?.frequency || "off",
+  timezone: user.digest?.timezone || "UTC",
+  marketplaceIds: user.digest?.marketplaceIds || [],
+  nextSendAt: user.digest?.nextSendAt,
+  lastSentAt: user.digest?.lastSentAt,
+})
+
+// Marketplaces a digest can cover: the ones tracked on any of the user's seller accounts
+const listDigestMarketplaces = async (userId) => {
+  const marketplaces = new Map()
+
+  for (const { connection } of await getUserConnections(userId)) {
+    const known = new Map((connection.marketplaces || []).map((m) => [m.marketplaceId, m]))
+    getTrackedMarketplaceIds(connection).forEach((marketplaceId) => {
+      if (!marketplaces.has(marketplaceId)) {
+        const marketplace = known.get(marketplaceId)
+        marketplaces.set(marketplaceId, {
+          marketplaceId,
+          name: marketplace?.name || marketplaceId,
+          countryCode: marketplace?.countryCode,
+        })
+      }
+    })
+  }
+
+  return [...marketplaces.values()]
+}
+
+// Change { frequency, timezone, marketplaceIds }; fields left out keep their value.
+// Schedules the next digest from now.
+const updateDigestPreferences = async (user, { frequency, timezone, marketplaceIds } = {}) => {
+  if (frequency !== undefined && !FREQUENCIES.includes(frequency)) {
+    throw new Error(`Invalid frequency: ${frequency}. Use one of ${FREQUENCIES.join(", ")}`)
+  }
+  if (timezone !== undefined && (typeof timezone !== "string" || !isValidTimezone(timezone))) {
+    throw new Error(`Invalid timezone: ${timezone}`)
+  }
+  if (
+    marketplaceIds !== undefined &&
+    (!Array.isArray(marketplaceIds) ||
+      marketplaceIds.length > MAX_MARKETPLACES ||
+      marketplaceIds.some((id) => typeof id !== "string" || !id))
+  ) {
+    throw new Error(`Invalid marketplaceIds: expected a list of at most ${MAX_MARKETPLACES} marketplace IDs`)
+  }
+
+  if (frequency !== undefined) user.digest.frequency = frequency
+  if (timezone !== undefined) user.digest.timezone = timezone
+  if (marketplaceIds !== undefined) user.digest.marketplaceIds = [...new Set(marketplaceIds)]
+
+  const current = toDigestPreferences(user)
+  user.digest.nextSendAt = current.frequency === "off" ? undefined : getNextSendAt(current.frequency, current.timezone)
+  await user.save()
+
+  return toDigestPreferences(user)
+}
+
+// New orders (by purchase date, without canceled ones), cancellations (by last update)
+// and orders currently waiting to ship
+const summarizeOrders = async (connection, marketplaceIds, from, to) => {
+  const match = { connection: connection._id, marketplaceId: { $in: marketplaceIds } }
+
+  const [rows, cancellations, pending] = await Promise.all([
+    Order.aggregate([
+      { $match: { ...match, purchaseDate: { $gte: from, $lt: to }, orderStatus: { $ne: "Canceled" } } },
+      sumByCurrency({}),
+    ]),
+    Order.countDocuments({ ...match, orderStatus: "Canceled", lastUpdateDate: { $gte: from, $lt: to } }),
+    Order.countDocuments({ ...match, orderStatus: { $in: PENDING_STATUSES } }),
+  ])
+
+  return { ...rows.reduce(addRow, emptyTotals()), cancellations, pending }
+}
+
+// Order figures between from and to for every seller account the user can see, limited
+// to the marketplaces chosen in their preferences. A seller connected in several workspaces
+// is listed once per connection: each one tracks its own marketplaces and stores its own orders.
+const buildDigest = async (user, from, to) => {
+  const chosen = user.digest?.marketplaceIds || []
+  const accounts = []
+
+  for (const { connection } of await getUserConnections(user._id)) {
+    const marketplaceIds = getTrackedMarketplaceIds(connection).filter(
+      (id) => chosen.length === 0 || chosen.includes(id),
+    )
+    if (marketplaceIds.length === 0) continue
+
+    accounts.push({
+      name: connection.name || connection.sellerId,
+      sellerId: connection.sellerId,
+      ...(await summarizeOrders(connection, marketplaceIds, from, to)),
+    })
+  }
+
+  return accounts
+}
+
+const formatRevenue = (revenue) => {
+  if (revenue.length === 0) return "none"
+  return revenue
+    .map(({ currencyCode, amount }) =>
+      new Intl.NumberFormat("en-US", { style: "currency", currency: currencyCode }).format(amount),
+    )
+    .join(", ")
+}
+
+const formatPeriod = (from, to, timezone) => {
+  const format = new Intl.DateTimeFormat("en-GB", { timeZone: timezone, dateStyle: "medium", timeStyle: "short" })
+  return `${format.format(from)} – ${format.format(to)} (${timezone})`
+}
+
+// Email a digest for the period ending at `to`: since the previous digest, at most one
+// period long. Returns false when there is nothing to send, i.e. the user can't sign in
+// or has no seller account in the chosen marketplaces.
+const sendDigest = async (user, to = new Date()) => {
+  if (user.isDisabled() || !user.isVerified) {
+    return false
+  }
+
+  const { frequency, timezone } = toDigestPreferences(user)
+  const from = new Date(Math.max(user.digest.lastSentAt?.getTime() || 0, to.getTime() - PERIOD_MS[frequency]))
+
+  const accounts = await buildDigest(user, from, to)
+  if (accounts.length === 0) {
+    return false
+  }
+
+  const totals = accounts.reduce(
+    (sum, account) => {
+      sum.orders += account.orders
+      sum.units += account.units
+      sum.cancellations += account.cancellations
+      sum.pending += account.pending
+      account.revenue.forEach(({ currencyCode, amount }) => {
+        addRow(sum, { _id: { currencyCode }, orders: 0, units: 0, revenue: amount })
+      })
+      return sum
+    },
+    { ...emptyTotals(), cancellations: 0, pending: 0 },
+  )
+
+  await sendOrderDigestEmail(user.email, {
+    name: user.name,
+    frequency,
+    period: formatPeriod(from, to, timezone),
+    newOrders: totals.orders,
+    units: totals.units,
+    revenue: formatRevenue(totals.revenue),
+    cancellations: totals.cancellations,
+    pending: totals.pending,
+    accounts: accounts.map((account) => ({
+      accountName: account.name,
+      sellerId: account.sellerId,
+      newOrders: account.orders,
+      units: account.units,
+      revenue: formatRevenue(account.revenue),
+      cancellations: account.cancellations,
+      pending: account.pending,
+    })),
+    dashboardUrl: `${process.env.FRONTEND_URL}/dashboard`,
+    settingsUrl: `${process.env.FRONTEND_URL}/digest`,
+    unsubscribeUrl: `${process.env.FRONTEND_URL}/unsubscribe?token=${createUnsubscribeToken(user._id)}`,
+  })
+
+  await User.updateOne({ _id: user._id }, { $set: { "digest.lastSentAt": to } })
+  logger.info("Queued order digest", { userId: user._id, frequency })
+  return true
+}
+
+// Claim a due user by moving their next digest forward. Resolves to the user, or null
+// when another run claimed them first.
+const claimDigest = (user, now) => {
+  const { frequency, timezone } = toDigestPreferences(user)
+  const nextSendAt = getNextSendAt(frequency, isValidTimezone(timezone) ? timezone : "UTC", now)
+
+  return User.findOneAndUpdate(
+    { _id: user._id, "digest.nextSendAt": user.digest.nextSendAt },
+    { $set: { "digest.nextSendAt": nextSendAt } },
+    { new: true },
+  )
+}
+
+// Send every digest that is due. Calls while a run is in progress join it.
+const sendDueDigests = () => {
+  if (!sending) {
+    sending = (async () => {
+      const now = new Date()
+      let due
+      do {
+        due = await User.find({
+          "digest.frequency": { $in: ["daily", "weekly"] },
+          "digest.nextSendAt": { $lte: now },
+        })
+          .sort({ "digest.nextSendAt": 1 })
+          .limit(BATCH_SIZE)
+
+        for (const user of due) {
+          const claimed = await claimDigest(user, now)
+          if (!claimed) continue
+
+          // Everything logged while building the digest names the user
+          await withLogContext({ userId: user._id }, async () => {
+            try {
+              await sendDigest(claimed, now)
+            } catch (error) {
+              logger.error("Order digest failed", { error })
+            }
+          })
+        }
+      } while (due.length === BATCH_SIZE)
+    })().finally(() => {
+      sending = null
+    })
+  }
+  return sending
+}
+
+// Start checking for due digests every DIGEST_POLL_MS
+const startDigestScheduler = () => {
+  if (timer) return
+
+  const tick = async () => {
+    try {
+      await sendDueDigests()
+    } catch (error) {
+      logger.error("Order digest run failed", { error })
+    } finally {
+      timer = setTimeout(tick, config.pollMs)
+      timer.unref()
+    }
+  }
+
+  tick()
+}
+
+module.exports = {
+  getNextSendAt,
+  unsubscribe,
+  toDigestPreferences,
+  listDigestMarketplaces,
+  updateDigestPreferences,
+  sendDigest,
+  sendDueDigests,
+  startDigestScheduler,
+}
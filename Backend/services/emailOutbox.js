@@ -0,0 +1,203 @@
+const mongoose = require("mongoose")
+const EmailMessage = require("../models/EmailMessage")
+const { renderEmail } = require("../utils/emailTemplates")
+const { encryptSecret, decryptSecret } = require("../utils/tokenCrypto")
+const { getTransport, getFromAddress } = require("./emailTransports")
+const { logger, withLogContext } = require("../utils/logger")
+
+// Emails are rendered and stored in the outbox, then delivered by a worker: right after
+// they are queued and on every poll. A failed delivery is retried with exponential backoff
+// until EMAIL_MAX_ATTEMPTS; errors the mail server reports as permanent (5xx) are not retried.
+// Messages are claimed atomically, so several backend instances can share the outbox.
+
+const config = {
+  pollMs: Number.parseInt(process.env.EMAIL_OUTBOX_POLL_MS, 10) || 15000,
+  maxAttempts: Number.parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 6,
+}
+
+const RETRY_BASE_DELAY_MS = 60 * 1000
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000
+// A message claimed by a worker that stopped is delivered again after this long
+const CLAIM_TIMEOUT_MS = 2 * 60 * 1000
+const EMAIL_STATUSES = ["queued", "sending", "sent", "failed"]
+
+let timer = null
+let delivering = null
+
+// 1 minute after the first attempt, doubling up to an hour
+const getRetryDelay = (attempts) => Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS)
+
+// SMTP 5xx replies, e.g. an unknown recipient, won't succeed on retry
+const isPermanentError = (error) => error.responseCode >= 500 && error.responseCode < 600
+
+// Claim the next message that is due, or a stuck one
+const claimNext = async () => {
+  const now = new Date()
+  return EmailMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedUntil: { $lt: now } },
+      ],
+    },
+    { $set: { status: "sending", lockedUntil: new Date(now.getTime() + CLAIM_TIMEOUT_MS) }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true },
+  )
+}
+
+const deliver = async (message) => {
+  const log = logger.child({ emailId: message._id, template: message.template, to: message.to })
+  let transportName
+  try {
+    const transport = getTransport()
+    transportName = transport.name
+    const { text, html } = JSON.parse(decryptSecret(message.content))
+
+    const { messageId } = await transport.send({
+      from: getFromAddress(),
+      to: message.to,
+      subject: message.subject,
+      text,
+      html,
+    })
+
+    await EmailMessage.updateOne(
+      { _id: message._id },
+      {
+        $set: { status: "sent", sentAt: new Date(), messageId, transport: transportName },
+        $unset: { content: 1, lockedUntil: 1, lastError: 1 },
+      },
+    )
+    log.info("Email sent", { transport: transportName })
+  } catch (error) {
+    const giveUp = message.attempts >= config.maxAttempts || isPermanentError(error)
+
+    await EmailMessage.updateOne(
+      { _id: message._id },
+      {
+        $set: {
+          status: giveUp ? "failed" : "queued",
+          nextAttemptAt: new Date(Date.now() + getRetryDelay(message.attempts)),
+          lastError: error.message,
+          transport: transportName,
+        },
+        $unset: { lockedUntil: 1 },
+      },
+    )
+    log.error(giveUp ? "Email failed, giving up" : "Email failed, will retry", { attempt: message.attempts, error })
+  }
+}
+
+// Deliver every message that is due. Calls while a run is in progress join it.
+const deliverDueEmails = () => {
+  if (!delivering) {
+    delivering = (async () => {
+      let message
+      while ((message = await claimNext())) {
+        await deliver(message)
+      }
+    })().finally(() => {
+      delivering = null
+    })
+  }
+  return delivering
+}
+
+// Start a delivery run without waiting for it. The run delivers everyone's due emails, so
+// it doesn't log under the request that queued one.
+const deliverSoon = () => {
+  withLogContext({}, () =>
+    setImmediate(() => {
+      deliverDueEmails().catch((error) => logger.error("Email delivery failed", { error }))
+    }),
+  )
+}
+
+// Render an email template and queue it for `to`. Resolves to the stored message once it
+// is queued; delivery happens in the background.
+const enqueueEmail = async (to, template, data) => {
+  const { subject, text, html } = renderEmail(template, data)
+
+  const message = await EmailMessage.create({
+    template,
+    to,
+    subject,
+    content: encryptSecret(JSON.stringify({ text, html })),
+  })
+
+  deliverSoon()
+  return message
+}
+
+// Outbox messages, newest first, optionally for one address and with one status.
+// Returns { emails, total }.
+const listEmails = async ({ to, status, offset = 0, limit = 25 } = {}) => {
+  if (status && !EMAIL_STATUSES.includes(status)) {
+    throw new Error(`Invalid status: ${status}. Use one of ${EMAIL_STATUSES.join(", ")}`)
+  }
+
+  const filter = {}
+  if (to) filter.to = String(to).toLowerCase().trim()
+  if (status) filter.status = status
+
+  const [emails, total] = await Promise.all([
+    EmailMessage.find(filter).sort({ createdAt: -1, _id: -1 }).skip(offset).limit(limit),
+    EmailMessage.countDocuments(filter),
+  ])
+  return { emails: emails.map((email) => email.toSummary()), total }
+}
+
+// Queue a failed message again with a fresh set of attempts
+const retryEmail = async (emailId) => {
+  if (!mongoose.Types.ObjectId.isValid(emailId)) {
+    throw new Error("Email not found")
+  }
+
+  const message = await EmailMessage.findOneAndUpdate(
+    { _id: emailId, status: "failed", content: { $exists: true } },
+    { $set: { status: "queued", attempts: 0, nextAttemptAt: new Date() } },
+    { new: true },
+  )
+  if (!message) {
+    if (await EmailMessage.exists({ _id: emailId })) {
+      throw new Error("Invalid retry: only failed emails can be sent again")
+    }
+    throw new Error("Email not found")
+  }
+
+  deliverSoon()
+  return message
+}
+
+// Start polling the outbox for due and retried messages
+const startEmailOutbox = () => {
+  if (timer) return
+
+  try {
+    logger.info(`Delivering emails with the ${getTransport().name} transport`)
+  } catch (error) {
+    // Deliveries fail and are retried with backoff like any other error
+    logger.error("Email transport is not usable", { error })
+  }
+
+  const tick = async () => {
+    try {
+      await deliverDueEmails()
+    } catch (error) {
+      logger.error("Email outbox poll failed", { error })
+    } finally {
+      timer = setTimeout(tick, config.pollMs)
+      timer.unref()
+    }
+  }
+
+  tick()
+}
+
+module.exports = {
+  enqueueEmail,
+  deliverDueEmails,
+  listEmails,
+  retryEmail,
+  startEmailOutbox,
+}
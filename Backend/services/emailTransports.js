@@ -0,0 +1,127 @@
+const fs = require("fs/promises")
+const path = require("path")
+const crypto = require("crypto")
+const nodemailer = require("nodemailer")
+
+// Where emails go, chosen with EMAIL_TRANSPORT:
+//   smtp     any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD)
+//   gmail    Gmail with EMAIL_USER and an app password in EMAIL_PASSWORD
+//   file     writes every email as JSON into EMAIL_OUTBOX_DIR, for development and tests
+//   console  prints emails to stdout as plain text, codes and links included, for local development;
+//            refused when NODE_ENV is production
+// Without EMAIL_TRANSPORT, Gmail is used when EMAIL_USER is set and the console otherwise,
+// except in production, where emails can't be sent until a transport is configured.
+//
+// A transport is an object with a name and send({ from, to, subject, text, html }),
+// resolving to { messageId }.
+
+const TRANSPORTS = ["smtp", "gmail", "file", "console"]
+
+const getTransportName = () => {
+  if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT
+  if (process.env.EMAIL_USER) return "gmail"
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("Invalid email configuration: set EMAIL_TRANSPORT, or EMAIL_USER for Gmail, in production")
+  }
+  return "console"
+}
+
+// Wrap a nodemailer transporter
+const nodemailerTransport = (name, options) => {
+  const transporter = nodemailer.createTransport(options)
+  return {
+    name,
+    send: async (message) => {
+      const info = await transporter.sendMail(message)
+      return { messageId: info.messageId }
+    },
+  }
+}
+
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error("Invalid email configuration: SMTP_HOST is required for the smtp transport")
+  }
+
+  const port = Number.parseInt(process.env.SMTP_PORT, 10) || 587
+  return nodemailerTransport("smtp", {
+    host: process.env.SMTP_HOST,
+    port,
+    // Implicit TLS on 465, STARTTLS otherwise unless SMTP_SECURE says so
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+  })
+}
+
+const createGmailTransport = () => {
+  return nodemailerTransport("gmail", {
+    service: "gmail",
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASSWORD,
+    },
+  })
+}
+
+const createFileTransport = () => {
+  const dir = process.env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), "outbox")
+
+  return {
+    name: "file",
+    send: async (message) => {
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`
+      await fs.mkdir(dir, { recursive: true })
+      await fs.writeFile(
+        path.join(dir, `${messageId}.json`),
+        JSON.stringify({ ...message, messageId, sentAt: new Date() }, null, 2),
+      )
+      return { messageId }
+    },
+  }
+}
+
+// Skips the logger on purpose: its redaction would remove the codes and links the
+// transport is there to show
+const createConsoleTransport = () => {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("Invalid email configuration: the console transport is for development only")
+  }
+
+  return {
+    name: "console",
+    send: async (message) => {
+      const messageId = `console-${Date.now()}-${crypto.randomBytes(4).toString("hex")}`
+      console.log(`Email to ${message.to}: ${message.subject}\n${message.text}`)
+      return { messageId }
+    },
+  }
+}
+
+let transport = null
+
+// The configured transport, created on first use
+const getTransport = () => {
+  if (!transport) {
+    const name = getTransportName()
+    if (!TRANSPORTS.includes(name)) {
+      throw new Error(`Invalid email configuration: EMAIL_TRANSPORT must be one of ${TRANSPORTS.join(", ")}`)
+    }
+
+    transport = {
+      smtp: createSmtpTransport,
+      gmail: createGmailTransport,
+      file: createFileTransport,
+      console: createConsoleTransport,
+    }[name]()
+  }
+  return transport
+}
+
+// Sender address for all emails
+const getFromAddress = () =>
+  process.env.EMAIL_FROM || process.env.EMAIL_USER || process.env.SMTP_USER || "UNIBAZAR <no-reply@localhost>"
+
+module.exports = {
+  getTransport,
+  getFromAddress,
+}
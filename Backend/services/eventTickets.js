@@ -0,0 +1,52 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const EventTicket = require("../models/EventTicket")
+const { isSessionActive } = require("./sessions")
+
+// EventSource can't send an Authorization header, so the event stream is opened with a
+// short-lived ticket in the query string. Tickets use their own key so one can't be used
+// as an API token if it ends up in a log, work once, and only while their session is
+// signed in.
+
+const TICKET_TTL = "60s"
+const getTicketSecret = () => `${process.env.JWT_SECRET}:events`
+
+// Issue a ticket for the user's session
+const createTicket = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, getTicketSecret(), {
+    expiresIn: TICKET_TTL,
+    jwtid: crypto.randomBytes(16).toString("hex"),
+  })
+}
+
+// Check a ticket and mark it used. Returns { userId, sessionId }.
+const redeemTicket = async (ticket) => {
+  let payload
+  try {
+    payload = jwt.verify(String(ticket || ""), getTicketSecret())
+  } catch (error) {
+    throw new Error("Invalid or expired event stream ticket")
+  }
+  if (!payload.jti) {
+    throw new Error("Invalid or expired event stream ticket")
+  }
+
+  // The unique jti lets only one request use the ticket, whichever instance it reaches
+  try {
+    await EventTicket.create({ jti: payload.jti, expiresAt: new Date(payload.exp * 1000) })
+  } catch (error) {
+    if (error.code !== 11000) throw error
+    throw new Error("Invalid or expired event stream ticket")
+  }
+
+  if (!(await isSessionActive(payload.sessionId))) {
+    throw new Error("Invalid or expired event stream ticket")
+  }
+
+  return { userId: payload.userId, sessionId: payload.sessionId }
+}
+
+module.exports = {
+  createTicket,
+  redeemTicket,
+}
@@ -0,0 +1,188 @@
+const crypto = require("crypto")
+const { getMemberIds } = require("./workspaces")
+const { findActiveSessionIds } = require("./sessions")
+const { logger } = require("../utils/logger")
+
+// Live dashboard updates over Server-Sent Events. Events are fanned out to every open
+// stream of a user; the last HISTORY_SIZE events per user are kept so a client that
+// reconnects with Last-Event-ID gets what it missed. State is per process, so with
+// several server instances a client only sees events published by the one it's attached to.
+// Every stream belongs to a session; on each heartbeat, streams of sessions that were signed
+// out, revoked or expired are closed, and the history of users without streams is dropped
+// once it's HISTORY_TTL_MS old.
+
+const HISTORY_SIZE = 100
+// How long the history of a user without open streams is kept for a reconnect
+const HISTORY_TTL_MS = 10 * 60 * 1000
+// Open streams allowed per user; the oldest is closed when another one connects
+const MAX_STREAMS_PER_USER = 10
+// Comment line sent to idle streams so proxies don't time them out; the sessions are checked
+// at the same time
+const HEARTBEAT_MS = 25 * 1000
+// How long the browser waits before reconnecting a dropped stream
+const RETRY_MS = 5000
+
+// Event IDs are "<instance>-<sequence>". An ID from another instance (e.g. before a restart)
+// can't be resumed, so the client is told to reload instead.
+const INSTANCE_ID = crypto.randomBytes(4).toString("hex")
+let sequence = 0
+
+// userId -> Set of open responses
+const streams = new Map()
+// open response -> ID of the session it was opened for
+const streamSessions = new WeakMap()
+// userId -> { events: recent events oldest first, dropped: sequence of the last event pushed out,
+// updatedAt: when the last event was added }
+const history = new Map()
+
+let heartbeat = null
+
+const writeEvent = (res, { id, event, data }) => {
+  res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+// End the streams whose session isn't signed in anymore
+const closeInactiveStreams = async () => {
+  const sessionIds = new Set()
+  streams.forEach((userStreams) => userStreams.forEach((res) => sessionIds.add(streamSessions.get(res))))
+  if (sessionIds.size === 0) return
+
+  const active = await findActiveSessionIds([...sessionIds])
+  streams.forEach((userStreams, userId) => {
+    userStreams.forEach((res) => {
+      if (active.has(streamSessions.get(res))) return
+      userStreams.delete(res)
+      res.end()
+    })
+    if (userStreams.size === 0) {
+      streams.delete(userId)
+    }
+  })
+}
+
+const pruneHistory = () => {
+  const staleBefore = Date.now() - HISTORY_TTL_MS
+  history.forEach((userHistory, userId) => {
+    if (!streams.has(userId) && userHistory.updatedAt < staleBefore) {
+      history.delete(userId)
+    }
+  })
+}
+
+const startHeartbeat = () => {
+  if (heartbeat) return
+
+  heartbeat = setInterval(() => {
+    streams.forEach((userStreams) => userStreams.forEach((res) => res.write(": ping\n\n")))
+    pruneHistory()
+    closeInactiveStreams().catch((error) => logger.error("Could not check event stream sessions", { error }))
+  }, HEARTBEAT_MS)
+  heartbeat.unref()
+}
+
+// Events after lastEventId, or null when they can't be replayed from the buffer
+const getMissedEvents = (userId, lastEventId) => {
+  const [instance, value] = String(lastEventId).split("-")
+  const seen = Number.parseInt(value, 10)
+  if (instance !== INSTANCE_ID || !Number.isInteger(seen) || seen > sequence) {
+    return null
+  }
+
+  const { events, dropped } = history.get(userId) || { events: [], dropped: 0 }
+  if (seen < dropped) {
+    return null
+  }
+  return events.filter((e) => e.sequence > seen)
+}
+
+// Attach an HTTP response as an event stream for the user's session. Replays events after
+// lastEventId, or sends "resync" when the client has to reload its data.
+const openStream = (userId, sessionId, res, lastEventId) => {
+  userId = String(userId)
+  streamSessions.set(res, String(sessionId))
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Disable response buffering in nginx
+    "X-Accel-Buffering": "no",
+  })
+  res.write(`retry: ${RETRY_MS}\n\n`)
+
+  if (lastEventId) {
+    const missed = getMissedEvents(userId, lastEventId)
+    if (missed) {
+      missed.forEach((e) => writeEvent(res, e))
+    } else {
+      writeEvent(res, { id: `${INSTANCE_ID}-${sequence}`, event: "resync", data: {} })
+    }
+  }
+
+  if (!streams.has(userId)) {
+    streams.set(userId, new Set())
+  }
+  const userStreams = streams.get(userId)
+  if (userStreams.size >= MAX_STREAMS_PER_USER) {
+    const oldest = userStreams.values().next().value
+    userStreams.delete(oldest)
+    oldest.end()
+  }
+  userStreams.add(res)
+  startHeartbeat()
+
+  res.on("close", () => {
+    userStreams.delete(res)
+    // The set may have been replaced after the heartbeat closed this stream
+    if (userStreams.size === 0 && streams.get(userId) === userStreams) {
+      streams.delete(userId)
+    }
+  })
+}
+
+// Send an event to every open stream of the user
+const publish = (userId, event, data) => {
+  userId = String(userId)
+  sequence += 1
+
+  const entry = { id: `${INSTANCE_ID}-${sequence}`, sequence, event, data }
+  if (!history.has(userId)) {
+    history.set(userId, { events: [], dropped: 0 })
+  }
+  const userHistory = history.get(userId)
+  userHistory.updatedAt = Date.now()
+  userHistory.events.push(entry)
+  if (userHistory.events.length > HISTORY_SIZE) {
+    userHistory.dropped = userHistory.events.shift().sequence
+  }
+
+  const userStreams = streams.get(userId)
+  if (userStreams) {
+    userStreams.forEach((res) => writeEvent(res, entry))
+  }
+  startHeartbeat()
+}
+
+// Send an event about a seller connection to every member of its workspace; connectionId
+// is added to the data. Failures are logged only so they never break the caller.
+const publishToConnection = async (connection, event, data) => {
+  try {
+    const userIds = connection.workspace ? await getMemberIds(connection.workspace) : [connection.user]
+    const payload = { connectionId: connection._id.toString(), ...data }
+    userIds.forEach((userId) => publish(userId, event, payload))
+  } catch (error) {
+    logger.error(`Error publishing ${event} event`, { error })
+  }
+}
+
+// Status changes of a seller connection
+const publishConnectionStatus = async (connection, status = connection.status) => {
+  await publishToConnection(connection, "connection", { status, lastError: connection.lastError })
+}
+
+module.exports = {
+  openStream,
+  publish,
+  publishToConnection,
+  publishConnectionStatus,
+}
@@ -0,0 +1,254 @@
+const os = require("os")
+const crypto = require("crypto")
+const mongoose = require("mongoose")
+const Job = require("../models/Job")
+const { logger, withLogContext } = require("../utils/logger")
+
+// Background jobs stored in MongoDB. Handlers are registered with defineJob; jobs are
+// created with scheduleJob or ensureJob. Every backend instance polls for due jobs and
+// claims them atomically, so a job runs on one instance at a time. The claim is renewed
+// while the job runs and taken over by another instance once it lapses, e.g. after a crash.
+// A failed run is retried with exponential backoff; after maxAttempts failures in a row,
+// or an error the job defines as permanent, the job is dead until it's run again.
+
+const config = {
+  pollMs: Number.parseInt(process.env.JOBS_POLL_MS, 10) || 5000,
+  concurrency: Number.parseInt(process.env.JOBS_CONCURRENCY, 10) || 2,
+}
+
+const LOCK_MS = 2 * 60 * 1000
+const RETRY_BASE_DELAY_MS = 30 * 1000
+const RETRY_MAX_DELAY_MS = 30 * 60 * 1000
+const DEFAULT_MAX_ATTEMPTS = 5
+// Finished one-off jobs are kept this long for the status view
+const COMPLETED_TTL_MS = 7 * 24 * 60 * 60 * 1000
+const DEAD_TTL_MS = 30 * 24 * 60 * 60 * 1000
+
+// Identifies this process in job locks
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`
+
+const definitions = new Map()
+let started = false
+let running = null
+
+// 30 seconds after the first failure, doubling up to 30 minutes
+const getRetryDelay = (attempts) => Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS)
+
+// Register the handler for jobs named `name`. handler(job) may return a small result that
+// is stored on the job. Options: maxAttempts and isPermanentError(error) for failures
+// that won't go away by retrying.
+const defineJob = (name, handler, { maxAttempts = DEFAULT_MAX_ATTEMPTS, isPermanentError } = {}) => {
+  definitions.set(name, { handler, maxAttempts, isPermanentError })
+}
+
+const jobFields = (name, { data, everyMs, connection, user }) => {
+  const definition = definitions.get(name)
+  if (!definition) {
+    throw new Error(`Invalid job: ${name} is not defined`)
+  }
+
+  const fields = { name, maxAttempts: definition.maxAttempts }
+  if (data !== undefined) fields.data = data
+  if (everyMs !== undefined) fields.everyMs = everyMs
+  if (connection !== undefined) fields.connection = connection
+  if (user !== undefined) fields.user = user
+  return fields
+}
+
+// Create the job with `key` unless it exists. Two instances starting at once can both
+// try, so a duplicate key error means the other one won.
+const upsertJob = async (key, update) => {
+  try {
+    await Job.updateOne({ key }, update, { upsert: true })
+  } catch (error) {
+    if (error.code !== 11000) throw error
+    await Job.updateOne({ key }, update)
+  }
+}
+
+// Start a run without waiting for it, when this process runs jobs. The run isn't part of
+// the request that scheduled the job, so it doesn't log under it.
+const runSoon = () => {
+  if (!started) return
+  withLogContext({}, () =>
+    setImmediate(() => {
+      runDueJobs().catch((error) => logger.error("Job run failed", { error }))
+    }),
+  )
+}
+
+// Create a job that runs at runAt, then every everyMs if given. A job with a key exists
+// once: scheduling it again updates it, moves it to runAt when that is earlier and
+// revives it when it's completed or dead.
+const scheduleJob = async (name, { key, runAt = new Date(), ...options } = {}) => {
+  const fields = jobFields(name, options)
+
+  if (!key) {
+    const job = await Job.create({ ...fields, runAt })
+    runSoon()
+    return job
+  }
+
+  await upsertJob(key, { $set: fields, $setOnInsert: { status: "scheduled", runAt, attempts: 0 } })
+  await Job.updateOne({ key, status: "scheduled", runAt: { $gt: runAt } }, { $set: { runAt } })
+  await Job.updateOne(
+    { key, status: { $in: ["completed", "dead"] } },
+    { $set: { status: "scheduled", runAt, attempts: 0 }, $unset: { lastError: 1, expiresAt: 1 } },
+  )
+
+  runSoon()
+  return Job.findOne({ key })
+}
+
+// Create the job with `key` if it doesn't exist yet; an existing one keeps its schedule
+// and state. For recurring jobs set up at startup.
+const ensureJob = async (name, { key, runAt = new Date(), ...options }) => {
+  await upsertJob(key, { $set: jobFields(name, options), $setOnInsert: { status: "scheduled", runAt, attempts: 0 } })
+}
+
+// Run a scheduled, completed or dead job right away
+const runJobNow = async (jobId) => {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    throw new Error("Job not found")
+  }
+
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: { $ne: "running" } },
+    { $set: { status: "scheduled", runAt: new Date(), attempts: 0 }, $unset: { lastError: 1, expiresAt: 1 } },
+    { new: true },
+  )
+  if (!job) {
+    if (await Job.exists({ _id: jobId })) {
+      throw new Error("Invalid request: the job is already running")
+    }
+    throw new Error("Job not found")
+  }
+
+  runSoon()
+  return job
+}
+
+// Claim the next due job this process has a handler for, or one whose worker stopped
+const claimNext = async () => {
+  const now = new Date()
+  return Job.findOneAndUpdate(
+    {
+      name: { $in: [...definitions.keys()] },
+      $or: [
+        { status: "scheduled", runAt: { $lte: now } },
+        { status: "running", lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      $set: { status: "running", lockedBy: WORKER_ID, lockedUntil: new Date(now.getTime() + LOCK_MS), lastRunAt: now },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true },
+  )
+}
+
+// Store the outcome of a run, unless another worker took the job over in the meantime
+const finishJob = async (job, update) => {
+  const { modifiedCount } = await Job.updateOne({ _id: job._id, lockedBy: WORKER_ID, status: "running" }, update)
+  if (modifiedCount === 0) {
+    logger.error("Job was taken over by another worker before it finished")
+  }
+}
+
+const runJob = async (job) => {
+  const { handler, isPermanentError } = definitions.get(job.name)
+  const startedAt = Date.now()
+
+  // Renew the claim while the handler runs
+  const renewal = setInterval(() => {
+    Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      { $set: { lockedUntil: new Date(Date.now() + LOCK_MS) } },
+    ).catch((error) => logger.error("Could not renew the job lock", { error }))
+  }, LOCK_MS / 4)
+  renewal.unref()
+
+  try {
+    const result = await handler(job)
+    const now = new Date()
+
+    await finishJob(job, {
+      $set: {
+        status: job.everyMs ? "scheduled" : "completed",
+        runAt: job.everyMs ? new Date(now.getTime() + job.everyMs) : job.runAt,
+        attempts: 0,
+        result,
+        lastFinishedAt: now,
+        lastDurationMs: now.getTime() - startedAt,
+        ...(job.everyMs ? {} : { expiresAt: new Date(now.getTime() + COMPLETED_TTL_MS) }),
+      },
+      $unset: { lockedBy: 1, lockedUntil: 1, lastError: 1 },
+    })
+  } catch (error) {
+    const now = new Date()
+    const giveUp = job.attempts >= job.maxAttempts || !!isPermanentError?.(error)
+
+    await finishJob(job, {
+      $set: {
+        status: giveUp ? "dead" : "scheduled",
+        runAt: giveUp ? job.runAt : new Date(now.getTime() + getRetryDelay(job.attempts)),
+        lastError: error.message,
+        lastFinishedAt: now,
+        lastDurationMs: now.getTime() - startedAt,
+        // Dead recurring jobs stay until they're run again or their connection is removed
+        ...(giveUp && !job.everyMs ? { expiresAt: new Date(now.getTime() + DEAD_TTL_MS) } : {}),
+      },
+      $unset: { lockedBy: 1, lockedUntil: 1 },
+    })
+    logger.error(giveUp ? "Job failed, giving up" : "Job failed, will retry", { attempt: job.attempts, error })
+  } finally {
+    clearInterval(renewal)
+  }
+}
+
+// Run every due job, up to JOBS_CONCURRENCY at a time. Calls while a run is in progress join it.
+const runDueJobs = () => {
+  if (!running) {
+    const worker = async () => {
+      let job
+      while ((job = await claimNext())) {
+        // Everything logged while the job runs names it and its seller connection
+        const fields = { jobId: job._id, job: job.name, connectionId: job.connection }
+        await withLogContext(fields, () => runJob(job))
+      }
+    }
+
+    running = Promise.all(Array.from({ length: config.concurrency }, worker)).finally(() => {
+      running = null
+    })
+  }
+  return running
+}
+
+// Start polling for due jobs
+const startJobWorker = () => {
+  if (started) return
+  started = true
+
+  const tick = async () => {
+    try {
+      await runDueJobs()
+    } catch (error) {
+      logger.error("Job poll failed", { error })
+    } finally {
+      setTimeout(tick, config.pollMs).unref()
+    }
+  }
+
+  logger.info(`Running background jobs as ${WORKER_ID}`)
+  tick()
+}
+
+module.exports = {
+  defineJob,
+  scheduleJob,
+  ensureJob,
+  runJobNow,
+  runDueJobs,
+  startJobWorker,
+}
@@ -0,0 +1,235 @@
+const User = require("../models/User")
+const Job = require("../models/Job")
+const Report = require("../models/Report")
+const ReportRow = require("../models/ReportRow")
+const SellerConnection = require("../models/SellerConnection")
+const {
+  getSpApiAuth,
+  refreshConnectionToken,
+  getUserConnections,
+  migrateConnections,
+  migrateOrderConnections,
+} = require("./connections")
+const { syncOrders } = require("./orderSync")
+const { loadMissingItems } = require("./orderDetails")
+const { getTrackedMarketplaceIds } = require("./marketplaces")
+const { defineJob, scheduleJob, ensureJob, startJobWorker } = require("./jobQueue")
+
+// The background jobs the backend runs, see services/jobQueue.js:
+//   orders.sync     pulls new and changed orders of a seller connection
+//   orders.items    fetches the line items of stored orders that lack them, in batches
+//   tokens.refresh  refreshes a connection's access token before it expires
+//   cleanup         removes expired codes and data left behind by removed connections
+
+const config = {
+  orderSyncEveryMs: Number.parseInt(process.env.ORDER_SYNC_INTERVAL_MS, 10) || 15 * 60 * 1000,
+}
+
+// getOrderItems allows one call every two seconds per seller, with bursts of 30
+const ORDER_ITEMS_EVERY_MS = 2 * 60 * 1000
+const ORDER_ITEMS_BATCH_SIZE = 30
+const TOKEN_REFRESH_EVERY_MS = 10 * 60 * 1000
+// Access tokens expiring within this are refreshed; they last an hour
+const TOKEN_REFRESH_AHEAD_MS = 15 * 60 * 1000
+const CLEANUP_EVERY_MS = 60 * 60 * 1000
+// Viewing orders asks for a sync only when the last one is older than this
+const ORDER_SYNC_REQUEST_AFTER_MS = 60 * 1000
+// Data younger than this is left alone, so cleanup can't race a connection being created
+const CLEANUP_GRACE_MS = 60 * 60 * 1000
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const loadConnection = async (job) => {
+  const connection = await SellerConnection.findById(job.connection)
+  if (!connection) {
+    throw new Error("Amazon account not found")
+  }
+  return connection
+}
+
+// The connection is gone or has to be authorized again; retrying won't help
+const isConnectionError = (error) =>
+  error.message === "Amazon account not found" ||
+  error.message === "Amazon account not connected" ||
+  error.message.includes("Please reconnect")
+
+defineJob(
+  "orders.sync",
+  async (job) => {
+    const connection = await loadConnection(job)
+    const { fetched } = await syncOrders(connection, await getSpApiAuth(connection))
+    return { fetched }
+  },
+  { isPermanentError: isConnectionError },
+)
+
+defineJob(
+  "orders.items",
+  async (job) => {
+    const connection = await loadConnection(job)
+    return loadMissingItems(connection, await getSpApiAuth(connection), {
+      marketplaceIds: getTrackedMarketplaceIds(connection),
+      limit: ORDER_ITEMS_BATCH_SIZE,
+    })
+  },
+  { isPermanentError: isConnectionError },
+)
+
+defineJob(
+  "tokens.refresh",
+  async (job) => {
+    const connection = await loadConnection(job)
+    const expiresAt = connection.tokenExpiresAt?.getTime() || 0
+
+    if (expiresAt - Date.now() > TOKEN_REFRESH_AHEAD_MS) {
+      return { refreshed: false, tokenExpiresAt: connection.tokenExpiresAt }
+    }
+
+    await refreshConnectionToken(connection)
+    return { refreshed: true, tokenExpiresAt: connection.tokenExpiresAt }
+  },
+  { isPermanentError: isConnectionError },
+)
+
+defineJob("cleanup", async () => {
+  const now = Date.now()
+  // Expired codes are kept for a day so a late attempt still hears that the code expired
+  const expiredBefore = new Date(now - DAY_MS)
+  const createdBefore = new Date(now - CLEANUP_GRACE_MS)
+
+  const [otps, resets] = await Promise.all([
+    User.updateMany({ "otp.expiresAt": { $lt: expiredBefore } }, { $unset: { otp: 1 } }),
+    User.updateMany({ "passwordReset.expiresAt": { $lt: expiredBefore } }, { $unset: { passwordReset: 1 } }),
+  ])
+
+  // Reports and jobs of connections that were removed while the backend stopped half way
+  const connectionIds = await SellerConnection.distinct("_id")
+  const reportIds = await Report.find({
+    connection: { $nin: connectionIds },
+    createdAt: { $lt: createdBefore },
+  }).distinct("_id")
+  await ReportRow.deleteMany({ report: { $in: reportIds } })
+  await Report.deleteMany({ _id: { $in: reportIds } })
+  const jobs = await Job.deleteMany({
+    connection: { $exists: true, $nin: connectionIds },
+    createdAt: { $lt: createdBefore },
+  })
+
+  return {
+    expiredCodes: otps.modifiedCount + resets.modifiedCount,
+    orphanedReports: reportIds.length,
+    orphanedJobs: jobs.deletedCount,
+  }
+})
+
+const jobKey = (name, connection) => `${name}:${connection._id}`
+
+// Start syncing a newly connected or reconnected seller account right away and keep its
+// token fresh. Revives its jobs if they died, e.g. because the account had to be reconnected.
+const scheduleConnectionJobs = async (connection) => {
+  await scheduleJob("orders.sync", {
+    key: jobKey("orders.sync", connection),
+    connection: connection._id,
+    everyMs: config.orderSyncEveryMs,
+  })
+  await scheduleJob("orders.items", {
+    key: jobKey("orders.items", connection),
+    connection: connection._id,
+    everyMs: ORDER_ITEMS_EVERY_MS,
+    runAt: new Date(Date.now() + ORDER_ITEMS_EVERY_MS),
+  })
+  await scheduleJob("tokens.refresh", {
+    key: jobKey("tokens.refresh", connection),
+    connection: connection._id,
+    everyMs: TOKEN_REFRESH_EVERY_MS,
+    runAt: new Date(Date.now() + TOKEN_REFRESH_EVERY_MS),
+  })
+}
+
+// Move the connection's next order sync to now, e.g. when someone opens its orders. Nothing
+// happens while the last sync is recent or the account has to be reconnected first.
+const requestOrderSync = async (connection) => {
+  const lastSyncedAt = connection.orderSync?.lastSyncedAt
+  if (connection.status === "error" || (lastSyncedAt && Date.now() - lastSyncedAt < ORDER_SYNC_REQUEST_AFTER_MS)) {
+    return
+  }
+
+  await scheduleJob("orders.sync", {
+    key: jobKey("orders.sync", connection),
+    connection: connection._id,
+    everyMs: config.orderSyncEveryMs,
+  })
+}
+
+// Fetch the connection's missing line items now, e.g. after an export went out without them
+const requestOrderItems = async (connection) => {
+  await scheduleJob("orders.items", {
+    key: jobKey("orders.items", connection),
+    connection: connection._id,
+    everyMs: ORDER_ITEMS_EVERY_MS,
+  })
+}
+
+// Make sure every connection and the cleanup have their recurring jobs, then start
+// running jobs. New jobs for existing connections start at a random time within their
+// interval so they don't all run at once. Connections from before workspaces and orders
+// stored before they belonged to a connection are moved first, so syncs don't store them twice.
+const startBackgroundJobs = async () => {
+  const spread = (everyMs) => new Date(Date.now() + Math.random() * everyMs)
+
+  await migrateConnections()
+  await migrateOrderConnections()
+
+  const connections = await SellerConnection.find({}, "_id")
+  for (const connection of connections) {
+    await ensureJob("orders.sync", {
+      key: jobKey("orders.sync", connection),
+      connection: connection._id,
+      everyMs: config.orderSyncEveryMs,
+      runAt: spread(config.orderSyncEveryMs),
+    })
+    await ensureJob("orders.items", {
+      key: jobKey("orders.items", connection),
+      connection: connection._id,
+      everyMs: ORDER_ITEMS_EVERY_MS,
+      runAt: spread(ORDER_ITEMS_EVERY_MS),
+    })
+    await ensureJob("tokens.refresh", {
+      key: jobKey("tokens.refresh", connection),
+      connection: connection._id,
+      everyMs: TOKEN_REFRESH_EVERY_MS,
+      runAt: spread(TOKEN_REFRESH_EVERY_MS),
+    })
+  }
+  await ensureJob("cleanup", { key: "cleanup", everyMs: CLEANUP_EVERY_MS })
+
+  startJobWorker()
+}
+
+// Jobs of the seller accounts in the user's workspaces, each with the account's name, the
+// workspace and the user's role in it
+const listUserJobs = async (userId) => {
+  const entries = await getUserConnections(userId)
+  const entriesById = new Map(entries.map((entry) => [entry.connection._id.toString(), entry]))
+
+  const jobs = await Job.find({
+    $or: [{ connection: { $in: entries.map((entry) => entry.connection._id) } }, { user: userId }],
+  }).sort({ createdAt: 1 })
+
+  return jobs.map((job) => {
+    const entry = job.connection && entriesById.get(job.connection.toString())
+    return {
+      ...job.toSummary(),
+      connectionName: entry ? entry.connection.name || entry.connection.sellerId : undefined,
+      workspaceId: entry?.workspace._id,
+      role: entry?.role,
+    }
+  })
+}
+
+module.exports = {
+  scheduleConnectionJobs,
+  requestOrderSync,
+  requestOrderItems,
+  startBackgroundJobs,
+  listUserJobs,
+}
@@ -0,0 +1,54 @@
+const { getRateLimitStore } = require("./rateLimitStore")
+const { logger } = require("../utils/logger")
+
+// Failed password checks per account. After a few failures every further one is answered
+// more slowly; too many within the window lock the account's sign-in for a while.
+// Unknown emails are treated the same way so responses don't reveal which accounts exist.
+
+const FAILURE_WINDOW_MS = 15 * 60 * 1000
+const MAX_FAILURES = Number.parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5
+const LOCKOUT_MS = (Number.parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000
+// Failures answered without delay; the delay then doubles up to MAX_DELAY_MS
+const FREE_FAILURES = 2
+const MAX_DELAY_MS = 8000
+
+const accountKey = (email) => String(email).toLowerCase().trim()
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Milliseconds the account's sign-in is still locked for, 0 when it isn't
+const getLoginLockout = async (email) => {
+  const lock = await getRateLimitStore().get(`login-lock:${accountKey(email)}`)
+  return lock ? Math.max(lock.resetAt.getTime() - Date.now(), 0) : 0
+}
+
+// Record a failed sign-in. Waits the progressive delay, then resolves to the lockout
+// in milliseconds when this failure locked the account, otherwise 0.
+const recordLoginFailure = async (email) => {
+  const store = getRateLimitStore()
+  const key = accountKey(email)
+  const { count } = await store.increment(`login-failures:${key}`, FAILURE_WINDOW_MS)
+
+  if (count >= MAX_FAILURES) {
+    await store.reset(`login-failures:${key}`)
+    const lock = await store.increment(`login-lock:${key}`, LOCKOUT_MS)
+    logger.info(`Sign-in locked for ${key} after ${count} failed attempts`)
+    return Math.max(lock.resetAt.getTime() - Date.now(), 0)
+  }
+
+  if (count > FREE_FAILURES) {
+    await sleep(Math.min(1000 * 2 ** (count - FREE_FAILURES - 1), MAX_DELAY_MS))
+  }
+  return 0
+}
+
+// Forget earlier failures after a successful sign-in
+const clearLoginFailures = async (email) => {
+  await getRateLimitStore().reset(`login-failures:${accountKey(email)}`)
+}
+
+module.exports = {
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+}
@@ -0,0 +1,72 @@
+const { getSellerProfile, getMarketplaceId, getMarketplaceCode } = require("./amazonSpApi")
+
+// Record the seller's marketplace participations on the connection.
+// Tracking choices and backfill state are kept for marketplaces seen before.
+const refreshMarketplaces = async (connection, auth) => {
+  const profile = await getSellerProfile(auth)
+  if (!profile.hasAccess) {
+    throw new Error("Unable to read marketplace participations for this seller")
+  }
+
+  const previous = new Map((connection.marketplaces || []).map((m) => [m.marketplaceId, m]))
+
+  connection.marketplaces = profile.participations
+    .filter((entry) => entry.marketplace?.id)
+    .map(({ marketplace, participation }) => {
+      const existing = previous.get(marketplace.id)
+      const code = getMarketplaceCode(marketplace.id)
+      const isParticipating = !!participation?.isParticipating
+
+      return {
+        marketplaceId: marketplace.id,
+        code: code || marketplace.countryCode,
+        name: marketplace.name,
+        countryCode: marketplace.countryCode,
+        currencyCode: marketplace.defaultCurrencyCode,
+        domainName: marketplace.domainName,
+        isParticipating,
+        // New retail marketplaces are tracked until the user chooses otherwise
+        tracked: existing ? existing.tracked : isParticipating && !!code,
+        backfilledAt: existing?.backfilledAt,
+      }
+    })
+
+  await connection.save()
+  return connection.marketplaces
+}
+
+// Marketplace IDs whose orders are synced and shown for this connection
+const getTrackedMarketplaceIds = (connection) => {
+  const marketplaces = connection.marketplaces || []
+
+  // Connections whose participations are not loaded yet use the region default
+  if (marketplaces.length === 0) {
+    return [getMarketplaceId(connection.region)]
+  }
+
+  return marketplaces.filter((m) => m.tracked).map((m) => m.marketplaceId)
+}
+
+// Replace the set of tracked marketplaces with the given participations
+const setTrackedMarketplaces = async (connection, marketplaceIds) => {
+  const marketplaces = connection.marketplaces || []
+  const known = new Set(marketplaces.map((m) => m.marketplaceId))
+  const unknown = marketplaceIds.filter((id) => !known.has(id))
+
+  if (unknown.length > 0) {
+    throw new Error(`Unknown marketplace: ${unknown.join(", ")}`)
+  }
+
+  marketplaces.forEach((m) => {
+    m.tracked = marketplaceIds.includes(m.marketplaceId)
+  })
+  await connection.save()
+
+  return marketplaces
+}
+
+module.exports = {
+  refreshMarketplaces,
+  getTrackedMarketplaceIds,
+  setTrackedMarketplaces,
+}
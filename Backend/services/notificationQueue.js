@@ -0,0 +1,73 @@
+const fs = require("fs/promises")
+const path = require("path")
+const { processNotification } = require("./notifications")
+const { logger } = require("../utils/logger")
+
+// Local stand-in for the SQS queue. Every .json file in NOTIFICATIONS_QUEUE_DIR is one
+// message; write files under another name and rename them to .json once complete.
+// Handled files move to processed/, ones that keep failing to failed/.
+
+const config = {
+  dir: process.env.NOTIFICATIONS_QUEUE_DIR,
+  pollMs: Number.parseInt(process.env.NOTIFICATIONS_POLL_MS, 10) || 5000,
+}
+
+// A failing message is retried on later polls up to this many times
+const MAX_ATTEMPTS = 5
+
+let timer = null
+
+const moveTo = async (file, folder) => {
+  await fs.mkdir(path.join(config.dir, folder), { recursive: true })
+  await fs.rename(path.join(config.dir, file), path.join(config.dir, folder, file))
+}
+
+const pollQueue = async () => {
+  const files = (await fs.readdir(config.dir)).filter((file) => file.endsWith(".json")).sort()
+
+  for (const file of files) {
+    try {
+      const message = await fs.readFile(path.join(config.dir, file), "utf8")
+      const result = await processNotification(message, "file")
+
+      if (result.status === "failed") {
+        if (result.attempts < MAX_ATTEMPTS) continue
+        await moveTo(file, "failed")
+      } else {
+        await moveTo(file, "processed")
+      }
+    } catch (error) {
+      logger.error(`Could not process notification file ${file}`, { error })
+
+      // Unparseable messages won't succeed later; anything else is retried on the next poll
+      if (error.message.startsWith("Invalid")) {
+        await moveTo(file, "failed")
+      }
+    }
+  }
+}
+
+// Start polling the queue directory, if one is configured
+const startFileQueue = async () => {
+  if (!config.dir || timer) return
+
+  await fs.mkdir(config.dir, { recursive: true })
+  logger.info(`Watching ${config.dir} for notifications every ${config.pollMs}ms`)
+
+  const tick = async () => {
+    try {
+      await pollQueue()
+    } catch (error) {
+      logger.error("Notification queue poll failed", { error })
+    } finally {
+      timer = setTimeout(tick, config.pollMs)
+      timer.unref()
+    }
+  }
+
+  tick()
+}
+
+module.exports = {
+  startFileQueue,
+}
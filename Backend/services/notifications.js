@@ -0,0 +1,311 @@
+const Notification = require("../models/Notification")
+const SellerConnection = require("../models/SellerConnection")
+const {
+  getDestinations,
+  createDestination,
+  createSubscription,
+  deleteSubscription,
+} = require("./amazonNotifications")
+const { fetchOrder } = require("./amazonSpApi")
+const { getSpApiAuth } = require("./connections")
+const { getTrackedMarketplaceIds } = require("./marketplaces")
+const { saveOrders, publishOrderChanges } = require("./orderSync")
+const { logger } = require("../utils/logger")
+
+// SP API notifications: per-connection subscriptions and idempotent processing of the
+// messages Amazon publishes to the application's SQS queue.
+
+// Notification types a connection can subscribe to, with the payload version we parse
+const NOTIFICATION_TYPES = {
+  ORDER_CHANGE: { payloadVersion: "1.0" },
+  ANY_OFFER_CHANGED: { payloadVersion: "1.0" },
+}
+
+const config = {
+  // SQS queue Amazon delivers to. Messages reach the app through the ingest endpoint
+  // or the local queue directory, see services/notificationQueue.js.
+  queueArn: process.env.NOTIFICATIONS_SQS_ARN,
+  destinationName: process.env.NOTIFICATIONS_DESTINATION_NAME || "unibazar-notifications",
+}
+
+// A message stuck in "processing" this long (e.g. after a crash) is processed again on redelivery
+const STALE_PROCESSING_MS = 5 * 60 * 1000
+
+// Destination ID of the queue in each region, looked up once
+const destinations = new Map()
+
+const getDestinationId = async (region) => {
+  if (!config.queueArn) {
+    throw new Error("Notifications are not configured. Set NOTIFICATIONS_SQS_ARN.")
+  }
+
+  if (!destinations.has(region)) {
+    const existing = (await getDestinations(region)).find((d) => d.resource?.sqs?.arn === config.queueArn)
+    const destination =
+      existing || (await createDestination(region, { name: config.destinationName, arn: config.queueArn }))
+    destinations.set(region, destination.destinationId)
+  }
+
+  return destinations.get(region)
+}
+
+const validateType = (notificationType) => {
+  if (!NOTIFICATION_TYPES[notificationType]) {
+    throw new Error(
+      `Invalid notification type: ${notificationType}. Use ${Object.keys(NOTIFICATION_TYPES).join(" or ")}`,
+    )
+  }
+}
+
+// Subscription state of every supported notification type for the connection
+const listSubscriptions = (connection) => {
+  return Object.keys(NOTIFICATION_TYPES).map((notificationType) => {
+    const subscription = (connection.notificationSubscriptions || []).find(
+      (s) => s.notificationType === notificationType,
+    )
+
+    return {
+      notificationType,
+      subscribed: !!subscription,
+      subscriptionId: subscription?.subscriptionId,
+      subscribedAt: subscription?.subscribedAt,
+    }
+  })
+}
+
+const subscribe = async (connection, notificationType) => {
+  validateType(notificationType)
+
+  const auth = await getSpApiAuth(connection)
+  const destinationId = await getDestinationId(connection.region)
+  const subscription = await createSubscription(auth, notificationType, {
+    destinationId,
+    payloadVersion: NOTIFICATION_TYPES[notificationType].payloadVersion,
+  })
+
+  connection.notificationSubscriptions = (connection.notificationSubscriptions || []).filter(
+    (s) => s.notificationType !== notificationType,
+  )
+  connection.notificationSubscriptions.push({
+    notificationType,
+    subscriptionId: subscription.subscriptionId,
+    destinationId,
+    payloadVersion: subscription.payloadVersion,
+    subscribedAt: new Date(),
+  })
+  await connection.save()
+
+  logger.info("Subscribed to notifications", { sellerId: connection.sellerId, notificationType })
+  return subscription
+}
+
+// Amazon keeps one subscription per seller and type, so it is only deleted when no
+// other user's connection to the same seller still relies on it
+const unsubscribe = async (connection, notificationType) => {
+  validateType(notificationType)
+
+  const subscription = (connection.notificationSubscriptions || []).find(
+    (s) => s.notificationType === notificationType,
+  )
+  if (!subscription) return
+
+  const shared = await SellerConnection.exists({
+    _id: { $ne: connection._id },
+    sellerId: connection.sellerId,
+    "notificationSubscriptions.notificationType": notificationType,
+  })
+  if (!shared) {
+    await deleteSubscription(connection.region, notificationType, subscription.subscriptionId)
+  }
+
+  connection.notificationSubscriptions = connection.notificationSubscriptions.filter(
+    (s) => s.notificationType !== notificationType,
+  )
+  await connection.save()
+
+  logger.info("Unsubscribed from notifications", { sellerId: connection.sellerId, notificationType })
+}
+
+// Best-effort cleanup before a connection is removed
+const unsubscribeAll = async (connection) => {
+  for (const subscription of connection.notificationSubscriptions || []) {
+    try {
+      await unsubscribe(connection, subscription.notificationType)
+    } catch (error) {
+      logger.error("Could not unsubscribe from notifications", {
+        sellerId: connection.sellerId,
+        notificationType: subscription.notificationType,
+        error,
+      })
+    }
+  }
+}
+
+// Accept a notification as Amazon publishes it, as a JSON string, or wrapped in an
+// SQS message whose Body holds the notification
+const parseMessage = (message) => {
+  let notification = message
+
+  try {
+    if (typeof notification === "string") {
+      notification = JSON.parse(notification)
+    }
+    if (notification && typeof notification.Body === "string") {
+      notification = JSON.parse(notification.Body)
+    }
+  } catch (error) {
+    throw new Error("Invalid notification: not valid JSON")
+  }
+
+  if (!notification?.NotificationType || !notification?.NotificationMetadata?.NotificationId) {
+    throw new Error("Invalid notification: NotificationType and NotificationMetadata.NotificationId are required")
+  }
+
+  return notification
+}
+
+// Every payload has a single "<Type>Notification" object carrying the seller ID
+const getSellerId = (notification) => {
+  const payload = Object.values(notification.Payload || {})[0]
+  return payload?.SellerId
+}
+
+// Connections holding the subscription the notification was sent for. Amazon creates a
+// subscription with the seller's own tokens, so unlike the seller ID a connection was saved
+// with, it can't be claimed by someone else.
+const findSubscribedConnections = (notification) => {
+  const subscriptionId = notification.NotificationMetadata.SubscriptionId
+  if (!subscriptionId) return []
+  return SellerConnection.find({ "notificationSubscriptions.subscriptionId": subscriptionId })
+}
+
+// Refresh the stored order from the Orders API for every connection tracking its marketplace.
+// The notification only carries a summary, and reading the order back means out-of-order
+// deliveries still end on the latest state.
+const handleOrderChange = async (notification) => {
+  const change = notification.Payload?.OrderChangeNotification
+  if (!change?.AmazonOrderId) {
+    throw new Error("Invalid notification: ORDER_CHANGE without AmazonOrderId")
+  }
+
+  const marketplaceId = change.Summary?.MarketplaceId
+  const connections = (await findSubscribedConnections(notification)).filter(
+    (connection) => !marketplaceId || getTrackedMarketplaceIds(connection).includes(marketplaceId),
+  )
+  if (connections.length === 0) {
+    return { ignored: true, reason: "No connection tracks the order's marketplace" }
+  }
+
+  let order
+  for (const connection of connections) {
+    order = await fetchOrder(await getSpApiAuth(connection), change.AmazonOrderId)
+    await publishOrderChanges(connection, await saveOrders(connection, [order]))
+  }
+
+  return {
+    amazonOrderId: order.AmazonOrderId,
+    orderStatus: order.OrderStatus,
+    changeType: change.OrderChangeType,
+    connections: connections.length,
+  }
+}
+
+// Offer changes aren't stored on orders; the record keeps the buy box summary
+const handleAnyOfferChanged = async (notification) => {
+  const change = notification.Payload?.AnyOfferChangedNotification
+  const trigger = change?.OfferChangeTrigger
+
+  return {
+    asin: trigger?.ASIN,
+    marketplaceId: trigger?.MarketplaceId,
+    itemCondition: trigger?.ItemCondition,
+    numberOfOffers: change?.Summary?.NumberOfOffers,
+    buyBoxPrices: change?.Summary?.BuyBoxPrices,
+  }
+}
+
+const HANDLERS = {
+  ORDER_CHANGE: handleOrderChange,
+  ANY_OFFER_CHANGED: handleAnyOfferChanged,
+}
+
+// Process one queue message. A notification ID is handled once: redeliveries of a
+// processed or ignored notification are reported as duplicates, failed ones are retried.
+// Returns { notificationId, status, error?, attempts? }.
+const processNotification = async (message, source) => {
+  const notification = parseMessage(message)
+  const { NotificationId: notificationId, SubscriptionId: subscriptionId } = notification.NotificationMetadata
+  const notificationType = notification.NotificationType
+
+  let record
+  try {
+    record = await Notification.create({
+      notificationId,
+      notificationType,
+      sellerId: getSellerId(notification),
+      subscriptionId,
+      eventTime: notification.EventTime ? new Date(notification.EventTime) : undefined,
+      source,
+      attempts: 1,
+      lastAttemptAt: new Date(),
+    })
+  } catch (error) {
+    if (error.code !== 11000) throw error
+
+    // Seen before: claim it again only if the earlier attempt failed or never finished
+    record = await Notification.findOneAndUpdate(
+      {
+        notificationId,
+        $or: [
+          { status: "failed" },
+          { status: "processing", lastAttemptAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+        ],
+      },
+      {
+        $set: { status: "processing", source, lastAttemptAt: new Date() },
+        $inc: { attempts: 1 },
+        $unset: { error: 1 },
+      },
+      { new: true },
+    )
+    if (!record) {
+      return { notificationId, status: "duplicate" }
+    }
+  }
+
+  const log = logger.child({ notificationId, notificationType, sellerId: record.sellerId })
+  try {
+    const handler = HANDLERS[notificationType]
+    const result = handler ? await handler(notification) : { ignored: true, reason: "Unsupported notification type" }
+
+    record.set({ status: result.ignored ? "ignored" : "processed", result, processedAt: new Date() })
+    await record.save()
+
+    log.info(`Notification ${record.status}`)
+    return { notificationId, status: record.status }
+  } catch (error) {
+    log.error("Failed to process notification", { error })
+
+    record.set({ status: "failed", error: error.message })
+    await record.save()
+    return { notificationId, status: "failed", error: error.message, attempts: record.attempts }
+  }
+}
+
+// Most recent notifications received through the connection's subscriptions
+const listNotifications = (connection, limit = 50) => {
+  const subscriptionIds = (connection.notificationSubscriptions || []).map((s) => s.subscriptionId)
+  return Notification.find({ subscriptionId: { $in: subscriptionIds } })
+    .sort({ receivedAt: -1 })
+    .limit(limit)
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  listSubscriptions,
+  subscribe,
+  unsubscribe,
+  unsubscribeAll,
+  processNotification,
+  listNotifications,
+}
@@ -0,0 +1,82 @@
+const crypto = require("crypto")
+const OAuthState = require("../models/OAuthState")
+
+// How long a consent link stays valid
+const STATE_TTL_MS = 10 * 60 * 1000
+
+const getSecret = () => {
+  const secret = process.env.OAUTH_STATE_SECRET || process.env.JWT_SECRET
+  if (!secret) {
+    throw new Error("OAUTH_STATE_SECRET or JWT_SECRET must be set")
+  }
+  return secret
+}
+
+const sign = (nonce) => crypto.createHmac("sha256", getSecret()).update(nonce).digest("hex")
+
+// Error carrying the reason a state was rejected: "invalid", "expired" or "replayed"
+const stateError = (reason, message) => {
+  const error = new Error(message)
+  error.reason = reason
+  return error
+}
+
+// Create a signed, expiring, single-use state for the given user, target workspace and region
+const createState = async (userId, workspaceId, region) => {
+  const nonce = crypto.randomBytes(32).toString("hex")
+
+  await OAuthState.create({
+    nonce,
+    user: userId,
+    workspace: workspaceId,
+    region,
+    expiresAt: new Date(Date.now() + STATE_TTL_MS),
+  })
+
+  return `${nonce}.${sign(nonce)}`
+}
+
+// Verify a state returned by Amazon and mark it used. Returns the user and workspace IDs and
+// the region it was issued for; workspaceId and region are null for states created before
+// they were recorded.
+const consumeState = async (state) => {
+  const [nonce, signature, ...rest] = typeof state === "string" ? state.split(".") : []
+  if (!nonce || !signature || rest.length > 0) {
+    throw stateError("invalid", "Malformed OAuth state")
+  }
+
+  const expected = Buffer.from(sign(nonce))
+  const received = Buffer.from(signature)
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw stateError("invalid", "OAuth state signature mismatch")
+  }
+
+  // Atomically claim the state so concurrent callbacks cannot both use it
+  const record = await OAuthState.findOneAndUpdate(
+    { nonce, consumedAt: { $exists: false } },
+    { $set: { consumedAt: new Date() } },
+  )
+
+  if (!record) {
+    const existing = await OAuthState.exists({ nonce })
+    if (existing) {
+      throw stateError("replayed", "OAuth state has already been used")
+    }
+    throw stateError("invalid", "Unknown OAuth state")
+  }
+
+  if (record.expiresAt.getTime() < Date.now()) {
+    throw stateError("expired", "OAuth state has expired")
+  }
+
+  return {
+    userId: record.user.toString(),
+    workspaceId: record.workspace ? record.workspace.toString() : null,
+    region: record.region || null,
+  }
+}
+
+module.exports = {
+  createState,
+  consumeState,
+}
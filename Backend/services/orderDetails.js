@@ -0,0 +1,181 @@
+const Order = require("../models/Order")
+const { fetchOrderItems, fetchOrderFinancialEvents, getMarketplaceCode } = require("./amazonSpApi")
+
+// Orders API money object -> { currencyCode, amount }
+const toMoney = (money) =>
+  money && money.CurrencyCode
+    ? { currencyCode: money.CurrencyCode, amount: Number.parseFloat(money.Amount) || 0 }
+    : null
+
+const toItem = (item) => ({
+  orderItemId: item.OrderItemId,
+  asin: item.ASIN,
+  sellerSku: item.SellerSKU,
+  title: item.Title,
+  condition: item.ConditionId,
+  quantityOrdered: item.QuantityOrdered || 0,
+  quantityShipped: item.QuantityShipped || 0,
+  itemPrice: toMoney(item.ItemPrice),
+  itemTax: toMoney(item.ItemTax),
+  shippingPrice: toMoney(item.ShippingPrice),
+  shippingTax: toMoney(item.ShippingTax),
+  shippingDiscount: toMoney(item.ShippingDiscount),
+  promotionDiscount: toMoney(item.PromotionDiscount),
+  promotionIds: item.PromotionIds || [],
+  isGift: item.IsGift === true || item.IsGift === "true",
+})
+
+// Sum the price components of all line items. Amounts are in the order currency.
+const sumItems = (items, currencyCode) => {
+  const fields = ["itemPrice", "itemTax", "shippingPrice", "shippingTax", "shippingDiscount", "promotionDiscount"]
+  const totals = { currencyCode }
+
+  fields.forEach((field) => {
+    totals[field] = Number(items.reduce((sum, item) => sum + (item[field]?.amount || 0), 0).toFixed(2))
+  })
+
+  return totals
+}
+
+// Add an amount to the running total for its type and currency
+const addAmount = (totals, type, money) => {
+  if (!money || money.CurrencyAmount === undefined) return
+  const key = `${type}:${money.CurrencyCode}`
+  const entry = totals.get(key) || { type, currencyCode: money.CurrencyCode, amount: 0 }
+  entry.amount += Number(money.CurrencyAmount) || 0
+  totals.set(key, entry)
+}
+
+const round = (entries) => entries.map((entry) => ({ ...entry, amount: Number(entry.amount.toFixed(2)) }))
+
+// Charges, Amazon fees and promotions from the order's financial events, with the net
+// proceeds per currency. Refund adjustments are included with their sign.
+const summarizeFinances = (events) => {
+  const charges = new Map()
+  const fees = new Map()
+  const promotions = new Map()
+
+  const addShipmentItem = (item, chargeList, feeList) => {
+    for (const charge of item[chargeList] || []) addAmount(charges, charge.ChargeType, charge.ChargeAmount)
+    for (const fee of item[feeList] || []) addAmount(fees, fee.FeeType, fee.FeeAmount)
+    for (const promotion of item.PromotionList || item.PromotionAdjustmentList || []) {
+      addAmount(promotions, promotion.PromotionType || "Promotion", promotion.PromotionAmount)
+    }
+  }
+
+  for (const event of events.ShipmentEventList) {
+    for (const item of event.ShipmentItemList || []) addShipmentItem(item, "ItemChargeList", "ItemFeeList")
+  }
+  for (const event of events.RefundEventList) {
+    for (const item of event.ShipmentItemAdjustmentList || []) {
+      addShipmentItem(item, "ItemChargeAdjustmentList", "ItemFeeAdjustmentList")
+    }
+  }
+
+  const net = new Map()
+  for (const entry of [...charges.values(), ...fees.values(), ...promotions.values()]) {
+    addAmount(net, "net", { CurrencyCode: entry.currencyCode, CurrencyAmount: entry.amount })
+  }
+
+  return {
+    charges: round([...charges.values()]),
+    fees: round([...fees.values()]),
+    promotions: round([...promotions.values()]),
+    net: round([...net.values()]).map(({ currencyCode, amount }) => ({ currencyCode, amount })),
+  }
+}
+
+// Orders whose line items were never fetched or are older than the order's last update
+const MISSING_ITEMS_QUERY = {
+  $or: [{ itemsSyncedAt: null }, { $expr: { $gt: ["$lastUpdateDate", "$itemsSyncedAt"] } }],
+}
+
+// Line items for a stored order, fetched from Amazon when the order changed since the last fetch
+const loadItems = async (order, auth) => {
+  const upToDate =
+    order.items && order.itemsSyncedAt && (!order.lastUpdateDate || order.lastUpdateDate <= order.itemsSyncedAt)
+
+  if (upToDate) {
+    return order.items
+  }
+
+  const items = await fetchOrderItems(auth, order.amazonOrderId)
+  order.items = items
+  order.itemsSyncedAt = new Date()
+  await order.save()
+
+  return items
+}
+
+// Fetch the line items of up to `limit` of the connection's orders that lack them, newest
+// first. An order Amazon no longer knows is stored without items so it isn't asked for again.
+// Returns how many orders were loaded and how many still lack their items.
+const loadMissingItems = async (connection, auth, { marketplaceIds, limit }) => {
+  const query = { $and: [{ connection: connection._id, marketplaceId: { $in: marketplaceIds } }, MISSING_ITEMS_QUERY] }
+  const orders = await Order.find(query).select("-raw").sort({ purchaseDate: -1, _id: -1 }).limit(limit)
+
+  for (const order of orders) {
+    try {
+      await loadItems(order, auth)
+    } catch (error) {
+      if (!error.message.includes("Order not found")) throw error
+      order.items = []
+      order.itemsSyncedAt = new Date()
+      await order.save()
+    }
+  }
+
+  return { loaded: orders.length, remaining: await Order.countDocuments(query) }
+}
+
+// Full detail for one of the connection's orders: line items, shipping and the fee breakdown
+const getOrderDetail = async (connection, orderId, auth) => {
+  const order = await Order.findOne({ connection: connection._id, amazonOrderId: orderId })
+  if (!order) {
+    throw new Error("Order not found")
+  }
+
+  const raw = order.raw || {}
+  const [rawItems, financialEvents] = await Promise.all([
+    loadItems(order, auth),
+    fetchOrderFinancialEvents(auth, orderId),
+  ])
+  const items = rawItems.map(toItem)
+
+  return {
+    orderId: order.amazonOrderId,
+    marketplaceId: order.marketplaceId,
+    marketplace: getMarketplaceCode(order.marketplaceId),
+    salesChannel: order.salesChannel,
+    status: order.orderStatus,
+    orderType: order.orderType,
+    purchaseDate: order.purchaseDate,
+    lastUpdateDate: order.lastUpdateDate,
+    orderTotal: order.orderTotal?.currencyCode ? order.orderTotal : null,
+    isPrime: !!order.isPrime,
+    isBusinessOrder: !!order.isBusinessOrder,
+    fulfillmentChannel: order.fulfillmentChannel,
+    shipping: {
+      serviceLevel: raw.ShipServiceLevel,
+      serviceLevelCategory: raw.ShipmentServiceLevelCategory,
+      earliestShipDate: raw.EarliestShipDate,
+      latestShipDate: raw.LatestShipDate,
+      earliestDeliveryDate: raw.EarliestDeliveryDate,
+      latestDeliveryDate: raw.LatestDeliveryDate,
+      numberOfItemsShipped: order.numberOfItemsShipped,
+      numberOfItemsUnshipped: order.numberOfItemsUnshipped,
+    },
+    items,
+    totals: sumItems(items, order.orderTotal?.currencyCode),
+    // null when the Finances API isn't available to this application
+    finances: financialEvents ? summarizeFinances(financialEvents) : null,
+  }
+}
+
+module.exports = {
+  getOrderDetail,
+  loadItems,
+  loadMissingItems,
+  toItem,
+  MISSING_ITEMS_QUERY,
+}
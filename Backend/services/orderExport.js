@@ -0,0 +1,167 @@
+const { once } = require("events")
+const ExcelJS = require("exceljs")
+const Order = require("../models/Order")
+const { getMarketplaceCode } = require("./amazonSpApi")
+const { buildOrderQuery } = require("./orderQuery")
+const { toItem, MISSING_ITEMS_QUERY } = require("./orderDetails")
+const { logger } = require("../utils/logger")
+
+// Streams a seller connection's filtered orders as CSV or XLSX, one row per line item.
+// Orders are read through a cursor and written as they arrive, so memory use
+// doesn't grow with the size of the export. Only stored line items are exported; the
+// orders.items job fetches the missing ones in the background.
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" },
+}
+
+const COLUMNS = [
+  { header: "Order ID", key: "orderId", width: 22 },
+  { header: "Purchase Date", key: "purchaseDate", width: 22 },
+  { header: "Last Updated", key: "lastUpdateDate", width: 22 },
+  { header: "Status", key: "status", width: 14 },
+  { header: "Fulfillment Channel", key: "fulfillmentChannel", width: 10 },
+  { header: "Marketplace", key: "marketplace", width: 10 },
+  { header: "Marketplace ID", key: "marketplaceId", width: 16 },
+  { header: "Sales Channel", key: "salesChannel", width: 16 },
+  { header: "Currency", key: "currency", width: 8 },
+  { header: "Order Total", key: "orderTotal", width: 12 },
+  { header: "Order Item ID", key: "orderItemId", width: 16 },
+  { header: "SKU", key: "sku", width: 18 },
+  { header: "ASIN", key: "asin", width: 12 },
+  { header: "Title", key: "title", width: 40 },
+  { header: "Quantity Ordered", key: "quantityOrdered", width: 10 },
+  { header: "Quantity Shipped", key: "quantityShipped", width: 10 },
+  { header: "Item Price", key: "itemPrice", width: 12 },
+  { header: "Item Tax", key: "itemTax", width: 12 },
+  { header: "Shipping Price", key: "shippingPrice", width: 12 },
+  { header: "Shipping Tax", key: "shippingTax", width: 12 },
+  { header: "Promotion Discount", key: "promotionDiscount", width: 12 },
+  { header: "Promotion IDs", key: "promotionIds", width: 20 },
+]
+
+const amountOf = (money) => (money ? money.amount : null)
+
+// One row per line item, or a single order-level row when the items aren't available
+const toRows = (order, items) => {
+  const base = {
+    orderId: order.amazonOrderId,
+    purchaseDate: order.purchaseDate ? order.purchaseDate.toISOString() : null,
+    lastUpdateDate: order.lastUpdateDate ? order.lastUpdateDate.toISOString() : null,
+    status: order.orderStatus,
+    fulfillmentChannel: order.fulfillmentChannel,
+    marketplace: getMarketplaceCode(order.marketplaceId),
+    marketplaceId: order.marketplaceId,
+    salesChannel: order.salesChannel,
+    currency: order.orderTotal?.currencyCode,
+    orderTotal: order.orderTotal?.amount ?? null,
+  }
+
+  if (!items || items.length === 0) {
+    return [base]
+  }
+
+  return items.map(toItem).map((item) => ({
+    ...base,
+    orderItemId: item.orderItemId,
+    sku: item.sellerSku,
+    asin: item.asin,
+    title: item.title,
+    quantityOrdered: item.quantityOrdered,
+    quantityShipped: item.quantityShipped,
+    itemPrice: amountOf(item.itemPrice),
+    itemTax: amountOf(item.itemTax),
+    shippingPrice: amountOf(item.shippingPrice),
+    shippingTax: amountOf(item.shippingTax),
+    promotionDiscount: amountOf(item.promotionDiscount),
+    promotionIds: item.promotionIds.join(" "),
+  }))
+}
+
+// Quote a CSV field. Text starting with a formula character is prefixed with a quote
+// so spreadsheet apps don't evaluate it.
+const csvField = (value) => {
+  if (value === null || value === undefined) return ""
+  if (typeof value !== "string") return String(value)
+
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const csvLine = (values) => `${values.map(csvField).join(",")}\r\n`
+
+const createCsvWriter = (stream) => ({
+  start: async () => {
+    // Byte order mark so Excel reads the file as UTF-8
+    stream.write("\uFEFF")
+    await write(stream, csvLine(COLUMNS.map((c) => c.header)))
+  },
+  addRow: (row) => write(stream, csvLine(COLUMNS.map((c) => row[c.key]))),
+  finish: async () => {
+    stream.end()
+  },
+})
+
+const createXlsxWriter = (stream) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false })
+  const worksheet = workbook.addWorksheet("Orders")
+  worksheet.columns = COLUMNS
+
+  return {
+    start: async () => {},
+    addRow: async (row) => worksheet.addRow(row).commit(),
+    finish: async () => {
+      worksheet.commit()
+      await workbook.commit()
+    },
+  }
+}
+
+// Write to the stream, waiting for it to drain when its buffer is full
+const write = async (stream, chunk) => {
+  if (!stream.write(chunk)) {
+    await once(stream, "drain")
+  }
+}
+
+// Number of filtered orders that would be exported without their current line items
+const countMissingItems = (connection, filters) => {
+  return Order.countDocuments({ $and: [buildOrderQuery(connection, filters), MISSING_ITEMS_QUERY] })
+}
+
+// Stream the export to `stream`. Orders without stored line items get an order-level row.
+const exportOrders = async (stream, connection, filters, { format = "csv", isAborted = () => false } = {}) => {
+  const writer = format === "xlsx" ? createXlsxWriter(stream) : createCsvWriter(stream)
+  let count = 0
+
+  await writer.start()
+
+  const cursor = Order.find(buildOrderQuery(connection, filters)).select("-raw").sort({ purchaseDate: -1, _id: -1 }).cursor()
+
+  try {
+    for await (const order of cursor) {
+      if (isAborted()) {
+        logger.info(`Order export aborted after ${count} orders`)
+        return count
+      }
+
+      for (const row of toRows(order, order.items)) {
+        await writer.addRow(row)
+      }
+      count++
+    }
+  } finally {
+    await cursor.close()
+  }
+
+  await writer.finish()
+  logger.info(`Exported ${count} orders as ${format}`)
+  return count
+}
+
+module.exports = {
+  exportOrders,
+  countMissingItems,
+  EXPORT_FORMATS,
+}
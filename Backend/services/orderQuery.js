@@ -0,0 +1,155 @@
+const mongoose = require("mongoose")
+const Order = require("../models/Order")
+const { getMarketplaceCode } = require("./amazonSpApi")
+
+// Filtering and cursor pagination over the local order store
+
+const DEFAULT_PAGE_SIZE = 25
+const MAX_PAGE_SIZE = 100
+
+const FULFILLMENT_CHANNELS = ["AFN", "MFN"]
+
+const splitList = (value) =>
+  (Array.isArray(value) ? value.join(",") : value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+
+const parseDate = (value, name) => {
+  if (!value) return undefined
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name}: expected an ISO 8601 date`)
+  }
+  return date
+}
+
+// Read order filters from request query parameters. Throws "Invalid ..." errors for bad input.
+const parseOrderFilters = (query) => {
+  const filters = {
+    createdAfter: parseDate(query.createdAfter, "createdAfter"),
+    createdBefore: parseDate(query.createdBefore, "createdBefore"),
+    updatedAfter: parseDate(query.updatedAfter, "updatedAfter"),
+    updatedBefore: parseDate(query.updatedBefore, "updatedBefore"),
+    statuses: splitList(query.status),
+    fulfillmentChannels: splitList(query.fulfillmentChannel).map((c) => c.toUpperCase()),
+    marketplaceIds: splitList(query.marketplaceId),
+  }
+
+  if (filters.createdAfter && filters.createdBefore && filters.createdAfter >= filters.createdBefore) {
+    throw new Error("Invalid createdAfter: must be before createdBefore")
+  }
+  if (filters.updatedAfter && filters.updatedBefore && filters.updatedAfter >= filters.updatedBefore) {
+    throw new Error("Invalid updatedAfter: must be before updatedBefore")
+  }
+
+  const unknownChannel = filters.fulfillmentChannels.find((c) => !FULFILLMENT_CHANNELS.includes(c))
+  if (unknownChannel) {
+    throw new Error(`Invalid fulfillmentChannel: ${unknownChannel}. Use AFN or MFN`)
+  }
+
+  return filters
+}
+
+const parsePageSize = (value) => {
+  if (value === undefined || value === "") return DEFAULT_PAGE_SIZE
+
+  const pageSize = Number.parseInt(value, 10)
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new Error(`Invalid limit: must be between 1 and ${MAX_PAGE_SIZE}`)
+  }
+  return pageSize
+}
+
+// Cursors point just past the last order of a page in (purchaseDate, _id) order. Orders
+// without a purchase date sort after all others, their cursors have a null date.
+const encodeCursor = (order) =>
+  Buffer.from(
+    JSON.stringify({ d: order.purchaseDate ? order.purchaseDate.toISOString() : null, id: order._id.toString() }),
+  ).toString("base64url")
+
+const decodeCursor = (cursor) => {
+  try {
+    const { d, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"))
+    const date = d === null ? null : new Date(d)
+    if ((date && Number.isNaN(date.getTime())) || !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error("bad cursor")
+    }
+    return { date, id: new mongoose.Types.ObjectId(id) }
+  } catch (error) {
+    throw new Error("Invalid cursor")
+  }
+}
+
+// Mongo query for a seller connection's orders matching the filters
+const buildOrderQuery = (connection, filters) => {
+  const query = { connection: connection._id }
+
+  if (filters.createdAfter || filters.createdBefore) {
+    query.purchaseDate = {}
+    if (filters.createdAfter) query.purchaseDate.$gte = filters.createdAfter
+    if (filters.createdBefore) query.purchaseDate.$lt = filters.createdBefore
+  }
+  if (filters.updatedAfter || filters.updatedBefore) {
+    query.lastUpdateDate = {}
+    if (filters.updatedAfter) query.lastUpdateDate.$gte = filters.updatedAfter
+    if (filters.updatedBefore) query.lastUpdateDate.$lt = filters.updatedBefore
+  }
+  if (filters.statuses.length > 0) {
+    query.orderStatus = { $in: filters.statuses }
+  }
+  if (filters.fulfillmentChannels.length > 0) {
+    query.fulfillmentChannel = { $in: filters.fulfillmentChannels }
+  }
+  if (filters.marketplaceIds.length > 0) {
+    query.marketplaceId = { $in: filters.marketplaceIds }
+  }
+
+  return query
+}
+
+// One page of orders, newest first, plus the total number of matches.
+// nextCursor is null on the last page.
+const listOrders = async (connection, filters, { cursor, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  const query = buildOrderQuery(connection, filters)
+  const pageQuery = { ...query }
+
+  if (cursor) {
+    const { date, id } = decodeCursor(cursor)
+    pageQuery.$and = [
+      date
+        ? { $or: [{ purchaseDate: { $lt: date } }, { purchaseDate: date, _id: { $lt: id } }, { purchaseDate: null }] }
+        : { purchaseDate: null, _id: { $lt: id } },
+    ]
+  }
+
+  const [orders, totalCount] = await Promise.all([
+    Order.find(pageQuery)
+      .select("-raw -items")
+      .sort({ purchaseDate: -1, _id: -1 })
+      .limit(limit + 1),
+    Order.countDocuments(query),
+  ])
+
+  const hasMore = orders.length > limit
+  const page = hasMore ? orders.slice(0, limit) : orders
+
+  return {
+    orders: page.map((order) => ({
+      ...order.toSummary(),
+      marketplace: getMarketplaceCode(order.marketplaceId),
+      fulfillmentChannel: order.fulfillmentChannel,
+    })),
+    totalCount,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+  }
+}
+
+module.exports = {
+  parseOrderFilters,
+  parsePageSize,
+  buildOrderQuery,
+  listOrders,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+}
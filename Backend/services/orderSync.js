@@ -0,0 +1,240 @@
+const Order = require("../models/Order")
+const { fetchOrderPages, getMarketplaceCode } = require("./amazonSpApi")
+const { refreshMarketplaces, getTrackedMarketplaceIds } = require("./marketplaces")
+const { publishToConnection } = require("./events")
+const { logger } = require("../utils/logger")
+
+// How far back the first sync for a connection reaches
+const BACKFILL_DAYS = Number.parseInt(process.env.ORDER_BACKFILL_DAYS, 10) || 90
+
+// The Orders API rejects date filters later than two minutes before the request
+const API_LAG_MS = 2 * 60 * 1000
+
+// New orders sent with an "orders" event; the client reloads the table for anything beyond
+const MAX_EVENT_ORDERS = 20
+
+// Upsert a page of Orders API results into the connection's order store.
+// Returns the orders that weren't stored before and the number of stored orders that changed.
+const saveOrders = async (connection, orders) => {
+  const operations = orders.map((order) => ({
+    updateOne: {
+      filter: { connection: connection._id, amazonOrderId: order.AmazonOrderId },
+      update: { $set: Order.fromSpApi(connection, order) },
+      upsert: true,
+    },
+  }))
+
+  if (operations.length === 0) {
+    return { created: [], updated: 0 }
+  }
+
+  const result = await Order.bulkWrite(operations, { ordered: false })
+  return {
+    created: Object.keys(result.upsertedIds || {}).map((index) => orders[index]),
+    updated: result.modifiedCount || 0,
+  }
+}
+
+// Tell the connection's workspace about saved orders, with its new 30-day order count as
+// recentOrderCount (the count of GET /status, not the filtered total of GET /orders).
+// `created` holds new orders to show, createdCount how many there are in all (default: all
+// of them). Failures are logged only; the orders are stored either way.
+const publishOrderChanges = async (connection, { created, createdCount = created.length, updated }) => {
+  if (createdCount === 0 && updated === 0) return
+
+  try {
+    const marketplaceIds = getTrackedMarketplaceIds(connection)
+    const newOrders = created
+      .filter((order) => marketplaceIds.includes(order.MarketplaceId))
+      .slice(0, MAX_EVENT_ORDERS)
+      .map((order) => ({
+        ...new Order(Order.fromSpApi(connection, order)).toSummary(),
+        marketplace: getMarketplaceCode(order.MarketplaceId),
+        fulfillmentChannel: order.FulfillmentChannel,
+      }))
+
+    await publishToConnection(connection, "orders", {
+      recentOrderCount: await countRecentOrders(connection, { marketplaceIds }),
+      newOrders,
+      createdCount,
+      updatedCount: updated,
+    })
+  } catch (error) {
+    logger.error("Could not publish order changes", { sellerId: connection.sellerId, error })
+  }
+}
+
+const runSync = async (connection, auth) => {
+  const { sellerId } = connection
+  const log = logger.child({ sellerId, connectionId: connection._id })
+  const cursor = connection.orderSync?.lastUpdatedAfter
+  const syncUntil = new Date(Date.now() - API_LAG_MS)
+
+  if (!connection.marketplaces || connection.marketplaces.length === 0) {
+    try {
+      await refreshMarketplaces(connection, auth)
+    } catch (error) {
+      log.error("Could not load marketplace participations, using region default", { error })
+    }
+  }
+
+  // Marketplaces tracked since the last sync still need their history backfilled
+  const marketplaces = connection.marketplaces || []
+  const needsBackfill = (marketplaceId) =>
+    !cursor || (marketplaces.length > 0 && !marketplaces.find((m) => m.marketplaceId === marketplaceId)?.backfilledAt)
+
+  const trackedIds = getTrackedMarketplaceIds(connection)
+  const backfillIds = trackedIds.filter(needsBackfill)
+  const incrementalIds = trackedIds.filter((id) => !needsBackfill(id))
+
+  log.info("Syncing orders", {
+    backfillMarketplaces: backfillIds.length,
+    incrementalMarketplaces: incrementalIds.length,
+  })
+
+  // Orders saved so far, reported as progress and published once the run ends. Only the
+  // first new orders are kept for the event, a backfill can bring in the whole history.
+  const changes = { created: [], createdCount: 0, updated: 0, saved: 0 }
+  await publishToConnection(connection, "sync", { state: "running", fetched: 0 })
+
+  try {
+    let fetched = 0
+    const save = async (orders) => {
+      const saved = await saveOrders(connection, orders)
+      changes.created.push(...saved.created.slice(0, MAX_EVENT_ORDERS - changes.created.length))
+      changes.createdCount += saved.created.length
+      changes.updated += saved.updated
+      changes.saved += orders.length
+      await publishToConnection(connection, "sync", { state: "running", fetched: changes.saved })
+    }
+
+    if (backfillIds.length > 0) {
+      const backfillFrom = new Date(syncUntil)
+      backfillFrom.setDate(backfillFrom.getDate() - BACKFILL_DAYS)
+
+      fetched += await fetchOrderPages(
+        auth,
+        backfillIds,
+        { CreatedAfter: backfillFrom.toISOString(), CreatedBefore: syncUntil.toISOString() },
+        save,
+      )
+    }
+
+    if (incrementalIds.length > 0) {
+      fetched += await fetchOrderPages(
+        auth,
+        incrementalIds,
+        { LastUpdatedAfter: new Date(cursor).toISOString(), LastUpdatedBefore: syncUntil.toISOString() },
+        save,
+      )
+    }
+
+    marketplaces.forEach((m) => {
+      if (backfillIds.includes(m.marketplaceId)) {
+        m.backfilledAt = syncUntil
+      }
+    })
+
+    connection.orderSync = {
+      lastUpdatedAfter: syncUntil,
+      lastSyncedAt: new Date(),
+      status: "ok",
+      error: undefined,
+    }
+    await connection.save()
+
+    log.info("Order sync complete", { fetched })
+    await publishToConnection(connection, "sync", {
+      state: "done",
+      fetched,
+      lastSyncedAt: connection.orderSync.lastSyncedAt,
+    })
+    await publishOrderChanges(connection, changes)
+    return { fetched, backfilled: backfillIds }
+  } catch (error) {
+    // Keep the previous cursor so the next run retries the same window
+    connection.orderSync = {
+      lastUpdatedAfter: cursor,
+      lastSyncedAt: connection.orderSync?.lastSyncedAt,
+      status: "failed",
+      error: error.message,
+    }
+    await connection.save()
+
+    await publishToConnection(connection, "sync", { state: "failed", error: error.message })
+    await publishOrderChanges(connection, changes)
+    throw error
+  }
+}
+
+// Pull orders for a seller connection into the local store. auth comes from getSpApiAuth.
+// Each tracked marketplace is first backfilled BACKFILL_DAYS by creation date; later
+// runs only fetch orders updated since the cursor saved on connection.orderSync.
+// Only the orders.sync job calls this: its lock keeps two runs for one connection from
+// overlapping, across every server instance. Others ask for a run with requestOrderSync.
+const syncOrders = async (connection, auth) => {
+  if (!connection || !connection.sellerId) {
+    throw new Error("Amazon account not connected")
+  }
+
+  return runSync(connection, auth)
+}
+
+// Query for a connection's stored orders purchased in the last `days` days
+const recentOrdersQuery = (connection, { days = 30, marketplaceIds } = {}) => {
+  const since = new Date()
+  since.setDate(since.getDate() - days)
+
+  const query = { connection: connection._id, purchaseDate: { $gte: since } }
+  if (marketplaceIds) {
+    query.marketplaceId = { $in: marketplaceIds }
+  }
+  return query
+}
+
+// Number of stored orders purchased within the last `days` days
+const countRecentOrders = (connection, options) => {
+  return Order.countDocuments(recentOrdersQuery(connection, options))
+}
+
+// Order count and revenue per marketplace and currency for the last `days` days
+const getMarketplaceBreakdown = async (connection, options) => {
+  const rows = await Order.aggregate([
+    { $match: recentOrdersQuery(connection, options) },
+    {
+      $group: {
+        _id: { marketplaceId: "$marketplaceId", currencyCode: "$orderTotal.currencyCode" },
+        orderCount: { $sum: 1 },
+        revenue: { $sum: { $ifNull: ["$orderTotal.amount", 0] } },
+      },
+    },
+  ])
+
+  const byMarketplace = new Map()
+  rows.forEach(({ _id, orderCount, revenue }) => {
+    if (!byMarketplace.has(_id.marketplaceId)) {
+      byMarketplace.set(_id.marketplaceId, {
+        marketplaceId: _id.marketplaceId,
+        code: getMarketplaceCode(_id.marketplaceId),
+        orderCount: 0,
+        revenue: [],
+      })
+    }
+
+    const entry = byMarketplace.get(_id.marketplaceId)
+    entry.orderCount += orderCount
+    if (_id.currencyCode) {
+      entry.revenue.push({ currencyCode: _id.currencyCode, amount: Math.round(revenue * 100) / 100 })
+    }
+  })
+
+  return [...byMarketplace.values()].sort((a, b) => b.orderCount - a.orderCount)
+}
+
+module.exports = {
+  syncOrders,
+  saveOrders,
+  publishOrderChanges,
+  countRecentOrders,
+  getMarketplaceBreakdown,
+}
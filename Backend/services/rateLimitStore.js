@@ -0,0 +1,109 @@
+const RateLimit = require("../models/RateLimit")
+
+// Fixed-window hit counters for the rate limiter. Every store has the same methods:
+//   increment(key, windowMs) -> { count, resetAt }  count a hit, starting a new window if needed
+//   get(key)                 -> { count, resetAt } or null when no window is running
+//   reset(key)               forget the key
+// The memory store is per process; use the MongoDB store (RATE_LIMIT_STORE=mongo) when
+// several server instances share the limits.
+
+const createMemoryStore = () => {
+  const windows = new Map()
+
+  // Drop finished windows now and then so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now()
+    windows.forEach((entry, key) => {
+      if (entry.resetAt.getTime() <= now) windows.delete(key)
+    })
+  }, 60 * 1000)
+  sweep.unref()
+
+  const get = async (key) => {
+    const entry = windows.get(key)
+    return entry && entry.resetAt.getTime() > Date.now() ? { ...entry } : null
+  }
+
+  const increment = async (key, windowMs) => {
+    const entry = await get(key)
+    const next = entry
+      ? { count: entry.count + 1, resetAt: entry.resetAt }
+      : { count: 1, resetAt: new Date(Date.now() + windowMs) }
+
+    windows.set(key, next)
+    return { ...next }
+  }
+
+  const reset = async (key) => {
+    windows.delete(key)
+  }
+
+  return { get, increment, reset }
+}
+
+const createMongoStore = () => {
+  const get = async (key) => {
+    const entry = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } })
+    return entry ? { count: entry.count, resetAt: entry.resetAt } : null
+  }
+
+  // One atomic update: count the hit in the running window or start a new one
+  const increment = async (key, windowMs, retry = true) => {
+    const now = new Date()
+    const running = { $gt: ["$resetAt", now] }
+
+    try {
+      const entry = await RateLimit.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              count: { $cond: [running, { $add: ["$count", 1] }, 1] },
+              resetAt: { $cond: [running, "$resetAt", new Date(now.getTime() + windowMs)] },
+            },
+          },
+        ],
+        { upsert: true, new: true },
+      )
+
+      return { count: entry.count, resetAt: entry.resetAt }
+    } catch (error) {
+      // Two first hits raced to insert the key; the second one updates it instead
+      if (error.code === 11000 && retry) {
+        return increment(key, windowMs, false)
+      }
+      throw error
+    }
+  }
+
+  const reset = async (key) => {
+    await RateLimit.deleteOne({ key })
+  }
+
+  return { get, increment, reset }
+}
+
+const STORES = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+}
+
+let store = null
+
+// The store chosen with RATE_LIMIT_STORE (memory by default), created on first use
+const getRateLimitStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || "memory"
+    if (!STORES[name]) {
+      throw new Error(`Invalid RATE_LIMIT_STORE: ${name}. Use ${Object.keys(STORES).join(" or ")}`)
+    }
+    store = STORES[name]()
+  }
+  return store
+}
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  getRateLimitStore,
+}
@@ -0,0 +1,432 @@
+const readline = require("readline")
+const mongoose = require("mongoose")
+const Report = require("../models/Report")
+const ReportRow = require("../models/ReportRow")
+const SellerConnection = require("../models/SellerConnection")
+const { createReport, getReport, getReports, getReportDocument, openReportDocument } = require("./amazonReports")
+const { getSpApiAuth } = require("./connections")
+const { getTrackedMarketplaceIds } = require("./marketplaces")
+const { logger } = require("../utils/logger")
+
+// Bulk order and settlement reports. Order reports are requested from Amazon and
+// polled until done; settlement reports are generated by Amazon on its own schedule
+// and imported. Finished documents are parsed and stored row by row in ReportRow.
+
+const REPORT_TYPES = {
+  orders: "GET_FLAT_FILE_ALL_ORDERS_DATA_BY_ORDER_DATE_GENERAL",
+  settlement: "GET_V2_SETTLEMENT_REPORT_DATA_FLAT_FILE",
+}
+
+// Amazon limits the orders report to 30 days of data per request
+const MAX_ORDER_REPORT_DAYS = 30
+// Settlement reports can only be listed for the last 90 days
+const SETTLEMENT_LOOKBACK_DAYS = 90
+// Give up on reports Amazon hasn't finished within a day
+const REPORT_TIMEOUT_MS = 24 * 60 * 60 * 1000
+
+// Wait between status checks, growing with each attempt
+const CHECK_DELAYS_MS = [15, 30, 60, 120, 300].map((seconds) => seconds * 1000)
+
+const ROW_BATCH_SIZE = 500
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Pending status checks, keyed by report ID
+const timers = new Map()
+
+const scheduleCheck = (reportId, delay) => {
+  const key = reportId.toString()
+  clearTimeout(timers.get(key))
+
+  const timer = setTimeout(() => {
+    timers.delete(key)
+    checkReport(key).catch((error) => logger.error(`Report check failed for ${key}`, { error }))
+  }, delay)
+  timer.unref()
+  timers.set(key, timer)
+}
+
+const nextDelay = (attempts) => CHECK_DELAYS_MS[Math.min(attempts, CHECK_DELAYS_MS.length - 1)]
+
+// Amazon amounts use a decimal comma in some marketplaces
+const parseAmount = (value) => {
+  if (!value) return 0
+  const normalized = value.includes(",") && !value.includes(".") ? value.replace(",", ".") : value.replace(/,/g, "")
+  return Number.parseFloat(normalized) || 0
+}
+
+const round = (amount) => Math.round(amount * 100) / 100
+
+const toCurrencyList = (totals) =>
+  [...totals].map(([currencyCode, amount]) => ({ currencyCode, amount: round(amount) }))
+
+// Running totals for an orders report: orders, units and item revenue per currency
+const createOrdersSummary = () => {
+  const statuses = new Map()
+  const revenue = new Map()
+  let units = 0
+
+  return {
+    add: (row) => {
+      const orderId = row["amazon-order-id"]
+      if (!orderId) return
+
+      const status = row["order-status"] || "Unknown"
+      statuses.set(orderId, status)
+      if (/^cancel/i.test(status)) return
+
+      units += Number.parseInt(row.quantity, 10) || 0
+      if (row.currency) {
+        revenue.set(row.currency, (revenue.get(row.currency) || 0) + parseAmount(row["item-price"]))
+      }
+    },
+    result: () => {
+      const byStatus = new Map()
+      statuses.forEach((status) => byStatus.set(status, (byStatus.get(status) || 0) + 1))
+
+      return {
+        orders: statuses.size,
+        units,
+        revenue: toCurrencyList(revenue),
+        statuses: [...byStatus].map(([status, orders]) => ({ status, orders })),
+      }
+    },
+  }
+}
+
+// Settlement header (first row) and amounts per transaction type and amount type
+const createSettlementSummary = () => {
+  const header = {}
+  const byTransactionType = new Map()
+  const byAmountType = new Map()
+
+  return {
+    add: (row) => {
+      if (row["total-amount"] && !header.settlementId) {
+        Object.assign(header, {
+          settlementId: row["settlement-id"],
+          startDate: row["settlement-start-date"],
+          endDate: row["settlement-end-date"],
+          depositDate: row["deposit-date"],
+          totalAmount: parseAmount(row["total-amount"]),
+          currencyCode: row.currency,
+        })
+      }
+
+      const amount = parseAmount(row.amount)
+      const type = row["transaction-type"]
+      if (type) {
+        byTransactionType.set(type, (byTransactionType.get(type) || 0) + amount)
+      }
+      if (row["amount-type"]) {
+        byAmountType.set(row["amount-type"], (byAmountType.get(row["amount-type"]) || 0) + amount)
+      }
+    },
+    result: () => ({
+      ...header,
+      byTransactionType: [...byTransactionType].map(([type, amount]) => ({ type, amount: round(amount) })),
+      byAmountType: [...byAmountType].map(([type, amount]) => ({ type, amount: round(amount) })),
+    }),
+  }
+}
+
+const SUMMARIES = {
+  orders: createOrdersSummary,
+  settlement: createSettlementSummary,
+}
+
+// Parse a tab-separated flat file and insert its rows in batches.
+// Reading pauses while a batch is written, so large files aren't held in memory.
+const storeRows = async (reportId, stream, encoding, onRow) => {
+  stream.setEncoding(encoding)
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity })
+
+  let columns = null
+  let batch = []
+  let rowCount = 0
+
+  const flush = async () => {
+    if (batch.length > 0) {
+      await ReportRow.insertMany(batch, { ordered: false })
+      batch = []
+    }
+  }
+
+  for await (const line of lines) {
+    if (!columns) {
+      columns = line.replace(/^\uFEFF/, "").split("\t").map((c) => c.trim())
+      continue
+    }
+    if (!line.trim()) continue
+
+    const values = line.split("\t")
+    const data = {}
+    columns.forEach((column, i) => {
+      data[column] = values[i] === undefined ? "" : values[i].trim()
+    })
+
+    onRow(data)
+    batch.push({ report: reportId, index: rowCount, data })
+    rowCount++
+
+    if (batch.length >= ROW_BATCH_SIZE) {
+      await flush()
+    }
+  }
+
+  await flush()
+  return { columns: columns || [], rowCount }
+}
+
+// Download, parse and store a finished report
+const ingestReport = async (reportId, auth) => {
+  // Claim the report so overlapping checks don't store it twice
+  const report = await Report.findOneAndUpdate(
+    { _id: reportId, status: "requested" },
+    { $set: { status: "downloading" } },
+    { new: true },
+  )
+  if (!report) return
+
+  try {
+    await ReportRow.deleteMany({ report: report._id })
+
+    const document = await getReportDocument(auth, report.reportDocumentId)
+    const { stream, encoding } = await openReportDocument(document)
+    const summary = SUMMARIES[report.type]()
+    const { columns, rowCount } = await storeRows(report._id, stream, encoding, summary.add)
+
+    report.set({
+      status: "done",
+      columns,
+      rowCount,
+      summary: summary.result(),
+      completedAt: new Date(),
+      error: undefined,
+    })
+    await report.save()
+    logger.info(`Stored ${rowCount} rows for ${report.type} report ${report._id}`)
+  } catch (error) {
+    logger.error(`Failed to store report ${report._id}`, { error })
+    await ReportRow.deleteMany({ report: report._id })
+    report.set({ status: "failed", error: error.message })
+    await report.save()
+  }
+}
+
+// First line of a FATAL report's document, which holds Amazon's error description
+const readFatalError = async (auth, reportDocumentId) => {
+  if (!reportDocumentId) return null
+
+  try {
+    const document = await getReportDocument(auth, reportDocumentId)
+    const { stream, encoding } = await openReportDocument(document)
+    stream.setEncoding(encoding)
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity })
+    for await (const line of lines) {
+      stream.destroy()
+      return line.slice(0, 500)
+    }
+  } catch (error) {
+    logger.error("Could not read report error document", { error })
+  }
+  return null
+}
+
+// Check a requested report with Amazon and store it once it's done
+const checkReport = async (reportId) => {
+  const report = await Report.findById(reportId)
+  if (!report || report.status !== "requested") return
+
+  const connection = await SellerConnection.findById(report.connection)
+  if (!connection) {
+    report.set({ status: "failed", error: "Amazon connection was removed" })
+    await report.save()
+    return
+  }
+
+  try {
+    const auth = await getSpApiAuth(connection)
+
+    // Imported reports are already done when they're recorded
+    if (report.processingStatus !== "DONE") {
+      const amazonReport = await getReport(auth, report.amazonReportId)
+      report.processingStatus = amazonReport.processingStatus
+      report.reportDocumentId = amazonReport.reportDocumentId
+    }
+
+    report.lastCheckedAt = new Date()
+    report.checkAttempts += 1
+
+    if (report.processingStatus === "DONE") {
+      await report.save()
+      await ingestReport(report._id, auth)
+    } else if (report.processingStatus === "CANCELLED") {
+      report.set({
+        status: "cancelled",
+        error: "Amazon cancelled the report, usually because there was no data for the period",
+        completedAt: new Date(),
+      })
+      await report.save()
+    } else if (report.processingStatus === "FATAL") {
+      const reason = await readFatalError(auth, report.reportDocumentId)
+      report.set({ status: "failed", error: reason || "Amazon could not generate the report" })
+      await report.save()
+    } else if (Date.now() - report.createdAt.getTime() > REPORT_TIMEOUT_MS) {
+      report.set({ status: "failed", error: "Amazon did not finish the report within a day" })
+      await report.save()
+    } else {
+      await report.save()
+      scheduleCheck(report._id, nextDelay(report.checkAttempts))
+    }
+  } catch (error) {
+    report.lastCheckedAt = new Date()
+    report.checkAttempts += 1
+
+    // Credential and permission problems won't fix themselves; anything else is retried
+    if (
+      error.message.includes("Authentication failed") ||
+      error.message.includes("permission") ||
+      error.message.includes("reconnect")
+    ) {
+      report.set({ status: "failed", error: error.message })
+    } else {
+      report.error = error.message
+      scheduleCheck(report._id, nextDelay(report.checkAttempts))
+    }
+    await report.save()
+  }
+}
+
+// Request an orders report for a date range of at most 30 days
+const requestOrdersReport = async (connection, userId, { startDate, endDate, marketplaceIds }) => {
+  const dataStartTime = new Date(startDate)
+  const dataEndTime = endDate ? new Date(endDate) : new Date()
+
+  if (Number.isNaN(dataStartTime.getTime()) || Number.isNaN(dataEndTime.getTime())) {
+    throw new Error("Invalid date range: startDate and endDate must be dates")
+  }
+  if (dataStartTime >= dataEndTime) {
+    throw new Error("Invalid date range: startDate must be before endDate")
+  }
+  if (dataEndTime - dataStartTime > MAX_ORDER_REPORT_DAYS * DAY_MS) {
+    throw new Error(`Invalid date range: an orders report covers at most ${MAX_ORDER_REPORT_DAYS} days`)
+  }
+
+  const trackedIds = getTrackedMarketplaceIds(connection)
+  const ids = marketplaceIds && marketplaceIds.length > 0 ? marketplaceIds : trackedIds
+  if (ids.some((id) => !trackedIds.includes(id))) {
+    throw new Error("Invalid marketplace: not tracked for this account")
+  }
+
+  const auth = await getSpApiAuth(connection)
+  const amazonReportId = await createReport(auth, {
+    reportType: REPORT_TYPES.orders,
+    marketplaceIds: ids,
+    dataStartTime,
+    dataEndTime,
+  })
+
+  const report = await Report.create({
+    user: userId,
+    connection: connection._id,
+    sellerId: connection.sellerId,
+    type: "orders",
+    reportType: REPORT_TYPES.orders,
+    marketplaceIds: ids,
+    dataStartTime,
+    dataEndTime,
+    amazonReportId,
+    processingStatus: "IN_QUEUE",
+  })
+
+  scheduleCheck(report._id, CHECK_DELAYS_MS[0])
+  return report
+}
+
+// Record settlement reports from the last 90 days that haven't been imported yet
+const importSettlementReports = async (connection, userId) => {
+  const auth = await getSpApiAuth(connection)
+  const available = await getReports(auth, {
+    reportTypes: [REPORT_TYPES.settlement],
+    processingStatuses: ["DONE"],
+    createdSince: new Date(Date.now() - SETTLEMENT_LOOKBACK_DAYS * DAY_MS),
+  })
+
+  const imported = []
+  for (const amazonReport of available) {
+    const exists = await Report.exists({ connection: connection._id, amazonReportId: amazonReport.reportId })
+    if (exists) continue
+
+    try {
+      const report = await Report.create({
+        user: userId,
+        connection: connection._id,
+        sellerId: connection.sellerId,
+        type: "settlement",
+        reportType: REPORT_TYPES.settlement,
+        marketplaceIds: amazonReport.marketplaceIds,
+        dataStartTime: amazonReport.dataStartTime,
+        dataEndTime: amazonReport.dataEndTime,
+        amazonReportId: amazonReport.reportId,
+        reportDocumentId: amazonReport.reportDocumentId,
+        processingStatus: "DONE",
+      })
+      imported.push(report)
+    } catch (error) {
+      // Imported by a concurrent request
+      if (error.code !== 11000) throw error
+    }
+  }
+
+  // Stagger downloads so they don't all start at once
+  imported.forEach((report, i) => scheduleCheck(report._id, i * 2000))
+  logger.info(`Imported ${imported.length} of ${available.length} settlement reports`)
+  return imported
+}
+
+const listReports = (connection) => {
+  return Report.find({ connection: connection._id }).sort({ createdAt: -1 }).limit(100)
+}
+
+const findReport = (connection, reportId) => {
+  if (!mongoose.Types.ObjectId.isValid(reportId)) return null
+  return Report.findOne({ _id: reportId, connection: connection._id })
+}
+
+// A page of stored rows, in file order
+const getReportRows = async (report, { offset = 0, limit = 100 } = {}) => {
+  const rows = await ReportRow.find({ report: report._id }).sort({ index: 1 }).skip(offset).limit(limit)
+  return rows.map((row) => row.data)
+}
+
+const deleteReport = async (report) => {
+  clearTimeout(timers.get(report._id.toString()))
+  timers.delete(report._id.toString())
+  await ReportRow.deleteMany({ report: report._id })
+  await report.deleteOne()
+}
+
+// Pick up reports left pending by a previous run of the server
+const resumePendingReports = async () => {
+  // A download interrupted by a restart starts again from the beginning
+  await Report.updateMany({ status: "downloading" }, { $set: { status: "requested" } })
+
+  const pending = await Report.find({ status: "requested" }).select("_id")
+  pending.forEach((report, i) => scheduleCheck(report._id, 5000 + i * 2000))
+
+  if (pending.length > 0) {
+    logger.info(`Resuming ${pending.length} pending reports`)
+  }
+}
+
+module.exports = {
+  REPORT_TYPES,
+  requestOrdersReport,
+  importSettlementReports,
+  listReports,
+  findReport,
+  getReportRows,
+  deleteReport,
+  resumePendingReports,
+}
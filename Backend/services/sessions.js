@@ -0,0 +1,161 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const mongoose = require("mongoose")
+const Session = require("../models/Session")
+const { logger } = require("../utils/logger")
+
+// Sessions pair a short-lived access JWT with a refresh token that is replaced on every
+// use. Presenting a refresh token that was already replaced means it leaked, so the
+// whole session is revoked.
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m"
+// Idle time after which a session expires
+const REFRESH_TOKEN_TTL_MS = (Number.parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7) * 24 * 60 * 60 * 1000
+// Sessions end this long after sign-in however often they are refreshed
+const SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000
+// A refresh racing another one with the same token (e.g. two tabs) isn't treated as reuse
+const ROTATION_GRACE_MS = 10 * 1000
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+// Refresh tokens are "<sessionId>.<secret>"
+const newSecret = () => crypto.randomBytes(32).toString("hex")
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".")
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw new Error("Invalid refresh token")
+  }
+  return { sessionId, secret }
+}
+
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL })
+}
+
+const nextExpiry = (createdAt) => {
+  return new Date(Math.min(Date.now() + REFRESH_TOKEN_TTL_MS, createdAt.getTime() + SESSION_MAX_AGE_MS))
+}
+
+// Start a session after sign-in. Returns { accessToken, refreshToken, expiresAt }.
+const createSession = async (userId, { userAgent, ip } = {}) => {
+  const sessionId = new mongoose.Types.ObjectId()
+  const secret = newSecret()
+  const createdAt = new Date()
+
+  const session = await Session.create({
+    _id: sessionId,
+    user: userId,
+    tokenHash: hashToken(secret),
+    userAgent,
+    ip,
+    createdAt,
+    expiresAt: nextExpiry(createdAt),
+  })
+
+  return {
+    accessToken: signAccessToken(userId, sessionId),
+    refreshToken: `${sessionId}.${secret}`,
+    expiresAt: session.expiresAt,
+  }
+}
+
+const revokeSession = async (sessionId, reason) => {
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } })
+}
+
+// Sign out every session of a user, e.g. after a password reset
+const revokeUserSessions = async (userId, reason) => {
+  await Session.updateMany({ user: userId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } })
+}
+
+// The IDs among sessionIds whose sessions are still signed in, as strings
+const findActiveSessionIds = async (sessionIds) => {
+  const sessions = await Session.find({
+    _id: { $in: sessionIds.filter((id) => mongoose.Types.ObjectId.isValid(id)) },
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).select("_id")
+  return new Set(sessions.map((session) => session._id.toString()))
+}
+
+// Exchange a refresh token for a new access token and refresh token.
+// Returns { userId, accessToken, refreshToken, expiresAt }.
+const rotateSession = async (refreshToken) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken)
+  const tokenHash = hashToken(secret)
+  const nextSecret = newSecret()
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        tokenHash: hashToken(nextSecret),
+        previousTokenHash: tokenHash,
+        rotatedAt: new Date(),
+        lastUsedAt: new Date(),
+      },
+    },
+    { new: true },
+  )
+
+  if (!session) {
+    const existing = await Session.findById(sessionId)
+    if (!existing || !existing.isActive()) {
+      throw new Error("Invalid refresh token: session expired or signed out")
+    }
+
+    if (existing.previousTokenHash === tokenHash && Date.now() - existing.rotatedAt.getTime() < ROTATION_GRACE_MS) {
+      throw new Error("Session was just refreshed, retry with the new refresh token")
+    }
+
+    logger.warn(`Refresh token reuse detected for session ${sessionId}, revoking it`)
+    await revokeSession(sessionId, "reuse")
+    throw new Error("Invalid refresh token: it was already used, the session has been signed out")
+  }
+
+  session.expiresAt = nextExpiry(session.createdAt)
+  await session.save()
+
+  return {
+    userId: session.user,
+    accessToken: signAccessToken(session.user, session._id),
+    refreshToken: `${session._id}.${nextSecret}`,
+    expiresAt: session.expiresAt,
+  }
+}
+
+// End the session a refresh token belongs to. Unknown tokens are ignored.
+const endSession = async (refreshToken) => {
+  let parsed
+  try {
+    parsed = parseRefreshToken(refreshToken)
+  } catch (error) {
+    return
+  }
+
+  // Only the holder of the current or just replaced token can sign the session out
+  const tokenHash = hashToken(parsed.secret)
+  await Session.updateOne(
+    { _id: parsed.sessionId, revokedAt: null, $or: [{ tokenHash }, { previousTokenHash: tokenHash }] },
+    { $set: { revokedAt: new Date(), revokedReason: "logout" } },
+  )
+}
+
+// Whether an access token's session is still signed in
+const isSessionActive = async (sessionId) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return false
+  }
+  const session = await Session.findById(sessionId).select("revokedAt expiresAt")
+  return !!session && session.isActive()
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  endSession,
+  revokeUserSessions,
+  isSessionActive,
+  findActiveSessionIds,
+}
@@ -0,0 +1,256 @@
+const axios = require("axios")
+const { logger } = require("../utils/logger")
+
+// Shared HTTP client for the Amazon SP API and the Login with Amazon token endpoint.
+// Requests are queued through a token bucket per seller and operation using Amazon's
+// documented usage plans, and throttled or failed calls are retried with backoff.
+
+const config = {
+  region: process.env.AMAZON_REGION || "eu",
+  sandbox: process.env.AMAZON_SANDBOX === "true",
+  maxRetries: Number.parseInt(process.env.SP_API_MAX_RETRIES, 10) || 4,
+  // Base URL of the local simulator (npm run simulator). When set, every SP API,
+  // token and consent URL points at it instead of Amazon.
+  simulatorUrl: (process.env.AMAZON_SIMULATOR_URL || "").replace(/\/+$/, ""),
+}
+
+const LWA_TOKEN_URL = "https://api.amazon.com/auth/o2/token"
+const CONSENT_URL = "https://sellercentral.amazon.in/apps/authorize/consent"
+const USER_AGENT = "UNIBAZAR/1.0 (Language=JavaScript)"
+
+// Backoff window for retries, before jitter
+const BASE_BACKOFF_MS = 500
+const MAX_BACKOFF_MS = 30 * 1000
+
+// Documented default usage plans: rate in requests per second, burst in requests
+const OPERATION_LIMITS = {
+  // Orders API
+  getOrders: { rate: 0.0167, burst: 20 },
+  getOrder: { rate: 0.5, burst: 30 },
+  getOrderItems: { rate: 0.5, burst: 30 },
+  // Finances API
+  listFinancialEventsByOrderId: { rate: 0.5, burst: 30 },
+  // Sellers API
+  getMarketplaceParticipations: { rate: 0.016, burst: 15 },
+  // Reports API
+  createReport: { rate: 0.0167, burst: 15 },
+  getReport: { rate: 2, burst: 15 },
+  getReports: { rate: 0.0222, burst: 10 },
+  getReportDocument: { rate: 0.0167, burst: 15 },
+  // Notifications API
+  getSubscription: { rate: 1, burst: 5 },
+  createSubscription: { rate: 1, burst: 5 },
+  deleteSubscriptionById: { rate: 1, burst: 5 },
+  getDestinations: { rate: 1, burst: 5 },
+  createDestination: { rate: 1, burst: 5 },
+  // Tokens API
+  createRestrictedDataToken: { rate: 1, burst: 10 },
+  // Login with Amazon token endpoint
+  lwaToken: { rate: 1, burst: 5 },
+  // Any other operation, e.g. the Application Management API used by the debug tools
+  default: { rate: 1, burst: 5 },
+}
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504]
+const RETRYABLE_CODES = ["ECONNRESET", "ECONNABORTED", "ETIMEDOUT", "EAI_AGAIN"]
+
+// Get the base URL for the Amazon SP API based on the region
+const getBaseUrl = (region = config.region) => {
+  if (config.simulatorUrl) {
+    return config.simulatorUrl
+  }
+
+  region = region.toLowerCase()
+  const environment = config.sandbox ? "sandbox" : "production"
+
+  const regionMap = {
+    na: {
+      production: "https://sellingpartnerapi-na.amazon.com",
+      sandbox: "https://sandbox.sellingpartnerapi-na.amazon.com",
+    },
+    eu: {
+      production: "https://sellingpartnerapi-eu.amazon.com",
+      sandbox: "https://sandbox.sellingpartnerapi-eu.amazon.com",
+    },
+    fe: {
+      production: "https://sellingpartnerapi-fe.amazon.com",
+      sandbox: "https://sandbox.sellingpartnerapi-fe.amazon.com",
+    },
+  }
+
+  if (!regionMap[region]) {
+    throw new Error(`Invalid region: ${region}. Must be one of: na, eu, fe`)
+  }
+
+  return regionMap[region][environment]
+}
+
+// Login with Amazon token endpoint
+const getLwaTokenUrl = () => (config.simulatorUrl ? `${config.simulatorUrl}/auth/o2/token` : LWA_TOKEN_URL)
+
+// Seller Central page where the seller authorizes the app
+const getConsentUrl = () => (config.simulatorUrl ? `${config.simulatorUrl}/apps/authorize/consent` : CONSENT_URL)
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Token buckets keyed by "<seller>:<operation>"
+const buckets = new Map()
+
+const getBucket = (sellerKey, operation) => {
+  const key = `${sellerKey}:${operation}`
+
+  if (!buckets.has(key)) {
+    const limit = OPERATION_LIMITS[operation] || OPERATION_LIMITS.default
+    buckets.set(key, {
+      rate: limit.rate,
+      burst: limit.burst,
+      tokens: limit.burst,
+      updatedAt: Date.now(),
+      queue: [],
+      timer: null,
+    })
+  }
+
+  return buckets.get(key)
+}
+
+const refill = (bucket) => {
+  const now = Date.now()
+  bucket.tokens = Math.min(bucket.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.rate)
+  bucket.updatedAt = now
+}
+
+// Release queued requests while tokens are available, then wait for the next token
+const drain = (bucket) => {
+  bucket.timer = null
+  refill(bucket)
+
+  while (bucket.queue.length > 0 && bucket.tokens >= 1) {
+    bucket.tokens -= 1
+    bucket.queue.shift()()
+  }
+
+  if (bucket.queue.length > 0) {
+    const waitMs = Math.ceil(((1 - bucket.tokens) / bucket.rate) * 1000)
+    bucket.timer = setTimeout(() => drain(bucket), waitMs)
+    bucket.timer.unref()
+  }
+}
+
+// Wait for a request slot in the bucket, first come first served
+const acquire = (bucket) => {
+  return new Promise((resolve) => {
+    bucket.queue.push(resolve)
+    if (!bucket.timer) {
+      drain(bucket)
+    }
+  })
+}
+
+// Amazon reports the rate actually applied to the caller in x-amzn-RateLimit-Limit
+const applyRateLimitHeader = (bucket, headers) => {
+  const limit = Number.parseFloat(headers?.["x-amzn-ratelimit-limit"])
+  if (Number.isFinite(limit) && limit > 0) {
+    bucket.rate = limit
+  }
+}
+
+const isRetryable = (error) => {
+  if (error.response) {
+    return RETRYABLE_STATUSES.includes(error.response.status)
+  }
+  return RETRYABLE_CODES.includes(error.code)
+}
+
+// Exponential backoff with full jitter, honouring Retry-After when Amazon sends it
+const backoffDelay = (attempt, error) => {
+  const retryAfter = Number.parseFloat(error.response?.headers?.["retry-after"])
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return Math.min(MAX_BACKOFF_MS, retryAfter * 1000)
+  }
+
+  const ceiling = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt)
+  return Math.floor(Math.random() * ceiling)
+}
+
+// Send a request through the seller's bucket for the operation, retrying 429/5xx responses.
+// Errors from the last attempt are rethrown unchanged so callers can inspect error.response.
+const sendWithRetries = async (operation, sellerKey, requestConfig) => {
+  const bucket = getBucket(sellerKey, operation)
+
+  for (let attempt = 0; ; attempt++) {
+    await acquire(bucket)
+
+    try {
+      const response = await axios(requestConfig)
+      applyRateLimitHeader(bucket, response.headers)
+      return response
+    } catch (error) {
+      applyRateLimitHeader(bucket, error.response?.headers)
+
+      // A throttled call means the bucket is empty on Amazon's side too
+      if (error.response?.status === 429) {
+        bucket.tokens = 0
+      }
+
+      if (attempt >= config.maxRetries || !isRetryable(error)) {
+        throw error
+      }
+
+      const delay = backoffDelay(attempt, error)
+      logger.info(`SP API ${operation} failed, retrying`, {
+        status: error.response?.status || error.code,
+        delayMs: delay,
+        attempt: attempt + 1,
+        maxRetries: config.maxRetries,
+      })
+      await sleep(delay)
+    }
+  }
+}
+
+// Call an SP API operation on behalf of a seller.
+// auth is { accessToken, region, sellerId }; region defaults to AMAZON_REGION.
+const spApiRequest = async (operation, auth, { method = "GET", path, params, data, headers, timeout = 30000 }) => {
+  if (!auth || !auth.accessToken) {
+    throw new Error("Access token is required")
+  }
+
+  return sendWithRetries(operation, auth.sellerId || "default", {
+    method,
+    url: `${getBaseUrl(auth.region)}${path}`,
+    params,
+    data,
+    timeout,
+    headers: {
+      Authorization: `Bearer ${auth.accessToken}`,
+      "x-amz-access-token": auth.accessToken,
+      "Content-Type": "application/json",
+      "User-Agent": USER_AGENT,
+      ...headers,
+    },
+  })
+}
+
+// Post a grant to the Login with Amazon token endpoint
+const lwaTokenRequest = async (body) => {
+  return sendWithRetries("lwaToken", "lwa", {
+    method: "POST",
+    url: getLwaTokenUrl(),
+    data: new URLSearchParams(body),
+    timeout: 30000,
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      "User-Agent": USER_AGENT,
+    },
+  })
+}
+
+module.exports = {
+  spApiRequest,
+  lwaTokenRequest,
+  getBaseUrl,
+  getLwaTokenUrl,
+  getConsentUrl,
+  OPERATION_LIMITS,
+}
@@ -0,0 +1,263 @@
+const crypto = require("crypto")
+const mongoose = require("mongoose")
+const User = require("../models/User")
+const Workspace = require("../models/Workspace")
+const WorkspaceInvitation = require("../models/WorkspaceInvitation")
+const { logger } = require("../utils/logger")
+
+// Workspaces own seller connections and are shared by their members. Roles, from least
+// to most access:
+//   read-only  view connections, orders, analytics and reports
+//   analyst    also export orders and request or delete reports
+//   admin      also connect, rename and disconnect seller accounts, change their settings
+//              and manage members up to admin
+//   owner      everything, including managing owners
+// Members can only grant roles up to their own and only change members at or below it.
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000
+
+const ROLE_RANK = Object.fromEntries(Workspace.ROLES.map((role, index) => [role, index]))
+
+const isValidRole = (role) => Workspace.ROLES.includes(role)
+
+// Whether `role` grants at least the access of `minimum`
+const hasRole = (role, minimum) => isValidRole(role) && ROLE_RANK[role] >= ROLE_RANK[minimum]
+
+// The workspace created for the user, created on first use. Connections made before
+// workspaces existed are moved into it, see services/connections.js.
+const getDefaultWorkspace = async (userId) => {
+  const existing = await Workspace.findOne({ defaultFor: userId })
+  if (existing) {
+    return existing
+  }
+
+  const user = await User.findById(userId)
+  try {
+    return await Workspace.findOneAndUpdate(
+      { defaultFor: userId },
+      {
+        $setOnInsert: {
+          name: user ? `${user.name}'s workspace` : "My workspace",
+          createdBy: userId,
+          members: [{ user: userId, role: "owner", joinedAt: new Date() }],
+          createdAt: new Date(),
+        },
+      },
+      { upsert: true, new: true },
+    )
+  } catch (error) {
+    // Created by a parallel request
+    if (error.code === 11000) {
+      return Workspace.findOne({ defaultFor: userId })
+    }
+    throw error
+  }
+}
+
+// Workspaces the user is a member of, oldest first
+const getUserWorkspaces = async (userId) => {
+  await getDefaultWorkspace(userId)
+  return Workspace.find({ "members.user": userId }).sort({ createdAt: 1 })
+}
+
+// A workspace the user is a member of, or null
+const findWorkspace = async (userId, workspaceId) => {
+  if (!mongoose.Types.ObjectId.isValid(workspaceId)) {
+    return null
+  }
+  return Workspace.findOne({ _id: workspaceId, "members.user": userId })
+}
+
+const createWorkspace = async (userId, name) => {
+  return Workspace.create({
+    name,
+    createdBy: userId,
+    members: [{ user: userId, role: "owner" }],
+  })
+}
+
+// Workspace details for a member, with their role
+const toWorkspaceSummary = (workspace, userId) => ({
+  id: workspace._id,
+  name: workspace.name,
+  role: workspace.getRole(userId),
+  memberCount: workspace.members.length,
+  createdAt: workspace.createdAt,
+})
+
+// Members with their name and email
+const listMembers = async (workspace) => {
+  const users = await User.find({ _id: { $in: workspace.members.map((m) => m.user) } }, "name email")
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]))
+
+  return workspace.members.map((member) => {
+    const user = usersById.get(member.user.toString())
+    return {
+      userId: member.user,
+      name: user?.name,
+      email: user?.email,
+      role: member.role,
+      joinedAt: member.joinedAt,
+    }
+  })
+}
+
+const listInvitations = async (workspace) => {
+  return WorkspaceInvitation.find({ workspace: workspace._id, expiresAt: { $gt: new Date() } }).sort({ createdAt: 1 })
+}
+
+// Invite an email address to the workspace. Returns the invitation and the token to
+// email; inviting the same address again replaces the earlier token.
+const createInvitation = async (workspace, { email, role, invitedBy, inviterRole }) => {
+  if (!isValidRole(role)) {
+    throw new Error(`Invalid role: ${role}. Use one of ${Workspace.ROLES.join(", ")}`)
+  }
+  if (!hasRole(inviterRole, role)) {
+    throw new Error("Not allowed to invite members with a higher role than your own")
+  }
+
+  const normalizedEmail = String(email).toLowerCase().trim()
+  const existingUser = await User.findOne({ email: normalizedEmail }, "_id")
+  if (existingUser && workspace.getRole(existingUser._id)) {
+    throw new Error(`${normalizedEmail} is already a member of this workspace`)
+  }
+
+  const token = crypto.randomBytes(32).toString("hex")
+  const invitation = await WorkspaceInvitation.findOneAndUpdate(
+    { workspace: workspace._id, email: normalizedEmail },
+    {
+      $set: {
+        role,
+        tokenHash: WorkspaceInvitation.hashToken(token),
+        invitedBy,
+        expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+        createdAt: new Date(),
+      },
+    },
+    { upsert: true, new: true },
+  )
+
+  return { invitation, token }
+}
+
+const revokeInvitation = async (workspace, invitationId) => {
+  if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+    throw new Error("Invitation not found")
+  }
+
+  const result = await WorkspaceInvitation.deleteOne({ _id: invitationId, workspace: workspace._id })
+  if (result.deletedCount === 0) {
+    throw new Error("Invitation not found")
+  }
+}
+
+// Join the workspace of an invitation. The invitation has to be for the user's verified
+// email and works once. Returns the workspace.
+const acceptInvitation = async (token, userId) => {
+  const invitation = await WorkspaceInvitation.findOne({
+    tokenHash: WorkspaceInvitation.hashToken(token),
+    expiresAt: { $gt: new Date() },
+  })
+  if (!invitation) {
+    throw new Error("Invalid or expired invitation")
+  }
+
+  const user = await User.findById(userId)
+  if (!user || user.email !== invitation.email) {
+    throw new Error(`Invalid invitation: it was sent to ${invitation.email}. Sign in with that account to accept it.`)
+  }
+  if (!user.isVerified) {
+    throw new Error("Invalid invitation: verify your email address before accepting it")
+  }
+
+  // Claim the invitation so it can't be accepted twice
+  const claimed = await WorkspaceInvitation.findOneAndDelete({ _id: invitation._id })
+  if (!claimed) {
+    throw new Error("Invalid or expired invitation")
+  }
+
+  const workspace =
+    (await Workspace.findOneAndUpdate(
+      { _id: invitation.workspace, "members.user": { $ne: user._id } },
+      { $push: { members: { user: user._id, role: invitation.role, joinedAt: new Date() } } },
+      { new: true },
+    )) || (await Workspace.findById(invitation.workspace))
+  if (!workspace) {
+    throw new Error("Invalid invitation: the workspace no longer exists")
+  }
+
+  logger.info(`User ${user._id} joined workspace ${workspace._id} as ${invitation.role}`)
+  return workspace
+}
+
+const countOwners = (workspace) => workspace.members.filter((m) => m.role === "owner").length
+
+// Change a member's role. actorRole is the role of the member making the change.
+const updateMemberRole = async (workspace, actorRole, memberUserId, role) => {
+  if (!isValidRole(role)) {
+    throw new Error(`Invalid role: ${role}. Use one of ${Workspace.ROLES.join(", ")}`)
+  }
+
+  const currentRole = workspace.getRole(memberUserId)
+  if (!currentRole) {
+    throw new Error("Member not found")
+  }
+  if (!hasRole(actorRole, currentRole) || !hasRole(actorRole, role)) {
+    throw new Error("Not allowed to change members with a higher role than your own")
+  }
+  if (currentRole === "owner" && role !== "owner" && countOwners(workspace) === 1) {
+    throw new Error("Invalid change: a workspace needs at least one owner")
+  }
+
+  workspace.members.find((m) => m.user.toString() === String(memberUserId)).role = role
+  await workspace.save()
+  return workspace
+}
+
+// Remove a member, or let a member leave (actorUserId === memberUserId)
+const removeMember = async (workspace, { actorUserId, actorRole }, memberUserId) => {
+  const currentRole = workspace.getRole(memberUserId)
+  if (!currentRole) {
+    throw new Error("Member not found")
+  }
+
+  const leaving = String(actorUserId) === String(memberUserId)
+  if (!leaving && (!hasRole(actorRole, "admin") || !hasRole(actorRole, currentRole))) {
+    throw new Error("Not allowed to remove members with a higher role than your own")
+  }
+  if (currentRole === "owner" && countOwners(workspace) === 1) {
+    throw new Error("Invalid change: a workspace needs at least one owner")
+  }
+
+  workspace.members = workspace.members.filter((m) => m.user.toString() !== String(memberUserId))
+  // A user who leaves their default workspace gets a new one next time
+  if (workspace.defaultFor && workspace.defaultFor.toString() === String(memberUserId)) {
+    workspace.defaultFor = undefined
+  }
+  await workspace.save()
+  return workspace
+}
+
+// User IDs of the members of a workspace, for live events
+const getMemberIds = async (workspaceId) => {
+  const workspace = await Workspace.findById(workspaceId, "members.user")
+  return workspace ? workspace.members.map((m) => m.user.toString()) : []
+}
+
+module.exports = {
+  isValidRole,
+  hasRole,
+  getDefaultWorkspace,
+  getUserWorkspaces,
+  findWorkspace,
+  createWorkspace,
+  toWorkspaceSummary,
+  listMembers,
+  listInvitations,
+  createInvitation,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+  getMemberIds,
+}
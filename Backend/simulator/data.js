@@ -0,0 +1,336 @@
+const { MARKETPLACE_IDS } = require("../services/amazonSpApi")
+
+// Deterministic fake seller data for the SP API simulator
+
+const MARKETPLACES = {
+  [MARKETPLACE_IDS.UK]: { countryCode: "GB", name: "Amazon.co.uk", currency: "GBP", domain: "www.amazon.co.uk" },
+  [MARKETPLACE_IDS.DE]: { countryCode: "DE", name: "Amazon.de", currency: "EUR", domain: "www.amazon.de" },
+  [MARKETPLACE_IDS.FR]: { countryCode: "FR", name: "Amazon.fr", currency: "EUR", domain: "www.amazon.fr" },
+  [MARKETPLACE_IDS.IN]: { countryCode: "IN", name: "Amazon.in", currency: "INR", domain: "www.amazon.in" },
+  [MARKETPLACE_IDS.US]: { countryCode: "US", name: "Amazon.com", currency: "USD", domain: "www.amazon.com" },
+}
+
+const STATUSES = ["Pending", "Unshipped", "Shipped", "Shipped", "Shipped", "Canceled"]
+const SHIP_SERVICE_LEVELS = ["Std", "Expedited", "NextDay"]
+
+const PRODUCTS = [
+  { asin: "B0SIM00001", sku: "SIM-MUG-RED", title: "Ceramic Coffee Mug, Red", price: 12.99 },
+  { asin: "B0SIM00002", sku: "SIM-TEE-M", title: "Cotton T-Shirt, Medium", price: 19.5 },
+  { asin: "B0SIM00003", sku: "SIM-LAMP-01", title: "LED Desk Lamp", price: 34.0 },
+  { asin: "B0SIM00004", sku: "SIM-BOTTLE", title: "Insulated Water Bottle 750ml", price: 24.99 },
+  { asin: "B0SIM00005", sku: "SIM-CABLE-2M", title: "USB-C Cable 2m", price: 9.49 },
+]
+
+// Small seeded PRNG (mulberry32) so every run serves the same orders
+const createRandom = (seed) => {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+const hashString = (value) => {
+  let hash = 2166136261
+  for (let i = 0; i < value.length; i++) {
+    hash = Math.imul(hash ^ value.charCodeAt(i), 16777619)
+  }
+  return hash >>> 0
+}
+
+const pick = (random, list) => list[Math.floor(random() * list.length)]
+const money = (currency, amount) => ({ CurrencyCode: currency, Amount: amount.toFixed(2) })
+
+// Currency conversion good enough for fake prices
+const PRICE_FACTOR = { GBP: 1, EUR: 1.15, USD: 1.25, INR: 100 }
+
+const buildItems = (order) => {
+  const random = createRandom(hashString(order.AmazonOrderId))
+  const currency = order.OrderTotal.CurrencyCode
+  const count = 1 + Math.floor(random() * 3)
+
+  return Array.from({ length: count }, (_, index) => {
+    const product = pick(random, PRODUCTS)
+    const quantity = 1 + Math.floor(random() * 2)
+    const unitPrice = product.price * PRICE_FACTOR[currency]
+    const discounted = random() < 0.2
+
+    return {
+      ASIN: product.asin,
+      SellerSKU: product.sku,
+      OrderItemId: `${hashString(order.AmazonOrderId + index)}`.padStart(14, "0"),
+      Title: product.title,
+      QuantityOrdered: quantity,
+      QuantityShipped: order.OrderStatus === "Shipped" ? quantity : 0,
+      ItemPrice: money(currency, unitPrice * quantity),
+      ItemTax: money(currency, unitPrice * quantity * 0.2),
+      ShippingPrice: money(currency, order.ShipServiceLevel === "Std" ? 0 : 4.99 * PRICE_FACTOR[currency]),
+      PromotionDiscount: money(currency, discounted ? unitPrice * 0.1 : 0),
+      PromotionIds: discounted ? ["SIM-PROMO-10"] : [],
+      IsGift: random() < 0.05,
+      ConditionId: "New",
+    }
+  })
+}
+
+// Finances API events posted for an order. Charges and fees only post once it has shipped.
+const buildFinancialEvents = (order) => {
+  if (order.OrderStatus !== "Shipped") {
+    return { ShipmentEventList: [], RefundEventList: [] }
+  }
+
+  const currency = order.OrderTotal.CurrencyCode
+  const amount = (value) => ({ CurrencyCode: currency, CurrencyAmount: Number(value.toFixed(2)) })
+
+  const ShipmentItemList = buildItems(order).map((item) => {
+    const principal = Number(item.ItemPrice.Amount)
+    const fees = [{ FeeType: "Commission", FeeAmount: amount(-principal * 0.15) }]
+
+    if (order.FulfillmentChannel === "AFN") {
+      fees.push({ FeeType: "FBAPerUnitFulfillmentFee", FeeAmount: amount(-2.7 * PRICE_FACTOR[currency] * item.QuantityShipped) })
+    }
+
+    return {
+      SellerSKU: item.SellerSKU,
+      OrderItemId: item.OrderItemId,
+      QuantityShipped: item.QuantityShipped,
+      ItemChargeList: [
+        { ChargeType: "Principal", ChargeAmount: amount(principal) },
+        { ChargeType: "Tax", ChargeAmount: amount(Number(item.ItemTax.Amount)) },
+        { ChargeType: "ShippingCharge", ChargeAmount: amount(Number(item.ShippingPrice.Amount)) },
+      ],
+      ItemFeeList: fees,
+      PromotionList: item.PromotionIds.map((id) => ({
+        PromotionType: "PromotionMetaDataDefinitionValue",
+        PromotionId: id,
+        PromotionAmount: amount(-Number(item.PromotionDiscount.Amount)),
+      })),
+    }
+  })
+
+  return {
+    ShipmentEventList: [
+      {
+        AmazonOrderId: order.AmazonOrderId,
+        MarketplaceName: order.SalesChannel,
+        PostedDate: order.LastUpdateDate,
+        ShipmentItemList,
+      },
+    ],
+    RefundEventList: [],
+  }
+}
+
+// Generate a seller's orders, spread over the last `days` days
+const generateOrders = (sellerId, marketplaceIds, { count = 250, days = 120 } = {}) => {
+  const random = createRandom(hashString(sellerId))
+  const now = Date.now()
+  const orders = []
+
+  for (let i = 0; i < count; i++) {
+    const marketplaceId = marketplaceIds[i % marketplaceIds.length]
+    const marketplace = MARKETPLACES[marketplaceId]
+    const purchaseDate = new Date(now - random() * days * 24 * 60 * 60 * 1000)
+    const status = pick(random, STATUSES)
+    const lastUpdateDate = new Date(Math.min(now, purchaseDate.getTime() + random() * 3 * 24 * 60 * 60 * 1000))
+    const fulfillmentChannel = random() < 0.6 ? "AFN" : "MFN"
+    const shipServiceLevel = pick(random, SHIP_SERVICE_LEVELS)
+    const latestShipDate = new Date(purchaseDate.getTime() + 2 * 24 * 60 * 60 * 1000)
+
+    const order = {
+      AmazonOrderId: `${String(100 + Math.floor(random() * 900))}-${String(Math.floor(random() * 1e7)).padStart(7, "0")}-${String(Math.floor(random() * 1e7)).padStart(7, "0")}`,
+      PurchaseDate: purchaseDate.toISOString(),
+      LastUpdateDate: lastUpdateDate.toISOString(),
+      OrderStatus: status,
+      FulfillmentChannel: fulfillmentChannel,
+      SalesChannel: marketplace.name,
+      ShipServiceLevel: shipServiceLevel,
+      ShipmentServiceLevelCategory: shipServiceLevel === "Std" ? "Standard" : shipServiceLevel,
+      EarliestShipDate: purchaseDate.toISOString(),
+      LatestShipDate: latestShipDate.toISOString(),
+      MarketplaceId: marketplaceId,
+      OrderType: "StandardOrder",
+      IsBusinessOrder: random() < 0.1,
+      IsPrime: fulfillmentChannel === "AFN" && random() < 0.5,
+      OrderTotal: money(marketplace.currency, 0),
+    }
+
+    const items = buildItems(order)
+    const total = items.reduce(
+      (sum, item) =>
+        sum +
+        Number(item.ItemPrice.Amount) +
+        Number(item.ShippingPrice.Amount) -
+        Number(item.PromotionDiscount.Amount),
+      0,
+    )
+    const quantity = items.reduce((sum, item) => sum + item.QuantityOrdered, 0)
+
+    order.OrderTotal = money(marketplace.currency, total)
+    order.NumberOfItemsShipped = status === "Shipped" ? quantity : 0
+    order.NumberOfItemsUnshipped = status === "Shipped" || status === "Canceled" ? 0 : quantity
+    orders.push(order)
+  }
+
+  return orders.sort((a, b) => new Date(a.PurchaseDate) - new Date(b.PurchaseDate))
+}
+
+// Flat files are tab-separated with a header row
+const toFlatFile = (columns, rows) =>
+  [columns, ...rows.map((row) => columns.map((column) => (row[column] === undefined ? "" : String(row[column]))))]
+    .map((values) => values.join("\t"))
+    .join("\n") + "\n"
+
+const ORDER_REPORT_COLUMNS = [
+  "amazon-order-id",
+  "merchant-order-id",
+  "purchase-date",
+  "last-updated-date",
+  "order-status",
+  "fulfillment-channel",
+  "sales-channel",
+  "ship-service-level",
+  "product-name",
+  "sku",
+  "asin",
+  "item-status",
+  "quantity",
+  "currency",
+  "item-price",
+  "item-tax",
+  "shipping-price",
+  "item-promotion-discount",
+  "promotion-ids",
+  "is-business-order",
+]
+
+// GET_FLAT_FILE_ALL_ORDERS_DATA_BY_ORDER_DATE_GENERAL: one row per order item.
+// Amazon spells the cancelled status the British way in this report.
+const buildOrderReport = (orders) => {
+  const rows = orders.flatMap((order) =>
+    buildItems(order).map((item) => ({
+      "amazon-order-id": order.AmazonOrderId,
+      "purchase-date": order.PurchaseDate,
+      "last-updated-date": order.LastUpdateDate,
+      "order-status": order.OrderStatus === "Canceled" ? "Cancelled" : order.OrderStatus,
+      "fulfillment-channel": order.FulfillmentChannel === "AFN" ? "Amazon" : "Merchant",
+      "sales-channel": order.SalesChannel,
+      "ship-service-level": order.ShipmentServiceLevelCategory,
+      "product-name": item.Title,
+      sku: item.SellerSKU,
+      asin: item.ASIN,
+      "item-status": order.OrderStatus === "Canceled" ? "Cancelled" : order.OrderStatus,
+      quantity: item.QuantityOrdered,
+      currency: item.ItemPrice.CurrencyCode,
+      "item-price": item.ItemPrice.Amount,
+      "item-tax": item.ItemTax.Amount,
+      "shipping-price": item.ShippingPrice.Amount,
+      "item-promotion-discount": item.PromotionDiscount.Amount,
+      "promotion-ids": item.PromotionIds.join(","),
+      "is-business-order": order.IsBusinessOrder ? "true" : "false",
+    })),
+  )
+
+  return toFlatFile(ORDER_REPORT_COLUMNS, rows)
+}
+
+const SETTLEMENT_REPORT_COLUMNS = [
+  "settlement-id",
+  "settlement-start-date",
+  "settlement-end-date",
+  "deposit-date",
+  "total-amount",
+  "currency",
+  "transaction-type",
+  "order-id",
+  "shipment-id",
+  "marketplace-name",
+  "amount-type",
+  "amount-description",
+  "amount",
+  "fulfillment-id",
+  "posted-date",
+  "order-item-code",
+  "sku",
+  "quantity-purchased",
+  "promotion-id",
+]
+
+// GET_V2_SETTLEMENT_REPORT_DATA_FLAT_FILE for the orders that shipped during the period.
+// The first row carries the settlement totals, the rest one amount each.
+const buildSettlementReport = (orders, { settlementId, marketplaceId, startDate, endDate }) => {
+  const marketplace = MARKETPLACES[marketplaceId]
+  const rows = []
+
+  orders
+    .filter((order) => {
+      const posted = new Date(order.LastUpdateDate)
+      return (
+        order.MarketplaceId === marketplaceId &&
+        order.OrderStatus === "Shipped" &&
+        posted >= startDate &&
+        posted < endDate
+      )
+    })
+    .forEach((order) => {
+      const event = buildFinancialEvents(order).ShipmentEventList[0]
+
+      event.ShipmentItemList.forEach((item) => {
+        const base = {
+          "settlement-id": settlementId,
+          "transaction-type": "Order",
+          "order-id": order.AmazonOrderId,
+          "marketplace-name": marketplace.name,
+          "fulfillment-id": order.FulfillmentChannel === "AFN" ? "AFN" : "MFN",
+          "posted-date": order.LastUpdateDate.slice(0, 10),
+          "order-item-code": item.OrderItemId,
+          sku: item.SellerSKU,
+          "quantity-purchased": item.QuantityShipped,
+        }
+
+        const amountRow = (type, description, amount) => ({
+          ...base,
+          "amount-type": type,
+          "amount-description": description,
+          amount: amount.CurrencyAmount.toFixed(2),
+        })
+
+        item.ItemChargeList.forEach((charge) => {
+          rows.push(amountRow("ItemPrice", charge.ChargeType, charge.ChargeAmount))
+        })
+        item.ItemFeeList.forEach((fee) => {
+          rows.push(amountRow("ItemFees", fee.FeeType, fee.FeeAmount))
+        })
+        item.PromotionList.forEach((promotion) => {
+          rows.push({
+            ...amountRow("Promotion", "Principal", promotion.PromotionAmount),
+            "promotion-id": promotion.PromotionId,
+          })
+        })
+      })
+    })
+
+  const total = rows.reduce((sum, row) => sum + Number(row.amount), 0)
+  const header = {
+    "settlement-id": settlementId,
+    "settlement-start-date": startDate.toISOString(),
+    "settlement-end-date": endDate.toISOString(),
+    "deposit-date": new Date(endDate.getTime() + 2 * 24 * 60 * 60 * 1000).toISOString(),
+    "total-amount": total.toFixed(2),
+    currency: marketplace.currency,
+  }
+
+  return toFlatFile(SETTLEMENT_REPORT_COLUMNS, [header, ...rows])
+}
+
+module.exports = {
+  MARKETPLACES,
+  generateOrders,
+  buildItems,
+  buildFinancialEvents,
+  buildOrderReport,
+  buildSettlementReport,
+}
@@ -0,0 +1,964 @@
+const express = require("express")
+const crypto = require("crypto")
+const fs = require("fs")
+const path = require("path")
+const zlib = require("zlib")
+const axios = require("axios")
+const dotenv = require("dotenv")
+
+dotenv.config()
+
+const { MARKETPLACE_IDS } = require("../services/amazonSpApi")
+const { OPERATION_LIMITS } = require("../services/spApiClient")
+const {
+  MARKETPLACES,
+  generateOrders,
+  buildItems,
+  buildFinancialEvents,
+  buildOrderReport,
+  buildSettlementReport,
+} = require("./data")
+
+// Local stand-in for Login with Amazon and the parts of the SP API this app uses.
+// Point the backend at it with AMAZON_SIMULATOR_URL=http://localhost:<port>.
+// Everything is kept in memory and reset when the process restarts.
+
+const config = {
+  port: Number.parseInt(process.env.SIMULATOR_PORT, 10) || 5050,
+  latencyMs: Number.parseInt(process.env.SIMULATOR_LATENCY_MS, 10) || 0,
+  sellerId: process.env.SIMULATOR_SELLER_ID || "ASIMULATEDSELLER",
+  marketplaces: (process.env.SIMULATOR_MARKETPLACES || "UK,DE,FR")
+    .split(",")
+    .map((code) => MARKETPLACE_IDS[code.trim().toUpperCase()])
+    .filter((id) => MARKETPLACES[id]),
+  orderCount: Number.parseInt(process.env.SIMULATOR_ORDER_COUNT, 10) || 250,
+  tokenTtlSeconds: Number.parseInt(process.env.SIMULATOR_TOKEN_TTL, 10) || 3600,
+  redirectUri: process.env.SIMULATOR_REDIRECT_URI || process.env.AMAZON_REDIRECT_URI,
+  reportDelayMs: Number.parseInt(process.env.SIMULATOR_REPORT_DELAY_MS, 10) || 5000,
+  // Where notifications are delivered: the backend's ingest endpoint or its queue directory
+  notificationsUrl: process.env.SIMULATOR_NOTIFICATIONS_URL,
+  notificationsSecret: process.env.SIMULATOR_NOTIFICATIONS_SECRET || process.env.NOTIFICATIONS_INGEST_SECRET,
+  notificationsDir: process.env.SIMULATOR_NOTIFICATIONS_DIR || process.env.NOTIFICATIONS_QUEUE_DIR,
+}
+
+const CODE_TTL_MS = 5 * 60 * 1000
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const ORDER_REPORT_TYPE = "GET_FLAT_FILE_ALL_ORDERS_DATA_BY_ORDER_DATE_GENERAL"
+const SETTLEMENT_REPORT_TYPE = "GET_V2_SETTLEMENT_REPORT_DATA_FLAT_FILE"
+
+const state = {
+  codes: new Map(), // authorization code -> { sellerId, expiresAt }
+  accessTokens: new Map(), // access token -> { sellerId, expiresAt }
+  refreshTokens: new Map(), // refresh token -> sellerId
+  orders: new Map(), // sellerId -> orders sorted by purchase date
+  reports: new Map(), // sellerId -> reports, oldest first
+  documents: new Map(), // report document ID -> gzipped flat file
+  grantlessTokens: new Map(), // grantless access token -> { scope, expiresAt }
+  destinations: [], // Notifications API destinations
+  subscriptions: new Map(), // "sellerId:notificationType" -> subscription
+  notifications: [], // published notifications, newest last
+  faults: [], // queued error responses, see POST /__simulator/faults
+  latencyMs: config.latencyMs,
+}
+
+const randomToken = (prefix) => `${prefix}|sim-${crypto.randomBytes(24).toString("hex")}`
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const getSellerOrders = (sellerId) => {
+  if (!state.orders.has(sellerId)) {
+    state.orders.set(sellerId, generateOrders(sellerId, config.marketplaces, { count: config.orderCount }))
+  }
+  return state.orders.get(sellerId)
+}
+
+const hashId = (value) => Number.parseInt(crypto.createHash("sha1").update(value).digest("hex").slice(0, 10), 16)
+
+const storeDocument = (content) => {
+  const documentId = `amzn1.spdoc.1.4.sim.${crypto.randomUUID()}`
+  state.documents.set(documentId, zlib.gzipSync(content))
+  return documentId
+}
+
+// Settlement reports Amazon would already have generated: the last two
+// 14-day periods of every marketplace
+const getSellerReports = (sellerId) => {
+  if (!state.reports.has(sellerId)) {
+    const today = Math.floor(Date.now() / DAY_MS) * DAY_MS
+    const reports = []
+
+    for (const marketplaceId of config.marketplaces) {
+      for (let period = 2; period >= 1; period--) {
+        const endDate = new Date(today - (period - 1) * 14 * DAY_MS)
+        const startDate = new Date(endDate.getTime() - 14 * DAY_MS)
+        const settlementId = String(hashId(`${sellerId}${marketplaceId}${period}`))
+        const content = buildSettlementReport(getSellerOrders(sellerId), {
+          settlementId,
+          marketplaceId,
+          startDate,
+          endDate,
+        })
+
+        const createdTime = Math.min(Date.now(), endDate.getTime() + 2 * 60 * 60 * 1000)
+
+        reports.push({
+          reportId: settlementId,
+          reportType: SETTLEMENT_REPORT_TYPE,
+          marketplaceIds: [marketplaceId],
+          dataStartTime: startDate.toISOString(),
+          dataEndTime: endDate.toISOString(),
+          createdTime: new Date(createdTime).toISOString(),
+          documentId: storeDocument(content),
+          readyAt: createdTime,
+        })
+      }
+    }
+
+    state.reports.set(sellerId, reports)
+  }
+  return state.reports.get(sellerId)
+}
+
+// Reports move from IN_QUEUE to IN_PROGRESS to DONE over SIMULATOR_REPORT_DELAY_MS.
+// The document is built once the report is done; an empty orders report is CANCELLED.
+const toReportStatus = (report) => {
+  const now = Date.now()
+  const created = new Date(report.createdTime).getTime()
+  const result = {
+    reportId: report.reportId,
+    reportType: report.reportType,
+    marketplaceIds: report.marketplaceIds,
+    dataStartTime: report.dataStartTime,
+    dataEndTime: report.dataEndTime,
+    createdTime: report.createdTime,
+  }
+
+  if (now < created + (report.readyAt - created) / 2) {
+    return { ...result, processingStatus: "IN_QUEUE" }
+  }
+  result.processingStartTime = report.createdTime
+  if (now < report.readyAt) {
+    return { ...result, processingStatus: "IN_PROGRESS" }
+  }
+
+  if (report.build) {
+    const content = report.build()
+    delete report.build
+    if (content === null) {
+      report.cancelled = true
+    } else {
+      report.documentId = storeDocument(content)
+    }
+  }
+
+  result.processingEndTime = new Date(report.readyAt).toISOString()
+  if (report.cancelled) {
+    return { ...result, processingStatus: "CANCELLED" }
+  }
+  return { ...result, processingStatus: "DONE", reportDocumentId: report.documentId }
+}
+
+// Error bodies in the SP API format
+const ERRORS = {
+  400: { code: "InvalidInput", message: "Invalid input." },
+  401: { code: "Unauthorized", message: "Access to requested resource is denied." },
+  403: { code: "Unauthorized", message: "Access to requested resource is denied." },
+  404: { code: "NotFound", message: "The requested resource was not found." },
+  429: { code: "QuotaExceeded", message: "You exceeded your quota for the requested resource." },
+  500: { code: "InternalFailure", message: "We encountered an internal error. Please try again." },
+  503: { code: "ServiceUnavailable", message: "Service temporarily unavailable. Please try again." },
+}
+
+const sendError = (res, status, message, details) => {
+  const error = { ...(ERRORS[status] || ERRORS[500]) }
+  if (message) error.message = message
+  if (details) error.details = details
+  res.status(status).json({ errors: [error] })
+}
+
+// Name each request after the SP API operation it simulates, for faults and rate headers
+const operation = (name) => (req, res, next) => {
+  req.operation = name
+  const limit = OPERATION_LIMITS[name] || OPERATION_LIMITS.default
+  res.set("x-amzn-RateLimit-Limit", String(limit.rate))
+  res.set("x-amzn-RequestId", crypto.randomUUID())
+  next()
+}
+
+// Apply configured latency and any queued fault that matches the operation
+const simulate = async (req, res, next) => {
+  if (state.latencyMs > 0) {
+    await sleep(state.latencyMs)
+  }
+
+  const index = state.faults.findIndex((fault) => !fault.operation || fault.operation === req.operation)
+  if (index === -1) {
+    return next()
+  }
+
+  const fault = state.faults[index]
+  fault.remaining -= 1
+  if (fault.remaining <= 0) {
+    state.faults.splice(index, 1)
+  }
+
+  console.log(`Injecting ${fault.status} for ${req.operation}`)
+
+  if (fault.status === 429 && fault.retryAfter) {
+    res.set("Retry-After", String(fault.retryAfter))
+  }
+
+  if (req.operation === "lwaToken") {
+    return res.status(fault.status).json({
+      error: fault.status === 429 ? "slow_down" : "invalid_grant",
+      error_description: fault.message || "Simulated failure",
+    })
+  }
+
+  sendError(res, fault.status, fault.message)
+}
+
+// Require a valid access token in x-amz-access-token, like the SP API does
+const authenticate = (req, res, next) => {
+  const token = req.get("x-amz-access-token")
+  const session = token && state.accessTokens.get(token)
+
+  if (!session) {
+    return sendError(res, 403, "Access to requested resource is denied.")
+  }
+
+  if (session.expiresAt < Date.now()) {
+    return sendError(res, 403, "The access token you provided has expired.")
+  }
+
+  req.sellerId = session.sellerId
+  next()
+}
+
+// Require a grantless token with the given scope, as used by the Notifications API
+const authenticateGrantless = (scope) => (req, res, next) => {
+  const token = req.get("x-amz-access-token")
+  const session = token && state.grantlessTokens.get(token)
+
+  if (!session || session.scope !== scope || session.expiresAt < Date.now()) {
+    return sendError(res, 403, "Access to requested resource is denied.")
+  }
+  next()
+}
+
+const issueTokens = (sellerId, refreshToken = randomToken("Atzr")) => {
+  const accessToken = randomToken("Atza")
+
+  state.accessTokens.set(accessToken, {
+    sellerId,
+    expiresAt: Date.now() + config.tokenTtlSeconds * 1000,
+  })
+  state.refreshTokens.set(refreshToken, sellerId)
+
+  return {
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    token_type: "bearer",
+    expires_in: config.tokenTtlSeconds,
+  }
+}
+
+// Opaque NextToken carrying the original filters and the page offset
+const encodeNextToken = (filters, offset) =>
+  Buffer.from(JSON.stringify({ filters, offset })).toString("base64")
+
+const decodeNextToken = (token) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(token, "base64").toString("utf8"))
+    return Number.isInteger(decoded.offset) && decoded.filters ? decoded : null
+  } catch (error) {
+    return null
+  }
+}
+
+const splitList = (value) =>
+  (Array.isArray(value) ? value.join(",") : value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+
+const parseDate = (value) => {
+  if (!value) return null
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? undefined : date
+}
+
+// Validate getOrders query parameters, returning the filters or an error message
+const parseOrderFilters = (query) => {
+  const filters = {
+    marketplaceIds: splitList(query.MarketplaceIds),
+    orderStatuses: splitList(query.OrderStatuses),
+    fulfillmentChannels: splitList(query.FulfillmentChannels),
+    maxResults: query.MaxResultsPerPage ? Number.parseInt(query.MaxResultsPerPage, 10) : 100,
+  }
+
+  if (filters.marketplaceIds.length === 0) {
+    return { error: "MarketplaceIds is required." }
+  }
+  if (filters.marketplaceIds.length > 50) {
+    return { error: "MarketplaceIds can contain at most 50 values." }
+  }
+  if (!Number.isInteger(filters.maxResults) || filters.maxResults < 1 || filters.maxResults > 100) {
+    return { error: "MaxResultsPerPage must be between 1 and 100." }
+  }
+
+  const dates = {}
+  for (const key of ["CreatedAfter", "CreatedBefore", "LastUpdatedAfter", "LastUpdatedBefore"]) {
+    dates[key] = parseDate(query[key])
+    if (dates[key] === undefined) {
+      return { error: `${key} is not a valid ISO 8601 date.` }
+    }
+  }
+
+  if (!dates.CreatedAfter === !dates.LastUpdatedAfter) {
+    return { error: "Exactly one of CreatedAfter and LastUpdatedAfter must be specified." }
+  }
+  if (dates.CreatedAfter && (dates.LastUpdatedBefore || dates.LastUpdatedAfter)) {
+    return { error: "CreatedAfter cannot be combined with LastUpdatedAfter or LastUpdatedBefore." }
+  }
+  if (dates.LastUpdatedAfter && dates.CreatedBefore) {
+    return { error: "LastUpdatedAfter cannot be combined with CreatedBefore." }
+  }
+
+  // Amazon rejects windows that end less than two minutes ago; clamp instead
+  const latest = new Date(Date.now() - 2 * 60 * 1000)
+  for (const key of ["CreatedBefore", "LastUpdatedBefore"]) {
+    if (dates[key] && dates[key] > latest) dates[key] = latest
+  }
+
+  filters.byLastUpdate = !!dates.LastUpdatedAfter
+  filters.after = (dates.CreatedAfter || dates.LastUpdatedAfter).toISOString()
+  filters.before = (dates.CreatedBefore || dates.LastUpdatedBefore || latest).toISOString()
+
+  return { filters }
+}
+
+const findOrders = (sellerId, filters) => {
+  const dateField = filters.byLastUpdate ? "LastUpdateDate" : "PurchaseDate"
+  const after = new Date(filters.after)
+  const before = new Date(filters.before)
+
+  return getSellerOrders(sellerId)
+    .filter((order) => {
+      const date = new Date(order[dateField])
+      return (
+        date >= after &&
+        date <= before &&
+        filters.marketplaceIds.includes(order.MarketplaceId) &&
+        (filters.orderStatuses.length === 0 || filters.orderStatuses.includes(order.OrderStatus)) &&
+        (filters.fulfillmentChannels.length === 0 || filters.fulfillmentChannels.includes(order.FulfillmentChannel))
+      )
+    })
+    .sort((a, b) => new Date(a[dateField]) - new Date(b[dateField]))
+}
+
+const app = express()
+
+app.use(express.json())
+app.use(express.urlencoded({ extended: false }))
+
+app.use((req, res, next) => {
+  console.log(`${req.method} ${req.path}`)
+  next()
+})
+
+// Seller Central consent page. Approves immediately and redirects back to the app.
+app.get("/apps/authorize/consent", (req, res) => {
+  const { application_id, state: oauthState, redirect_uri } = req.query
+  const redirectUri = redirect_uri || config.redirectUri
+
+  if (!application_id || !oauthState) {
+    return res.status(400).send("application_id and state are required")
+  }
+  if (!redirectUri) {
+    return res.status(400).send("No redirect URI. Set SIMULATOR_REDIRECT_URI or AMAZON_REDIRECT_URI.")
+  }
+
+  const sellerId = req.query.selling_partner_id || config.sellerId
+  const code = `ANsim${crypto.randomBytes(12).toString("hex")}`
+  state.codes.set(code, { sellerId, expiresAt: Date.now() + CODE_TTL_MS })
+
+  const params = new URLSearchParams({
+    state: oauthState,
+    selling_partner_id: sellerId,
+    spapi_oauth_code: code,
+  })
+
+  res.redirect(`${redirectUri}?${params.toString()}`)
+})
+
+// Login with Amazon token endpoint
+app.post("/auth/o2/token", operation("lwaToken"), simulate, (req, res) => {
+  const { grant_type, code, refresh_token, client_id, client_secret } = req.body
+
+  if (!client_id || !client_secret) {
+    return res.status(401).json({ error: "invalid_client", error_description: "Client authentication failed" })
+  }
+
+  if (grant_type === "authorization_code") {
+    const entry = state.codes.get(code)
+    state.codes.delete(code)
+
+    if (!entry || entry.expiresAt < Date.now()) {
+      return res.status(400).json({ error: "invalid_grant", error_description: "The authorization code is invalid" })
+    }
+
+    return res.json(issueTokens(entry.sellerId))
+  }
+
+  if (grant_type === "refresh_token") {
+    const sellerId = state.refreshTokens.get(refresh_token)
+
+    if (!sellerId) {
+      return res.status(400).json({ error: "invalid_grant", error_description: "The refresh token is invalid" })
+    }
+
+    return res.json(issueTokens(sellerId, refresh_token))
+  }
+
+  if (grant_type === "client_credentials") {
+    if (!req.body.scope) {
+      return res.status(400).json({ error: "invalid_scope", error_description: "scope is required" })
+    }
+
+    const accessToken = randomToken("Atc")
+    state.grantlessTokens.set(accessToken, {
+      scope: req.body.scope,
+      expiresAt: Date.now() + config.tokenTtlSeconds * 1000,
+    })
+    return res.json({ access_token: accessToken, token_type: "bearer", expires_in: config.tokenTtlSeconds })
+  }
+
+  res.status(400).json({ error: "unsupported_grant_type", error_description: `Unsupported grant type: ${grant_type}` })
+})
+
+// Sellers API
+app.get(
+  "/sellers/v1/marketplaceParticipations",
+  operation("getMarketplaceParticipations"),
+  simulate,
+  authenticate,
+  (req, res) => {
+    const payload = config.marketplaces.map((id) => ({
+      marketplace: {
+        id,
+        countryCode: MARKETPLACES[id].countryCode,
+        name: MARKETPLACES[id].name,
+        defaultCurrencyCode: MARKETPLACES[id].currency,
+        defaultLanguageCode: "en_GB",
+        domainName: MARKETPLACES[id].domain,
+      },
+      participation: { isParticipating: true, hasSuspendedListings: false },
+    }))
+
+    res.json({ payload })
+  },
+)
+
+// Orders API
+app.get("/orders/v0/orders", operation("getOrders"), simulate, authenticate, (req, res) => {
+  let filters
+  let offset = 0
+
+  if (req.query.NextToken) {
+    const decoded = decodeNextToken(req.query.NextToken)
+    if (!decoded) {
+      return sendError(res, 400, "Invalid NextToken.")
+    }
+    filters = decoded.filters
+    offset = decoded.offset
+  } else {
+    const parsed = parseOrderFilters(req.query)
+    if (parsed.error) {
+      return sendError(res, 400, parsed.error)
+    }
+    filters = parsed.filters
+  }
+
+  const matches = findOrders(req.sellerId, filters)
+  const page = matches.slice(offset, offset + filters.maxResults)
+  const payload = { Orders: page }
+
+  if (offset + filters.maxResults < matches.length) {
+    payload.NextToken = encodeNextToken(filters, offset + filters.maxResults)
+  }
+  payload[filters.byLastUpdate ? "LastUpdatedBefore" : "CreatedBefore"] = filters.before
+
+  res.json({ payload })
+})
+
+const loadOrder = (req, res, next) => {
+  const order = getSellerOrders(req.sellerId).find((o) => o.AmazonOrderId === req.params.orderId)
+  if (!order) {
+    return sendError(res, 404, `Order ${req.params.orderId} was not found.`)
+  }
+  req.order = order
+  next()
+}
+
+app.get("/orders/v0/orders/:orderId", operation("getOrder"), simulate, authenticate, loadOrder, (req, res) => {
+  res.json({ payload: req.order })
+})
+
+app.get(
+  "/orders/v0/orders/:orderId/orderItems",
+  operation("getOrderItems"),
+  simulate,
+  authenticate,
+  loadOrder,
+  (req, res) => {
+    res.json({
+      payload: {
+        AmazonOrderId: req.order.AmazonOrderId,
+        OrderItems: buildItems(req.order),
+      },
+    })
+  },
+)
+
+// Finances API
+app.get(
+  "/finances/v0/orders/:orderId/financialEvents",
+  operation("listFinancialEventsByOrderId"),
+  simulate,
+  authenticate,
+  loadOrder,
+  (req, res) => {
+    res.json({ payload: { FinancialEvents: buildFinancialEvents(req.order) } })
+  },
+)
+
+// Tokens API. Restricted data tokens are accepted anywhere an access token is.
+app.post(
+  "/tokens/2021-03-01/restrictedDataToken",
+  operation("createRestrictedDataToken"),
+  simulate,
+  authenticate,
+  (req, res) => {
+    const token = randomToken("Atz.sprdt")
+    state.accessTokens.set(token, { sellerId: req.sellerId, expiresAt: Date.now() + 3600 * 1000 })
+    res.json({ restrictedDataToken: token, expiresIn: 3600 })
+  },
+)
+
+// Reports API
+app.post("/reports/2021-06-30/reports", operation("createReport"), simulate, authenticate, (req, res) => {
+  const { reportType, marketplaceIds, dataStartTime, dataEndTime } = req.body
+
+  if (reportType !== ORDER_REPORT_TYPE) {
+    return sendError(res, 400, `Report type ${reportType} is not supported by the simulator.`)
+  }
+  if (!Array.isArray(marketplaceIds) || marketplaceIds.length === 0) {
+    return sendError(res, 400, "marketplaceIds is required.")
+  }
+
+  const end = dataEndTime ? parseDate(dataEndTime) : new Date()
+  const start = dataStartTime ? parseDate(dataStartTime) : end && new Date(end.getTime() - 30 * DAY_MS)
+  if (!start || !end || start >= end) {
+    return sendError(res, 400, "dataStartTime must be a date before dataEndTime.")
+  }
+
+  const sellerId = req.sellerId
+  const report = {
+    reportId: String(hashId(crypto.randomUUID())),
+    reportType,
+    marketplaceIds,
+    dataStartTime: start.toISOString(),
+    dataEndTime: end.toISOString(),
+    createdTime: new Date().toISOString(),
+    readyAt: Date.now() + config.reportDelayMs,
+    build: () => {
+      const orders = getSellerOrders(sellerId).filter((order) => {
+        const purchased = new Date(order.PurchaseDate)
+        return marketplaceIds.includes(order.MarketplaceId) && purchased >= start && purchased < end
+      })
+      return orders.length > 0 ? buildOrderReport(orders) : null
+    },
+  }
+
+  getSellerReports(sellerId).push(report)
+  res.status(202).json({ reportId: report.reportId })
+})
+
+app.get("/reports/2021-06-30/reports", operation("getReports"), simulate, authenticate, (req, res) => {
+  let filters
+  let offset = 0
+
+  if (req.query.nextToken) {
+    const decoded = decodeNextToken(req.query.nextToken)
+    if (!decoded) {
+      return sendError(res, 400, "Invalid nextToken.")
+    }
+    filters = decoded.filters
+    offset = decoded.offset
+  } else {
+    filters = {
+      reportTypes: splitList(req.query.reportTypes),
+      processingStatuses: splitList(req.query.processingStatuses),
+      marketplaceIds: splitList(req.query.marketplaceIds),
+      createdSince: parseDate(req.query.createdSince) || new Date(Date.now() - 90 * DAY_MS),
+      pageSize: req.query.pageSize ? Number.parseInt(req.query.pageSize, 10) : 10,
+    }
+
+    if (filters.reportTypes.length === 0) {
+      return sendError(res, 400, "reportTypes is required.")
+    }
+    if (!Number.isInteger(filters.pageSize) || filters.pageSize < 1 || filters.pageSize > 100) {
+      return sendError(res, 400, "pageSize must be between 1 and 100.")
+    }
+  }
+
+  const matches = getSellerReports(req.sellerId)
+    .map(toReportStatus)
+    .filter(
+      (report) =>
+        filters.reportTypes.includes(report.reportType) &&
+        (filters.processingStatuses.length === 0 || filters.processingStatuses.includes(report.processingStatus)) &&
+        (filters.marketplaceIds.length === 0 ||
+          report.marketplaceIds.some((id) => filters.marketplaceIds.includes(id))) &&
+        new Date(report.createdTime) >= new Date(filters.createdSince),
+    )
+    .reverse()
+
+  const payload = { reports: matches.slice(offset, offset + filters.pageSize) }
+  if (offset + filters.pageSize < matches.length) {
+    payload.nextToken = encodeNextToken(filters, offset + filters.pageSize)
+  }
+
+  res.json(payload)
+})
+
+app.get("/reports/2021-06-30/reports/:reportId", operation("getReport"), simulate, authenticate, (req, res) => {
+  const report = getSellerReports(req.sellerId).find((r) => r.reportId === req.params.reportId)
+  if (!report) {
+    return sendError(res, 404, `Report ${req.params.reportId} was not found.`)
+  }
+  res.json(toReportStatus(report))
+})
+
+app.get(
+  "/reports/2021-06-30/documents/:reportDocumentId",
+  operation("getReportDocument"),
+  simulate,
+  authenticate,
+  (req, res) => {
+    if (!state.documents.has(req.params.reportDocumentId)) {
+      return sendError(res, 404, `Report document ${req.params.reportDocumentId} was not found.`)
+    }
+
+    // Stands in for the pre-signed S3 URL Amazon returns
+    const documentPath = `/__simulator/documents/${encodeURIComponent(req.params.reportDocumentId)}`
+    res.json({
+      reportDocumentId: req.params.reportDocumentId,
+      url: `${req.protocol}://${req.get("host")}${documentPath}`,
+      compressionAlgorithm: "GZIP",
+    })
+  },
+)
+
+// Notifications API
+const NOTIFICATIONS_SCOPE = "sellingpartnerapi::notifications"
+const NOTIFICATION_TYPES = ["ORDER_CHANGE", "ANY_OFFER_CHANGED"]
+
+app.get(
+  "/notifications/v1/destinations",
+  operation("getDestinations"),
+  simulate,
+  authenticateGrantless(NOTIFICATIONS_SCOPE),
+  (req, res) => {
+    res.json({ payload: state.destinations })
+  },
+)
+
+app.post(
+  "/notifications/v1/destinations",
+  operation("createDestination"),
+  simulate,
+  authenticateGrantless(NOTIFICATIONS_SCOPE),
+  (req, res) => {
+    const { name, resourceSpecification } = req.body
+    const arn = resourceSpecification?.sqs?.arn
+
+    if (!name || !arn) {
+      return sendError(res, 400, "name and resourceSpecification.sqs.arn are required.")
+    }
+    if (state.destinations.some((d) => d.resource.sqs.arn === arn)) {
+      return sendError(res, 409, "A destination for this resource already exists.")
+    }
+
+    const destination = { destinationId: crypto.randomUUID(), name, resource: { sqs: { arn } } }
+    state.destinations.push(destination)
+    res.json({ payload: destination })
+  },
+)
+
+const checkNotificationType = (req, res, next) => {
+  if (!NOTIFICATION_TYPES.includes(req.params.notificationType)) {
+    return sendError(res, 400, `Notification type ${req.params.notificationType} is not supported by the simulator.`)
+  }
+  next()
+}
+
+app.get(
+  "/notifications/v1/subscriptions/:notificationType",
+  operation("getSubscription"),
+  simulate,
+  authenticate,
+  checkNotificationType,
+  (req, res) => {
+    const subscription = state.subscriptions.get(`${req.sellerId}:${req.params.notificationType}`)
+    if (!subscription) {
+      return sendError(res, 404, "The subscription was not found.")
+    }
+    res.json({ payload: subscription })
+  },
+)
+
+app.post(
+  "/notifications/v1/subscriptions/:notificationType",
+  operation("createSubscription"),
+  simulate,
+  authenticate,
+  checkNotificationType,
+  (req, res) => {
+    const { destinationId, payloadVersion } = req.body
+    const key = `${req.sellerId}:${req.params.notificationType}`
+
+    if (!state.destinations.some((d) => d.destinationId === destinationId)) {
+      return sendError(res, 400, "destinationId does not match a destination.")
+    }
+    if (state.subscriptions.has(key)) {
+      return sendError(res, 409, "A subscription for this notification type already exists.")
+    }
+
+    const subscription = { subscriptionId: crypto.randomUUID(), payloadVersion: payloadVersion || "1.0", destinationId }
+    state.subscriptions.set(key, subscription)
+    res.json({ payload: subscription })
+  },
+)
+
+app.delete(
+  "/notifications/v1/subscriptions/:notificationType/:subscriptionId",
+  operation("deleteSubscriptionById"),
+  simulate,
+  authenticateGrantless(NOTIFICATIONS_SCOPE),
+  (req, res) => {
+    const { notificationType, subscriptionId } = req.params
+
+    for (const [key, subscription] of state.subscriptions) {
+      if (key.endsWith(`:${notificationType}`) && subscription.subscriptionId === subscriptionId) {
+        state.subscriptions.delete(key)
+        return res.json({})
+      }
+    }
+    sendError(res, 404, "The subscription was not found.")
+  },
+)
+
+// Hand a notification to the backend the way its queue stand-ins expect it
+const deliverNotification = async (notification) => {
+  if (config.notificationsUrl) {
+    try {
+      const response = await axios.post(config.notificationsUrl, notification, {
+        headers: { "X-Notifications-Secret": config.notificationsSecret || "" },
+        validateStatus: () => true,
+        timeout: 10000,
+      })
+      return { delivered: "http", status: response.status, body: response.data }
+    } catch (error) {
+      return { delivered: "http", error: error.message }
+    }
+  }
+
+  if (config.notificationsDir) {
+    const name = `${Date.now()}-${notification.NotificationMetadata.NotificationId}`
+    fs.mkdirSync(config.notificationsDir, { recursive: true })
+    // Written under a temporary name first so the backend never reads a partial file
+    fs.writeFileSync(path.join(config.notificationsDir, `${name}.tmp`), JSON.stringify(notification))
+    fs.renameSync(path.join(config.notificationsDir, `${name}.tmp`), path.join(config.notificationsDir, `${name}.json`))
+    return { delivered: "file", file: `${name}.json` }
+  }
+
+  return { delivered: false }
+}
+
+// Control endpoints for tests and manual checks
+
+// Gzipped report documents, fetched without SP API credentials like a pre-signed URL
+app.get("/__simulator/documents/:reportDocumentId", (req, res) => {
+  const document = state.documents.get(req.params.reportDocumentId)
+  if (!document) {
+    return res.status(404).send("NoSuchKey")
+  }
+  res.set("Content-Type", "text/plain; charset=UTF-8")
+  res.send(document)
+})
+
+// Current settings and queued faults
+app.get("/__simulator", (req, res) => {
+  res.json({
+    sellerId: config.sellerId,
+    marketplaces: config.marketplaces,
+    orderCount: config.orderCount,
+    reportDelayMs: config.reportDelayMs,
+    latencyMs: state.latencyMs,
+    faults: state.faults,
+    activeTokens: state.accessTokens.size,
+    subscriptions: [...state.subscriptions.keys()],
+    notificationsPublished: state.notifications.length,
+  })
+})
+
+// Queue an error response, e.g. { "status": 429, "operation": "getOrders", "times": 2 }
+app.post("/__simulator/faults", (req, res) => {
+  const { status, operation: name, times = 1, message, retryAfter } = req.body
+
+  if (![400, 401, 403, 404, 429, 500, 503].includes(status)) {
+    return res.status(400).json({ message: "status must be one of 400, 401, 403, 404, 429, 500, 503" })
+  }
+
+  const fault = { status, operation: name, remaining: Math.max(1, Number(times) || 1), message, retryAfter }
+  state.faults.push(fault)
+  res.status(201).json(fault)
+})
+
+app.delete("/__simulator/faults", (req, res) => {
+  state.faults = []
+  res.json({ message: "Faults cleared" })
+})
+
+// Change the delay added to every simulated API call
+app.put("/__simulator/latency", (req, res) => {
+  const ms = Number(req.body.ms)
+  if (!Number.isFinite(ms) || ms < 0) {
+    return res.status(400).json({ message: "ms must be a non-negative number" })
+  }
+  state.latencyMs = ms
+  res.json({ latencyMs: ms })
+})
+
+// Expire every issued access token so the next call has to refresh
+app.post("/__simulator/expire-tokens", (req, res) => {
+  for (const session of state.accessTokens.values()) {
+    session.expiresAt = 0
+  }
+  res.json({ message: "Access tokens expired" })
+})
+
+// Change an order's status and publish ORDER_CHANGE, e.g. { "orderId": "...", "status": "Shipped" }.
+// Without an orderId the newest pending or unshipped order moves one step forward;
+// { "new": true } places a new pending order instead.
+const NEXT_STATUS = { Pending: "Unshipped", Unshipped: "Shipped" }
+
+app.post("/__simulator/notifications/order-change", async (req, res) => {
+  const sellerId = req.body.sellerId || config.sellerId
+  const orders = getSellerOrders(sellerId)
+  let order
+
+  if (req.body.new) {
+    order = generateOrders(`${sellerId}${Date.now()}`, config.marketplaces, { count: 1, days: 0 })[0]
+    order.OrderStatus = "Pending"
+    order.NumberOfItemsUnshipped = order.NumberOfItemsShipped + order.NumberOfItemsUnshipped
+    order.NumberOfItemsShipped = 0
+    orders.push(order)
+  } else {
+    order = req.body.orderId
+      ? orders.find((o) => o.AmazonOrderId === req.body.orderId)
+      : [...orders].reverse().find((o) => NEXT_STATUS[o.OrderStatus])
+    if (!order) {
+      return res.status(404).json({ message: "No matching order to change" })
+    }
+
+    const status = req.body.status || NEXT_STATUS[order.OrderStatus] || order.OrderStatus
+    const quantity = order.NumberOfItemsShipped + order.NumberOfItemsUnshipped
+    order.OrderStatus = status
+    order.NumberOfItemsShipped = status === "Shipped" ? quantity : 0
+    order.NumberOfItemsUnshipped = status === "Shipped" || status === "Canceled" ? 0 : quantity
+    order.LastUpdateDate = new Date().toISOString()
+  }
+
+  const subscription = state.subscriptions.get(`${sellerId}:ORDER_CHANGE`)
+  if (!subscription) {
+    return res.json({ order, notification: null, delivery: { delivered: false, reason: "Seller is not subscribed" } })
+  }
+
+  const now = new Date().toISOString()
+  const notification = {
+    NotificationVersion: "1.0",
+    NotificationType: "ORDER_CHANGE",
+    PayloadVersion: subscription.payloadVersion,
+    EventTime: now,
+    Payload: {
+      OrderChangeNotification: {
+        NotificationLevel: "OrderLevel",
+        SellerId: sellerId,
+        AmazonOrderId: order.AmazonOrderId,
+        OrderChangeType: "OrderStatusChange",
+        OrderChangeTrigger: { TimeOfOrderChange: now, ChangeReason: "Simulated change" },
+        Summary: {
+          MarketplaceId: order.MarketplaceId,
+          OrderStatus: order.OrderStatus,
+          PurchaseDate: order.PurchaseDate,
+          FulfillmentType: order.FulfillmentChannel,
+          OrderType: order.OrderType,
+        },
+      },
+    },
+    NotificationMetadata: {
+      ApplicationId: process.env.AMAZON_APP_ID || "amzn1.sp.solution.simulated",
+      SubscriptionId: subscription.subscriptionId,
+      PublishTime: now,
+      NotificationId: crypto.randomUUID(),
+    },
+  }
+
+  state.notifications.push(notification)
+  res.json({ order, notification, delivery: await deliverNotification(notification) })
+})
+
+// Deliver a published notification again, to exercise idempotent processing
+app.post("/__simulator/notifications/:notificationId/redeliver", async (req, res) => {
+  const notification = state.notifications.find(
+    (n) => n.NotificationMetadata.NotificationId === req.params.notificationId,
+  )
+  if (!notification) {
+    return res.status(404).json({ message: "Notification not found" })
+  }
+  res.json({ notification, delivery: await deliverNotification(notification) })
+})
+
+// Forget all tokens, codes, faults, generated orders, reports and subscriptions
+app.post("/__simulator/reset", (req, res) => {
+  state.codes.clear()
+  state.accessTokens.clear()
+  state.refreshTokens.clear()
+  state.orders.clear()
+  state.reports.clear()
+  state.documents.clear()
+  state.grantlessTokens.clear()
+  state.destinations = []
+  state.subscriptions.clear()
+  state.notifications = []
+  state.faults = []
+  state.latencyMs = config.latencyMs
+  res.json({ message: "Simulator reset" })
+})
+
+app.use((req, res) => {
+  sendError(res, 404, `No simulated operation for ${req.method} ${req.path}`)
+})
+
+if (require.main === module) {
+  app.listen(config.port, () => {
+    console.log(`SP API simulator running on port ${config.port}`)
+    console.log(`Set AMAZON_SIMULATOR_URL=http://localhost:${config.port} for the backend`)
+  })
+}
+
+module.exports = app
@@ -1,44 +1,35 @@
-const nodemailer = require("nodemailer")
+const { enqueueEmail } = require("../services/emailOutbox")
+const { renderEmailPart } = require("./emailTemplates")
 
-// Create a transporter object
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASSWORD,
-  },
-})
+// Every email the app sends. They are rendered from templates/email and queued in the
+// outbox, which delivers them in the background and retries failures, see
+// services/emailOutbox.js. Each function resolves once the email is queued.
 
-// Function to send OTP email
-const sendOTPEmail = async (email, name, otp) => {
-  try {
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: "Email Verification OTP",
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
-          <h2 style="color: #4f46e5;">Email Verification</h2>
-          <p>Hello ${name},</p>
-          <p>Thank you for registering with UNIBAZAR. Please use the following OTP to verify your email address:</p>
-          <div style="background-color: #f3f4f6; padding: 10px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 5px; margin: 20px 0;">
-            ${otp}
-          </div>
-          <p>This OTP is valid for 10 minutes.</p>
-          <p>If you did not request this verification, please ignore this email.</p>
-          <p>Best regards,<br>UNIBAZAR Team</p>
-        </div>
-      `,
-    }
+const sendOTPEmail = (email, name, otp) => {
+  return enqueueEmail(email, "otp", { name, otp })
+}
+
+const sendPasswordResetEmail = (email, name, resetUrl) => {
+  return enqueueEmail(email, "password-reset", { name, resetUrl })
+}
+
+const sendWorkspaceInvitationEmail = (email, { inviterName, workspaceName, role, inviteUrl }) => {
+  return enqueueEmail(email, "workspace-invitation", { inviterName, workspaceName, role, inviteUrl })
+}
 
-    await transporter.sendMail(mailOptions)
-    console.log(`OTP email sent to ${email}`)
-  } catch (error) {
-    console.error("Error sending OTP email:", error)
-    throw new Error("Failed to send OTP email")
-  }
+// The digest has a section per seller account, see services/digest.js for the values
+const sendOrderDigestEmail = (email, { accounts, ...data }) => {
+  const sections = accounts.map((account) => renderEmailPart("order-digest-account", account))
+  return enqueueEmail(email, "order-digest", {
+    ...data,
+    accountsText: sections.map((section) => section.text).join("\n\n"),
+    accountsHtml: sections.map((section) => section.html).join(""),
+  })
 }
 
 module.exports = {
   sendOTPEmail,
+  sendPasswordResetEmail,
+  sendWorkspaceInvitationEmail,
+  sendOrderDigestEmail,
 }
@@ -0,0 +1,68 @@
+const fs = require("fs")
+const path = require("path")
+
+// Email templates live in templates/email as <name>.txt and <name>.html. The text variant
+// starts with a "Subject: ..." line and a blank line. Both are wrapped in layout.txt and
+// layout.html.
+//
+// {{value}} inserts a value, HTML-escaped in the HTML variant; {{{value}}} inserts it as is.
+// A placeholder without a value is an error, so a typo can't send an incomplete email.
+
+const TEMPLATE_DIR = path.join(__dirname, "..", "templates", "email")
+
+const cache = new Map()
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`)
+
+const readTemplate = (file) => {
+  if (!cache.has(file)) {
+    cache.set(file, fs.readFileSync(path.join(TEMPLATE_DIR, file), "utf8"))
+  }
+  return cache.get(file)
+}
+
+const fill = (source, data, escape) => {
+  return source.replace(/\{\{(\{?)\s*(\w+)\s*\}?\}\}/g, (match, raw, key) => {
+    if (data[key] === undefined || data[key] === null) {
+      throw new Error(`Missing template value: ${key}`)
+    }
+    return raw || !escape ? String(data[key]) : escapeHtml(data[key])
+  })
+}
+
+// Render a template. Returns { subject, text, html }.
+const renderEmail = (name, data = {}) => {
+  if (!/^[\w-]+$/.test(name)) {
+    throw new Error(`Invalid email template name: ${name}`)
+  }
+
+  const [subjectLine, ...body] = fill(readTemplate(`${name}.txt`), data, false).split("\n")
+  if (!subjectLine.startsWith("Subject:")) {
+    throw new Error(`Invalid email template ${name}.txt: it has to start with a Subject line`)
+  }
+
+  return {
+    subject: subjectLine.slice("Subject:".length).trim(),
+    text: fill(readTemplate("layout.txt"), { content: body.join("\n").trim() }, false),
+    html: fill(readTemplate("layout.html"), { content: fill(readTemplate(`${name}.html`), data, true) }, true),
+  }
+}
+
+// Render a part of an email, e.g. one block of a list, from <name>.txt and <name>.html
+// without subject or layout. Returns { text, html } to insert with {{{value}}}.
+const renderEmailPart = (name, data = {}) => {
+  if (!/^[\w-]+$/.test(name)) {
+    throw new Error(`Invalid email template name: ${name}`)
+  }
+
+  return {
+    text: fill(readTemplate(`${name}.txt`), data, false).trimEnd(),
+    html: fill(readTemplate(`${name}.html`), data, true),
+  }
+}
+
+module.exports = {
+  renderEmail,
+  renderEmailPart,
+  escapeHtml,
+}
@@ -0,0 +1,145 @@
+const { AsyncLocalStorage } = require("async_hooks")
+
+// JSON logs, one object per line: { time, level, msg, ...fields }. Lines written while a
+// request is handled also carry its requestId and, once known, userId and sellerId, see
+// middleware/requestContext.js. LOG_LEVEL is the lowest level written: debug, info
+// (default), warn or error.
+//
+// Secrets are redacted before anything is written: fields named like tokens, passwords,
+// secrets and codes are replaced, and email addresses, bearer tokens, JWTs and Amazon
+// tokens are masked wherever they appear in messages and values. Errors are reduced to
+// their message, code and HTTP status, so SP API response bodies never reach the logs.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+const REDACTED = "[REDACTED]"
+const MAX_DEPTH = 6
+
+const minLevel = LEVELS[process.env.LOG_LEVEL] || LEVELS.info
+
+const context = new AsyncLocalStorage()
+
+// Field names whose values are always secret, e.g. accessToken, refresh_token, password,
+// client_secret, otp, code, codeHash, recoveryCodes, Authorization, set-cookie
+const SECRET_FIELD =
+  /(token|tokens|tokenhash|password|secret|authorization|cookie|signature)$|^(otp|code|codehash|pass|apikey|api_key)$|recoverycodes?$/i
+const EMAIL_FIELD = /^(email|to|from|recipient)$/i
+
+const STRING_PATTERNS = [
+  // Amazon LWA access (Atza|) and refresh (Atzr|) tokens
+  [/Atz[ar]\|[\w\-|.=+/]+/g, REDACTED],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+  [/\b(Bearer)\s+[\w\-.~+/]+=*/gi, `$1 ${REDACTED}`],
+  [/([?&](?:token|ticket|code|state|access_token|refresh_token)=)[^&\s"]+/gi, `$1${REDACTED}`],
+  // Keep the first character and the domain of email addresses
+  [/\b([\w.+-])[\w.+-]*@([\w-]+(?:\.[\w-]+)+)/g, "$1***@$2"],
+]
+
+const scrub = (text) =>
+  STRING_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text)
+
+const maskEmail = (value) => (typeof value === "string" ? scrub(value) : REDACTED)
+
+// The parts of an error worth logging. Axios errors carry the request headers (with
+// tokens) and the response body, so only the status and Amazon's error codes are kept.
+const serializeError = (error) => {
+  const serialized = {
+    name: error.name,
+    message: scrub(String(error.message)),
+  }
+  if (error.code !== undefined) serialized.code = error.code
+  if (error.responseCode !== undefined) serialized.responseCode = error.responseCode
+  if (error.response?.status) serialized.status = error.response.status
+
+  const amazonErrors = error.response?.data?.errors
+  if (Array.isArray(amazonErrors)) {
+    serialized.amazonErrors = amazonErrors.map((entry) => entry?.code).filter(Boolean)
+  } else if (typeof error.response?.data?.error === "string") {
+    // LWA token endpoint errors, e.g. invalid_grant
+    serialized.amazonErrors = [error.response.data.error]
+  }
+
+  if (error.stack) {
+    serialized.stack = scrub(error.stack)
+  }
+  return serialized
+}
+
+// Copy a value for logging with secrets removed
+const redact = (value, key = "", depth = 0, seen = new WeakSet()) => {
+  if (key && SECRET_FIELD.test(key)) return value === undefined || value === null ? value : REDACTED
+  if (key && EMAIL_FIELD.test(key)) return value === undefined || value === null ? value : maskEmail(value)
+
+  if (typeof value === "string") return scrub(value)
+  if (value === null || typeof value !== "object") return value
+  if (value instanceof Error) return serializeError(value)
+  if (value instanceof Date) return value.toISOString()
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`
+  // ObjectIds and the like
+  if (typeof value.toHexString === "function") return value.toHexString()
+
+  if (depth >= MAX_DEPTH) return "[Truncated]"
+  if (seen.has(value)) return "[Circular]"
+  seen.add(value)
+
+  // Mongoose documents apply their own toJSON transforms, e.g. hiding connection tokens
+  const plain = typeof value.toJSON === "function" && !Array.isArray(value) ? value.toJSON() : value
+  if (plain !== value) return redact(plain, "", depth, seen)
+
+  if (Array.isArray(value)) {
+    return value.map((entry) => redact(entry, "", depth + 1, seen))
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([entryKey, entry]) => [entryKey, redact(entry, entryKey, depth + 1, seen)]),
+  )
+}
+
+const write = (level, bindings, message, fields) => {
+  if (LEVELS[level] < minLevel) return
+
+  // logger.error("...", error) is short for logger.error("...", { error })
+  const extra = fields instanceof Error ? { error: fields } : fields
+
+  const record = {
+    time: new Date().toISOString(),
+    level,
+    msg: scrub(String(message)),
+    ...redact({ ...context.getStore(), ...bindings, ...extra }),
+  }
+
+  let line
+  try {
+    line = JSON.stringify(record)
+  } catch (error) {
+    line = JSON.stringify({ time: record.time, level, msg: record.msg, logError: error.message })
+  }
+  process.stdout.write(`${line}\n`)
+}
+
+// A logger that adds `bindings` to every line, e.g. logger.child({ sellerId })
+const createLogger = (bindings = {}) => ({
+  debug: (message, fields) => write("debug", bindings, message, fields),
+  info: (message, fields) => write("info", bindings, message, fields),
+  warn: (message, fields) => write("warn", bindings, message, fields),
+  error: (message, fields) => write("error", bindings, message, fields),
+  child: (more) => createLogger({ ...bindings, ...more }),
+})
+
+const logger = createLogger()
+
+// Run fn with `fields` added to every line logged while it runs, including async work it
+// starts. The fields replace the current ones, so background work can start afresh.
+const withLogContext = (fields, fn) => context.run(fields, fn)
+
+// Add fields to the current context, e.g. the user once a request is authenticated
+const addLogContext = (fields) => {
+  const store = context.getStore()
+  if (store) {
+    Object.assign(store, fields)
+  }
+}
+
+module.exports = {
+  logger,
+  withLogContext,
+  addLogContext,
+}
@@ -0,0 +1,118 @@
+const crypto = require("crypto")
+
+// Envelope encryption for secrets stored in MongoDB (Amazon access and refresh tokens).
+// Every value gets its own random data key; the data key is wrapped with a master key
+// from TOKEN_ENCRYPTION_KEYS, whose ID is stored alongside so keys can be rotated.
+//
+// Stored format: enc:v1:<keyId>:<wrapped data key>:<iv>:<auth tag>:<ciphertext> (base64 parts)
+
+const PREFIX = "enc:v1"
+const ALGORITHM = "aes-256-gcm"
+
+// Parse TOKEN_ENCRYPTION_KEYS ("keyId:base64key,keyId:base64key"). The active key is
+// TOKEN_ENCRYPTION_KEY_ID, or the first key in the list.
+const loadKeys = () => {
+  const raw = process.env.TOKEN_ENCRYPTION_KEYS
+  if (!raw) {
+    throw new Error("Token encryption is not configured. Set TOKEN_ENCRYPTION_KEYS.")
+  }
+
+  const keys = new Map()
+  raw.split(",").forEach((entry) => {
+    const [id, value] = entry.trim().split(":")
+    const key = Buffer.from(value || "", "base64")
+    if (!id || key.length !== 32) {
+      throw new Error(`Invalid token encryption key "${id || entry}": expected keyId:base64 32-byte key`)
+    }
+    keys.set(id, key)
+  })
+
+  const activeId = process.env.TOKEN_ENCRYPTION_KEY_ID || keys.keys().next().value
+  if (!keys.has(activeId)) {
+    throw new Error(`Active token encryption key "${activeId}" is not in TOKEN_ENCRYPTION_KEYS`)
+  }
+
+  return { keys, activeId }
+}
+
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv)
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()])
+  return { iv, tag: cipher.getAuthTag(), ciphertext }
+}
+
+const open = (key, iv, tag, ciphertext) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv)
+  decipher.setAuthTag(tag)
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()])
+}
+
+const isEncrypted = (value) => typeof value === "string" && value.startsWith(`${PREFIX}:`)
+
+// ID of the master key a stored value was encrypted with, or null for plain text
+const getKeyId = (value) => (isEncrypted(value) ? value.split(":")[2] : null)
+
+// Encrypt a secret with a fresh data key wrapped by the active master key
+const encryptSecret = (plaintext) => {
+  if (plaintext === undefined || plaintext === null || plaintext === "") {
+    return plaintext
+  }
+
+  const { keys, activeId } = loadKeys()
+  const dataKey = crypto.randomBytes(32)
+
+  const wrapped = seal(keys.get(activeId), dataKey)
+  const sealed = seal(dataKey, Buffer.from(String(plaintext), "utf8"))
+
+  return [
+    PREFIX,
+    activeId,
+    Buffer.concat([wrapped.iv, wrapped.tag, wrapped.ciphertext]).toString("base64"),
+    sealed.iv.toString("base64"),
+    sealed.tag.toString("base64"),
+    sealed.ciphertext.toString("base64"),
+  ].join(":")
+}
+
+// Decrypt a stored secret. Values written before encryption was enabled are returned as-is.
+const decryptSecret = (value) => {
+  if (!isEncrypted(value)) {
+    return value
+  }
+
+  const [, , keyId, wrappedB64, ivB64, tagB64, ciphertextB64] = value.split(":")
+  const { keys } = loadKeys()
+  const masterKey = keys.get(keyId)
+  if (!masterKey) {
+    throw new Error(`Token encryption key "${keyId}" is not configured`)
+  }
+
+  try {
+    const wrapped = Buffer.from(wrappedB64, "base64")
+    const dataKey = open(masterKey, wrapped.subarray(0, 12), wrapped.subarray(12, 28), wrapped.subarray(28))
+
+    return open(
+      dataKey,
+      Buffer.from(ivB64, "base64"),
+      Buffer.from(tagB64, "base64"),
+      Buffer.from(ciphertextB64, "base64"),
+    ).toString("utf8")
+  } catch (error) {
+    throw new Error("Failed to decrypt stored token")
+  }
+}
+
+// Whether a stored value should be re-encrypted with the active key
+const needsReencryption = (value) => {
+  if (!value) return false
+  return getKeyId(value) !== loadKeys().activeId
+}
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  isEncrypted,
+  getKeyId,
+  needsReencryption,
+}
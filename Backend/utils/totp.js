@@ -0,0 +1,108 @@
+const crypto = require("crypto")
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// HMAC-SHA1, 6 digits, 30 second steps, secrets shared as base32.
+
+const STEP_SECONDS = 30
+const DIGITS = 6
+// Steps accepted before and after the current one, for clock drift
+const DRIFT_STEPS = 1
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+
+const base32Encode = (buffer) => {
+  let bits = 0
+  let value = 0
+  let output = ""
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+
+  return output
+}
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, "")
+  let bits = 0
+  let value = 0
+  const bytes = []
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error("Invalid base32 secret")
+    }
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+
+  return Buffer.from(bytes)
+}
+
+// New random 160-bit secret, base32 encoded
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20))
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS)
+
+// Code for a time step (RFC 4226 dynamic truncation)
+const generateTotp = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 15
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0")
+}
+
+// Time step the code belongs to, or null when it doesn't match any step in the drift window.
+// Callers keep the step so the same code can't be used twice.
+const verifyTotp = (secret, code, now = Date.now()) => {
+  const candidate = String(code || "").replace(/\s/g, "")
+  if (!/^\d{6}$/.test(candidate)) {
+    return null
+  }
+
+  const step = currentStep(now)
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const expected = generateTotp(secret, step + drift)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step + drift
+    }
+  }
+
+  return null
+}
+
+// otpauth:// URI for authenticator apps; shown as a link or encoded in a QR code
+const buildOtpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  })
+  return `otpauth://totp/${label}?${params.toString()}`
+}
+
+module.exports = {
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+}
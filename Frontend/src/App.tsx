@@ -2,7 +2,16 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from "react-router-d
 import SignupPage from "./pages/SignupPage"
 import LoginPage from "./pages/LoginPage"
 import OtpVerificationPage from "./pages/OtpVerificationPage"
+import ForgotPasswordPage from "./pages/ForgotPasswordPage"
+import ResetPasswordPage from "./pages/ResetPasswordPage"
 import DashboardPage from "./pages/DashboardPage"
+import ReportsPage from "./pages/ReportsPage"
+import SecurityPage from "./pages/SecurityPage"
+import TeamPage from "./pages/TeamPage"
+import AcceptInvitationPage from "./pages/AcceptInvitationPage"
+import AdminPage from "./pages/AdminPage"
+import DigestSettingsPage from "./pages/DigestSettingsPage"
+import UnsubscribePage from "./pages/UnsubscribePage"
 import { AuthProvider } from "./context/AuthContext"
 import ProtectedRoute from "./components/ProtectedRoute"
 import ErrorBoundary from "./components/ErrorBoundary"
@@ -18,6 +27,10 @@ function App() {
             <Route path="/login" element={<LoginPage />} />
             <Route path="/signup" element={<SignupPage />} />
             <Route path="/verify-otp" element={<OtpVerificationPage />} />
+            <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+            <Route path="/reset-password" element={<ResetPasswordPage />} />
+            <Route path="/invite" element={<AcceptInvitationPage />} />
+            <Route path="/unsubscribe" element={<UnsubscribePage />} />
             <Route
               path="/dashboard"
               element={
@@ -26,6 +39,46 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/reports"
+              element={
+                <ProtectedRoute>
+                  <ReportsPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/team"
+              element={
+                <ProtectedRoute>
+                  <TeamPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/security"
+              element={
+                <ProtectedRoute>
+                  <SecurityPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/digest"
+              element={
+                <ProtectedRoute>
+                  <DigestSettingsPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin"
+              element={
+                <ProtectedRoute role="admin">
+                  <AdminPage />
+                </ProtectedRoute>
+              }
+            />
           </Routes>
         </Router>
       </AuthProvider>
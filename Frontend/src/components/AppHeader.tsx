@@ -0,0 +1,71 @@
+import React from "react"
+import { NavLink } from "react-router-dom"
+import { User, LogOut } from "lucide-react"
+import { useAuth } from "../context/AuthContext"
+
+const NAV_LINKS = [
+  { to: "/dashboard", label: "Dashboard" },
+  { to: "/reports", label: "Reports" },
+  { to: "/team", label: "Team" },
+  { to: "/digest", label: "Email Summary" },
+  { to: "/security", label: "Security" },
+  { to: "/admin", label: "Admin", adminOnly: true },
+]
+
+const AppHeader: React.FC = () => {
+  const { user, logout } = useAuth()
+
+  return (
+    <nav className="bg-white shadow-sm border-b border-gray-200">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex justify-between h-16">
+          <div className="flex items-center">
+            <div className="flex-shrink-0 flex items-center">
+              <div className="h-8 w-8 bg-gradient-to-r from-indigo-600 to-purple-600 rounded-lg flex items-center justify-center mr-3">
+                <span className="text-white text-sm font-bold">U</span>
+              </div>
+              <h1 className="text-xl font-bold text-gray-900">UNIBAZAR</h1>
+            </div>
+            <div className="hidden sm:flex ml-8 space-x-6 h-full">
+              {NAV_LINKS.filter((link) => !link.adminOnly || user?.role === "admin").map((link) => (
+                <NavLink
+                  key={link.to}
+                  to={link.to}
+                  className={({ isActive }) =>
+                    `inline-flex items-center px-1 border-b-2 text-sm font-medium ${
+                      isActive
+                        ? "border-indigo-500 text-gray-900"
+                        : "border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300"
+                    }`
+                  }
+                >
+                  {link.label}
+                </NavLink>
+              ))}
+            </div>
+          </div>
+          <div className="flex items-center space-x-4">
+            <div className="flex items-center space-x-3">
+              <div className="h-8 w-8 bg-gray-200 rounded-full flex items-center justify-center">
+                <User className="h-4 w-4 text-gray-600" />
+              </div>
+              <div className="hidden sm:block">
+                <p className="text-sm font-medium text-gray-900">{user?.name}</p>
+                <p className="text-xs text-gray-500">{user?.email}</p>
+              </div>
+            </div>
+            <button
+              onClick={logout}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-colors"
+            >
+              <LogOut className="h-4 w-4 mr-2" />
+              Sign out
+            </button>
+          </div>
+        </div>
+      </div>
+    </nav>
+  )
+}
+
+export default AppHeader
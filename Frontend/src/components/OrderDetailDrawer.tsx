@@ -0,0 +1,321 @@
+import React, { useEffect, useState } from "react"
+import { X, Package, Truck, Receipt, AlertCircle } from "lucide-react"
+import { API_URL } from "../config"
+import LoadingSpinner from "./LoadingSpinner"
+
+interface Money {
+  currencyCode: string
+  amount: number
+}
+
+interface OrderItem {
+  orderItemId: string
+  asin?: string
+  sellerSku?: string
+  title?: string
+  condition?: string
+  quantityOrdered: number
+  quantityShipped: number
+  itemPrice: Money | null
+  itemTax: Money | null
+  shippingPrice: Money | null
+  promotionDiscount: Money | null
+  promotionIds: string[]
+  isGift: boolean
+}
+
+interface FinanceEntry {
+  type: string
+  currencyCode: string
+  amount: number
+}
+
+interface OrderDetail {
+  orderId: string
+  marketplace?: string | null
+  marketplaceId?: string
+  salesChannel?: string
+  status?: string
+  purchaseDate?: string
+  lastUpdateDate?: string
+  orderTotal: Money | null
+  isPrime: boolean
+  isBusinessOrder: boolean
+  fulfillmentChannel?: string
+  shipping: {
+    serviceLevel?: string
+    serviceLevelCategory?: string
+    earliestShipDate?: string
+    latestShipDate?: string
+    earliestDeliveryDate?: string
+    latestDeliveryDate?: string
+    numberOfItemsShipped?: number
+    numberOfItemsUnshipped?: number
+  }
+  items: OrderItem[]
+  totals: {
+    currencyCode?: string
+    itemPrice: number
+    itemTax: number
+    shippingPrice: number
+    shippingTax: number
+    shippingDiscount: number
+    promotionDiscount: number
+  }
+  finances: {
+    charges: FinanceEntry[]
+    fees: FinanceEntry[]
+    promotions: FinanceEntry[]
+    net: Money[]
+  } | null
+}
+
+interface OrderDetailDrawerProps {
+  orderId: string
+  headers: Record<string, string>
+  onClose: () => void
+}
+
+const formatMoney = (money: Money | null | undefined) =>
+  money ? `${money.currencyCode} ${money.amount.toFixed(2)}` : "—"
+
+const formatDateTime = (value?: string) => (value ? new Date(value).toLocaleString() : "—")
+
+const fulfillmentLabel = (channel?: string) =>
+  channel === "AFN" ? "Fulfilled by Amazon" : channel === "MFN" ? "Fulfilled by merchant" : channel || "—"
+
+// Split camel-case fee types such as "FBAPerUnitFulfillmentFee" into words
+const humanize = (value: string) => value.replace(/([a-z])([A-Z])/g, "$1 $2")
+
+const OrderDetailDrawer: React.FC<OrderDetailDrawerProps> = ({ orderId, headers, onClose }) => {
+  const [order, setOrder] = useState<OrderDetail | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState("")
+
+  useEffect(() => {
+    const fetchOrder = async () => {
+      setLoading(true)
+      setError("")
+      setOrder(null)
+
+      try {
+        const response = await fetch(`${API_URL}/api/amazon/orders/${encodeURIComponent(orderId)}`, { headers })
+        const data = await response.json()
+
+        if (!response.ok) {
+          throw new Error(data.message || "Failed to load order")
+        }
+
+        setOrder(data.order)
+      } catch (err) {
+        console.error("Error loading order detail:", err)
+        setError(err instanceof Error ? err.message : "Failed to load order")
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchOrder()
+  }, [orderId])
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (e.key === "Escape") onClose()
+    }
+    window.addEventListener("keydown", handleKeyDown)
+    return () => window.removeEventListener("keydown", handleKeyDown)
+  }, [onClose])
+
+  const currency = order?.totals.currencyCode || order?.orderTotal?.currencyCode || ""
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div className="absolute inset-0 bg-black bg-opacity-30" onClick={onClose}></div>
+
+      <div className="relative w-full max-w-xl h-full bg-white shadow-xl overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b border-gray-200 px-6 py-4 flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Order details</h3>
+            <p className="text-xs font-mono text-gray-500">{orderId}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-md text-gray-500 hover:text-gray-700 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="px-6 py-4 space-y-6">
+          {loading && <LoadingSpinner text="Loading order..." />}
+
+          {error && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-md flex items-center">
+              <AlertCircle className="h-5 w-5 text-red-400 mr-2" />
+              <p className="text-sm text-red-700">{error}</p>
+            </div>
+          )}
+
+          {order && (
+            <>
+              {/* Summary */}
+              <div className="grid grid-cols-2 gap-4 text-sm">
+                <div>
+                  <p className="text-gray-500">Status</p>
+                  <p className="font-medium text-gray-900">{order.status || "Unknown"}</p>
+                </div>
+                <div>
+                  <p className="text-gray-500">Order total</p>
+                  <p className="font-medium text-gray-900">{formatMoney(order.orderTotal)}</p>
+                </div>
+                <div>
+                  <p className="text-gray-500">Purchased</p>
+                  <p className="font-medium text-gray-900">{formatDateTime(order.purchaseDate)}</p>
+                </div>
+                <div>
+                  <p className="text-gray-500">Marketplace</p>
+                  <p className="font-medium text-gray-900">
+                    {order.marketplace || order.marketplaceId || "—"}
+                    {order.salesChannel && <span className="ml-1 text-gray-500">{order.salesChannel}</span>}
+                  </p>
+                </div>
+              </div>
+              {(order.isPrime || order.isBusinessOrder) && (
+                <div className="flex space-x-2">
+                  {order.isPrime && (
+                    <span className="px-2 py-1 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">Prime</span>
+                  )}
+                  {order.isBusinessOrder && (
+                    <span className="px-2 py-1 text-xs font-semibold rounded-full bg-purple-100 text-purple-800">
+                      Business
+                    </span>
+                  )}
+                </div>
+              )}
+
+              {/* Line Items */}
+              <div>
+                <h4 className="flex items-center text-sm font-semibold text-gray-900 mb-2">
+                  <Package className="h-4 w-4 mr-2 text-indigo-500" />
+                  Items
+                </h4>
+                <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                  {order.items.map((item) => (
+                    <div key={item.orderItemId} className="p-3 text-sm">
+                      <p className="font-medium text-gray-900">{item.title || item.sellerSku || item.asin}</p>
+                      <p className="text-xs text-gray-500 font-mono">
+                        SKU {item.sellerSku || "—"} • ASIN {item.asin || "—"}
+                      </p>
+                      <div className="mt-2 flex justify-between text-gray-700">
+                        <span>
+                          Qty {item.quantityOrdered}
+                          {item.quantityShipped > 0 && ` (${item.quantityShipped} shipped)`}
+                          {item.isGift && <span className="ml-2 text-xs text-gray-500">Gift</span>}
+                        </span>
+                        <span>{formatMoney(item.itemPrice)}</span>
+                      </div>
+                      {item.promotionDiscount && item.promotionDiscount.amount > 0 && (
+                        <p className="text-xs text-green-700 mt-1">
+                          Promotion −{formatMoney(item.promotionDiscount)}
+                          {item.promotionIds.length > 0 && ` (${item.promotionIds.join(", ")})`}
+                        </p>
+                      )}
+                    </div>
+                  ))}
+                  {order.items.length === 0 && <p className="p-3 text-sm text-gray-500">No items returned by Amazon</p>}
+                </div>
+              </div>
+
+              {/* Shipping */}
+              <div>
+                <h4 className="flex items-center text-sm font-semibold text-gray-900 mb-2">
+                  <Truck className="h-4 w-4 mr-2 text-indigo-500" />
+                  Shipping
+                </h4>
+                <dl className="grid grid-cols-2 gap-2 text-sm">
+                  <dt className="text-gray-500">Fulfillment</dt>
+                  <dd className="text-gray-900">{fulfillmentLabel(order.fulfillmentChannel)}</dd>
+                  <dt className="text-gray-500">Service level</dt>
+                  <dd className="text-gray-900">
+                    {order.shipping.serviceLevel || "—"}
+                    {order.shipping.serviceLevelCategory &&
+                      order.shipping.serviceLevelCategory !== order.shipping.serviceLevel &&
+                      ` (${order.shipping.serviceLevelCategory})`}
+                  </dd>
+                  <dt className="text-gray-500">Ship by</dt>
+                  <dd className="text-gray-900">{formatDateTime(order.shipping.latestShipDate)}</dd>
+                  {order.shipping.latestDeliveryDate && (
+                    <>
+                      <dt className="text-gray-500">Deliver by</dt>
+                      <dd className="text-gray-900">{formatDateTime(order.shipping.latestDeliveryDate)}</dd>
+                    </>
+                  )}
+                  <dt className="text-gray-500">Items shipped</dt>
+                  <dd className="text-gray-900">
+                    {order.shipping.numberOfItemsShipped ?? 0} of{" "}
+                    {(order.shipping.numberOfItemsShipped ?? 0) + (order.shipping.numberOfItemsUnshipped ?? 0)}
+                  </dd>
+                </dl>
+              </div>
+
+              {/* Charges and Fees */}
+              <div>
+                <h4 className="flex items-center text-sm font-semibold text-gray-900 mb-2">
+                  <Receipt className="h-4 w-4 mr-2 text-indigo-500" />
+                  Charges and fees
+                </h4>
+                <dl className="grid grid-cols-2 gap-2 text-sm">
+                  <dt className="text-gray-500">Items</dt>
+                  <dd className="text-gray-900 text-right">
+                    {currency} {order.totals.itemPrice.toFixed(2)}
+                  </dd>
+                  <dt className="text-gray-500">Tax</dt>
+                  <dd className="text-gray-900 text-right">
+                    {currency} {(order.totals.itemTax + order.totals.shippingTax).toFixed(2)}
+                  </dd>
+                  <dt className="text-gray-500">Shipping</dt>
+                  <dd className="text-gray-900 text-right">
+                    {currency} {(order.totals.shippingPrice - order.totals.shippingDiscount).toFixed(2)}
+                  </dd>
+                  <dt className="text-gray-500">Promotions</dt>
+                  <dd className="text-gray-900 text-right">
+                    −{currency} {order.totals.promotionDiscount.toFixed(2)}
+                  </dd>
+                </dl>
+
+                {order.finances ? (
+                  <dl className="grid grid-cols-2 gap-2 text-sm mt-4 pt-4 border-t border-gray-200">
+                    {order.finances.fees.map((fee) => (
+                      <React.Fragment key={`${fee.type}-${fee.currencyCode}`}>
+                        <dt className="text-gray-500">{humanize(fee.type)}</dt>
+                        <dd className="text-red-700 text-right">
+                          {fee.currencyCode} {fee.amount.toFixed(2)}
+                        </dd>
+                      </React.Fragment>
+                    ))}
+                    {order.finances.fees.length === 0 && (
+                      <p className="col-span-2 text-xs text-gray-500">No Amazon fees posted yet</p>
+                    )}
+                    {order.finances.net.map((net) => (
+                      <React.Fragment key={net.currencyCode}>
+                        <dt className="font-medium text-gray-900">Net proceeds</dt>
+                        <dd className="font-medium text-gray-900 text-right">{formatMoney(net)}</dd>
+                      </React.Fragment>
+                    ))}
+                  </dl>
+                ) : (
+                  <p className="text-xs text-gray-500 mt-4">
+                    Amazon fees are unavailable. The app needs the Finance and Accounting role to read them.
+                  </p>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default OrderDetailDrawer
@@ -8,10 +8,12 @@ import React from "react"
 
 interface ProtectedRouteProps {
   children: ReactNode
+  // Account role needed for the route; other signed-in users are sent to the dashboard
+  role?: "admin"
 }
 
-const ProtectedRoute = ({ children }: ProtectedRouteProps) => {
-  const { isAuthenticated, isVerified, isLoading } = useAuth()
+const ProtectedRoute = ({ children, role }: ProtectedRouteProps) => {
+  const { user, isAuthenticated, isVerified, isLoading } = useAuth()
 
   // Show loading while auth state is being determined
   if (isLoading) {
@@ -30,6 +32,10 @@ const ProtectedRoute = ({ children }: ProtectedRouteProps) => {
     return <Navigate to="/verify-otp" replace />
   }
 
+  if (role && user?.role !== role) {
+    return <Navigate to="/dashboard" replace />
+  }
+
   return <>{children}</>
 }
 
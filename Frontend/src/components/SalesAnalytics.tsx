@@ -0,0 +1,301 @@
+import React, { useState } from "react"
+import { TrendingUp, TrendingDown, Minus } from "lucide-react"
+
+interface Revenue {
+  currencyCode: string
+  amount: number
+}
+
+interface Totals {
+  orders: number
+  units: number
+  revenue: Revenue[]
+}
+
+export interface SeriesPoint extends Totals {
+  period: string
+  startDate: string
+}
+
+export interface SalesAnalyticsData {
+  from: string
+  to: string
+  interval: "day" | "week" | "month"
+  series: SeriesPoint[]
+  totals: Totals
+  comparison: {
+    previous: Totals
+    change: {
+      orders: number | null
+      units: number | null
+      revenue: { currencyCode: string; change: number | null }[]
+    }
+  }
+  statusBreakdown: { status: string; orders: number }[]
+  fulfillment: ({ channel: string } & Totals)[]
+}
+
+interface SalesAnalyticsProps {
+  analytics: SalesAnalyticsData | null
+  days: number
+  interval: string
+  loading: boolean
+  onDaysChange: (days: number) => void
+  onIntervalChange: (interval: string) => void
+}
+
+type Metric = "orders" | "units" | "revenue"
+
+const RANGE_OPTIONS = [7, 30, 90, 365]
+
+const CHANNEL_LABELS: Record<string, string> = {
+  AFN: "Fulfilled by Amazon",
+  MFN: "Fulfilled by merchant",
+}
+
+const STATUS_COLORS: Record<string, string> = {
+  Shipped: "bg-green-500",
+  Unshipped: "bg-yellow-500",
+  Pending: "bg-yellow-300",
+  PartiallyShipped: "bg-blue-500",
+  Canceled: "bg-red-400",
+}
+
+const CHANNEL_COLORS = ["bg-indigo-500", "bg-purple-400", "bg-gray-400"]
+
+const revenueIn = (totals: Totals, currencyCode: string) =>
+  totals.revenue.find((r) => r.currencyCode === currencyCode)?.amount || 0
+
+const formatChange = (change: number | null | undefined) =>
+  change === null || change === undefined ? "—" : `${change > 0 ? "+" : ""}${change.toFixed(1)}%`
+
+const formatPeriod = (point: SeriesPoint, interval: string) => {
+  const date = new Date(`${point.startDate}T00:00:00`)
+  if (interval === "month") {
+    return date.toLocaleDateString(undefined, { month: "short", year: "numeric" })
+  }
+  return date.toLocaleDateString(undefined, { month: "short", day: "numeric" })
+}
+
+const ChangeBadge: React.FC<{ change: number | null | undefined }> = ({ change }) => {
+  if (change === null || change === undefined) {
+    return <span className="text-xs text-gray-400">no previous data</span>
+  }
+
+  const Icon = change > 0 ? TrendingUp : change < 0 ? TrendingDown : Minus
+  const color = change > 0 ? "text-green-600" : change < 0 ? "text-red-600" : "text-gray-500"
+
+  return (
+    <span className={`inline-flex items-center text-xs font-medium ${color}`}>
+      <Icon className="h-3 w-3 mr-1" />
+      {formatChange(change)}
+    </span>
+  )
+}
+
+const SalesAnalytics: React.FC<SalesAnalyticsProps> = ({
+  analytics,
+  days,
+  interval,
+  loading,
+  onDaysChange,
+  onIntervalChange,
+}) => {
+  const [metric, setMetric] = useState<Metric>("revenue")
+  const [currency, setCurrency] = useState("")
+
+  const currencies = analytics ? analytics.totals.revenue.map((r) => r.currencyCode) : []
+  const activeCurrency = currencies.includes(currency) ? currency : currencies[0] || ""
+
+  const valueOf = (totals: Totals) => (metric === "revenue" ? revenueIn(totals, activeCurrency) : totals[metric])
+  const formatValue = (value: number) => (metric === "revenue" ? `${activeCurrency} ${value.toFixed(2)}` : String(value))
+
+  const series = analytics?.series || []
+  const maxValue = Math.max(0, ...series.map(valueOf))
+  const totalStatusOrders = analytics?.statusBreakdown.reduce((sum, s) => sum + s.orders, 0) || 0
+  const totalFulfilledOrders = analytics?.fulfillment.reduce((sum, f) => sum + f.orders, 0) || 0
+
+  return (
+    <div className="mt-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h4 className="text-lg font-semibold text-gray-900">Sales</h4>
+        <div className="flex items-center space-x-2">
+          <select
+            value={days}
+            onChange={(e) => onDaysChange(Number(e.target.value))}
+            className="py-1 pl-2 pr-8 border border-gray-300 rounded-md text-sm text-gray-700 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            {RANGE_OPTIONS.map((option) => (
+              <option key={option} value={option}>
+                Last {option} days
+              </option>
+            ))}
+          </select>
+          <select
+            value={interval}
+            onChange={(e) => onIntervalChange(e.target.value)}
+            className="py-1 pl-2 pr-8 border border-gray-300 rounded-md text-sm text-gray-700 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            <option value="">Auto</option>
+            <option value="day">Daily</option>
+            <option value="week">Weekly</option>
+            <option value="month">Monthly</option>
+          </select>
+        </div>
+      </div>
+
+      {!analytics && (
+        <p className="text-sm text-gray-500 text-center py-8">{loading ? "Loading sales..." : "No sales data yet"}</p>
+      )}
+
+      {analytics && (
+        <>
+          {/* Period Totals */}
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+            <div className="bg-white p-4 rounded-lg border border-gray-200">
+              <p className="text-sm font-medium text-gray-500">Orders</p>
+              <p className="text-2xl font-bold text-gray-900">{analytics.totals.orders}</p>
+              <ChangeBadge change={analytics.comparison.change.orders} />
+            </div>
+            <div className="bg-white p-4 rounded-lg border border-gray-200">
+              <p className="text-sm font-medium text-gray-500">Units</p>
+              <p className="text-2xl font-bold text-gray-900">{analytics.totals.units}</p>
+              <ChangeBadge change={analytics.comparison.change.units} />
+            </div>
+            <div className="bg-white p-4 rounded-lg border border-gray-200">
+              <p className="text-sm font-medium text-gray-500">Revenue</p>
+              {analytics.totals.revenue.length === 0 && <p className="text-2xl font-bold text-gray-900">—</p>}
+              {analytics.totals.revenue.map((r) => (
+                <div key={r.currencyCode} className="flex items-baseline justify-between">
+                  <p className="text-lg font-bold text-gray-900">
+                    {r.currencyCode} {r.amount.toFixed(2)}
+                  </p>
+                  <ChangeBadge
+                    change={analytics.comparison.change.revenue.find((c) => c.currencyCode === r.currencyCode)?.change}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Time Series Chart */}
+          <div className="bg-white p-4 rounded-lg border border-gray-200 mb-4">
+            <div className="flex items-center justify-between mb-4">
+              <div className="inline-flex rounded-md border border-gray-300 overflow-hidden">
+                {(["revenue", "orders", "units"] as Metric[]).map((m) => (
+                  <button
+                    key={m}
+                    onClick={() => setMetric(m)}
+                    className={`px-3 py-1 text-sm capitalize ${
+                      metric === m ? "bg-indigo-600 text-white" : "bg-white text-gray-700 hover:bg-gray-50"
+                    }`}
+                  >
+                    {m}
+                  </button>
+                ))}
+              </div>
+              {metric === "revenue" && currencies.length > 1 && (
+                <select
+                  value={activeCurrency}
+                  onChange={(e) => setCurrency(e.target.value)}
+                  className="py-1 pl-2 pr-8 border border-gray-300 rounded-md text-sm text-gray-700 bg-white"
+                >
+                  {currencies.map((c) => (
+                    <option key={c} value={c}>
+                      {c}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
+
+            <div className="flex items-end h-48 gap-px">
+              {series.map((point) => {
+                const value = valueOf(point)
+                const height = maxValue > 0 ? Math.max((value / maxValue) * 100, value > 0 ? 2 : 0) : 0
+                return (
+                  <div
+                    key={point.period}
+                    title={`${formatPeriod(point, analytics.interval)}: ${formatValue(value)}`}
+                    className="flex-1 h-full flex items-end group"
+                  >
+                    <div
+                      className="w-full bg-indigo-500 group-hover:bg-indigo-700 rounded-t"
+                      style={{ height: `${height}%` }}
+                    ></div>
+                  </div>
+                )
+              })}
+            </div>
+            {series.length > 0 && (
+              <div className="flex justify-between mt-2 text-xs text-gray-500">
+                <span>{formatPeriod(series[0], analytics.interval)}</span>
+                <span>Peak {formatValue(maxValue)}</span>
+                <span>{formatPeriod(series[series.length - 1], analytics.interval)}</span>
+              </div>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {/* Status Breakdown */}
+            <div className="bg-white p-4 rounded-lg border border-gray-200">
+              <h5 className="text-sm font-medium text-gray-900 mb-3">Order status</h5>
+              {analytics.statusBreakdown.length === 0 && <p className="text-sm text-gray-500">No orders</p>}
+              {analytics.statusBreakdown.map((s) => (
+                <div key={s.status} className="mb-2">
+                  <div className="flex justify-between text-sm text-gray-700">
+                    <span>{s.status}</span>
+                    <span>{s.orders}</span>
+                  </div>
+                  <div className="h-2 bg-gray-100 rounded">
+                    <div
+                      className={`h-2 rounded ${STATUS_COLORS[s.status] || "bg-gray-400"}`}
+                      style={{ width: `${totalStatusOrders ? (s.orders / totalStatusOrders) * 100 : 0}%` }}
+                    ></div>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {/* Fulfillment Split */}
+            <div className="bg-white p-4 rounded-lg border border-gray-200">
+              <h5 className="text-sm font-medium text-gray-900 mb-3">Fulfillment</h5>
+              {analytics.fulfillment.length === 0 && <p className="text-sm text-gray-500">No orders</p>}
+              {analytics.fulfillment.length > 0 && (
+                <div className="flex h-3 rounded overflow-hidden mb-3">
+                  {analytics.fulfillment.map((f, idx) => (
+                    <div
+                      key={f.channel}
+                      className={CHANNEL_COLORS[Math.min(idx, CHANNEL_COLORS.length - 1)]}
+                      style={{ width: `${totalFulfilledOrders ? (f.orders / totalFulfilledOrders) * 100 : 0}%` }}
+                    ></div>
+                  ))}
+                </div>
+              )}
+              {analytics.fulfillment.map((f, idx) => (
+                <div key={f.channel} className="flex justify-between text-sm text-gray-700 mb-1">
+                  <span className="flex items-center">
+                    <span
+                      className={`inline-block h-2 w-2 rounded-full mr-2 ${CHANNEL_COLORS[Math.min(idx, CHANNEL_COLORS.length - 1)]}`}
+                    ></span>
+                    {f.channel} <span className="ml-1 text-gray-500">{CHANNEL_LABELS[f.channel] || ""}</span>
+                  </span>
+                  <span>
+                    {f.orders} orders • {f.units} units
+                    {f.revenue.map((r) => (
+                      <span key={r.currencyCode} className="ml-2 text-gray-500">
+                        {r.currencyCode} {r.amount.toFixed(2)}
+                      </span>
+                    ))}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default SalesAnalytics
@@ -1,13 +1,16 @@
 "use client"
 
-import { createContext, useState, useContext, useEffect, type ReactNode } from "react"
+import { createContext, useState, useContext, useEffect, useRef, type ReactNode } from "react"
 import React from 'react'
+import { API_URL } from "../config"
 
 interface User {
   id: string
   email: string
   name: string
   isVerified: boolean
+  // "admin" for operators with access to the admin console
+  role?: "user" | "admin"
 }
 
 interface AuthContextType {
@@ -17,7 +20,8 @@ interface AuthContextType {
   isVerified: boolean
   isLoading: boolean
   login: (userData: User, token: string) => void
-  logout: () => void
+  logout: () => Promise<void>
+  refreshSession: () => Promise<string | null>
   setVerified: (status: boolean) => void
   clearAuthData: () => void
 }
@@ -27,41 +31,77 @@ const AuthContext = createContext<AuthContextType | undefined>(undefined)
 // Constants for session management
 const UNVERIFIED_SESSION_TIMEOUT = 30 * 60 * 1000 // 30 minutes in milliseconds
 const SESSION_TIMESTAMP_KEY = "session_timestamp"
+// Access tokens are refreshed this long before they expire
+const REFRESH_MARGIN = 60 * 1000
 
 export const AuthProvider = ({ children }: { children: ReactNode }) => {
   const [user, setUser] = useState<User | null>(null)
   const [token, setToken] = useState<string | null>(null)
   const [isLoading, setIsLoading] = useState(true)
+  // Refresh in progress, shared so concurrent callers don't rotate the refresh token twice
+  const refreshRequest = useRef<Promise<string | null> | null>(null)
 
   // Function to clear all auth data
   const clearAuthData = () => {
     setUser(null)
     setToken(null)
     localStorage.removeItem("user")
+    // Tokens were kept in localStorage before refresh cookies
     localStorage.removeItem("token")
     localStorage.removeItem(SESSION_TIMESTAMP_KEY)
   }
 
-  // Function to validate token (basic validation)
-  const isTokenValid = (token: string): boolean => {
+  // Expiry of an access token in milliseconds, or 0 when it can't be read
+  const getTokenExpiry = (token: string): number => {
     try {
-      // Basic JWT structure validation
-      const parts = token.split(".")
-      if (parts.length !== 3) return false
+      const payload = JSON.parse(atob(token.split(".")[1]))
+      return payload.exp ? payload.exp * 1000 : 0
+    } catch (error) {
+      return 0
+    }
+  }
+
+  // Get a new access token with the HTTP-only refresh cookie. Returns null when the
+  // session has ended, in which case the user is signed out.
+  const refreshSession = (): Promise<string | null> => {
+    if (!refreshRequest.current) {
+      const request = async (retry = true): Promise<string | null> => {
+        const response = await fetch(`${API_URL}/api/auth/refresh`, {
+          method: "POST",
+          credentials: "include",
+        })
 
-      // Decode payload to check expiration
-      const payload = JSON.parse(atob(parts[1]))
-      const currentTime = Math.floor(Date.now() / 1000)
+        // Another tab refreshed at the same moment; its new cookie is used on retry
+        if (response.status === 409 && retry) {
+          await new Promise((resolve) => setTimeout(resolve, 500))
+          return request(false)
+        }
 
-      // Check if token is expired
-      if (payload.exp && payload.exp < currentTime) {
-        return false
+        if (!response.ok) {
+          if (response.status === 401 || response.status === 403) {
+            clearAuthData()
+          }
+          return null
+        }
+
+        const data = await response.json()
+        setUser(data.user)
+        setToken(data.token)
+        localStorage.setItem("user", JSON.stringify(data.user))
+        return data.token
       }
 
-      return true
-    } catch (error) {
-      return false
+      refreshRequest.current = request()
+        .catch((error) => {
+          console.error("Error refreshing session:", error)
+          return null
+        })
+        .finally(() => {
+          refreshRequest.current = null
+        })
     }
+
+    return refreshRequest.current
   }
 
   // Function to check if unverified session has expired
@@ -84,17 +124,8 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
     const initializeAuth = async () => {
       try {
         const savedUser = localStorage.getItem("user")
-        const savedToken = localStorage.getItem("token")
-
-        if (savedUser && savedToken) {
-          // Validate token before using it
-          if (!isTokenValid(savedToken)) {
-            console.log("Token is invalid or expired, clearing auth data")
-            clearAuthData()
-            setIsLoading(false)
-            return
-          }
 
+        if (savedUser) {
           const parsedUser = JSON.parse(savedUser)
 
           // Validate user object structure
@@ -107,8 +138,12 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
               return
             }
 
-            setUser(parsedUser)
-            setToken(savedToken)
+            // The access token is only kept in memory, get a new one for this page load
+            if (!(await refreshSession())) {
+              console.log("Session has ended, clearing auth data")
+              clearAuthData()
+              return
+            }
 
             // Set up auto-cleanup for unverified users
             if (!parsedUser.isVerified) {
@@ -143,11 +178,33 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
     return () => clearTimeout(timer)
   }, [])
 
+  // Refresh the access token shortly before it expires, and right away when a tab that
+  // was in the background (where timers are throttled) comes back with an expiring token
+  useEffect(() => {
+    if (!token) return
+
+    const expiresAt = getTokenExpiry(token)
+    if (!expiresAt) return
+
+    const timer = setTimeout(refreshSession, Math.max(expiresAt - Date.now() - REFRESH_MARGIN, 0))
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "visible" && expiresAt - Date.now() < REFRESH_MARGIN) {
+        refreshSession()
+      }
+    }
+    document.addEventListener("visibilitychange", handleVisibilityChange)
+
+    return () => {
+      clearTimeout(timer)
+      document.removeEventListener("visibilitychange", handleVisibilityChange)
+    }
+  }, [token])
+
   const login = (userData: User, userToken: string) => {
     setUser(userData)
     setToken(userToken)
     localStorage.setItem("user", JSON.stringify(userData))
-    localStorage.setItem("token", userToken)
 
     // Set session timestamp for unverified users
     if (!userData.isVerified) {
@@ -162,7 +219,16 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
     }
   }
 
-  const logout = () => {
+  // Revoke the session on the server, then forget it locally either way
+  const logout = async () => {
+    try {
+      await fetch(`${API_URL}/api/auth/logout`, {
+        method: "POST",
+        credentials: "include",
+      })
+    } catch (error) {
+      console.error("Error signing out:", error)
+    }
     clearAuthData()
   }
 
@@ -187,6 +253,7 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
     isLoading,
     login,
     logout,
+    refreshSession,
     setVerified,
     clearAuthData,
   }
@@ -0,0 +1,101 @@
+import { useEffect, useRef, useState } from "react"
+import { API_URL } from "../config"
+
+export type LiveEventType = "sync" | "orders" | "connection" | "resync"
+export type LiveStatus = "connecting" | "open" | "reconnecting"
+
+const EVENT_TYPES: LiveEventType[] = ["sync", "orders", "connection", "resync"]
+const MAX_RETRY_DELAY = 30000
+
+// Subscribe to the server's live dashboard events (/api/events) while a user is signed in.
+// Tickets work once, so the browser's own retry of a dropped stream is refused; a new
+// ticket is then fetched and the stream resumes after the last event received.
+const useLiveEvents = (
+  token: string | null,
+  onEvent: (type: LiveEventType, data: Record<string, unknown>) => void,
+): LiveStatus => {
+  const [status, setStatus] = useState<LiveStatus>("connecting")
+  const handlerRef = useRef(onEvent)
+  handlerRef.current = onEvent
+  // Access tokens are refreshed regularly; the stream stays open and uses the latest one
+  const tokenRef = useRef(token)
+  tokenRef.current = token
+  const signedIn = !!token
+
+  useEffect(() => {
+    if (!signedIn) return
+
+    let source: EventSource | null = null
+    let retryTimer: ReturnType<typeof setTimeout> | undefined
+    let retryDelay = 1000
+    let lastEventId = ""
+    let closed = false
+
+    const scheduleReconnect = () => {
+      setStatus("reconnecting")
+      retryTimer = setTimeout(connect, retryDelay)
+      retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY)
+    }
+
+    const connect = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/events/ticket`, {
+          method: "POST",
+          headers: { Authorization: `Bearer ${tokenRef.current}` },
+        })
+        if (!response.ok) {
+          throw new Error("Failed to get an event stream ticket")
+        }
+        const { ticket } = await response.json()
+        if (closed) return
+
+        const params = new URLSearchParams({ ticket })
+        if (lastEventId) {
+          params.set("lastEventId", lastEventId)
+        }
+        source = new EventSource(`${API_URL}/api/events?${params.toString()}`)
+
+        source.onopen = () => {
+          retryDelay = 1000
+          setStatus("open")
+        }
+        source.onerror = () => {
+          if (source?.readyState === EventSource.CLOSED) {
+            source.close()
+            scheduleReconnect()
+          } else {
+            setStatus("reconnecting")
+          }
+        }
+
+        EVENT_TYPES.forEach((type) => {
+          source?.addEventListener(type, (event) => {
+            const message = event as MessageEvent
+            lastEventId = message.lastEventId || lastEventId
+            try {
+              handlerRef.current(type, JSON.parse(message.data))
+            } catch (err) {
+              console.error(`Error handling ${type} event:`, err)
+            }
+          })
+        })
+      } catch (err) {
+        console.error("Error opening live updates:", err)
+        if (!closed) scheduleReconnect()
+      }
+    }
+
+    setStatus("connecting")
+    connect()
+
+    return () => {
+      closed = true
+      clearTimeout(retryTimer)
+      source?.close()
+    }
+  }, [signedIn])
+
+  return status
+}
+
+export default useLiveEvents
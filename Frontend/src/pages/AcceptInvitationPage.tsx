@@ -0,0 +1,140 @@
+"use client"
+
+import React from "react"
+import { useState } from "react"
+import { Link, useNavigate, useSearchParams } from "react-router-dom"
+import { useAuth } from "../context/AuthContext"
+import { API_URL } from "../config"
+import { Users, ArrowRight } from "lucide-react"
+import LoadingSpinner from "../components/LoadingSpinner"
+
+// Landing page of workspace invitation emails (/invite?token=...)
+const AcceptInvitationPage = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get("token") || ""
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(token ? "" : "This invitation link is incomplete. Ask for a new invitation.")
+  const [joined, setJoined] = useState("")
+
+  const navigate = useNavigate()
+  const { token: accessToken, user, isAuthenticated, isVerified, isLoading } = useAuth()
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <LoadingSpinner size="lg" text="Loading..." />
+      </div>
+    )
+  }
+
+  const handleAccept = async () => {
+    setLoading(true)
+    setError("")
+
+    try {
+      const response = await fetch(`${API_URL}/api/workspaces/invitations/accept`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ token }),
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to accept the invitation")
+      }
+
+      setJoined(data.message)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "An error occurred")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Brings the user back here after signing in
+  const returnTo = `/invite?token=${encodeURIComponent(token)}`
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-indigo-50 via-white to-cyan-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <div className="mx-auto h-16 w-16 bg-gradient-to-r from-indigo-600 to-purple-600 rounded-xl flex items-center justify-center mb-4">
+            <Users className="h-8 w-8 text-white" />
+          </div>
+          <h2 className="text-3xl font-bold text-gray-900 mb-2">Join a workspace</h2>
+          <p className="text-gray-600">You've been invited to a team on UNIBAZAR</p>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-xl p-8 border border-gray-100 space-y-6">
+          {error && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+          )}
+
+          {joined ? (
+            <>
+              <div className="p-4 bg-green-50 border border-green-200 rounded-lg">
+                <p className="text-sm text-green-800">{joined}</p>
+              </div>
+              <button
+                onClick={() => navigate("/dashboard")}
+                className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700"
+              >
+                Go to the dashboard
+                <ArrowRight className="ml-2 h-4 w-4" />
+              </button>
+            </>
+          ) : !isAuthenticated ? (
+            <div className="space-y-4 text-sm text-gray-600">
+              <p>Sign in with the email address the invitation was sent to. You'll come back here to accept it.</p>
+              <Link
+                to="/login"
+                state={{ from: returnTo }}
+                className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700"
+              >
+                Sign in
+              </Link>
+              <p className="text-center">
+                No account yet?{" "}
+                <Link to="/signup" className="font-medium text-indigo-600 hover:text-indigo-500">
+                  Sign up
+                </Link>
+                , verify your email and come back to this link.
+              </p>
+            </div>
+          ) : !isVerified ? (
+            <div className="space-y-4 text-sm text-gray-600">
+              <p>Verify your email address before joining a workspace.</p>
+              <Link to="/verify-otp" className="font-medium text-indigo-600 hover:text-indigo-500">
+                Verify email
+              </Link>
+            </div>
+          ) : (
+            token && (
+              <div className="space-y-4">
+                <p className="text-sm text-gray-600">
+                  You're signed in as <span className="font-medium text-gray-900">{user?.email}</span>.
+                </p>
+                <button
+                  onClick={handleAccept}
+                  disabled={loading}
+                  className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {loading ? "Joining..." : "Accept invitation"}
+                </button>
+              </div>
+            )
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AcceptInvitationPage
@@ -0,0 +1,666 @@
+import React, { useEffect, useState } from "react"
+import {
+  Search,
+  ShieldAlert,
+  UserX,
+  UserCheck,
+  MailWarning,
+  Unlink,
+  AlertCircle,
+  ArrowLeft,
+  RotateCcw,
+} from "lucide-react"
+import { useAuth } from "../context/AuthContext"
+import { API_URL } from "../config"
+import AppHeader from "../components/AppHeader"
+import LoadingSpinner from "../components/LoadingSpinner"
+
+interface AdminUser {
+  id: string
+  name: string
+  email: string
+  role: "user" | "admin"
+  isVerified: boolean
+  twoFactorEnabled: boolean
+  disabled: { at: string; reason?: string } | null
+  createdAt: string
+  connectionCount?: number
+}
+
+interface ConnectionHealth {
+  id: string
+  name: string
+  sellerId: string
+  region: string
+  status: "active" | "error"
+  lastError?: string
+  workspaceName?: string
+  lastSyncedAt?: string
+  syncStatus?: string
+  syncError?: string
+  tokenExpiresAt?: string
+  tokenExpired: boolean
+  hasRefreshToken: boolean
+  marketplaceCount: number
+}
+
+interface OutboxEmail {
+  id: string
+  template: string
+  to: string
+  subject: string
+  status: "queued" | "sending" | "sent" | "failed"
+  attempts: number
+  nextAttemptAt?: string
+  lastError?: string
+  createdAt: string
+  sentAt?: string
+}
+
+interface UserDetail {
+  user: AdminUser & { hasLegacyConnection: boolean }
+  sessions: { active: number; lastSignInAt?: string }
+  workspaces: { id: string; name: string; role: string; memberCount: number }[]
+  connections: ConnectionHealth[]
+  emails: OutboxEmail[]
+}
+
+type Tab = "users" | "connections" | "emails"
+
+// Search field and status filters of each tab
+const TABS: {
+  value: Tab
+  label: string
+  searchParam: string
+  placeholder: string
+  statuses: { value: string; label: string }[]
+}[] = [
+  {
+    value: "users",
+    label: "Users",
+    searchParam: "q",
+    placeholder: "Name, email or user ID",
+    statuses: [
+      { value: "", label: "All users" },
+      { value: "unverified", label: "Unverified" },
+      { value: "disabled", label: "Disabled" },
+      { value: "admin", label: "Admins" },
+    ],
+  },
+  {
+    value: "connections",
+    label: "Seller accounts",
+    searchParam: "q",
+    placeholder: "Seller ID or name",
+    statuses: [
+      { value: "", label: "All accounts" },
+      { value: "active", label: "Active" },
+      { value: "error", label: "With errors" },
+    ],
+  },
+  {
+    value: "emails",
+    label: "Emails",
+    searchParam: "to",
+    placeholder: "Recipient email address",
+    statuses: [
+      { value: "", label: "All emails" },
+      { value: "queued", label: "Queued" },
+      { value: "sent", label: "Sent" },
+      { value: "failed", label: "Failed" },
+    ],
+  },
+]
+
+const EMAIL_STATUS_TONES = { queued: "yellow", sending: "yellow", sent: "green", failed: "red" } as const
+
+const PAGE_SIZE = 25
+
+const formatDateTime = (value?: string) => (value ? new Date(value).toLocaleString() : "—")
+
+const inputClass =
+  "px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+const secondaryButtonClass =
+  "inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+
+const Badge = ({ tone, children }: { tone: "green" | "red" | "yellow" | "gray" | "indigo"; children: React.ReactNode }) => {
+  const tones = {
+    green: "bg-green-100 text-green-800",
+    red: "bg-red-100 text-red-800",
+    yellow: "bg-yellow-100 text-yellow-800",
+    gray: "bg-gray-100 text-gray-700",
+    indigo: "bg-indigo-100 text-indigo-800",
+  }
+  return <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${tones[tone]}`}>{children}</span>
+}
+
+const UserBadges = ({ user }: { user: AdminUser }) => (
+  <span className="inline-flex flex-wrap gap-1">
+    {user.disabled ? <Badge tone="red">Disabled</Badge> : null}
+    {user.isVerified ? <Badge tone="green">Verified</Badge> : <Badge tone="yellow">Unverified</Badge>}
+    {user.twoFactorEnabled && <Badge tone="gray">2FA</Badge>}
+    {user.role === "admin" && <Badge tone="indigo">Admin</Badge>}
+  </span>
+)
+
+// Operator console: find users, check their seller accounts and fix their account state
+const AdminPage: React.FC = () => {
+  const { token, user: currentUser } = useAuth()
+  const [tab, setTab] = useState<Tab>("users")
+  const [query, setQuery] = useState("")
+  const [status, setStatus] = useState("")
+  const [offset, setOffset] = useState(0)
+  const [users, setUsers] = useState<AdminUser[]>([])
+  const [connections, setConnections] = useState<ConnectionHealth[]>([])
+  const [emails, setEmails] = useState<OutboxEmail[]>([])
+  const [total, setTotal] = useState(0)
+  const [detail, setDetail] = useState<UserDetail | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState("")
+  const [notice, setNotice] = useState("")
+
+  const currentTab = TABS.find((t) => t.value === tab) || TABS[0]
+
+  const request = async (path: string, options: { method?: string; body?: unknown } = {}) => {
+    const response = await fetch(`${API_URL}/api/admin${path}`, {
+      method: options.method || "GET",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(options.body !== undefined && { "Content-Type": "application/json" }),
+      },
+      body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+    })
+    const data = await response.json()
+
+    if (!response.ok) {
+      throw new Error(data.message || "Request failed")
+    }
+    return data
+  }
+
+  const fetchResults = async (nextOffset = offset) => {
+    setLoading(true)
+    setError("")
+    try {
+      const params = new URLSearchParams({ offset: String(nextOffset), limit: String(PAGE_SIZE) })
+      if (query.trim()) params.set(currentTab.searchParam, query.trim())
+      if (status) params.set("status", status)
+
+      const data = await request(`/${tab}?${params}`)
+      if (tab === "users") {
+        setUsers(data.users || [])
+      } else if (tab === "connections") {
+        setConnections(data.connections || [])
+      } else {
+        setEmails(data.emails || [])
+      }
+      setTotal(data.total || 0)
+      setOffset(nextOffset)
+    } catch (err) {
+      console.error("Error searching:", err)
+      setError(err instanceof Error ? err.message : "Search failed")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchDetail = async (userId: string) => {
+    try {
+      setDetail(await request(`/users/${userId}`))
+    } catch (err) {
+      console.error("Error loading user:", err)
+      setError(err instanceof Error ? err.message : "Failed to load user")
+    }
+  }
+
+  useEffect(() => {
+    fetchResults(0)
+  }, [tab, status])
+
+  const handleTabChange = (value: Tab) => {
+    setTab(value)
+    setStatus("")
+    setQuery("")
+  }
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault()
+    fetchResults(0)
+  }
+
+  // Run an action, then reload the open user and the results
+  const runAction = async (action: () => Promise<string>) => {
+    setSubmitting(true)
+    setError("")
+    setNotice("")
+    try {
+      setNotice(await action())
+      if (detail) {
+        await fetchDetail(detail.user.id)
+      }
+      await fetchResults()
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "An error occurred")
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleReverify = (user: AdminUser) => {
+    if (!confirm(`Sign ${user.email} out and make them verify their email again?`)) return
+    runAction(async () => (await request(`/users/${user.id}/reverify`, { method: "POST" })).message)
+  }
+
+  const handleDisable = (user: AdminUser) => {
+    const reason = prompt(`Disable ${user.email}? They'll be signed out everywhere. Reason (optional):`)
+    if (reason === null) return
+    runAction(async () => (await request(`/users/${user.id}/disable`, { method: "POST", body: { reason } })).message)
+  }
+
+  const handleEnable = (user: AdminUser) => {
+    runAction(async () => (await request(`/users/${user.id}/enable`, { method: "POST" })).message)
+  }
+
+  const handleRevoke = (connection: ConnectionHealth) => {
+    const question = `Disconnect seller ${connection.sellerId}${
+      connection.workspaceName ? ` from ${connection.workspaceName}` : ""
+    }? Its reports are deleted and the owner has to connect it again.`
+    if (!confirm(question)) return
+    runAction(async () => (await request(`/connections/${connection.id}`, { method: "DELETE" })).message)
+  }
+
+  const handleRetryEmail = (email: OutboxEmail) => {
+    runAction(async () => (await request(`/emails/${email.id}/retry`, { method: "POST" })).message)
+  }
+
+  const renderEmails = (list: OutboxEmail[]) => (
+    <table className="min-w-full divide-y divide-gray-200 text-sm">
+      <thead className="bg-gray-50 text-gray-500">
+        <tr>
+          <th className="py-3 px-4 text-left">Email</th>
+          <th className="py-3 px-4 text-left">Status</th>
+          <th className="py-3 px-4 text-left">Queued</th>
+          <th className="py-3 px-4 text-left">Sent</th>
+          <th className="py-3 px-4" />
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-200">
+        {list.map((email) => (
+          <tr key={email.id}>
+            <td className="py-3 px-4">
+              <p className="font-medium text-gray-900">{email.subject}</p>
+              <p className="text-gray-500">
+                {email.to} · {email.template}
+              </p>
+            </td>
+            <td className="py-3 px-4">
+              <Badge tone={EMAIL_STATUS_TONES[email.status]}>{email.status}</Badge>
+              <p className="mt-1 text-xs text-gray-500">
+                {email.attempts} {email.attempts === 1 ? "attempt" : "attempts"}
+                {email.nextAttemptAt && ` · next ${formatDateTime(email.nextAttemptAt)}`}
+              </p>
+              {email.lastError && <p className="mt-1 text-xs text-red-700">{email.lastError}</p>}
+            </td>
+            <td className="py-3 px-4 text-gray-500">{formatDateTime(email.createdAt)}</td>
+            <td className="py-3 px-4 text-gray-500">{formatDateTime(email.sentAt)}</td>
+            <td className="py-3 px-4 text-right">
+              {email.status === "failed" && (
+                <button
+                  onClick={() => handleRetryEmail(email)}
+                  disabled={submitting}
+                  className="inline-flex items-center text-sm text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                >
+                  <RotateCcw className="h-4 w-4 mr-1" />
+                  Retry
+                </button>
+              )}
+            </td>
+          </tr>
+        ))}
+        {list.length === 0 && (
+          <tr>
+            <td colSpan={5} className="py-6 px-4 text-center text-gray-500">
+              No emails
+            </td>
+          </tr>
+        )}
+      </tbody>
+    </table>
+  )
+
+  const renderConnections = (list: ConnectionHealth[]) => (
+    <table className="min-w-full divide-y divide-gray-200 text-sm">
+      <thead className="bg-gray-50 text-gray-500">
+        <tr>
+          <th className="py-3 px-4 text-left">Seller account</th>
+          <th className="py-3 px-4 text-left">Workspace</th>
+          <th className="py-3 px-4 text-left">Health</th>
+          <th className="py-3 px-4 text-left">Last sync</th>
+          <th className="py-3 px-4 text-left">Access token</th>
+          <th className="py-3 px-4" />
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-200">
+        {list.map((connection) => (
+          <tr key={connection.id}>
+            <td className="py-3 px-4">
+              <p className="font-medium text-gray-900">{connection.name}</p>
+              <p className="text-gray-500">
+                {connection.sellerId} · {connection.region.toUpperCase()} · {connection.marketplaceCount} marketplaces
+              </p>
+            </td>
+            <td className="py-3 px-4 text-gray-700">{connection.workspaceName || "—"}</td>
+            <td className="py-3 px-4">
+              {connection.status === "active" ? <Badge tone="green">Active</Badge> : <Badge tone="red">Error</Badge>}
+              {connection.lastError && <p className="mt-1 text-xs text-red-700">{connection.lastError}</p>}
+              {!connection.hasRefreshToken && <p className="mt-1 text-xs text-red-700">No refresh token stored</p>}
+            </td>
+            <td className="py-3 px-4 text-gray-700">
+              <p>{formatDateTime(connection.lastSyncedAt)}</p>
+              {connection.syncStatus && <p className="text-xs text-gray-500">{connection.syncStatus}</p>}
+              {connection.syncError && <p className="text-xs text-red-700">{connection.syncError}</p>}
+            </td>
+            <td className="py-3 px-4 text-gray-700">
+              <p>{formatDateTime(connection.tokenExpiresAt)}</p>
+              {connection.tokenExpired && (
+                <p className="text-xs text-gray-500">Expired, refreshed on next use</p>
+              )}
+            </td>
+            <td className="py-3 px-4 text-right">
+              <button
+                onClick={() => handleRevoke(connection)}
+                disabled={submitting}
+                className="inline-flex items-center text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+              >
+                <Unlink className="h-4 w-4 mr-1" />
+                Revoke
+              </button>
+            </td>
+          </tr>
+        ))}
+        {list.length === 0 && (
+          <tr>
+            <td colSpan={6} className="py-6 px-4 text-center text-gray-500">
+              No seller accounts
+            </td>
+          </tr>
+        )}
+      </tbody>
+    </table>
+  )
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader />
+
+      <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="px-4 py-6 sm:px-0">
+          <div className="mb-8">
+            <h2 className="text-2xl font-bold text-gray-900 mb-2 flex items-center">
+              <ShieldAlert className="h-6 w-6 mr-2 text-indigo-600" />
+              Admin
+            </h2>
+            <p className="text-gray-600">Look up customers and their seller accounts. Every change here is logged.</p>
+          </div>
+
+          {/* Error Alert */}
+          {error && (
+            <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+              <div className="flex">
+                <div className="flex-shrink-0">
+                  <AlertCircle className="h-5 w-5 text-red-400" />
+                </div>
+                <div className="ml-3">
+                  <p className="text-sm text-red-800">{error}</p>
+                </div>
+                <button onClick={() => setError("")} className="ml-auto text-red-400 hover:text-red-600">
+                  ×
+                </button>
+              </div>
+            </div>
+          )}
+
+          {notice && (
+            <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg">
+              <p className="text-sm text-green-800">{notice}</p>
+            </div>
+          )}
+
+          {detail ? (
+            <div className="space-y-6">
+              <button onClick={() => setDetail(null)} className={secondaryButtonClass}>
+                <ArrowLeft className="h-4 w-4 mr-2" />
+                Back to results
+              </button>
+
+              {/* Account */}
+              <div className="bg-white shadow rounded-lg p-6">
+                <div className="flex flex-wrap items-start justify-between gap-4">
+                  <div>
+                    <h3 className="text-lg font-medium text-gray-900">{detail.user.name}</h3>
+                    <p className="text-gray-600">{detail.user.email}</p>
+                    <div className="mt-2">
+                      <UserBadges user={detail.user} />
+                    </div>
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      onClick={() => handleReverify(detail.user)}
+                      disabled={submitting}
+                      className={secondaryButtonClass}
+                    >
+                      <MailWarning className="h-4 w-4 mr-2" />
+                      Require re-verification
+                    </button>
+                    {detail.user.disabled ? (
+                      <button
+                        onClick={() => handleEnable(detail.user)}
+                        disabled={submitting}
+                        className={secondaryButtonClass}
+                      >
+                        <UserCheck className="h-4 w-4 mr-2" />
+                        Enable account
+                      </button>
+                    ) : (
+                      detail.user.id !== currentUser?.id && (
+                        <button
+                          onClick={() => handleDisable(detail.user)}
+                          disabled={submitting}
+                          className="inline-flex items-center px-3 py-2 border border-red-300 shadow-sm text-sm leading-4 font-medium rounded-md text-red-700 bg-white hover:bg-red-50 disabled:opacity-50"
+                        >
+                          <UserX className="h-4 w-4 mr-2" />
+                          Disable account
+                        </button>
+                      )
+                    )}
+                  </div>
+                </div>
+
+                <dl className="mt-6 grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                  <div>
+                    <dt className="text-gray-500">Signed up</dt>
+                    <dd className="text-gray-900">{formatDateTime(detail.user.createdAt)}</dd>
+                  </div>
+                  <div>
+                    <dt className="text-gray-500">Active sessions</dt>
+                    <dd className="text-gray-900">{detail.sessions.active}</dd>
+                  </div>
+                  <div>
+                    <dt className="text-gray-500">Last sign-in</dt>
+                    <dd className="text-gray-900">{formatDateTime(detail.sessions.lastSignInAt)}</dd>
+                  </div>
+                  {detail.user.disabled && (
+                    <div>
+                      <dt className="text-gray-500">Disabled</dt>
+                      <dd className="text-gray-900">
+                        {formatDateTime(detail.user.disabled.at)}
+                        {detail.user.disabled.reason && ` – ${detail.user.disabled.reason}`}
+                      </dd>
+                    </div>
+                  )}
+                </dl>
+                {detail.user.hasLegacyConnection && (
+                  <p className="mt-4 text-sm text-yellow-700">
+                    Still has a connection stored the old way; it moves to their workspace on their next visit.
+                  </p>
+                )}
+              </div>
+
+              {/* Workspaces */}
+              <div className="bg-white shadow rounded-lg p-6">
+                <h3 className="text-lg font-medium text-gray-900 mb-3">Workspaces</h3>
+                {detail.workspaces.length === 0 ? (
+                  <p className="text-sm text-gray-500">Not a member of any workspace yet</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200 text-sm">
+                    {detail.workspaces.map((workspace) => (
+                      <li key={workspace.id} className="py-2 flex justify-between">
+                        <span className="text-gray-900">{workspace.name}</span>
+                        <span className="text-gray-500">
+                          {workspace.role} · {workspace.memberCount} members
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
+              {/* Seller accounts */}
+              <div className="bg-white shadow rounded-lg overflow-hidden">
+                <div className="px-6 py-4 border-b border-gray-200">
+                  <h3 className="text-lg font-medium text-gray-900">Seller accounts</h3>
+                </div>
+                {renderConnections(detail.connections)}
+              </div>
+
+              {/* Emails */}
+              <div className="bg-white shadow rounded-lg overflow-hidden">
+                <div className="px-6 py-4 border-b border-gray-200">
+                  <h3 className="text-lg font-medium text-gray-900">Recent emails</h3>
+                </div>
+                {renderEmails(detail.emails)}
+              </div>
+            </div>
+          ) : (
+            <div className="space-y-6">
+              {/* Search */}
+              <div className="bg-white shadow rounded-lg p-6 space-y-4">
+                <div className="flex space-x-6 border-b border-gray-200">
+                  {TABS.map((t) => (
+                    <button
+                      key={t.value}
+                      onClick={() => handleTabChange(t.value)}
+                      className={`pb-2 border-b-2 text-sm font-medium ${
+                        tab === t.value
+                          ? "border-indigo-500 text-gray-900"
+                          : "border-transparent text-gray-500 hover:text-gray-700"
+                      }`}
+                    >
+                      {t.label}
+                    </button>
+                  ))}
+                </div>
+                <form onSubmit={handleSearch} className="flex flex-wrap gap-3">
+                  <input
+                    type="search"
+                    placeholder={currentTab.placeholder}
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    className={`flex-1 min-w-[240px] ${inputClass}`}
+                  />
+                  <select value={status} onChange={(e) => setStatus(e.target.value)} className={inputClass}>
+                    {currentTab.statuses.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                  >
+                    <Search className="h-4 w-4 mr-2" />
+                    Search
+                  </button>
+                </form>
+              </div>
+
+              {/* Results */}
+              <div className="bg-white shadow rounded-lg overflow-hidden">
+                {loading ? (
+                  <div className="p-6">
+                    <LoadingSpinner text="Searching..." />
+                  </div>
+                ) : tab === "users" ? (
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50 text-gray-500">
+                      <tr>
+                        <th className="py-3 px-4 text-left">User</th>
+                        <th className="py-3 px-4 text-left">State</th>
+                        <th className="py-3 px-4 text-left">Seller accounts</th>
+                        <th className="py-3 px-4 text-left">Signed up</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {users.map((user) => (
+                        <tr key={user.id} onClick={() => fetchDetail(user.id)} className="cursor-pointer hover:bg-gray-50">
+                          <td className="py-3 px-4">
+                            <p className="font-medium text-gray-900">{user.name}</p>
+                            <p className="text-gray-500">{user.email}</p>
+                          </td>
+                          <td className="py-3 px-4">
+                            <UserBadges user={user} />
+                          </td>
+                          <td className="py-3 px-4 text-gray-700">{user.connectionCount ?? 0}</td>
+                          <td className="py-3 px-4 text-gray-500">{formatDateTime(user.createdAt)}</td>
+                        </tr>
+                      ))}
+                      {users.length === 0 && (
+                        <tr>
+                          <td colSpan={4} className="py-6 px-4 text-center text-gray-500">
+                            No users found
+                          </td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                ) : tab === "connections" ? (
+                  renderConnections(connections)
+                ) : (
+                  renderEmails(emails)
+                )}
+
+                {/* Paging */}
+                <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                  <span>
+                    {total === 0 ? "0 results" : `${offset + 1}–${Math.min(offset + PAGE_SIZE, total)} of ${total}`}
+                  </span>
+                  <div className="space-x-2">
+                    <button
+                      onClick={() => fetchResults(Math.max(offset - PAGE_SIZE, 0))}
+                      disabled={loading || offset === 0}
+                      className={secondaryButtonClass}
+                    >
+                      Previous
+                    </button>
+                    <button
+                      onClick={() => fetchResults(offset + PAGE_SIZE)}
+                      disabled={loading || offset + PAGE_SIZE >= total}
+                      className={secondaryButtonClass}
+                    >
+                      Next
+                    </button>
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AdminPage
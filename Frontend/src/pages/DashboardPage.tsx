@@ -3,17 +3,27 @@
 import { useState, useEffect } from "react"
 import { useAuth } from "../context/AuthContext"
 import { API_URL } from "../config"
+import { ACTIVE_CONNECTION_KEY, AMAZON_REGIONS, buildAmazonHeaders, buildAuthUrlQuery } from "../utils/connection"
+import { hasRole, type WorkspaceRole } from "../utils/roles"
+import useLiveEvents, { type LiveEventType } from "../hooks/useLiveEvents"
+import AppHeader from "../components/AppHeader"
+import OrderDetailDrawer from "../components/OrderDetailDrawer"
+import SalesAnalytics, { type SalesAnalyticsData } from "../components/SalesAnalytics"
 import {
   ShoppingBag,
   TrendingUp,
   RefreshCw,
   ExternalLink,
-  User,
-  LogOut,
   CheckCircle,
   AlertCircle,
   BarChart3,
   Unlink,
+  Globe,
+  Pencil,
+  Plus,
+  Download,
+  Bell,
+  BellOff,
 } from "lucide-react"
 import React from 'react'
 
@@ -25,29 +35,152 @@ interface AmazonAccount {
   connectedAt?: string
 }
 
+interface SellerConnection {
+  id: string
+  name: string
+  sellerId: string
+  region: string
+  status: string
+  lastError?: string
+  connectedAt?: string
+  lastSyncedAt?: string
+  workspaceId: string
+  workspaceName: string
+  // The user's role in the workspace that owns the account
+  role: WorkspaceRole
+}
+
 interface Order {
   orderId: string
   orderDate: string
   status: string
   amount: string | number
+  marketplaceId?: string
+  marketplace?: string | null
+  fulfillmentChannel?: string
+}
+
+interface OrderFilters {
+  days: string
+  status: string
+  fulfillmentChannel: string
+}
+
+const ORDER_STATUSES = ["Pending", "Unshipped", "PartiallyShipped", "Shipped", "Canceled"]
+const PAGE_SIZES = [10, 25, 50, 100]
+
+interface Marketplace {
+  marketplaceId: string
+  code?: string
+  name?: string
+  currencyCode?: string
+  isParticipating?: boolean
+  tracked?: boolean
+}
+
+interface MarketplaceBreakdown {
+  marketplaceId: string
+  code?: string | null
+  orderCount: number
+  revenue: { currencyCode: string; amount: number }[]
 }
 
 
 const DashboardPage = () => {
-  const { user, token, logout } = useAuth()
+  const { user, token } = useAuth()
   const [amazonAccount, setAmazonAccount] = useState<AmazonAccount>({ connected: false })
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState("")
   const [ordersData, setOrdersData] = useState<Order[]>([])
   const [lastUpdated, setLastUpdated] = useState<string>("")
+  const [syncError, setSyncError] = useState("")
+  const [marketplaces, setMarketplaces] = useState<Marketplace[]>([])
+  const [selectedMarketplace, setSelectedMarketplace] = useState("")
+  const [marketplaceBreakdown, setMarketplaceBreakdown] = useState<MarketplaceBreakdown[]>([])
+  const [showMarketplaceSettings, setShowMarketplaceSettings] = useState(false)
+  const [isMockData, setIsMockData] = useState(false)
+  const [selectedOrderId, setSelectedOrderId] = useState("")
+  const [analytics, setAnalytics] = useState<SalesAnalyticsData | null>(null)
+  const [analyticsDays, setAnalyticsDays] = useState(30)
+  const [analyticsInterval, setAnalyticsInterval] = useState("")
+  const [analyticsLoading, setAnalyticsLoading] = useState(false)
+  // Bumped after each order refresh so analytics pick up newly synced orders
+  const [ordersVersion, setOrdersVersion] = useState(0)
+  const [orderFilters, setOrderFilters] = useState<OrderFilters>({ days: "30", status: "", fulfillmentChannel: "" })
+  const [pageSize, setPageSize] = useState(25)
+  const [orderQuery, setOrderQuery] = useState("")
+  // Cursor of each page visited so far; the last entry is the current page
+  const [pageCursors, setPageCursors] = useState<string[]>([""])
+  const [nextCursor, setNextCursor] = useState<string | null>(null)
+  const [matchingOrderCount, setMatchingOrderCount] = useState(0)
+  const [showExportMenu, setShowExportMenu] = useState(false)
+  const [exporting, setExporting] = useState(false)
+  const [exportNotice, setExportNotice] = useState("")
+  const [connectRegion, setConnectRegion] = useState("")
+  const [connections, setConnections] = useState<SellerConnection[]>([])
+  // Whether Amazon pushes ORDER_CHANGE notifications for the account; null until known
+  const [orderNotifications, setOrderNotifications] = useState<boolean | null>(null)
+  const [activeConnectionId, setActiveConnectionId] = useState(
+    () => localStorage.getItem(ACTIVE_CONNECTION_KEY) || "",
+  )
+  // Bumped to check the connection status again, e.g. after a live resync
+  const [statusVersion, setStatusVersion] = useState(0)
+  // Orders a running sync has saved so far; null when no sync is running
+  const [syncProgress, setSyncProgress] = useState<number | null>(null)
+  // New orders announced by live updates that aren't in the table yet
+  const [newOrders, setNewOrders] = useState<Order[]>([])
+
+  const amazonHeaders = () => buildAmazonHeaders(token, activeConnectionId)
+
+  // What the user's workspace role allows for the selected account
+  const activeConnection = connections.find((c) => c.id === activeConnectionId)
+  const canManageAccount = hasRole(activeConnection?.role, "admin")
+  const canExport = hasRole(activeConnection?.role, "analyst")
+  const showWorkspaceNames = new Set(connections.map((c) => c.workspaceId)).size > 1
+
+  const loadConnections = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/amazon/connections`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      })
+
+      if (!response.ok) {
+        console.error("Failed to load Amazon connections")
+        return
+      }
+
+      const data = await response.json()
+      const list: SellerConnection[] = data.connections || []
+      setConnections(list)
+
+      // Keep the selected account if it still exists, otherwise use the latest one
+      setActiveConnectionId((current) => {
+        const next = list.some((c) => c.id === current) ? current : list[list.length - 1]?.id || ""
+        if (next) {
+          localStorage.setItem(ACTIVE_CONNECTION_KEY, next)
+        } else {
+          localStorage.removeItem(ACTIVE_CONNECTION_KEY)
+        }
+        return next
+      })
+    } catch (err) {
+      console.error("Error loading Amazon connections:", err)
+    }
+  }
+
+  useEffect(() => {
+    if (token) {
+      loadConnections()
+    }
+  }, [token])
 
   useEffect(() => {
     const checkAmazonConnection = async () => {
       try {
         const response = await fetch(`${API_URL}/api/amazon/status`, {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
+          headers: amazonHeaders(),
         })
 
         if (response.ok) {
@@ -69,7 +202,147 @@ const DashboardPage = () => {
     if (token) {
       checkAmazonConnection()
     }
-  }, [token])
+  }, [token, activeConnectionId, statusVersion])
+
+  const handleLiveEvent = (type: LiveEventType, data: Record<string, unknown>) => {
+    if (type === "resync") {
+      // Events were missed, reload what they would have updated
+      loadConnections()
+      setStatusVersion((v) => v + 1)
+      setOrdersVersion((v) => v + 1)
+      return
+    }
+
+    if (type === "connection") {
+      if (data.status === "connected" || data.status === "disconnected") {
+        loadConnections()
+        setStatusVersion((v) => v + 1)
+      } else {
+        setConnections((prev) =>
+          prev.map((c) =>
+            c.id === data.connectionId
+              ? { ...c, status: data.status as string, lastError: data.lastError as string | undefined }
+              : c,
+          ),
+        )
+      }
+      return
+    }
+
+    if (data.connectionId !== activeConnectionId) return
+
+    if (type === "sync") {
+      if (data.state === "running") {
+        setSyncProgress(data.fetched as number)
+      } else {
+        setSyncProgress(null)
+        if (data.state === "done") {
+          setLastUpdated(data.lastSyncedAt as string)
+          setSyncError("")
+        } else {
+          setSyncError(data.error as string)
+        }
+      }
+    } else if (type === "orders") {
+      setAmazonAccount((prev) => ({ ...prev, orderCount: data.recentOrderCount as number }))
+      setOrdersVersion((v) => v + 1)
+
+      const shown = new Set(ordersData.map((o) => o.orderId))
+      const announced = (data.newOrders as Order[]).filter((o) => !shown.has(o.orderId))
+      if (announced.length > 0) {
+        setNewOrders((prev) => [
+          ...announced.filter((o) => !prev.some((p) => p.orderId === o.orderId)),
+          ...prev,
+        ])
+      }
+    }
+  }
+
+  const liveStatus = useLiveEvents(token, handleLiveEvent)
+
+  useEffect(() => {
+    const loadMarketplaces = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/amazon/marketplaces`, {
+          headers: amazonHeaders(),
+        })
+
+        if (response.ok) {
+          const data = await response.json()
+          setMarketplaces(data.marketplaces || [])
+        } else {
+          console.error("Failed to load marketplaces")
+        }
+      } catch (err) {
+        console.error("Error loading marketplaces:", err)
+      }
+    }
+
+    if (token && amazonAccount.connected) {
+      loadMarketplaces()
+    }
+  }, [token, amazonAccount.connected, activeConnectionId])
+
+  useEffect(() => {
+    const loadSubscriptions = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/amazon/notifications/subscriptions`, {
+          headers: amazonHeaders(),
+        })
+
+        if (response.ok) {
+          const data = await response.json()
+          const orderChange = data.subscriptions.find(
+            (s: { notificationType: string }) => s.notificationType === "ORDER_CHANGE",
+          )
+          setOrderNotifications(!!orderChange?.subscribed)
+        }
+      } catch (err) {
+        console.error("Error loading notification subscriptions:", err)
+      }
+    }
+
+    if (token && amazonAccount.connected) {
+      loadSubscriptions()
+    }
+  }, [token, amazonAccount.connected, activeConnectionId])
+
+  useEffect(() => {
+    const loadAnalytics = async () => {
+      setAnalyticsLoading(true)
+
+      try {
+        const params = new URLSearchParams({
+          days: String(analyticsDays),
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        })
+        if (analyticsInterval) {
+          params.set("interval", analyticsInterval)
+        }
+        if (selectedMarketplace) {
+          params.set("marketplaceId", selectedMarketplace)
+        }
+
+        const response = await fetch(`${API_URL}/api/amazon/analytics?${params.toString()}`, {
+          headers: amazonHeaders(),
+        })
+
+        if (response.ok) {
+          setAnalytics(await response.json())
+        } else {
+          console.error("Failed to load sales analytics")
+        }
+      } catch (err) {
+        console.error("Error loading sales analytics:", err)
+      } finally {
+        setAnalyticsLoading(false)
+      }
+    }
+
+    if (token && amazonAccount.connected) {
+      loadAnalytics()
+    }
+  }, [token, amazonAccount.connected, activeConnectionId, selectedMarketplace, analyticsDays, analyticsInterval, ordersVersion])
 
   useEffect(() => {
     const urlParams = new URLSearchParams(window.location.search)
@@ -78,6 +351,11 @@ const DashboardPage = () => {
 
     if (connected === "true") {
       setError("")
+      // Switch to the account that was just connected
+      const connectionId = urlParams.get("connectionId")
+      if (connectionId) {
+        localStorage.setItem(ACTIVE_CONNECTION_KEY, connectionId)
+      }
       window.location.replace(window.location.pathname)
     } else if (errorParam) {
       switch (errorParam) {
@@ -87,6 +365,15 @@ const DashboardPage = () => {
         case "connection_failed":
           setError("Failed to connect Amazon account. Please try again.")
           break
+        case "state_expired":
+          setError("The Amazon authorization link expired. Please start the connection again.")
+          break
+        case "state_replayed":
+          setError("This Amazon authorization link was already used. Please start the connection again.")
+          break
+        case "state_invalid":
+          setError("The Amazon authorization response could not be verified. Please try again.")
+          break
         default:
           setError("An error occurred during connection. Please try again.")
       }
@@ -98,7 +385,7 @@ const DashboardPage = () => {
     setError("")
 
     try {
-      const response = await fetch(`${API_URL}/api/amazon/auth-url`, {
+      const response = await fetch(`${API_URL}/api/amazon/auth-url${buildAuthUrlQuery({ region: connectRegion })}`, {
         headers: {
           Authorization: `Bearer ${token}`,
         },
@@ -117,15 +404,36 @@ const DashboardPage = () => {
     }
   }
 
-  const handleRefreshOrders = async () => {
+  const buildOrderQuery = (marketplaceId: string, filters: OrderFilters, limit: number) => {
+    const params = new URLSearchParams({ limit: String(limit) })
+    if (filters.days) {
+      params.set("createdAfter", new Date(Date.now() - Number(filters.days) * 24 * 60 * 60 * 1000).toISOString())
+    }
+    if (filters.status) {
+      params.set("status", filters.status)
+    }
+    if (filters.fulfillmentChannel) {
+      params.set("fulfillmentChannel", filters.fulfillmentChannel)
+    }
+    if (marketplaceId) {
+      params.set("marketplaceId", marketplaceId)
+    }
+    return params.toString()
+  }
+
+  // Load one page of orders. The first page also syncs with Amazon.
+  const fetchOrdersPage = async (query: string, cursor = "") => {
     setLoading(true)
     setError("")
 
     try {
-      const response = await fetch(`${API_URL}/api/amazon/orders`, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
+      const params = new URLSearchParams(query)
+      if (cursor) {
+        params.set("cursor", cursor)
+      }
+
+      const response = await fetch(`${API_URL}/api/amazon/orders?${params.toString()}`, {
+        headers: amazonHeaders(),
       })
 
       if (!response.ok) {
@@ -134,44 +442,272 @@ const DashboardPage = () => {
       }
 
       const data = await response.json()
-      setAmazonAccount((prev) => ({
-        ...prev,
-        connected: true,
-        orderCount: data.orderCount,
-      }))
       setOrdersData(data.orders || [])
+      setNextCursor(data.nextCursor || null)
+      setMatchingOrderCount(data.orderCount || 0)
+      setMarketplaceBreakdown(data.marketplaceBreakdown || [])
       setLastUpdated(data.lastUpdated || new Date().toISOString())
+      setSyncError(data.syncError || "")
+      setIsMockData(!!data.isMockData)
+      if (!cursor) {
+        setOrdersVersion((v) => v + 1)
+        setNewOrders([])
+      }
+      return true
     } catch (err) {
       setError(err instanceof Error ? err.message : "An error occurred")
+      return false
     } finally {
       setLoading(false)
     }
   }
 
-  const handleDisconnectAmazon = async () => {
-    if (!confirm("Are you sure you want to disconnect your Amazon account?")) {
-      return
+  const handleRefreshOrders = async (
+    marketplaceId = selectedMarketplace,
+    filters = orderFilters,
+    limit = pageSize,
+  ) => {
+    const query = buildOrderQuery(marketplaceId, filters, limit)
+    setOrderQuery(query)
+    setPageCursors([""])
+    await fetchOrdersPage(query)
+  }
+
+  const handleOrderFilterChange = (changes: Partial<OrderFilters>) => {
+    const filters = { ...orderFilters, ...changes }
+    setOrderFilters(filters)
+    handleRefreshOrders(selectedMarketplace, filters)
+  }
+
+  const handlePageSizeChange = (limit: number) => {
+    setPageSize(limit)
+    handleRefreshOrders(selectedMarketplace, orderFilters, limit)
+  }
+
+  // Download the orders matching the current filters
+  const handleExportOrders = async (format: "csv" | "xlsx") => {
+    setShowExportMenu(false)
+    setExporting(true)
+    setError("")
+    setExportNotice("")
+
+    try {
+      const params = new URLSearchParams(orderQuery || buildOrderQuery(selectedMarketplace, orderFilters, pageSize))
+      params.delete("limit")
+      params.set("format", format)
+
+      const response = await fetch(`${API_URL}/api/amazon/orders/export?${params.toString()}`, {
+        headers: amazonHeaders(),
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json()
+        throw new Error(errorData.message || "Failed to export orders")
+      }
+
+      // Use the server's filename from Content-Disposition when present
+      const disposition = response.headers.get("Content-Disposition") || ""
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `orders.${format}`
+
+      // Orders whose line items haven't been fetched from Amazon yet are exported without them
+      const missingItems = Number(response.headers.get("X-Missing-Items")) || 0
+      if (missingItems > 0) {
+        setExportNotice(
+          `${missingItems} ${missingItems === 1 ? "order was" : "orders were"} exported without line items, they are still being fetched from Amazon. Export again later for the full details.`,
+        )
+      }
+
+      const url = URL.createObjectURL(await response.blob())
+      const link = document.createElement("a")
+      link.href = url
+      link.download = filename
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "An error occurred")
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const handleNextPage = async () => {
+    if (!nextCursor) return
+    if (await fetchOrdersPage(orderQuery, nextCursor)) {
+      setPageCursors((prev) => [...prev, nextCursor])
     }
+  }
 
+  const handlePreviousPage = async () => {
+    if (pageCursors.length < 2) return
+    const previous = pageCursors.slice(0, -1)
+    if (await fetchOrdersPage(orderQuery, previous[previous.length - 1])) {
+      setPageCursors(previous)
+    }
+  }
+
+  const handleMarketplaceFilter = (marketplaceId: string) => {
+    setSelectedMarketplace(marketplaceId)
+    handleRefreshOrders(marketplaceId)
+  }
+
+  const handleToggleTracked = (marketplaceId: string) => {
+    setMarketplaces((prev) =>
+      prev.map((m) => (m.marketplaceId === marketplaceId ? { ...m, tracked: !m.tracked } : m)),
+    )
+  }
+
+  const handleSaveMarketplaces = async () => {
     setLoading(true)
     setError("")
 
     try {
-      const response = await fetch(`${API_URL}/api/amazon/disconnect`, {
-        method: "DELETE",
+      const response = await fetch(`${API_URL}/api/amazon/marketplaces`, {
+        method: "PUT",
         headers: {
-          Authorization: `Bearer ${token}`,
+          ...amazonHeaders(),
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          marketplaceIds: marketplaces.filter((m) => m.tracked).map((m) => m.marketplaceId),
+        }),
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to update marketplaces")
+      }
+
+      setMarketplaces(data.marketplaces || [])
+      setShowMarketplaceSettings(false)
+      setSelectedMarketplace("")
+      setLoading(false)
+      handleRefreshOrders("")
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "An error occurred")
+      setLoading(false)
+    }
+  }
+
+  const handleToggleOrderNotifications = async () => {
+    setLoading(true)
+    setError("")
+
+    try {
+      const response = await fetch(`${API_URL}/api/amazon/notifications/subscriptions/ORDER_CHANGE`, {
+        method: orderNotifications ? "DELETE" : "PUT",
+        headers: amazonHeaders(),
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to update order notifications")
+      }
+
+      const orderChange = data.subscriptions.find(
+        (s: { notificationType: string }) => s.notificationType === "ORDER_CHANGE",
+      )
+      setOrderNotifications(!!orderChange?.subscribed)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "An error occurred")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const resetOrderState = () => {
+    setOrdersData([])
+    setLastUpdated("")
+    setSyncError("")
+    setMarketplaces([])
+    setSelectedMarketplace("")
+    setMarketplaceBreakdown([])
+    setShowMarketplaceSettings(false)
+    setIsMockData(false)
+    setSelectedOrderId("")
+    setAnalytics(null)
+    setPageCursors([""])
+    setNextCursor(null)
+    setMatchingOrderCount(0)
+    setOrderNotifications(null)
+    setSyncProgress(null)
+    setNewOrders([])
+  }
+
+  const handleSwitchConnection = (connectionId: string) => {
+    localStorage.setItem(ACTIVE_CONNECTION_KEY, connectionId)
+    setActiveConnectionId(connectionId)
+    resetOrderState()
+  }
+
+  const handleRenameConnection = async () => {
+    const current = connections.find((c) => c.id === activeConnectionId)
+    const name = prompt("Name for this seller account", current?.name || "")
+    if (!name || !name.trim()) {
+      return
+    }
+
+    setError("")
+
+    try {
+      const response = await fetch(`${API_URL}/api/amazon/connections/${activeConnectionId}`, {
+        method: "PATCH",
+        headers: {
+          ...amazonHeaders(),
+          "Content-Type": "application/json",
         },
+        body: JSON.stringify({ name: name.trim() }),
       })
 
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to rename Amazon account")
+      }
+
+      setConnections((prev) => prev.map((c) => (c.id === activeConnectionId ? { ...c, ...data.connection } : c)))
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "An error occurred")
+    }
+  }
+
+  const handleDisconnectAmazon = async () => {
+    if (!confirm("Are you sure you want to disconnect this Amazon account?")) {
+      return
+    }
+
+    setLoading(true)
+    setError("")
+
+    try {
+      const disconnect = (twoFactorCode?: string) =>
+        fetch(`${API_URL}/api/amazon/connections/${activeConnectionId}`, {
+          method: "DELETE",
+          headers: twoFactorCode ? { ...amazonHeaders(), "X-2FA-Code": twoFactorCode } : amazonHeaders(),
+        })
+
+      let response = await disconnect()
+
+      // Accounts with two-factor sign-in confirm with a code from their authenticator app
+      if (response.status === 403) {
+        const errorData = await response.clone().json()
+        if (errorData.twoFactorRequired) {
+          const twoFactorCode = prompt("Enter the code from your authenticator app to disconnect this account")
+          if (!twoFactorCode) {
+            return
+          }
+          response = await disconnect(twoFactorCode.trim())
+        }
+      }
+
       if (!response.ok) {
         const errorData = await response.json()
         throw new Error(errorData.message || "Failed to disconnect Amazon account")
       }
 
       setAmazonAccount({ connected: false })
-      setOrdersData([])
-      setLastUpdated("")
+      resetOrderState()
+      await loadConnections()
     } catch (err) {
       setError(err instanceof Error ? err.message : "An error occurred")
     } finally {
@@ -190,39 +726,7 @@ const DashboardPage = () => {
   
   return (
     <div className="min-h-screen bg-gray-50">
-      {/* Navigation */}
-      <nav className="bg-white shadow-sm border-b border-gray-200">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-          <div className="flex justify-between h-16">
-            <div className="flex items-center">
-              <div className="flex-shrink-0 flex items-center">
-                <div className="h-8 w-8 bg-gradient-to-r from-indigo-600 to-purple-600 rounded-lg flex items-center justify-center mr-3">
-                  <span className="text-white text-sm font-bold">U</span>
-                </div>
-                <h1 className="text-xl font-bold text-gray-900">UNIBAZAR</h1>
-              </div>
-            </div>
-            <div className="flex items-center space-x-4">
-              <div className="flex items-center space-x-3">
-                <div className="h-8 w-8 bg-gray-200 rounded-full flex items-center justify-center">
-                  <User className="h-4 w-4 text-gray-600" />
-                </div>
-                <div className="hidden sm:block">
-                  <p className="text-sm font-medium text-gray-900">{user?.name}</p>
-                  <p className="text-xs text-gray-500">{user?.email}</p>
-                </div>
-              </div>
-              <button
-                onClick={logout}
-                className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-colors"
-              >
-                <LogOut className="h-4 w-4 mr-2" />
-                Sign out
-              </button>
-            </div>
-          </div>
-        </div>
-      </nav>
+      <AppHeader />
 
       {/* Main Content */}
       <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
@@ -307,9 +811,23 @@ const DashboardPage = () => {
                   <div className="ml-5 w-0 flex-1">
                     <dl>
                       <dt className="text-sm font-medium text-gray-500 truncate">Performance</dt>
-                      <dd className="text-lg font-medium text-gray-900">
-                        {amazonAccount.connected ? "Active" : "Inactive"}
-                      </dd>
+                      {amazonAccount.connected && analytics && analytics.comparison.change.orders !== null ? (
+                        <>
+                          <dd
+                            className={`text-lg font-medium ${
+                              analytics.comparison.change.orders < 0 ? "text-red-600" : "text-green-600"
+                            }`}
+                          >
+                            {analytics.comparison.change.orders > 0 ? "+" : ""}
+                            {analytics.comparison.change.orders.toFixed(1)}% orders
+                          </dd>
+                          <dd className="text-xs text-gray-500">vs previous {analyticsDays} days</dd>
+                        </>
+                      ) : (
+                        <dd className="text-lg font-medium text-gray-900">
+                          {amazonAccount.connected ? "Active" : "Inactive"}
+                        </dd>
+                      )}
                       {amazonAccount.connectedAt && (
                         <dd className="text-xs text-gray-500">Connected: {formatDate(amazonAccount.connectedAt)}</dd>
                       )}
@@ -334,6 +852,61 @@ const DashboardPage = () => {
                   <BarChart3 className="h-8 w-8 text-gray-400" />
                 </div>
               </div>
+
+              {/* Seller Account Switcher */}
+              {connections.length > 0 && (
+                <div className="mt-4 flex flex-wrap items-center gap-2">
+                  <label htmlFor="seller-account" className="text-sm font-medium text-gray-700">
+                    Seller account
+                  </label>
+                  <select
+                    id="seller-account"
+                    value={activeConnectionId}
+                    onChange={(e) => handleSwitchConnection(e.target.value)}
+                    disabled={loading}
+                    className="py-2 pl-3 pr-8 border border-gray-300 rounded-md text-sm text-gray-700 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  >
+                    {connections.map((c) => (
+                      <option key={c.id} value={c.id}>
+                        {c.name}
+                        {showWorkspaceNames ? ` · ${c.workspaceName}` : ""}
+                        {c.status === "error" ? " (needs attention)" : ""}
+                      </option>
+                    ))}
+                  </select>
+                  {canManageAccount && (
+                    <button
+                      onClick={handleRenameConnection}
+                      disabled={loading || !activeConnectionId}
+                      className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      <Pencil className="h-4 w-4 mr-2" />
+                      Rename
+                    </button>
+                  )}
+                  <select
+                    value={connectRegion}
+                    onChange={(e) => setConnectRegion(e.target.value)}
+                    disabled={loading}
+                    aria-label="Amazon region"
+                    className="py-2 pl-3 pr-8 border border-gray-300 rounded-md text-sm text-gray-700 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  >
+                    {AMAZON_REGIONS.map((region) => (
+                      <option key={region.value} value={region.value}>
+                        {region.label}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleConnectAmazon}
+                    disabled={loading}
+                    className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    <Plus className="h-4 w-4 mr-2" />
+                    Add account
+                  </button>
+                </div>
+              )}
             </div>
 
             <div className="px-6 py-6">
@@ -345,17 +918,45 @@ const DashboardPage = () => {
                       <CheckCircle className="h-5 w-5 text-green-500 mr-3" />
                       <div>
                         <h4 className="text-sm font-medium text-green-800">Amazon account successfully connected</h4>
-                        <p className="text-sm text-green-600">Your account is synced and ready to use</p>
+                        <p className="text-sm text-green-600">
+                          {orderNotifications
+                            ? "Amazon notifies us of order changes as they happen"
+                            : "Your account is synced and ready to use"}
+                        </p>
                       </div>
                     </div>
-                    <button
-                      onClick={handleDisconnectAmazon}
-                      disabled={loading}
-                      className="inline-flex items-center px-3 py-2 border border-red-300 shadow-sm text-sm leading-4 font-medium rounded-md text-red-700 bg-white hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                    >
-                      <Unlink className="h-4 w-4 mr-2" />
-                      Disconnect
-                    </button>
+                    <div className="flex items-center space-x-2">
+                      {activeConnection && !canManageAccount && (
+                        <span className="text-xs text-gray-500">
+                          Your role in {activeConnection.workspaceName}: {activeConnection.role}
+                        </span>
+                      )}
+                      {canManageAccount && orderNotifications !== null && (
+                        <button
+                          onClick={handleToggleOrderNotifications}
+                          disabled={loading}
+                          title={
+                            orderNotifications
+                              ? "Stop Amazon order change notifications"
+                              : "Get order changes from Amazon as they happen instead of on refresh"
+                          }
+                          className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                        >
+                          {orderNotifications ? <Bell className="h-4 w-4 mr-2" /> : <BellOff className="h-4 w-4 mr-2" />}
+                          {orderNotifications ? "Live updates on" : "Live updates off"}
+                        </button>
+                      )}
+                      {canManageAccount && (
+                        <button
+                          onClick={handleDisconnectAmazon}
+                          disabled={loading}
+                          className="inline-flex items-center px-3 py-2 border border-red-300 shadow-sm text-sm leading-4 font-medium rounded-md text-red-700 bg-white hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                        >
+                          <Unlink className="h-4 w-4 mr-2" />
+                          Disconnect
+                        </button>
+                      )}
+                    </div>
                   </div>
 
                   {/* Order Analytics */}
@@ -366,37 +967,213 @@ const DashboardPage = () => {
                         <p className="text-sm text-gray-500">
                           Last 30 days performance
                           {lastUpdated && <span className="ml-2">• Updated: {formatDate(lastUpdated)}</span>}
+                          {syncProgress !== null ? (
+                            <span className="ml-2 text-indigo-600">• Syncing with Amazon… {syncProgress} orders</span>
+                          ) : (
+                            <span className={`ml-2 ${liveStatus === "open" ? "text-green-600" : "text-gray-400"}`}>
+                              • {liveStatus === "open" ? "Live" : liveStatus === "connecting" ? "Connecting…" : "Reconnecting…"}
+                            </span>
+                          )}
                         </p>
+                        {syncError && (
+                          <p className="text-xs text-yellow-700 mt-1">
+                            Showing saved orders, the latest sync with Amazon failed: {syncError}
+                          </p>
+                        )}
+                        {exportNotice && <p className="text-xs text-yellow-700 mt-1">{exportNotice}</p>}
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        {marketplaces.length > 0 && (
+                          <>
+                            <select
+                              value={selectedMarketplace}
+                              onChange={(e) => handleMarketplaceFilter(e.target.value)}
+                              disabled={loading}
+                              className="py-2 pl-3 pr-8 border border-gray-300 rounded-md text-sm text-gray-700 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                            >
+                              <option value="">All marketplaces</option>
+                              {marketplaces
+                                .filter((m) => m.tracked)
+                                .map((m) => (
+                                  <option key={m.marketplaceId} value={m.marketplaceId}>
+                                    {m.code || m.marketplaceId} {m.name ? `– ${m.name}` : ""}
+                                  </option>
+                                ))}
+                            </select>
+                            {canManageAccount && (
+                              <button
+                                onClick={() => setShowMarketplaceSettings(!showMarketplaceSettings)}
+                                className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-colors"
+                              >
+                                <Globe className="h-4 w-4 mr-2" />
+                                Marketplaces
+                              </button>
+                            )}
+                          </>
+                        )}
+                        {canExport && (
+                          <div className="relative">
+                            <button
+                              onClick={() => setShowExportMenu(!showExportMenu)}
+                              disabled={exporting}
+                              className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                            >
+                              <Download className={`h-4 w-4 mr-2 ${exporting ? "animate-pulse" : ""}`} />
+                              {exporting ? "Exporting..." : "Export"}
+                            </button>
+                            {showExportMenu && (
+                              <div className="absolute right-0 mt-1 w-36 bg-white border border-gray-200 rounded-md shadow-lg z-10">
+                                <button
+                                  onClick={() => handleExportOrders("csv")}
+                                  className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                                >
+                                  CSV
+                                </button>
+                                <button
+                                  onClick={() => handleExportOrders("xlsx")}
+                                  className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                                >
+                                  Excel (XLSX)
+                                </button>
+                              </div>
+                            )}
+                          </div>
+                        )}
+                        <button
+                          onClick={() => handleRefreshOrders()}
+                          disabled={loading}
+                          className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                        >
+                          <RefreshCw className={`h-4 w-4 mr-2 ${loading ? "animate-spin" : ""}`} />
+                          {loading ? "Refreshing..." : "Refresh"}
+                        </button>
                       </div>
-                      <button
-                        onClick={handleRefreshOrders}
-                        disabled={loading}
-                        className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                      >
-                        <RefreshCw className={`h-4 w-4 mr-2 ${loading ? "animate-spin" : ""}`} />
-                        {loading ? "Refreshing..." : "Refresh"}
-                      </button>
                     </div>
 
-                    {/* Recent Orders Table */}
-                    {ordersData.length > 0 && (
-                      <div className="mt-6">
-                        <h4 className="text-lg font-semibold text-gray-900 mb-3">Recent Orders</h4>
+                    {/* Tracked Marketplaces */}
+                    {showMarketplaceSettings && (
+                      <div className="mb-6 p-4 bg-white rounded-lg border border-gray-200">
+                        <h5 className="text-sm font-medium text-gray-900 mb-3">Tracked marketplaces</h5>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                          {marketplaces.map((m) => (
+                            <label key={m.marketplaceId} className="flex items-center text-sm text-gray-700">
+                              <input
+                                type="checkbox"
+                                checked={!!m.tracked}
+                                onChange={() => handleToggleTracked(m.marketplaceId)}
+                                className="h-4 w-4 mr-2 text-indigo-600 border-gray-300 rounded"
+                              />
+                              {m.code || m.marketplaceId} {m.name && <span className="ml-1 text-gray-500">{m.name}</span>}
+                              {!m.isParticipating && <span className="ml-2 text-xs text-gray-400">(inactive)</span>}
+                            </label>
+                          ))}
+                        </div>
+                        <div className="mt-4 flex justify-end">
+                          <button
+                            onClick={handleSaveMarketplaces}
+                            disabled={loading || !marketplaces.some((m) => m.tracked)}
+                            className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                          >
+                            Save
+                          </button>
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Sales Analytics */}
+                    <SalesAnalytics
+                      analytics={analytics}
+                      days={analyticsDays}
+                      interval={analyticsInterval}
+                      loading={analyticsLoading}
+                      onDaysChange={setAnalyticsDays}
+                      onIntervalChange={setAnalyticsInterval}
+                    />
+
+                    {/* Orders Table */}
+                    <div className="mt-6">
+                      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                        <h4 className="text-lg font-semibold text-gray-900">Orders</h4>
+                        <div className="flex flex-wrap items-center gap-2">
+                          <select
+                            value={orderFilters.days}
+                            onChange={(e) => handleOrderFilterChange({ days: e.target.value })}
+                            disabled={loading}
+                            className="py-1 pl-2 pr-8 border border-gray-300 rounded-md text-sm text-gray-700 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                          >
+                            <option value="7">Last 7 days</option>
+                            <option value="30">Last 30 days</option>
+                            <option value="90">Last 90 days</option>
+                            <option value="365">Last 365 days</option>
+                            <option value="">All time</option>
+                          </select>
+                          <select
+                            value={orderFilters.status}
+                            onChange={(e) => handleOrderFilterChange({ status: e.target.value })}
+                            disabled={loading}
+                            className="py-1 pl-2 pr-8 border border-gray-300 rounded-md text-sm text-gray-700 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                          >
+                            <option value="">All statuses</option>
+                            {ORDER_STATUSES.map((status) => (
+                              <option key={status} value={status}>
+                                {status}
+                              </option>
+                            ))}
+                          </select>
+                          <select
+                            value={orderFilters.fulfillmentChannel}
+                            onChange={(e) => handleOrderFilterChange({ fulfillmentChannel: e.target.value })}
+                            disabled={loading}
+                            className="py-1 pl-2 pr-8 border border-gray-300 rounded-md text-sm text-gray-700 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                          >
+                            <option value="">All fulfillment</option>
+                            <option value="AFN">Fulfilled by Amazon</option>
+                            <option value="MFN">Fulfilled by merchant</option>
+                          </select>
+                        </div>
+                      </div>
+
+                      {newOrders.length > 0 && (
+                        <div className="mb-3 flex items-center justify-between p-3 bg-indigo-50 border border-indigo-200 rounded-lg">
+                          <p className="text-sm text-indigo-800">
+                            {newOrders.length === 1
+                              ? `New order ${newOrders[0].orderId} (${newOrders[0].amount})`
+                              : `${newOrders.length} new orders`}
+                          </p>
+                          <button
+                            onClick={() => handleRefreshOrders()}
+                            disabled={loading}
+                            className="text-sm font-medium text-indigo-700 hover:text-indigo-900 disabled:opacity-50"
+                          >
+                            Show
+                          </button>
+                        </div>
+                      )}
+
+                      {ordersData.length > 0 && (
                         <div className="overflow-x-auto">
                           <table className="min-w-full bg-white border border-gray-200 rounded-lg">
                             <thead>
                               <tr className="bg-gray-100 text-sm text-gray-700">
                                 <th className="py-3 px-4 text-left">Order ID</th>
+                                <th className="py-3 px-4 text-left">Marketplace</th>
                                 <th className="py-3 px-4 text-left">Date</th>
+                                <th className="py-3 px-4 text-left">Fulfillment</th>
                                 <th className="py-3 px-4 text-left">Status</th>
                                 <th className="py-3 px-4 text-left">Amount</th>
                               </tr>
                             </thead>
                             <tbody>
-                              {ordersData.slice(0, 10).map((order, idx) => (
-                                <tr key={order.orderId} className="border-t text-sm text-gray-700">
+                              {ordersData.map((order) => (
+                                <tr
+                                  key={order.orderId}
+                                  onClick={() => !isMockData && setSelectedOrderId(order.orderId)}
+                                  className={`border-t text-sm text-gray-700 ${isMockData ? "" : "cursor-pointer hover:bg-gray-50"}`}
+                                >
                                   <td className="py-2 px-4 font-mono text-xs">{order.orderId}</td>
+                                  <td className="py-2 px-4">{order.marketplace || order.marketplaceId || "—"}</td>
                                   <td className="py-2 px-4">{order.orderDate}</td>
+                                  <td className="py-2 px-4">{order.fulfillmentChannel || "—"}</td>
                                   <td className="py-2 px-4">
                                     <span
                                       className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
@@ -415,19 +1192,70 @@ const DashboardPage = () => {
                               ))}
                             </tbody>
                           </table>
-                          {ordersData.length > 10 && (
-                            <p className="text-sm text-gray-500 mt-2 text-center">
-                              Showing 10 of {ordersData.length} orders
-                            </p>
-                          )}
+
+                          {/* Pagination */}
+                          <div className="flex flex-wrap items-center justify-between gap-2 mt-3 text-sm text-gray-500">
+                            <span>
+                              Showing {(pageCursors.length - 1) * pageSize + 1}–{(pageCursors.length - 1) * pageSize + ordersData.length} of{" "}
+                              {matchingOrderCount} orders
+                            </span>
+                            <div className="flex items-center space-x-2">
+                              <select
+                                value={pageSize}
+                                onChange={(e) => handlePageSizeChange(Number(e.target.value))}
+                                disabled={loading}
+                                className="py-1 pl-2 pr-8 border border-gray-300 rounded-md text-sm text-gray-700 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                              >
+                                {PAGE_SIZES.map((size) => (
+                                  <option key={size} value={size}>
+                                    {size} per page
+                                  </option>
+                                ))}
+                              </select>
+                              <button
+                                onClick={handlePreviousPage}
+                                disabled={loading || pageCursors.length < 2}
+                                className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                              >
+                                Previous
+                              </button>
+                              <button
+                                onClick={handleNextPage}
+                                disabled={loading || !nextCursor}
+                                className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                              >
+                                Next
+                              </button>
+                            </div>
+                          </div>
                         </div>
-                      </div>
-                    )}
+                      )}
+
+                      {ordersData.length === 0 && !loading && (
+                        <p className="text-sm text-gray-500 mt-4 text-center py-8">
+                          No orders match these filters. Click "Refresh" to fetch your latest orders.
+                        </p>
+                      )}
+                    </div>
 
-                    {ordersData.length === 0 && !loading && (
-                      <p className="text-sm text-gray-500 mt-4 text-center py-8">
-                        No orders found in the last 30 days. Click "Refresh" to fetch your latest orders.
-                      </p>
+                    {/* Marketplace Breakdown */}
+                    {marketplaceBreakdown.length > 1 && (
+                      <div className="mt-6">
+                        <h4 className="text-lg font-semibold text-gray-900 mb-3">By Marketplace</h4>
+                        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                          {marketplaceBreakdown.map((entry) => (
+                            <div key={entry.marketplaceId} className="bg-white p-4 rounded-lg border border-gray-200">
+                              <p className="text-sm font-medium text-gray-500">{entry.code || entry.marketplaceId}</p>
+                              <p className="text-2xl font-bold text-gray-900">{entry.orderCount}</p>
+                              {entry.revenue.map((r) => (
+                                <p key={r.currencyCode} className="text-xs text-gray-500">
+                                  {r.currencyCode} {r.amount.toFixed(2)}
+                                </p>
+                              ))}
+                            </div>
+                          ))}
+                        </div>
+                      </div>
                     )}
 
                     {/* Summary Cards */}
@@ -463,6 +1291,21 @@ const DashboardPage = () => {
                   <p className="text-gray-500 mb-6 max-w-sm mx-auto">
                     Link your Amazon Seller Central account to access your order data and analytics dashboard.
                   </p>
+                  <div className="mb-4">
+                    <select
+                      value={connectRegion}
+                      onChange={(e) => setConnectRegion(e.target.value)}
+                      disabled={loading}
+                      aria-label="Amazon region"
+                      className="py-2 pl-3 pr-8 border border-gray-300 rounded-md text-sm text-gray-700 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    >
+                      {AMAZON_REGIONS.map((region) => (
+                        <option key={region.value} value={region.value}>
+                          {region.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
                   <button
                     type="button"
                     onClick={handleConnectAmazon}
@@ -487,6 +1330,15 @@ const DashboardPage = () => {
           </div>
         </div>
       </div>
+
+      {/* Order Detail Drawer */}
+      {selectedOrderId && (
+        <OrderDetailDrawer
+          orderId={selectedOrderId}
+          headers={amazonHeaders()}
+          onClose={() => setSelectedOrderId("")}
+        />
+      )}
     </div>
   )
 }
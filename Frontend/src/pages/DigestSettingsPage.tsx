@@ -0,0 +1,280 @@
+import React, { useEffect, useState } from "react"
+import { AlertCircle, CheckCircle, Mail } from "lucide-react"
+import { useAuth } from "../context/AuthContext"
+import { API_URL } from "../config"
+import AppHeader from "../components/AppHeader"
+import LoadingSpinner from "../components/LoadingSpinner"
+
+type Frequency = "off" | "daily" | "weekly"
+
+interface DigestPreferences {
+  frequency: Frequency
+  timezone: string
+  marketplaceIds: string[]
+  nextSendAt?: string
+  lastSentAt?: string
+}
+
+interface DigestMarketplace {
+  marketplaceId: string
+  name: string
+  countryCode?: string
+}
+
+const FREQUENCIES: { value: Frequency; label: string; description: string }[] = [
+  { value: "off", label: "Off", description: "No summary emails" },
+  { value: "daily", label: "Daily", description: "Every morning, covering the last day" },
+  { value: "weekly", label: "Weekly", description: "Monday mornings, covering the last week" },
+]
+
+const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC"
+
+const inputClass =
+  "block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-sm"
+const primaryButtonClass =
+  "inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
+
+// Order summary email settings: how often, in which timezone and for which marketplaces
+const DigestSettingsPage: React.FC = () => {
+  const { token } = useAuth()
+  const [preferences, setPreferences] = useState<DigestPreferences | null>(null)
+  const [marketplaces, setMarketplaces] = useState<DigestMarketplace[]>([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState("")
+  const [success, setSuccess] = useState("")
+
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/digest/preferences`, {
+          headers: { Authorization: `Bearer ${token}` },
+        })
+        const data = await response.json()
+
+        if (!response.ok) {
+          throw new Error(data.message || "Failed to load email summary settings")
+        }
+
+        // Suggest this browser's timezone until digests are turned on
+        setPreferences(
+          data.preferences.frequency === "off" ? { ...data.preferences, timezone: browserTimezone } : data.preferences,
+        )
+        setMarketplaces(data.marketplaces)
+      } catch (err) {
+        console.error("Error loading digest preferences:", err)
+        setError(err instanceof Error ? err.message : "Failed to load email summary settings")
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchPreferences()
+  }, [token])
+
+  const update = (changes: Partial<DigestPreferences>) => {
+    setPreferences((current) => (current ? { ...current, ...changes } : current))
+    setSuccess("")
+  }
+
+  // An empty selection means every marketplace, so unticking the last one selects all again
+  const toggleMarketplace = (marketplaceId: string) => {
+    if (!preferences) return
+    const selected = preferences.marketplaceIds.length
+      ? preferences.marketplaceIds
+      : marketplaces.map((m) => m.marketplaceId)
+    const next = selected.includes(marketplaceId)
+      ? selected.filter((id) => id !== marketplaceId)
+      : [...selected, marketplaceId]
+    update({ marketplaceIds: next.length === marketplaces.length ? [] : next })
+  }
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!preferences) return
+
+    setSaving(true)
+    setError("")
+    setSuccess("")
+    try {
+      const response = await fetch(`${API_URL}/api/digest/preferences`, {
+        method: "PUT",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          frequency: preferences.frequency,
+          timezone: preferences.timezone.trim(),
+          marketplaceIds: preferences.marketplaceIds,
+        }),
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to save email summary settings")
+      }
+
+      setPreferences(data.preferences)
+      setSuccess(data.message)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "An error occurred")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const isSelected = (marketplaceId: string) =>
+    !preferences?.marketplaceIds.length || preferences.marketplaceIds.includes(marketplaceId)
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader />
+
+      <div className="max-w-3xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="px-4 py-6 sm:px-0">
+          <div className="mb-8">
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Email Summary</h2>
+            <p className="text-gray-600">
+              Get new orders, revenue, cancellations and orders waiting to ship in your inbox every morning, without
+              signing in.
+            </p>
+          </div>
+
+          {/* Error Alert */}
+          {error && (
+            <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+              <div className="flex">
+                <div className="flex-shrink-0">
+                  <AlertCircle className="h-5 w-5 text-red-400" />
+                </div>
+                <div className="ml-3">
+                  <p className="text-sm text-red-800">{error}</p>
+                </div>
+                <button onClick={() => setError("")} className="ml-auto text-red-400 hover:text-red-600">
+                  ×
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Success Alert */}
+          {success && (
+            <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg">
+              <div className="flex">
+                <div className="flex-shrink-0">
+                  <CheckCircle className="h-5 w-5 text-green-400" />
+                </div>
+                <div className="ml-3">
+                  <p className="text-sm text-green-800">{success}</p>
+                </div>
+              </div>
+            </div>
+          )}
+
+          <div className="bg-white shadow rounded-lg p-6">
+            {loading || !preferences ? (
+              <LoadingSpinner text="Loading email summary settings..." />
+            ) : (
+              <form onSubmit={handleSave} className="space-y-6">
+                <fieldset>
+                  <legend className="block text-sm font-medium text-gray-700 mb-3">How often</legend>
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                    {FREQUENCIES.map((option) => (
+                      <label
+                        key={option.value}
+                        className={`flex flex-col p-4 border rounded-lg cursor-pointer ${
+                          preferences.frequency === option.value
+                            ? "border-indigo-500 bg-indigo-50"
+                            : "border-gray-200 hover:border-gray-300"
+                        }`}
+                      >
+                        <span className="flex items-center text-sm font-medium text-gray-900">
+                          <input
+                            type="radio"
+                            name="frequency"
+                            value={option.value}
+                            checked={preferences.frequency === option.value}
+                            onChange={() => update({ frequency: option.value })}
+                            className="mr-2 text-indigo-600 focus:ring-indigo-500"
+                          />
+                          {option.label}
+                        </span>
+                        <span className="mt-1 text-xs text-gray-500">{option.description}</span>
+                      </label>
+                    ))}
+                  </div>
+                </fieldset>
+
+                {preferences.frequency !== "off" && (
+                  <>
+                    <div>
+                      <label htmlFor="timezone" className="block text-sm font-medium text-gray-700 mb-1">
+                        Timezone
+                      </label>
+                      <input
+                        id="timezone"
+                        type="text"
+                        className={inputClass}
+                        placeholder="Europe/Berlin"
+                        value={preferences.timezone}
+                        onChange={(e) => update({ timezone: e.target.value })}
+                      />
+                      {preferences.timezone !== browserTimezone && (
+                        <button
+                          type="button"
+                          onClick={() => update({ timezone: browserTimezone })}
+                          className="mt-1 text-xs font-medium text-indigo-600 hover:text-indigo-500"
+                        >
+                          Use {browserTimezone}
+                        </button>
+                      )}
+                    </div>
+
+                    <fieldset>
+                      <legend className="block text-sm font-medium text-gray-700 mb-2">Marketplaces</legend>
+                      {marketplaces.length === 0 ? (
+                        <p className="text-sm text-gray-500">
+                          Connect an Amazon seller account to receive summaries.
+                        </p>
+                      ) : (
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                          {marketplaces.map((marketplace) => (
+                            <label key={marketplace.marketplaceId} className="flex items-center text-sm text-gray-700">
+                              <input
+                                type="checkbox"
+                                checked={isSelected(marketplace.marketplaceId)}
+                                onChange={() => toggleMarketplace(marketplace.marketplaceId)}
+                                className="mr-2 rounded text-indigo-600 focus:ring-indigo-500"
+                              />
+                              {marketplace.name}
+                              {marketplace.countryCode && (
+                                <span className="ml-1 text-gray-400">({marketplace.countryCode})</span>
+                              )}
+                            </label>
+                          ))}
+                        </div>
+                      )}
+                    </fieldset>
+                  </>
+                )}
+
+                <div className="flex items-center justify-between pt-2">
+                  <p className="text-sm text-gray-500">
+                    {preferences.nextSendAt && `Next summary ${new Date(preferences.nextSendAt).toLocaleString()}`}
+                  </p>
+                  <button type="submit" disabled={saving} className={primaryButtonClass}>
+                    <Mail className="h-4 w-4 mr-2" />
+                    {saving ? "Saving..." : "Save"}
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default DigestSettingsPage
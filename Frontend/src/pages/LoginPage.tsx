@@ -2,10 +2,10 @@
 
 import React from "react"
 import { useState, useEffect } from "react"
-import { Link, useNavigate } from "react-router-dom"
+import { Link, useLocation, useNavigate } from "react-router-dom"
 import { useAuth } from "../context/AuthContext"
 import { API_URL } from "../config"
-import { Eye, EyeOff, Mail, Lock, ArrowRight, Clock, AlertTriangle } from "lucide-react"
+import { Eye, EyeOff, Mail, Lock, ArrowRight, Clock, AlertTriangle, ShieldCheck } from "lucide-react"
 import LoadingSpinner from "../components/LoadingSpinner"
 
 const LoginPage = () => {
@@ -15,8 +15,18 @@ const LoginPage = () => {
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState("")
   const [showSessionWarning, setShowSessionWarning] = useState(false)
+  // Seconds until sign-in may be tried again after too many attempts
+  const [retryAfter, setRetryAfter] = useState(0)
+  // Set when the account uses two-factor sign-in and the password was accepted
+  const [challenge, setChallenge] = useState("")
+  const [code, setCode] = useState("")
 
   const navigate = useNavigate()
+  // Set by pages that send the user here: a notice (e.g. after a password reset) and the
+  // page to return to after signing in
+  const locationState = useLocation().state as { message?: string; from?: string } | null
+  const notice = locationState?.message
+  const returnTo = locationState?.from || "/dashboard"
   const { login, isAuthenticated, isVerified, isLoading, user } = useAuth()
 
   // Check for unverified session and show warning
@@ -35,16 +45,24 @@ const LoginPage = () => {
     }
   }, [isAuthenticated, isVerified, isLoading])
 
+  // Count down the rate limit wait
+  useEffect(() => {
+    if (retryAfter > 0) {
+      const timer = setTimeout(() => setRetryAfter(retryAfter - 1), 1000)
+      return () => clearTimeout(timer)
+    }
+  }, [retryAfter])
+
   useEffect(() => {
     // Only redirect if auth state is fully loaded
     if (!isLoading) {
       if (isAuthenticated && isVerified) {
-        navigate("/dashboard")
+        navigate(returnTo)
       } else if (isAuthenticated && !isVerified) {
         navigate("/verify-otp")
       }
     }
-  }, [isAuthenticated, isVerified, isLoading, navigate])
+  }, [isAuthenticated, isVerified, isLoading, navigate, returnTo])
 
   // Show loading while auth state is being determined
   if (isLoading) {
@@ -61,24 +79,58 @@ const LoginPage = () => {
     setError("")
 
     try {
-      const response = await fetch(`${API_URL}/api/auth/login`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ email, password }),
-      })
+      const response = challenge
+        ? await fetch(`${API_URL}/api/auth/login/2fa`, {
+            method: "POST",
+            credentials: "include",
+            headers: {
+              "Content-Type": "application/json",
+            },
+            body: JSON.stringify({ challenge, code }),
+          })
+        : await fetch(`${API_URL}/api/auth/login`, {
+            method: "POST",
+            // Lets the browser store the refresh cookie
+            credentials: "include",
+            headers: {
+              "Content-Type": "application/json",
+            },
+            body: JSON.stringify({ email, password }),
+          })
 
       const data = await response.json()
 
+      if (response.status === 429) {
+        const wait = Number.parseInt(response.headers.get("Retry-After") || "", 10) || data.retryAfter || 60
+        setRetryAfter(wait)
+        throw new Error(data.message || "Too many sign-in attempts")
+      }
+
       if (!response.ok) {
+        // The challenge expired; start again from the password
+        if (challenge && response.status === 401 && data.message?.includes("sign in again")) {
+          setChallenge("")
+          setCode("")
+        }
         throw new Error(data.message || "Login failed")
       }
 
+      if (data.twoFactorRequired) {
+        setChallenge(data.challenge)
+        return
+      }
+
+      if (data.recoveryCodesLeft !== undefined) {
+        alert(
+          `You signed in with a recovery code. ${data.recoveryCodesLeft} recovery codes left — ` +
+            "you can create new ones on the Security page.",
+        )
+      }
+
       login(data.user, data.token)
 
       if (data.user.isVerified) {
-        navigate("/dashboard")
+        navigate(returnTo)
       } else {
         navigate("/verify-otp")
       }
@@ -128,6 +180,12 @@ const LoginPage = () => {
 
         {/* Login Form */}
         <div className="bg-white rounded-2xl shadow-xl p-8 border border-gray-100">
+          {notice && !error && (
+            <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg">
+              <p className="text-sm text-green-800">{notice}</p>
+            </div>
+          )}
+
           {error && (
             <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
               <div className="flex">
@@ -142,107 +200,175 @@ const LoginPage = () => {
                 </div>
                 <div className="ml-3">
                   <p className="text-sm text-red-800">{error}</p>
+                  {retryAfter > 0 && (
+                    <p className="text-sm text-red-700 mt-1">
+                      You can try again in{" "}
+                      <span className="font-mono font-semibold">
+                        {Math.floor(retryAfter / 60)}:{(retryAfter % 60).toString().padStart(2, "0")}
+                      </span>
+                    </p>
+                  )}
                 </div>
               </div>
             </div>
           )}
 
-          <form onSubmit={handleSubmit} className="space-y-6">
-            {/* Email Field */}
-            <div>
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
-                Email address
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <Mail className="h-5 w-5 text-gray-400" />
+          {challenge ? (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              {/* Authentication Code Field */}
+              <div>
+                <label htmlFor="code" className="block text-sm font-medium text-gray-700 mb-2">
+                  Authentication code
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <ShieldCheck className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="code"
+                    name="code"
+                    type="text"
+                    inputMode="text"
+                    autoComplete="one-time-code"
+                    autoFocus
+                    required
+                    className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-lg shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-colors"
+                    placeholder="6-digit code or recovery code"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                  />
                 </div>
-                <input
-                  id="email"
-                  name="email"
-                  type="email"
-                  autoComplete="email"
-                  required
-                  className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-lg shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-colors"
-                  placeholder="Enter your email"
-                  value={email}
-                  onChange={(e) => setEmail(e.target.value)}
-                />
+                <p className="mt-2 text-sm text-gray-500">
+                  Enter the code from your authenticator app. Lost your device? Use one of your recovery codes.
+                </p>
               </div>
-            </div>
 
-            {/* Password Field */}
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
-                Password
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <Lock className="h-5 w-5 text-gray-400" />
+              <button
+                type="submit"
+                disabled={loading || retryAfter > 0}
+                className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+              >
+                {loading ? "Verifying..." : "Verify and sign in"}
+              </button>
+
+              <button
+                type="button"
+                onClick={() => {
+                  setChallenge("")
+                  setCode("")
+                  setError("")
+                }}
+                className="w-full text-sm font-medium text-indigo-600 hover:text-indigo-500 transition-colors"
+              >
+                Use a different account
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              {/* Email Field */}
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
+                  Email address
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Mail className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="email"
+                    name="email"
+                    type="email"
+                    autoComplete="email"
+                    required
+                    className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-lg shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-colors"
+                    placeholder="Enter your email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                  />
                 </div>
-                <input
-                  id="password"
-                  name="password"
-                  type={showPassword ? "text" : "password"}
-                  autoComplete="current-password"
-                  required
-                  className="block w-full pl-10 pr-10 py-3 border border-gray-300 rounded-lg shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-colors"
-                  placeholder="Enter your password"
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                />
-                <button
-                  type="button"
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                  onClick={() => setShowPassword(!showPassword)}
-                >
-                  {showPassword ? (
-                    <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600" />
-                  ) : (
-                    <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
-                  )}
-                </button>
               </div>
-            </div>
 
-            {/* Submit Button */}
-            <button
-              type="submit"
-              disabled={loading}
-              className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
-            >
-              {loading ? (
-                <div className="flex items-center">
-                  <svg
-                    className="animate-spin -ml-1 mr-3 h-5 w-5 text-white"
-                    xmlns="http://www.w3.org/2000/svg"
-                    fill="none"
-                    viewBox="0 0 24 24"
+              {/* Password Field */}
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                    Password
+                  </label>
+                  <Link
+                    to="/forgot-password"
+                    className="text-sm font-medium text-indigo-600 hover:text-indigo-500 transition-colors"
                   >
-                    <circle
-                      className="opacity-25"
-                      cx="12"
-                      cy="12"
-                      r="10"
-                      stroke="currentColor"
-                      strokeWidth="4"
-                    ></circle>
-                    <path
-                      className="opacity-75"
-                      fill="currentColor"
-                      d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
-                    ></path>
-                  </svg>
-                  Signing in...
+                    Forgot password?
+                  </Link>
                 </div>
-              ) : (
-                <div className="flex items-center">
-                  Sign in
-                  <ArrowRight className="ml-2 h-4 w-4" />
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Lock className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="password"
+                    name="password"
+                    type={showPassword ? "text" : "password"}
+                    autoComplete="current-password"
+                    required
+                    className="block w-full pl-10 pr-10 py-3 border border-gray-300 rounded-lg shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-colors"
+                    placeholder="Enter your password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                  />
+                  <button
+                    type="button"
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                    onClick={() => setShowPassword(!showPassword)}
+                  >
+                    {showPassword ? (
+                      <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                    ) : (
+                      <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                    )}
+                  </button>
                 </div>
-              )}
-            </button>
-          </form>
+              </div>
+
+              {/* Submit Button */}
+              <button
+                type="submit"
+                disabled={loading || retryAfter > 0}
+                className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+              >
+                {loading ? (
+                  <div className="flex items-center">
+                    <svg
+                      className="animate-spin -ml-1 mr-3 h-5 w-5 text-white"
+                      xmlns="http://www.w3.org/2000/svg"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                    >
+                      <circle
+                        className="opacity-25"
+                        cx="12"
+                        cy="12"
+                        r="10"
+                        stroke="currentColor"
+                        strokeWidth="4"
+                      ></circle>
+                      <path
+                        className="opacity-75"
+                        fill="currentColor"
+                        d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
+                      ></path>
+                    </svg>
+                    Signing in...
+                  </div>
+                ) : (
+                  <div className="flex items-center">
+                    Sign in
+                    <ArrowRight className="ml-2 h-4 w-4" />
+                  </div>
+                )}
+              </button>
+            </form>
+          )}
 
           {/* Sign up link */}
           <div className="mt-6 text-center">
@@ -102,6 +102,10 @@ const OtpVerificationPage = () => {
       const data = await response.json()
 
       if (!response.ok) {
+        // The code stopped working after too many wrong guesses
+        if (response.status === 429) {
+          setOtp(["", "", "", "", "", ""])
+        }
         throw new Error(data.message || "OTP verification failed")
       }
 
@@ -132,11 +136,15 @@ const OtpVerificationPage = () => {
       const data = await response.json()
 
       if (!response.ok) {
+        // The server enforces the resend cooldown; show how long is left
+        if (response.status === 429 && data.retryAfter) {
+          setCountdown(data.retryAfter)
+        }
         throw new Error(data.message || "Failed to resend OTP")
       }
 
       setResendSuccess("OTP has been sent to your email")
-      setCountdown(60) // 60 seconds countdown
+      setCountdown(data.retryAfter || 60)
       setOtp(["", "", "", "", "", ""]) // Clear current OTP
     } catch (err) {
       setError(err instanceof Error ? err.message : "An error occurred while resending OTP")
@@ -0,0 +1,534 @@
+import React, { useEffect, useState } from "react"
+import { FileText, RefreshCw, Trash2, AlertCircle, X } from "lucide-react"
+import { useAuth } from "../context/AuthContext"
+import { API_URL } from "../config"
+import { ACTIVE_CONNECTION_KEY, buildAmazonHeaders } from "../utils/connection"
+import AppHeader from "../components/AppHeader"
+import LoadingSpinner from "../components/LoadingSpinner"
+
+interface Money {
+  currencyCode: string
+  amount: number
+}
+
+interface OrdersSummary {
+  orders: number
+  units: number
+  revenue: Money[]
+  statuses: { status: string; orders: number }[]
+}
+
+interface SettlementSummary {
+  settlementId?: string
+  startDate?: string
+  endDate?: string
+  depositDate?: string
+  totalAmount?: number
+  currencyCode?: string
+  byTransactionType: { type: string; amount: number }[]
+  byAmountType: { type: string; amount: number }[]
+}
+
+interface Report {
+  id: string
+  type: "orders" | "settlement"
+  status: "requested" | "downloading" | "done" | "failed" | "cancelled"
+  processingStatus?: string
+  marketplaceIds: string[]
+  dataStartTime?: string
+  dataEndTime?: string
+  rowCount?: number
+  columns: string[]
+  summary?: OrdersSummary | SettlementSummary
+  error?: string
+  createdAt: string
+  completedAt?: string
+}
+
+interface ReportRows {
+  columns: string[]
+  rows: Record<string, string>[]
+  offset: number
+  rowCount: number
+}
+
+const ROWS_PAGE_SIZE = 50
+// How often the list is refreshed while a report is still being generated
+const POLL_INTERVAL_MS = 10000
+
+const PENDING_STATUSES = ["requested", "downloading"]
+
+const STATUS_STYLES: Record<string, string> = {
+  requested: "bg-yellow-100 text-yellow-800",
+  downloading: "bg-blue-100 text-blue-800",
+  done: "bg-green-100 text-green-800",
+  failed: "bg-red-100 text-red-800",
+  cancelled: "bg-gray-100 text-gray-800",
+}
+
+const TYPE_LABELS: Record<string, string> = {
+  orders: "Orders",
+  settlement: "Settlement",
+}
+
+const toDateInput = (date: Date) => date.toISOString().slice(0, 10)
+
+const formatDate = (value?: string) => (value ? new Date(value).toLocaleDateString() : "—")
+
+const formatMoney = (currencyCode: string | undefined, amount: number | undefined) =>
+  amount === undefined ? "—" : `${currencyCode || ""} ${amount.toFixed(2)}`
+
+const ReportsPage: React.FC = () => {
+  const { token } = useAuth()
+  const [activeConnectionId] = useState(() => localStorage.getItem(ACTIVE_CONNECTION_KEY) || "")
+  const [reports, setReports] = useState<Report[]>([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState("")
+  const [reportType, setReportType] = useState<"orders" | "settlement">("orders")
+  const [startDate, setStartDate] = useState(() => toDateInput(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)))
+  const [endDate, setEndDate] = useState(() => toDateInput(new Date()))
+  const [submitting, setSubmitting] = useState(false)
+  const [selectedReportId, setSelectedReportId] = useState<string | null>(null)
+  const [reportRows, setReportRows] = useState<ReportRows | null>(null)
+  const [rowsLoading, setRowsLoading] = useState(false)
+
+  const amazonHeaders = () => buildAmazonHeaders(token, activeConnectionId)
+
+  const fetchReports = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/amazon/reports`, { headers: amazonHeaders() })
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to load reports")
+      }
+
+      setReports(data.reports)
+    } catch (err) {
+      console.error("Error loading reports:", err)
+      setError(err instanceof Error ? err.message : "Failed to load reports")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchReports()
+  }, [])
+
+  // Keep polling while Amazon is still generating a report
+  const hasPending = reports.some((report) => PENDING_STATUSES.includes(report.status))
+  useEffect(() => {
+    if (!hasPending) return
+    const timer = setInterval(fetchReports, POLL_INTERVAL_MS)
+    return () => clearInterval(timer)
+  }, [hasPending])
+
+  const fetchRows = async (reportId: string, offset: number) => {
+    setRowsLoading(true)
+    try {
+      const params = new URLSearchParams({ offset: String(offset), limit: String(ROWS_PAGE_SIZE) })
+      const response = await fetch(`${API_URL}/api/amazon/reports/${reportId}/rows?${params.toString()}`, {
+        headers: amazonHeaders(),
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to load report rows")
+      }
+
+      setReportRows(data)
+    } catch (err) {
+      console.error("Error loading report rows:", err)
+      setError(err instanceof Error ? err.message : "Failed to load report rows")
+    } finally {
+      setRowsLoading(false)
+    }
+  }
+
+  const handleSelectReport = (report: Report) => {
+    setSelectedReportId(report.id)
+    setReportRows(null)
+    if (report.status === "done") {
+      fetchRows(report.id, 0)
+    }
+  }
+
+  const handleRequestReport = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setSubmitting(true)
+    setError("")
+
+    try {
+      const body =
+        reportType === "orders"
+          ? {
+              type: "orders",
+              startDate: new Date(`${startDate}T00:00:00`).toISOString(),
+              endDate: new Date(`${endDate}T23:59:59`).toISOString(),
+            }
+          : { type: "settlement" }
+
+      const response = await fetch(`${API_URL}/api/amazon/reports`, {
+        method: "POST",
+        headers: { ...amazonHeaders(), "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to request report")
+      }
+
+      if (reportType === "settlement" && data.reports.length === 0) {
+        setError("No new settlement reports available from Amazon")
+      }
+
+      await fetchReports()
+    } catch (err) {
+      console.error("Error requesting report:", err)
+      setError(err instanceof Error ? err.message : "Failed to request report")
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleDeleteReport = async (report: Report) => {
+    if (!window.confirm("Delete this report and its stored rows?")) return
+
+    try {
+      const response = await fetch(`${API_URL}/api/amazon/reports/${report.id}`, {
+        method: "DELETE",
+        headers: amazonHeaders(),
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to delete report")
+      }
+
+      if (selectedReportId === report.id) {
+        setSelectedReportId(null)
+        setReportRows(null)
+      }
+      setReports((current) => current.filter((r) => r.id !== report.id))
+    } catch (err) {
+      console.error("Error deleting report:", err)
+      setError(err instanceof Error ? err.message : "Failed to delete report")
+    }
+  }
+
+  const selectedReport = reports.find((report) => report.id === selectedReportId) || null
+
+  const renderSummary = (report: Report) => {
+    if (!report.summary) return null
+
+    if (report.type === "orders") {
+      const summary = report.summary as OrdersSummary
+      return (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+          <div className="bg-gray-50 p-3 rounded-lg">
+            <p className="text-sm text-gray-500">Orders</p>
+            <p className="text-xl font-bold text-gray-900">{summary.orders}</p>
+            <p className="text-xs text-gray-500">
+              {summary.statuses.map((s) => `${s.status} ${s.orders}`).join(" • ")}
+            </p>
+          </div>
+          <div className="bg-gray-50 p-3 rounded-lg">
+            <p className="text-sm text-gray-500">Units</p>
+            <p className="text-xl font-bold text-gray-900">{summary.units}</p>
+          </div>
+          <div className="bg-gray-50 p-3 rounded-lg">
+            <p className="text-sm text-gray-500">Item revenue</p>
+            {summary.revenue.length === 0 && <p className="text-xl font-bold text-gray-900">—</p>}
+            {summary.revenue.map((r) => (
+              <p key={r.currencyCode} className="text-lg font-bold text-gray-900">
+                {formatMoney(r.currencyCode, r.amount)}
+              </p>
+            ))}
+          </div>
+        </div>
+      )
+    }
+
+    const summary = report.summary as SettlementSummary
+    return (
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+        <div className="bg-gray-50 p-3 rounded-lg">
+          <p className="text-sm text-gray-500">Settlement {summary.settlementId}</p>
+          <p className="text-xl font-bold text-gray-900">{formatMoney(summary.currencyCode, summary.totalAmount)}</p>
+          <p className="text-xs text-gray-500">Deposited {formatDate(summary.depositDate)}</p>
+        </div>
+        <div className="bg-gray-50 p-3 rounded-lg sm:col-span-2">
+          <p className="text-sm text-gray-500 mb-1">By amount type</p>
+          {summary.byAmountType.map((entry) => (
+            <div key={entry.type} className="flex justify-between text-sm text-gray-700">
+              <span>{entry.type}</span>
+              <span>{formatMoney(summary.currencyCode, entry.amount)}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader />
+
+      <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="px-4 py-6 sm:px-0">
+          <div className="mb-8">
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Reports</h2>
+            <p className="text-gray-600">
+              Request bulk order reports and import settlement reports from Amazon. Large reports can take a few
+              minutes to generate.
+            </p>
+          </div>
+
+          {/* Error Alert */}
+          {error && (
+            <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+              <div className="flex">
+                <div className="flex-shrink-0">
+                  <AlertCircle className="h-5 w-5 text-red-400" />
+                </div>
+                <div className="ml-3">
+                  <p className="text-sm text-red-800">{error}</p>
+                </div>
+                <button onClick={() => setError("")} className="ml-auto text-red-400 hover:text-red-600">
+                  ×
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Request Form */}
+          <form
+            onSubmit={handleRequestReport}
+            className="bg-white shadow-sm rounded-lg border border-gray-200 p-6 mb-6 flex flex-wrap items-end gap-4"
+          >
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Report</label>
+              <select
+                value={reportType}
+                onChange={(e) => setReportType(e.target.value as "orders" | "settlement")}
+                className="py-2 pl-3 pr-8 border border-gray-300 rounded-md text-sm text-gray-700 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              >
+                <option value="orders">Orders (up to 30 days)</option>
+                <option value="settlement">Settlements (last 90 days)</option>
+              </select>
+            </div>
+            {reportType === "orders" && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                  <input
+                    type="date"
+                    value={startDate}
+                    max={endDate}
+                    onChange={(e) => setStartDate(e.target.value)}
+                    className="py-2 px-3 border border-gray-300 rounded-md text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+                  <input
+                    type="date"
+                    value={endDate}
+                    min={startDate}
+                    max={toDateInput(new Date())}
+                    onChange={(e) => setEndDate(e.target.value)}
+                    className="py-2 px-3 border border-gray-300 rounded-md text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  />
+                </div>
+              </>
+            )}
+            <button
+              type="submit"
+              disabled={submitting}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <FileText className="h-4 w-4 mr-2" />
+              {submitting ? "Requesting..." : reportType === "orders" ? "Request report" : "Import settlements"}
+            </button>
+          </form>
+
+          {/* Reports List */}
+          <div className="bg-white shadow-sm rounded-lg border border-gray-200 mb-6">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+              <h3 className="text-lg font-semibold text-gray-900">Your reports</h3>
+              <button
+                onClick={fetchReports}
+                className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50"
+              >
+                <RefreshCw className={`h-4 w-4 mr-2 ${hasPending ? "animate-spin" : ""}`} />
+                Refresh
+              </button>
+            </div>
+
+            {loading && <LoadingSpinner text="Loading reports..." />}
+            {!loading && reports.length === 0 && (
+              <p className="text-sm text-gray-500 text-center py-8">No reports yet</p>
+            )}
+
+            {reports.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="min-w-full">
+                  <thead>
+                    <tr className="bg-gray-100 text-sm text-gray-700">
+                      <th className="py-3 px-4 text-left">Type</th>
+                      <th className="py-3 px-4 text-left">Period</th>
+                      <th className="py-3 px-4 text-left">Status</th>
+                      <th className="py-3 px-4 text-left">Rows</th>
+                      <th className="py-3 px-4 text-left">Requested</th>
+                      <th className="py-3 px-4"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {reports.map((report) => (
+                      <tr
+                        key={report.id}
+                        onClick={() => handleSelectReport(report)}
+                        className={`border-t text-sm text-gray-700 cursor-pointer hover:bg-gray-50 ${
+                          selectedReportId === report.id ? "bg-indigo-50" : ""
+                        }`}
+                      >
+                        <td className="py-2 px-4">{TYPE_LABELS[report.type]}</td>
+                        <td className="py-2 px-4">
+                          {formatDate(report.dataStartTime)} – {formatDate(report.dataEndTime)}
+                        </td>
+                        <td className="py-2 px-4">
+                          <span
+                            className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${STATUS_STYLES[report.status]}`}
+                            title={report.error || report.processingStatus}
+                          >
+                            {report.status}
+                          </span>
+                        </td>
+                        <td className="py-2 px-4">{report.rowCount ?? "—"}</td>
+                        <td className="py-2 px-4">{new Date(report.createdAt).toLocaleString()}</td>
+                        <td className="py-2 px-4 text-right">
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation()
+                              handleDeleteReport(report)
+                            }}
+                            className="text-gray-400 hover:text-red-600"
+                            title="Delete report"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* Report Detail */}
+          {selectedReport && (
+            <div className="bg-white shadow-sm rounded-lg border border-gray-200 p-6">
+              <div className="flex items-center justify-between mb-4">
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900">{TYPE_LABELS[selectedReport.type]} report</h3>
+                  <p className="text-sm text-gray-500">
+                    {formatDate(selectedReport.dataStartTime)} – {formatDate(selectedReport.dataEndTime)}
+                  </p>
+                </div>
+                <button
+                  onClick={() => {
+                    setSelectedReportId(null)
+                    setReportRows(null)
+                  }}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <X className="h-5 w-5" />
+                </button>
+              </div>
+
+              {selectedReport.error && (
+                <p className="text-sm text-red-700 bg-red-50 rounded-md p-3 mb-4">{selectedReport.error}</p>
+              )}
+              {PENDING_STATUSES.includes(selectedReport.status) && (
+                <p className="text-sm text-gray-500 mb-4">
+                  Amazon is still generating this report ({selectedReport.processingStatus || "queued"}). This page
+                  updates automatically.
+                </p>
+              )}
+
+              {renderSummary(selectedReport)}
+
+              {selectedReport.status === "done" && !reportRows && !rowsLoading && (
+                <button
+                  onClick={() => fetchRows(selectedReport.id, 0)}
+                  className="text-sm text-indigo-600 hover:text-indigo-800"
+                >
+                  Show rows
+                </button>
+              )}
+              {rowsLoading && <LoadingSpinner size="sm" text="Loading rows..." />}
+
+              {reportRows && !rowsLoading && (
+                <>
+                  <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                    <table className="min-w-full text-xs">
+                      <thead>
+                        <tr className="bg-gray-100 text-gray-700">
+                          {reportRows.columns.map((column) => (
+                            <th key={column} className="py-2 px-3 text-left whitespace-nowrap">
+                              {column}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {reportRows.rows.map((row, idx) => (
+                          <tr key={reportRows.offset + idx} className="border-t text-gray-700">
+                            {reportRows.columns.map((column) => (
+                              <td key={column} className="py-1 px-3 whitespace-nowrap">
+                                {row[column]}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  {/* Pagination */}
+                  <div className="flex items-center justify-between mt-3 text-sm text-gray-500">
+                    <span>
+                      Rows {reportRows.rowCount === 0 ? 0 : reportRows.offset + 1}–
+                      {reportRows.offset + reportRows.rows.length} of {reportRows.rowCount}
+                    </span>
+                    <div className="flex items-center space-x-2">
+                      <button
+                        onClick={() => fetchRows(selectedReport.id, Math.max(0, reportRows.offset - ROWS_PAGE_SIZE))}
+                        disabled={reportRows.offset === 0}
+                        className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Previous
+                      </button>
+                      <button
+                        onClick={() => fetchRows(selectedReport.id, reportRows.offset + ROWS_PAGE_SIZE)}
+                        disabled={reportRows.offset + reportRows.rows.length >= reportRows.rowCount}
+                        className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Next
+                      </button>
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ReportsPage
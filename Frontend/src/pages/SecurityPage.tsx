@@ -0,0 +1,320 @@
+import React, { useEffect, useState } from "react"
+import { ShieldCheck, ShieldOff, KeyRound, AlertCircle, Copy } from "lucide-react"
+import { useAuth } from "../context/AuthContext"
+import { API_URL } from "../config"
+import AppHeader from "../components/AppHeader"
+import LoadingSpinner from "../components/LoadingSpinner"
+
+interface TwoFactorStatus {
+  enabled: boolean
+  enabledAt?: string
+  recoveryCodesLeft: number
+}
+
+interface TwoFactorSetup {
+  secret: string
+  otpauthUri: string
+}
+
+const inputClass =
+  "block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-sm"
+const primaryButtonClass =
+  "inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
+const secondaryButtonClass =
+  "inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
+
+// Two-factor sign-in settings: set up an authenticator app, manage recovery codes, turn it off
+const SecurityPage: React.FC = () => {
+  const { token } = useAuth()
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState("")
+  const [password, setPassword] = useState("")
+  const [code, setCode] = useState("")
+  const [setup, setSetup] = useState<TwoFactorSetup | null>(null)
+  // New recovery codes, shown once after enabling or replacing them
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null)
+
+  const postJson = async (path: string, body: Record<string, string>) => {
+    const response = await fetch(`${API_URL}/api/auth/2fa${path}`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    })
+    const data = await response.json()
+
+    if (!response.ok) {
+      throw new Error(data.message || "Request failed")
+    }
+    return data
+  }
+
+  const fetchStatus = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/auth/2fa`, {
+        headers: { Authorization: `Bearer ${token}` },
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to load two-factor settings")
+      }
+
+      setStatus(data)
+    } catch (err) {
+      console.error("Error loading two-factor settings:", err)
+      setError(err instanceof Error ? err.message : "Failed to load two-factor settings")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchStatus()
+  }, [])
+
+  // Run one of the settings actions, then clear the form and reload the status
+  const runAction = async (action: () => Promise<void>) => {
+    setSubmitting(true)
+    setError("")
+    try {
+      await action()
+      setPassword("")
+      setCode("")
+      await fetchStatus()
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "An error occurred")
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleStartSetup = (e: React.FormEvent) => {
+    e.preventDefault()
+    runAction(async () => {
+      setRecoveryCodes(null)
+      setSetup(await postJson("/setup", { password }))
+    })
+  }
+
+  const handleEnable = (e: React.FormEvent) => {
+    e.preventDefault()
+    runAction(async () => {
+      const data = await postJson("/enable", { code })
+      setSetup(null)
+      setRecoveryCodes(data.recoveryCodes)
+    })
+  }
+
+  const handleNewRecoveryCodes = (e: React.FormEvent) => {
+    e.preventDefault()
+    runAction(async () => {
+      const data = await postJson("/recovery-codes", { code })
+      setRecoveryCodes(data.recoveryCodes)
+    })
+  }
+
+  const handleDisable = () => {
+    if (!confirm("Turn off two-factor sign-in? Your account will only be protected by its password.")) {
+      return
+    }
+    runAction(async () => {
+      await postJson("/disable", { password, code })
+      setRecoveryCodes(null)
+    })
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader />
+
+      <div className="max-w-3xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="px-4 py-6 sm:px-0">
+          <div className="mb-8">
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Security</h2>
+            <p className="text-gray-600">
+              Protect your account and connected Amazon stores with a code from an authenticator app such as Google
+              Authenticator, Microsoft Authenticator or 1Password.
+            </p>
+          </div>
+
+          {/* Error Alert */}
+          {error && (
+            <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+              <div className="flex">
+                <div className="flex-shrink-0">
+                  <AlertCircle className="h-5 w-5 text-red-400" />
+                </div>
+                <div className="ml-3">
+                  <p className="text-sm text-red-800">{error}</p>
+                </div>
+                <button onClick={() => setError("")} className="ml-auto text-red-400 hover:text-red-600">
+                  ×
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Recovery Codes */}
+          {recoveryCodes && (
+            <div className="mb-6 p-6 bg-yellow-50 border border-yellow-200 rounded-lg">
+              <h3 className="text-lg font-medium text-yellow-900 mb-2">Save your recovery codes</h3>
+              <p className="text-sm text-yellow-800 mb-4">
+                Each code signs you in once if you lose access to your authenticator app. They won't be shown again.
+              </p>
+              <div className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900 mb-4">
+                {recoveryCodes.map((recoveryCode) => (
+                  <span key={recoveryCode} className="bg-white px-3 py-1 rounded border border-yellow-200">
+                    {recoveryCode}
+                  </span>
+                ))}
+              </div>
+              <div className="flex space-x-3">
+                <button
+                  onClick={() => navigator.clipboard.writeText(recoveryCodes.join("\n"))}
+                  className={secondaryButtonClass}
+                >
+                  <Copy className="h-4 w-4 mr-2" />
+                  Copy
+                </button>
+                <button onClick={() => setRecoveryCodes(null)} className={primaryButtonClass}>
+                  I've saved them
+                </button>
+              </div>
+            </div>
+          )}
+
+          <div className="bg-white shadow rounded-lg p-6">
+            {loading || !status ? (
+              <LoadingSpinner text="Loading security settings..." />
+            ) : status.enabled ? (
+              <div className="space-y-6">
+                <div className="flex items-center">
+                  <ShieldCheck className="h-6 w-6 text-green-600 mr-3" />
+                  <div>
+                    <h3 className="text-lg font-medium text-gray-900">Two-factor sign-in is on</h3>
+                    <p className="text-sm text-gray-500">
+                      {status.enabledAt && `Enabled ${new Date(status.enabledAt).toLocaleDateString()} • `}
+                      {status.recoveryCodesLeft} recovery codes left
+                    </p>
+                  </div>
+                </div>
+
+                <form onSubmit={handleNewRecoveryCodes} className="space-y-3">
+                  <label htmlFor="code" className="block text-sm font-medium text-gray-700">
+                    Authentication code
+                  </label>
+                  <input
+                    id="code"
+                    type="text"
+                    autoComplete="one-time-code"
+                    className={inputClass}
+                    placeholder="6-digit code or recovery code"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                  />
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                    Password <span className="text-gray-400 font-normal">(to turn two-factor sign-in off)</span>
+                  </label>
+                  <input
+                    id="password"
+                    type="password"
+                    autoComplete="current-password"
+                    className={inputClass}
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                  />
+                  <div className="flex space-x-3 pt-2">
+                    <button type="submit" disabled={submitting || !code} className={secondaryButtonClass}>
+                      <KeyRound className="h-4 w-4 mr-2" />
+                      New recovery codes
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleDisable}
+                      disabled={submitting || !code || !password}
+                      className="inline-flex items-center px-4 py-2 border border-red-300 text-sm font-medium rounded-md text-red-700 bg-white hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <ShieldOff className="h-4 w-4 mr-2" />
+                      Turn off
+                    </button>
+                  </div>
+                </form>
+              </div>
+            ) : setup ? (
+              <form onSubmit={handleEnable} className="space-y-4">
+                <h3 className="text-lg font-medium text-gray-900">Add UNIBAZAR to your authenticator app</h3>
+                <ol className="list-decimal list-inside text-sm text-gray-600 space-y-2">
+                  <li>
+                    On your phone,{" "}
+                    <a href={setup.otpauthUri} className="text-indigo-600 hover:text-indigo-500 font-medium">
+                      open this link
+                    </a>{" "}
+                    or add an account in the app and enter this key:
+                    <div className="mt-2 font-mono text-base text-gray-900 bg-gray-50 px-3 py-2 rounded break-all">
+                      {setup.secret.match(/.{1,4}/g)?.join(" ")}
+                    </div>
+                  </li>
+                  <li>Enter the 6-digit code the app shows to finish.</li>
+                </ol>
+                <input
+                  id="code"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  maxLength={6}
+                  className={inputClass}
+                  placeholder="123456"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value.replace(/\D/g, ""))}
+                />
+                <div className="flex space-x-3">
+                  <button type="submit" disabled={submitting || code.length !== 6} className={primaryButtonClass}>
+                    Turn on
+                  </button>
+                  <button type="button" onClick={() => setSetup(null)} className={secondaryButtonClass}>
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <form onSubmit={handleStartSetup} className="space-y-4">
+                <div className="flex items-center">
+                  <ShieldOff className="h-6 w-6 text-gray-400 mr-3" />
+                  <div>
+                    <h3 className="text-lg font-medium text-gray-900">Two-factor sign-in is off</h3>
+                    <p className="text-sm text-gray-500">
+                      Once it's on, signing in and disconnecting an Amazon account ask for a code from your app.
+                    </p>
+                  </div>
+                </div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                  Confirm your password to start
+                </label>
+                <input
+                  id="password"
+                  type="password"
+                  autoComplete="current-password"
+                  required
+                  className={inputClass}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                />
+                <button type="submit" disabled={submitting || !password} className={primaryButtonClass}>
+                  <ShieldCheck className="h-4 w-4 mr-2" />
+                  Set up authenticator app
+                </button>
+              </form>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SecurityPage
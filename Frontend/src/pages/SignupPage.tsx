@@ -80,6 +80,8 @@ const SignupPage = () => {
     try {
       const response = await fetch(`${API_URL}/api/auth/signup`, {
         method: "POST",
+        // Lets the browser store the refresh cookie
+        credentials: "include",
         headers: {
           "Content-Type": "application/json",
         },
@@ -0,0 +1,432 @@
+import React, { useEffect, useState } from "react"
+import { Users, UserPlus, Plus, Pencil, Mail, LogOut, Link2, AlertCircle } from "lucide-react"
+import { useAuth } from "../context/AuthContext"
+import { API_URL } from "../config"
+import { WORKSPACE_ROLES, hasRole, type WorkspaceRole } from "../utils/roles"
+import { AMAZON_REGIONS, buildAuthUrlQuery } from "../utils/connection"
+import AppHeader from "../components/AppHeader"
+import LoadingSpinner from "../components/LoadingSpinner"
+
+interface Workspace {
+  id: string
+  name: string
+  role: WorkspaceRole
+  memberCount: number
+}
+
+interface Member {
+  userId: string
+  name?: string
+  email?: string
+  role: WorkspaceRole
+  joinedAt?: string
+}
+
+interface Invitation {
+  id: string
+  email: string
+  role: WorkspaceRole
+  expiresAt: string
+}
+
+const ROLE_DESCRIPTIONS: Record<WorkspaceRole, string> = {
+  "read-only": "View orders, analytics and reports",
+  analyst: "Also export orders and request reports",
+  admin: "Also connect and manage seller accounts and members",
+  owner: "Full access, including managing owners",
+}
+
+const formatDate = (value?: string) => (value ? new Date(value).toLocaleDateString() : "—")
+
+const TeamPage: React.FC = () => {
+  const { token, user } = useAuth()
+  const [workspaces, setWorkspaces] = useState<Workspace[]>([])
+  const [workspaceId, setWorkspaceId] = useState("")
+  const [members, setMembers] = useState<Member[]>([])
+  const [invitations, setInvitations] = useState<Invitation[]>([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState("")
+  const [notice, setNotice] = useState("")
+  const [inviteEmail, setInviteEmail] = useState("")
+  const [inviteRole, setInviteRole] = useState<WorkspaceRole>("read-only")
+  const [connectRegion, setConnectRegion] = useState("")
+  const [submitting, setSubmitting] = useState(false)
+
+  const workspace = workspaces.find((w) => w.id === workspaceId)
+  const myRole = workspace?.role
+  const canManage = hasRole(myRole, "admin")
+
+  const request = async (path: string, options: { method?: string; body?: unknown } = {}) => {
+    const response = await fetch(`${API_URL}${path}`, {
+      method: options.method || "GET",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(options.body !== undefined && { "Content-Type": "application/json" }),
+      },
+      body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+    })
+    const data = await response.json()
+
+    if (!response.ok) {
+      throw new Error(data.message || "Request failed")
+    }
+    return data
+  }
+
+  const fetchWorkspaces = async (selectId?: string) => {
+    try {
+      const data = await request("/api/workspaces")
+      const list: Workspace[] = data.workspaces || []
+      setWorkspaces(list)
+      setWorkspaceId((current) => {
+        const wanted = selectId || current
+        return list.some((w) => w.id === wanted) ? wanted : list[0]?.id || ""
+      })
+    } catch (err) {
+      console.error("Error loading workspaces:", err)
+      setError(err instanceof Error ? err.message : "Failed to load workspaces")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchMembers = async () => {
+    if (!workspaceId) return
+    try {
+      const data = await request(`/api/workspaces/${workspaceId}/members`)
+      setMembers(data.members || [])
+      setInvitations(data.invitations || [])
+    } catch (err) {
+      console.error("Error loading members:", err)
+      setError(err instanceof Error ? err.message : "Failed to load members")
+    }
+  }
+
+  useEffect(() => {
+    fetchWorkspaces()
+  }, [])
+
+  useEffect(() => {
+    fetchMembers()
+  }, [workspaceId])
+
+  // Run an action, show its error if it fails and reload the members afterwards
+  const runAction = async (action: () => Promise<void>) => {
+    setSubmitting(true)
+    setError("")
+    setNotice("")
+    try {
+      await action()
+      await fetchMembers()
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "An error occurred")
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleCreateWorkspace = () => {
+    const name = prompt("Name for the new workspace")
+    if (!name || !name.trim()) return
+
+    runAction(async () => {
+      const data = await request("/api/workspaces", { method: "POST", body: { name: name.trim() } })
+      await fetchWorkspaces(data.workspace.id)
+    })
+  }
+
+  const handleRenameWorkspace = () => {
+    const name = prompt("Name for this workspace", workspace?.name || "")
+    if (!name || !name.trim()) return
+
+    runAction(async () => {
+      await request(`/api/workspaces/${workspaceId}`, { method: "PATCH", body: { name: name.trim() } })
+      await fetchWorkspaces()
+    })
+  }
+
+  const handleInvite = (e: React.FormEvent) => {
+    e.preventDefault()
+    runAction(async () => {
+      await request(`/api/workspaces/${workspaceId}/invitations`, {
+        method: "POST",
+        body: { email: inviteEmail, role: inviteRole },
+      })
+      setNotice(`Invitation sent to ${inviteEmail}`)
+      setInviteEmail("")
+    })
+  }
+
+  const handleWithdrawInvitation = (invitation: Invitation) => {
+    runAction(async () => {
+      await request(`/api/workspaces/${workspaceId}/invitations/${invitation.id}`, { method: "DELETE" })
+    })
+  }
+
+  const handleChangeRole = (member: Member, role: WorkspaceRole) => {
+    runAction(async () => {
+      await request(`/api/workspaces/${workspaceId}/members/${member.userId}`, { method: "PATCH", body: { role } })
+    })
+  }
+
+  const handleRemoveMember = (member: Member) => {
+    const leaving = member.userId === user?.id
+    const question = leaving
+      ? `Leave ${workspace?.name}? You'll lose access to its seller accounts.`
+      : `Remove ${member.name || member.email} from ${workspace?.name}?`
+    if (!confirm(question)) return
+
+    runAction(async () => {
+      await request(`/api/workspaces/${workspaceId}/members/${member.userId}`, { method: "DELETE" })
+      if (leaving) {
+        await fetchWorkspaces()
+      }
+    })
+  }
+
+  // Connect a seller account to this workspace through Amazon's consent page
+  const handleConnectAmazon = () => {
+    runAction(async () => {
+      const data = await request(`/api/amazon/auth-url${buildAuthUrlQuery({ workspaceId, region: connectRegion })}`)
+      window.location.href = data.authUrl
+    })
+  }
+
+  // Roles the user may give: up to their own
+  const assignableRoles = WORKSPACE_ROLES.filter((role) => myRole && hasRole(myRole, role))
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader />
+
+      <div className="max-w-5xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="px-4 py-6 sm:px-0">
+          <div className="mb-8 flex items-start justify-between">
+            <div>
+              <h2 className="text-2xl font-bold text-gray-900 mb-2">Team</h2>
+              <p className="text-gray-600">
+                Share seller accounts with your team. Everyone signs in with their own account and gets the access of
+                their role.
+              </p>
+            </div>
+            <button
+              onClick={handleCreateWorkspace}
+              disabled={submitting}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              New workspace
+            </button>
+          </div>
+
+          {/* Error Alert */}
+          {error && (
+            <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+              <div className="flex">
+                <div className="flex-shrink-0">
+                  <AlertCircle className="h-5 w-5 text-red-400" />
+                </div>
+                <div className="ml-3">
+                  <p className="text-sm text-red-800">{error}</p>
+                </div>
+                <button onClick={() => setError("")} className="ml-auto text-red-400 hover:text-red-600">
+                  ×
+                </button>
+              </div>
+            </div>
+          )}
+
+          {notice && (
+            <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg">
+              <p className="text-sm text-green-800">{notice}</p>
+            </div>
+          )}
+
+          {loading ? (
+            <LoadingSpinner text="Loading team..." />
+          ) : (
+            <div className="space-y-6">
+              {/* Workspace */}
+              <div className="bg-white shadow rounded-lg p-6 flex flex-wrap items-center gap-3">
+                <Users className="h-5 w-5 text-gray-400" />
+                <select
+                  value={workspaceId}
+                  onChange={(e) => setWorkspaceId(e.target.value)}
+                  className="py-2 pl-3 pr-8 border border-gray-300 rounded-md text-sm text-gray-700 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  {workspaces.map((w) => (
+                    <option key={w.id} value={w.id}>
+                      {w.name}
+                    </option>
+                  ))}
+                </select>
+                {myRole && <span className="text-sm text-gray-500">Your role: {myRole}</span>}
+                {canManage && (
+                  <div className="ml-auto flex space-x-2">
+                    <button
+                      onClick={handleRenameWorkspace}
+                      disabled={submitting}
+                      className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      <Pencil className="h-4 w-4 mr-2" />
+                      Rename
+                    </button>
+                    <select
+                      value={connectRegion}
+                      onChange={(e) => setConnectRegion(e.target.value)}
+                      disabled={submitting}
+                      aria-label="Amazon region"
+                      className="py-2 pl-3 pr-8 border border-gray-300 rounded-md text-sm text-gray-700 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    >
+                      {AMAZON_REGIONS.map((region) => (
+                        <option key={region.value} value={region.value}>
+                          {region.label}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={handleConnectAmazon}
+                      disabled={submitting}
+                      className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      <Link2 className="h-4 w-4 mr-2" />
+                      Connect Amazon account
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {/* Members */}
+              <div className="bg-white shadow rounded-lg overflow-hidden">
+                <div className="px-6 py-4 border-b border-gray-200">
+                  <h3 className="text-lg font-medium text-gray-900">Members</h3>
+                </div>
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50 text-gray-500">
+                    <tr>
+                      <th className="py-3 px-6 text-left">Name</th>
+                      <th className="py-3 px-6 text-left">Role</th>
+                      <th className="py-3 px-6 text-left">Joined</th>
+                      <th className="py-3 px-6" />
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {members.map((member) => {
+                      const isMe = member.userId === user?.id
+                      const manageable = canManage && !isMe && !!myRole && hasRole(myRole, member.role)
+                      return (
+                        <tr key={member.userId}>
+                          <td className="py-3 px-6">
+                            <p className="font-medium text-gray-900">
+                              {member.name}
+                              {isMe && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                            </p>
+                            <p className="text-gray-500">{member.email}</p>
+                          </td>
+                          <td className="py-3 px-6">
+                            {manageable ? (
+                              <select
+                                value={member.role}
+                                onChange={(e) => handleChangeRole(member, e.target.value as WorkspaceRole)}
+                                disabled={submitting}
+                                className="py-1 pl-2 pr-8 border border-gray-300 rounded-md text-sm text-gray-700 bg-white"
+                              >
+                                {assignableRoles.map((role) => (
+                                  <option key={role} value={role}>
+                                    {role}
+                                  </option>
+                                ))}
+                              </select>
+                            ) : (
+                              <span className="text-gray-700">{member.role}</span>
+                            )}
+                          </td>
+                          <td className="py-3 px-6 text-gray-500">{formatDate(member.joinedAt)}</td>
+                          <td className="py-3 px-6 text-right">
+                            {(manageable || isMe) && (
+                              <button
+                                onClick={() => handleRemoveMember(member)}
+                                disabled={submitting}
+                                className="inline-flex items-center text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                              >
+                                {isMe && <LogOut className="h-4 w-4 mr-1" />}
+                                {isMe ? "Leave" : "Remove"}
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* Invitations */}
+              {canManage && (
+                <div className="bg-white shadow rounded-lg p-6 space-y-4">
+                  <h3 className="text-lg font-medium text-gray-900">Invite a teammate</h3>
+                  <form onSubmit={handleInvite} className="flex flex-wrap items-start gap-3">
+                    <input
+                      type="email"
+                      required
+                      placeholder="teammate@example.com"
+                      value={inviteEmail}
+                      onChange={(e) => setInviteEmail(e.target.value)}
+                      className="flex-1 min-w-[220px] px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    />
+                    <select
+                      value={inviteRole}
+                      onChange={(e) => setInviteRole(e.target.value as WorkspaceRole)}
+                      className="py-2 pl-3 pr-8 border border-gray-300 rounded-md text-sm text-gray-700 bg-white"
+                    >
+                      {assignableRoles.map((role) => (
+                        <option key={role} value={role}>
+                          {role}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      type="submit"
+                      disabled={submitting || !inviteEmail}
+                      className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                    >
+                      <UserPlus className="h-4 w-4 mr-2" />
+                      Send invitation
+                    </button>
+                  </form>
+                  <p className="text-sm text-gray-500">{ROLE_DESCRIPTIONS[inviteRole]}</p>
+
+                  {invitations.length > 0 && (
+                    <div>
+                      <h4 className="text-sm font-medium text-gray-700 mb-2">Pending invitations</h4>
+                      <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+                        {invitations.map((invitation) => (
+                          <li key={invitation.id} className="flex items-center justify-between px-4 py-2 text-sm">
+                            <span className="flex items-center text-gray-700">
+                              <Mail className="h-4 w-4 mr-2 text-gray-400" />
+                              {invitation.email} · {invitation.role}
+                              <span className="ml-2 text-gray-400">expires {formatDate(invitation.expiresAt)}</span>
+                            </span>
+                            <button
+                              onClick={() => handleWithdrawInvitation(invitation)}
+                              disabled={submitting}
+                              className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                            >
+                              Withdraw
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TeamPage
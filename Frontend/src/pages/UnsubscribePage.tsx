@@ -0,0 +1,89 @@
+import React, { useState } from "react"
+import { Link, useSearchParams } from "react-router-dom"
+import { MailX } from "lucide-react"
+import { API_URL } from "../config"
+
+// Landing page of the unsubscribe link in order summary emails (/unsubscribe?token=...).
+// Works without signing in; the user confirms so link scanners can't unsubscribe them.
+const UnsubscribePage = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get("token") || ""
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(token ? "" : "This unsubscribe link is incomplete.")
+  const [done, setDone] = useState("")
+
+  const handleUnsubscribe = async () => {
+    setLoading(true)
+    setError("")
+
+    try {
+      const response = await fetch(`${API_URL}/api/digest/unsubscribe`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ token }),
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to unsubscribe")
+      }
+
+      setDone(data.message)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "An error occurred")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-indigo-50 via-white to-cyan-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <div className="mx-auto h-16 w-16 bg-gradient-to-r from-indigo-600 to-purple-600 rounded-xl flex items-center justify-center mb-4">
+            <MailX className="h-8 w-8 text-white" />
+          </div>
+          <h2 className="text-3xl font-bold text-gray-900 mb-2">Order summaries</h2>
+          <p className="text-gray-600">Stop receiving daily or weekly order summary emails</p>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-xl p-8 border border-gray-100 space-y-6">
+          {error && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+          )}
+
+          {done ? (
+            <div className="space-y-4">
+              <div className="p-4 bg-green-50 border border-green-200 rounded-lg">
+                <p className="text-sm text-green-800">{done}</p>
+              </div>
+              <p className="text-sm text-gray-600">
+                Changed your mind? Turn them on again in your{" "}
+                <Link to="/digest" className="font-medium text-indigo-600 hover:text-indigo-500">
+                  email summary settings
+                </Link>
+                .
+              </p>
+            </div>
+          ) : (
+            token && (
+              <button
+                onClick={handleUnsubscribe}
+                disabled={loading}
+                className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? "Unsubscribing..." : "Unsubscribe"}
+              </button>
+            )
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default UnsubscribePage
@@ -0,0 +1,26 @@
+// localStorage key of the seller account the dashboard and reports pages work on
+export const ACTIVE_CONNECTION_KEY = "amazon_connection_id"
+
+// Headers for /api/amazon requests, scoped to the selected seller account
+export const buildAmazonHeaders = (token: string | null, connectionId: string): Record<string, string> => {
+  const headers: Record<string, string> = { Authorization: `Bearer ${token}` }
+  if (connectionId) {
+    headers["X-Connection-Id"] = connectionId
+  }
+  return headers
+}
+
+// SP API regions a seller account can be connected in; mirrors REGIONS in
+// Backend/services/amazonSpApi.js. An empty value leaves it to the backend's AMAZON_REGION.
+export const AMAZON_REGIONS = [
+  { value: "", label: "Default region" },
+  { value: "na", label: "North America" },
+  { value: "eu", label: "Europe" },
+  { value: "fe", label: "Far East" },
+]
+
+// Query string for /api/amazon/auth-url
+export const buildAuthUrlQuery = (params: Record<string, string>): string => {
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value))
+  return query.toString() ? `?${query.toString()}` : ""
+}
@@ -0,0 +1,8 @@
+// Workspace roles from least to most access; mirrors Backend/services/workspaces.js
+export const WORKSPACE_ROLES = ["read-only", "analyst", "admin", "owner"] as const
+
+export type WorkspaceRole = (typeof WORKSPACE_ROLES)[number]
+
+// Whether `role` grants at least the access of `minimum`
+export const hasRole = (role: WorkspaceRole | undefined, minimum: WorkspaceRole): boolean =>
+  !!role && WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(minimum)